@@ -0,0 +1,220 @@
+// ============================================
+// adaptive.js - 適応型出題 (Computerized Adaptive Testing)
+// ============================================
+//
+// 詳細モードの質問バンクから、現在の回答状況で最も不確かな部分を
+// 減らせる質問を1問ずつ選ぶ。
+//   - 機能ごとの不確かさ: 回答数が少ない機能ほど大きい (1 / √(n + 1))
+//   - タイプ判別力: 暫定1位・2位タイプのスタック重みの差が大きい機能ほど大きい
+// 確信度が閾値を超えるか、最大出題数に達した時点で終了する。
+
+import { getScoringStrategy } from './core.js';
+
+// ============================================
+// 型定義 (JSDoc)
+// ============================================
+
+/**
+ * @typedef {import('./data.js').Question} Question
+ * @typedef {import('./core.js').DiagnosticResult} DiagnosticResult
+ */
+
+/**
+ * @typedef {Object} AdaptiveContext
+ * @property {DiagnosticResult|null} provisional - 暫定判定結果 (未回答ならnull)
+ * @property {Object<string, string[]>} cognitiveStacks - 認知スタック
+ * @property {string} [strategy] - スコアリング戦略ID
+ */
+
+/**
+ * @typedef {'max-questions' | 'exhausted' | 'confidence'} AdaptiveStopReason
+ */
+
+// ============================================
+// 定数定義
+// ============================================
+
+/** 適応型出題の設定 */
+export const ADAPTIVE_CONFIG = Object.freeze({
+    /** 出題元の質問バンク (モードID) */
+    QUESTION_BANK: 'detail',
+    /** 確信度による終了を許可する最小回答数 */
+    MIN_QUESTIONS: 24,
+    /** 最大出題数 */
+    MAX_QUESTIONS: 64,
+    /** 終了判定前に各機能で必要な最小回答数 */
+    MIN_PER_FUNCTION: 2,
+    /**
+     * 終了する確信度 (矛盾ペナルティ適用後, 0-100)
+     * 確信度は詳細モード全96問でも 30-40 台に収まるため、その下端を採用
+     */
+    CONFIDENCE_THRESHOLD: 30,
+    /** 上位2タイプで重みが同じ機能にも与える基礎判別力 */
+    BASE_DISCRIMINATION: 0.5
+});
+
+const ALL_FUNCTIONS = Object.freeze(['Ni', 'Ne', 'Si', 'Se', 'Ti', 'Te', 'Fi', 'Fe']);
+
+// ============================================
+// 出題順の復元
+// ============================================
+
+/**
+ * 出題済みIDの列から質問シーケンスを復元
+ * 質問バンクに存在しないID (データ更新で削除された質問) は除外する
+ * @param {{askedQuestionIds?: string[]}} state - 診断状態
+ * @param {Question[]} bank - 質問バンク
+ * @returns {Question[]} 出題順の質問配列
+ */
+export function resolveQuestionSequence(state, bank) {
+    const askedIds = Array.isArray(state?.askedQuestionIds) ? state.askedQuestionIds : [];
+    const byId = new Map(bank.map(q => [q.id, q]));
+
+    return askedIds
+        .map(id => byId.get(id))
+        .filter(Boolean);
+}
+
+// ============================================
+// 不確かさの評価
+// ============================================
+
+/**
+ * 機能ごとの回答数を集計
+ * @param {Object<string, {value: number}>} answers - 回答データ
+ * @param {Question[]} bank - 質問バンク
+ * @returns {Object<string, number>} 機能ごとの回答数
+ */
+function countAnswersByFunction(answers, bank) {
+    const counts = Object.fromEntries(ALL_FUNCTIONS.map(f => [f, 0]));
+
+    bank.forEach(q => {
+        const funcType = q.funcType || q.function;
+        if (answers[q.id] && funcType in counts) {
+            counts[funcType]++;
+        }
+    });
+
+    return counts;
+}
+
+/**
+ * 暫定1位・2位タイプ間での各機能の判別力を計算
+ * スコアリング戦略のスロット重みの差 (絶対値) を使う
+ * @param {AdaptiveContext} context - 適応型出題コンテキスト
+ * @returns {Object<string, number>} 機能ごとの判別力
+ */
+function calculateDiscrimination(context) {
+    const discrimination = Object.fromEntries(
+        ALL_FUNCTIONS.map(f => [f, ADAPTIVE_CONFIG.BASE_DISCRIMINATION])
+    );
+    const [firstType, secondType] = context.provisional?.top2 || [];
+
+    if (!context.cognitiveStacks?.[firstType] || !context.cognitiveStacks?.[secondType]) {
+        return discrimination;
+    }
+
+    const strategy = getScoringStrategy(context.strategy);
+    const weightsOf = (typeName) => Object.fromEntries(
+        strategy.describeStack(typeName, context.cognitiveStacks).map(slot => [slot.function, slot.weight])
+    );
+    const firstWeights = weightsOf(firstType);
+    const secondWeights = weightsOf(secondType);
+
+    ALL_FUNCTIONS.forEach(f => {
+        discrimination[f] += Math.abs((firstWeights[f] || 0) - (secondWeights[f] || 0));
+    });
+
+    return discrimination;
+}
+
+// ============================================
+// 終了判定・次問選択
+// ============================================
+
+/**
+ * 適応型出題を終了すべきか判定
+ * @param {{answers: Object, askedQuestionIds?: string[]}} state - 診断状態
+ * @param {Question[]} bank - 質問バンク
+ * @param {DiagnosticResult|null} provisional - 暫定判定結果
+ * @returns {AdaptiveStopReason|null} 終了理由 (継続ならnull)
+ */
+export function getAdaptiveStopReason(state, bank, provisional) {
+    const answeredCount = Object.keys(state.answers).length;
+    const askedIds = new Set(state.askedQuestionIds || []);
+
+    if (answeredCount >= Math.min(ADAPTIVE_CONFIG.MAX_QUESTIONS, bank.length)) {
+        return 'max-questions';
+    }
+
+    if (bank.every(q => askedIds.has(q.id))) {
+        return 'exhausted';
+    }
+
+    const counts = countAnswersByFunction(state.answers, bank);
+    const isCovered = ALL_FUNCTIONS.every(f => counts[f] >= ADAPTIVE_CONFIG.MIN_PER_FUNCTION);
+
+    if (answeredCount >= ADAPTIVE_CONFIG.MIN_QUESTIONS
+        && isCovered
+        && provisional
+        && provisional.confidence >= ADAPTIVE_CONFIG.CONFIDENCE_THRESHOLD) {
+        return 'confidence';
+    }
+
+    return null;
+}
+
+/**
+ * 次に出題する質問を選択
+ * 終了条件を満たした場合は null を返す
+ * @param {{answers: Object, askedQuestionIds?: string[]}} state - 診断状態
+ * @param {Question[]} bank - 質問バンク (シャッフル済みの順序が同点時の優先順になる)
+ * @param {AdaptiveContext} context - 適応型出題コンテキスト
+ * @returns {Question|null} 次の質問
+ */
+export function selectNextQuestion(state, bank, context) {
+    try {
+        const stopReason = getAdaptiveStopReason(state, bank, context.provisional);
+        if (stopReason) {
+            console.info(`[Adaptive] 出題終了: ${stopReason} (回答数: ${Object.keys(state.answers).length})`);
+            return null;
+        }
+
+        const askedIds = new Set(state.askedQuestionIds || []);
+        const counts = countAnswersByFunction(state.answers, bank);
+        const discrimination = calculateDiscrimination(context);
+
+        let candidates = bank.filter(q => !askedIds.has(q.id));
+
+        // 最小回答数に満たない機能を優先 (全機能の推定値を確保する)
+        const uncovered = candidates.filter(q =>
+            counts[q.funcType || q.function] < ADAPTIVE_CONFIG.MIN_PER_FUNCTION
+        );
+        if (uncovered.length > 0) {
+            candidates = uncovered;
+        }
+
+        // 同じ機能の連続出題を避ける (他に候補がない場合は許容)
+        const lastQuestion = resolveQuestionSequence(state, bank).at(-1);
+        const lastFunction = lastQuestion && (lastQuestion.funcType || lastQuestion.function);
+        const varied = candidates.filter(q => (q.funcType || q.function) !== lastFunction);
+        if (varied.length > 0) {
+            candidates = varied;
+        }
+
+        const information = (q) => {
+            const funcType = q.funcType || q.function;
+            return discrimination[funcType] / Math.sqrt(1 + counts[funcType]);
+        };
+
+        // 情報量の降順 → priority の昇順 → バンク順 (sort は安定)
+        const [next] = [...candidates].sort((a, b) =>
+            (information(b) - information(a)) || ((a.priority ?? Infinity) - (b.priority ?? Infinity))
+        );
+
+        return next || null;
+    } catch (error) {
+        console.error('[Adaptive] Error in selectNextQuestion:', error);
+        return null;
+    }
+}
@@ -2,15 +2,64 @@
 // app.js - Application Entry Point (メモ化実装版 v3)
 // ============================================
 
-import { useDiagnosisState, createStorageManager } from './hooks.js';
-import { ProgressSection, QuestionCard, ResultCard } from './components.js';
+import { useDiagnosisState, createStorageManager, openStorageManager, createTabSync } from './hooks.js';
+import {
+    ProgressSection,
+    QuestionCard,
+    ResultCard,
+    HistoryView,
+    ImportedProfileBanner,
+    ProfileExportPanel,
+    PrivacyPanel,
+    UnlockPrompt,
+    ReadOnlyNotice,
+    TimeTravelPanel,
+    SharePanel,
+    SharedResultBanner,
+    PrintReportPanel,
+    ResearchConsentPanel
+} from './components.js';
 import { createHandlers } from './handlers.js';
-import { initializeData } from './data.js';
+import { initializeData, loadQuestions, loadMyselfProfileSchema } from './data.js';
+import {
+    t,
+    detectLanguage,
+    setLanguage,
+    getLanguage,
+    applyDocumentTranslations,
+    I18N_CONFIG,
+    LANGUAGE_NAMES
+} from './i18n.js';
+import { ADAPTIVE_CONFIG, resolveQuestionSequence, selectNextQuestion } from './adaptive.js';
+import { createHistoryEntry, analyzeDrift } from './history.js';
+import { importMyselfProfile, profileToResultView } from './profile-importer.js';
+import { MYSELF_SCHEMA_VERSION, buildMyselfProfile } from './profile-exporter.js';
+import { getProfileFormat, listProfileFormats, serializeProfiles } from './profile-formats.js';
+import { generateSigningKeyPair, getSigningKeyId, signMyselfProfile, verifyMyselfProfile } from './profile-signer.js';
+import { STORAGE_CRYPTO_CONFIG } from './storage-crypto.js';
+import {
+    encodePermalink,
+    decodePermalink,
+    resolvePermalinkAnswers,
+    buildPermalinkUrl,
+    readPermalinkFragment
+} from './permalink.js';
+import { renderPrintableReport } from './report-renderer.js';
+import { buildResearchRecord } from './research-export.js';
 import { 
-    calculateScore, 
+    calculateFunctionScores,
     determineMBTITypeWithConsistency,
+    generateDiagnosticReport,
     getNormalizedScore,
-    FUNCTIONS
+    getScoringStrategy,
+    listScoringStrategies,
+    registerScoringStrategy,
+    createBeebeStrategy,
+    seededRandom,
+    CONFIG as CORE_CONFIG,
+    FUNCTIONS,
+    COGNITIVE_STACKS,
+    mbtiDescriptions as DEFAULT_MBTI_DESCRIPTIONS
 } from './core.js';
 
 // ============================================
@@ -25,24 +74,26 @@ const CONFIG = Object.freeze({
     SHUFFLE_MAX_ATTEMPTS: 5000,
     SHUFFLE_RELAXED_ATTEMPTS: 1000,
     TRANSITION_DELAY: 200,
-    VALID_MODES: Object.freeze(['simple', 'standard', 'detail']),
-    DEFAULT_MODE: 'standard'
+    VALID_MODES: Object.freeze(['simple', 'standard', 'detail', 'adaptive']),
+    DEFAULT_MODE: 'standard',
+    STORAGE_KEY_PREFIX: 'persona_finder'
 });
 
-/** エラーメッセージ定数 */
+/** エラーメッセージ定数 (参照時の言語で解決) */
 const ERROR_MESSAGES = Object.freeze({
-    INIT_FAILED: 'アプリケーションの初期化に失敗しました',
-    NO_QUESTIONS: '質問データが読み込まれませんでした',
-    NETWORK_ERROR: 'ネットワークエラーが発生しました。オフラインモードで起動します。',
-    JSON_PARSE_ERROR: 'データの読み込みに失敗しました。バックアップデータを使用します。',
-    MODE_MISMATCH: 'モードが変更されたため、保存データをクリアしました'
+    get INIT_FAILED() { return t('app.initFailed'); },
+    get NO_QUESTIONS() { return t('app.noQuestions'); },
+    get NETWORK_ERROR() { return t('app.networkError'); },
+    get JSON_PARSE_ERROR() { return t('app.jsonParseError'); },
+    get MODE_MISMATCH() { return t('app.modeMismatch'); }
 });
 
-/** モード表示名マッピング */
+/** モード表示名マッピング (参照時の言語で解決) */
 const MODE_DISPLAY_NAMES = Object.freeze({
-    simple: 'クイック診断',
-    standard: 'スタンダード診断',
-    detail: '詳細診断'
+    get simple() { return t('modes.simple'); },
+    get standard() { return t('modes.standard'); },
+    get detail() { return t('modes.detail'); },
+    get adaptive() { return t('modes.adaptive'); }
 });
 
 // ============================================
@@ -55,6 +106,9 @@ let appContext = null;
 /** Shadow機能説明の表示済みフラグ */
 let hasSeenShadowExplanation = false;
 
+/** タイムトラベルパネルで選択中のフレーム (null なら最新を追う) */
+let timeTravelIndex = null;
+
 // ============================================
 // メモ化システム (React移行準備)
 // ============================================
@@ -77,67 +131,73 @@ function createMemo() {
 }
 
 // メモキャッシュインスタンス
-let scoreMemo = createMemo();
 let typeMemo = createMemo();
 
 /**
  * メモキャッシュをクリア(状態更新時に呼ぶ)
  */
 function clearMemoCache() {
-    scoreMemo = createMemo();
     typeMemo = createMemo();
     console.debug('[Memo] Cache cleared');
 }
 
 /**
- * メモ化されたスコア計算
- * React移行時: useMemo(() => recalculateFunctionScores(state, questions), [state.answers, state.currentQuestion])
+ * メモ化されたスコア計算 (回答から導出。hooks.js の selectFunctionScores が回答ごとにキャッシュする)
+ * React移行時: useMemo(() => calculateFunctionScores(state.answers, questions), [state.answers])
  * @param {DiagnosisState} state - 診断状態
- * @param {Question[]} questions - 質問配列
  * @returns {Object<string, number>} 機能スコア
  */
-function getMemoizedScores(state, questions) {
-    const key = `${state.currentQuestion}-${Object.keys(state.answers).length}`;
-    return scoreMemo(key, () => recalculateFunctionScores(state, questions));
+function getMemoizedScores(state) {
+    return appContext.diagnosisState.selectFunctionScores(state);
 }
 
 /**
- * メモ化されたタイプ判定
- * React移行時: useMemo(() => getProvisionalType(scores, state), [scores, state.answers])
+ * メモ化された暫定判定結果 (確信度・上位2タイプを含む)
+ * React移行時: useMemo(() => getProvisionalResult(scores, state), [scores, state.answers])
  * @param {Object<string, number>} currentScores - 現在のスコア
  * @param {DiagnosisState} state - 診断状態
  * @param {Question[]} questions - 質問配列
- * @returns {string} MBTI タイプ
+ * @returns {DiagnosticResult|null} 判定結果 (未回答ならnull)
  */
-function getMemoizedProvisionalType(currentScores, state, questions) {
+function getMemoizedProvisionalResult(currentScores, state, questions) {
     const answeredCount = Object.keys(state.answers).length;
     const key = `${answeredCount}-${currentScores.Ni}-${currentScores.Ne}`;
     
     return typeMemo(key, () => {
-        if (!appContext) return 'INTJ';
-        
-        if (answeredCount === 0) {
-            return 'INTJ';
+        if (!appContext || answeredCount === 0) {
+            return null;
         }
         
-        const result = determineMBTITypeWithConsistency(
+        return determineMBTITypeWithConsistency(
             currentScores, 
             appContext.cognitiveStacks, 
             state.answers, 
             questions,
-            appContext.mode
+            { strategy: appContext.strategy }
         );
-        return result.type;
     });
 }
 
+/**
+ * メモ化されたタイプ判定
+ * React移行時: useMemo(() => getProvisionalType(scores, state), [scores, state.answers])
+ * @param {Object<string, number>} currentScores - 現在のスコア
+ * @param {DiagnosisState} state - 診断状態
+ * @param {Question[]} questions - 質問配列
+ * @returns {string} MBTI タイプ
+ */
+function getMemoizedProvisionalType(currentScores, state, questions) {
+    const result = getMemoizedProvisionalResult(currentScores, state, questions);
+    return result ? result.type : 'INTJ';
+}
+
 // ============================================
 // URL・モード管理
 // ============================================
 
 /**
  * URLからモードパラメータを取得
- * @returns {string} モード ('simple' | 'standard' | 'detail')
+ * @returns {string} モード ('simple' | 'standard' | 'detail' | 'adaptive')
  */
 function getModeFromURL() {
     try {
@@ -158,9 +218,49 @@ function getModeFromURL() {
 }
 
 /**
- * モード名を日本語表示用に変換
+ * URLからスコアリング戦略パラメータを取得
+ * 未指定・未登録の場合は core.js の CONFIG.SCORING_STRATEGY を使用
+ * @returns {string} スコアリング戦略ID
+ */
+function getStrategyFromURL() {
+    try {
+        const params = new URLSearchParams(window.location.search);
+        const strategy = params.get('strategy');
+        const available = listScoringStrategies().map(s => s.id);
+        
+        if (strategy && available.includes(strategy)) {
+            console.info(`[App] URLパラメータからスコアリング戦略取得: ${strategy}`);
+            return strategy;
+        }
+        
+        if (strategy) {
+            console.warn(`[App] 未登録のスコアリング戦略: ${strategy} (利用可能: ${available.join(', ')})`);
+        }
+        return CORE_CONFIG.SCORING_STRATEGY;
+    } catch (error) {
+        console.error('[App] Error in getStrategyFromURL:', error);
+        return CORE_CONFIG.SCORING_STRATEGY;
+    }
+}
+
+/**
+ * URLから開発モード (?dev=1) かどうかを取得
+ * 開発モードではタイムトラベルパネルを表示する
+ * @returns {boolean} 開発モードかどうか
+ */
+function getDevModeFromURL() {
+    try {
+        return new URLSearchParams(window.location.search).get('dev') === '1';
+    } catch (error) {
+        console.error('[App] Error in getDevModeFromURL:', error);
+        return false;
+    }
+}
+
+/**
+ * モード名を現在の言語の表示名に変換
  * @param {string} mode - モードID
- * @returns {string} 日本語名
+ * @returns {string} 表示名
  */
 function getModeDisplayName(mode) {
     return MODE_DISPLAY_NAMES[mode] || mode;
@@ -170,19 +270,6 @@ function getModeDisplayName(mode) {
 // データ初期化・シャッフル
 // ============================================
 
-/**
- * シード付き疑似乱数生成器
- * @param {number} seed - シード値
- * @returns {() => number} 0-1の乱数を返す関数
- */
-function seededRandom(seed) {
-    let state = seed;
-    return function() {
-        state = (state * 1664525 + 1013904223) % 4294967296;
-        return state / 4294967296;
-    };
-}
-
 /**
  * Fisher-Yatesシャッフル (シード付き)
  * @param {Question[]} array - 配列
@@ -256,42 +343,61 @@ function shuffleQuestionsWithConstraints(questions, seed) {
 }
 
 // ============================================
-// ビジネスロジック(UIに依存しない)
+// 適応型モード
 // ============================================
 
 /**
- * 機能スコアを再計算
+ * 現在の出題順を取得
+ * 適応型モードでは出題済みの質問のみ、それ以外はシャッフル済みの全質問
  * @param {DiagnosisState} state - 診断状態
- * @param {Question[]} questions - 質問配列
- * @returns {Object<string, number>} 機能スコア
+ * @returns {Question[]} 出題順の質問配列
  */
-function recalculateFunctionScores(state, questions) {
-    const scores = {
-        Ni: 0, Ne: 0, Si: 0, Se: 0,
-        Ti: 0, Te: 0, Fi: 0, Fe: 0
-    };
-    
-    for (let i = 0; i <= state.currentQuestion && i < questions.length; i++) {
-        const q = questions[i];
-        const answer = state.answers[q.id];
-        
-        if (answer !== undefined) {
-            const answerValue = typeof answer === 'object' ? answer.value : answer;
-            const isReverse = typeof answer === 'object' ? answer.isReverse : false;
-            const delta = calculateScore(answerValue, isReverse);
-            const funcType = q.funcType || q.function;
-            
-            if (funcType in scores) {
-                scores[funcType] += delta;
-            }
-        }
+function getQuestionSequence(state) {
+    if (!appContext) return [];
+    return appContext.adaptive
+        ? resolveQuestionSequence(state, appContext.questions)
+        : appContext.questions;
+}
+
+/**
+ * 進捗表示に使う総質問数を取得
+ * 適応型モードでは最大出題数を分母にする
+ * @param {Question[]} questions - 出題順の質問配列
+ * @returns {number} 総質問数
+ */
+function getProgressTotal(questions) {
+    if (appContext?.adaptive) {
+        return Math.min(ADAPTIVE_CONFIG.MAX_QUESTIONS, appContext.questions.length);
     }
+    return questions.length;
+}
+
+/**
+ * 適応型モードの次問を選択 (handlers.js へ注入)
+ * @param {DiagnosisState} state - 診断状態
+ * @returns {Question|null} 次の質問 (終了条件を満たした場合はnull)
+ */
+function selectAdaptiveQuestion(state) {
+    if (!appContext) return null;
     
-    return scores;
+    const sequence = resolveQuestionSequence(state, appContext.questions);
+    const scores = getMemoizedScores(state);
+    
+    return selectNextQuestion(state, appContext.questions, {
+        provisional: getMemoizedProvisionalResult(scores, state, sequence),
+        cognitiveStacks: appContext.cognitiveStacks,
+        strategy: appContext.strategy
+    });
 }
 
+// ============================================
+// ビジネスロジック(UIに依存しない)
+// ============================================
+
 /**
  * 各選択肢の影響を計算
+ * 選んだ後のスコアは、この質問の回答を候補の値に置き換えた回答から同じセレクターで導出する
+ * (回答済みの質問でも、今の回答の分を二重に数えない)
  * @param {Question} question - 質問
  * @param {DiagnosisState} state - 診断状態
  * @param {Question[]} questions - 質問配列
@@ -305,24 +411,27 @@ function calculateOptionImpacts(question, state, questions, currentScores = null
     const isReverse = question.reverse || false;
     
     // スコアが渡されていなければメモ化版を使用
-    const scores = currentScores || getMemoizedScores(state, questions);
+    const scores = currentScores || getMemoizedScores(state);
     const provisionalType = getMemoizedProvisionalType(scores, state, questions);
-    const stack = appContext.cognitiveStacks[provisionalType];
+    const stackSlots = getScoringStrategy(appContext.strategy)
+        .describeStack(provisionalType, appContext.cognitiveStacks);
+    const slot = stackSlots.find(s => s.function === funcType);
     
-    const weights = [4.0, 2.0, 1.0, 0.5];
+    const currentRaw = scores[funcType];
+    const currentNormalized = getNormalizedScore(currentRaw, appContext.mode);
     
     return [1, 2, 3, 4, 5].map(value => {
-        const delta = calculateScore(value, isReverse);
-        const position = stack.indexOf(funcType);
-        
-        const currentRaw = scores[funcType];
-        const currentNormalized = getNormalizedScore(currentRaw, appContext.mode);
-        
-        const newRaw = currentRaw + delta;
+        const candidateAnswers = {
+            ...state.answers,
+            [question.id]: { ...state.answers[question.id], value, isReverse }
+        };
+        const newRaw = getMemoizedScores({ answers: candidateAnswers })[funcType];
+        const delta = newRaw - currentRaw;
         const newNormalized = getNormalizedScore(newRaw, appContext.mode);
         const normalizedDelta = newNormalized - currentNormalized;
         
-        if (position === -1) {
+        // スタック外 (8スロット戦略ではシャドウ位置も含めて評価されるため該当なし)
+        if (!slot) {
             return {
                 value,
                 isShadow: true,
@@ -336,14 +445,15 @@ function calculateOptionImpacts(question, state, questions, currentScores = null
             };
         }
         
-        const weight = weights[position];
+        const weight = slot.weight;
         const weightedDelta = delta * weight;
         
         return {
             value,
             isShadow: false,
             funcType,
-            position: ['主', '補', '第三', '劣'][position],
+            position: slot.shortLabel,
+            slotId: slot.id,
             weight,
             rawDelta: delta,
             weightedDelta,
@@ -365,10 +475,9 @@ function showShadowExplanation() {
     const tooltip = document.createElement('div');
     tooltip.className = 'shadow-explanation';
     tooltip.innerHTML = `
-        <div style="font-weight: 700; margin-bottom: 8px;">💡 Shadow機能とは?</div>
+        <div style="font-weight: 700; margin-bottom: 8px;">${t('app.shadowTitle')}</div>
         <div style="font-size: 13px; line-height: 1.5; opacity: 0.9;">
-            暫定タイプのスタックに含まれない機能です。<br>
-            スコアは表示されますが、<strong>タイプ診断には影響しません。</strong>
+            ${t('app.shadowBodyHtml')}
         </div>
     `;
     
@@ -406,9 +515,9 @@ function showRestoreNotification(state, questions) {
     const notification = document.createElement('div');
     notification.className = 'restore-notification';
     notification.innerHTML = `
-        <div style="font-weight: 600; margin-bottom: 4px;">前回の続きから再開</div>
+        <div style="font-weight: 600; margin-bottom: 4px;">${t('app.restoreTitle')}</div>
         <div style="font-size: 12px; opacity: 0.8;">
-            質問 ${state.currentQuestion + 1} / ${questions.length}
+            ${t('app.restoreProgress', { current: state.currentQuestion + 1, total: getProgressTotal(questions) })}
         </div>
     `;
     
@@ -475,7 +584,7 @@ function updateProgressSection(state, questions, currentScores = null, provision
     if (!appContext) return;
     
     // スコアが渡されていなければメモ化版を使用
-    const scores = currentScores || getMemoizedScores(state, questions);
+    const scores = currentScores || getMemoizedScores(state);
     const type = provisionalType || getMemoizedProvisionalType(scores, state, questions);
     
     const progressSection = document.getElementById('progress-section');
@@ -492,7 +601,8 @@ function updateProgressSection(state, questions, currentScores = null, provision
             appContext.cognitiveStacks,
             (score) => getNormalizedScore(score, appContext.mode),
             questions,
-            scores
+            scores,
+            getProgressTotal(questions)
         );
         progressSection.dataset.initialized = 'true';
         progressSection.dataset.currentType = type;
@@ -504,7 +614,7 @@ function updateProgressSection(state, questions, currentScores = null, provision
             
             if (scoresList) {
                 scoresList.classList.add('open');
-                if (toggleText) toggleText.textContent = 'スコア詳細を非表示';
+                if (toggleText) toggleText.textContent = t('progress.hideScores');
                 if (toggleIcon) toggleIcon.textContent = '▲';
             }
         }
@@ -513,7 +623,7 @@ function updateProgressSection(state, questions, currentScores = null, provision
     }
     
     const answeredCount = Object.keys(state.answers).length;
-    const progressPercent = Math.round((state.currentQuestion / Math.max(1, questions.length - 1)) * 100);
+    const progressPercent = Math.round((state.currentQuestion / Math.max(1, getProgressTotal(questions) - 1)) * 100);
     
     const progressFill = document.getElementById('progress-fill');
     const progressPercentEl = document.getElementById('progress-percent');
@@ -530,9 +640,9 @@ function updateProgressSection(state, questions, currentScores = null, provision
     if (progressNote) {
         const isInitialState = answeredCount === 0;
         progressNote.innerHTML = isInitialState 
-            ? '<div style="font-size:11px;color:#94a3b8;margin-top:4px;opacity:0.7;">※便宜上の仮値です</div>'
+            ? `<div style="font-size:11px;color:#94a3b8;margin-top:4px;opacity:0.7;">${t('progress.provisionalNote')}</div>`
             : (answeredCount < CONFIG.MIN_RELIABLE_ANSWERS
-                ? '<div style="font-size:11px;color:#fbbf24;margin-top:4px;">⚠ 回答数が少ないため精度が低い可能性があります</div>'
+                ? `<div style="font-size:11px;color:#fbbf24;margin-top:4px;">${t('progress.lowAnswersNote')}</div>`
                 : '');
     }
     
@@ -548,7 +658,7 @@ function updateProgressSection(state, questions, currentScores = null, provision
 function updateScoresList(state, questions, currentScores = null) {
     if (!appContext) return;
     
-    const scores = currentScores || getMemoizedScores(state, questions);
+    const scores = currentScores || getMemoizedScores(state);
     const provisionalType = getMemoizedProvisionalType(scores, state, questions);
     const stack = appContext.cognitiveStacks[provisionalType];
     const allFunctions = ['Ni', 'Ne', 'Si', 'Se', 'Ti', 'Te', 'Fi', 'Fe'];
@@ -589,8 +699,11 @@ function renderQuestion(state, questions) {
     const savedAnswer = state.answers[question.id];
     const currentValue = savedAnswer ? savedAnswer.value : undefined;
     
+    // 回答時間計測のため表示時刻を記録
+    appContext.handlers.markQuestionShown(question.id);
+    
     // メモ化されたスコア取得
-    const currentScores = getMemoizedScores(state, questions);
+    const currentScores = getMemoizedScores(state);
     
     // メモ化されたタイプ取得
     const provisionalType = getMemoizedProvisionalType(currentScores, state, questions);
@@ -611,7 +724,7 @@ function renderQuestion(state, questions) {
         currentValue,
         isShadow,
         state.currentQuestion,
-        questions.length
+        getProgressTotal(questions)
     );
     
     const optionsContainer = questionContent.querySelector('.options-horizontal');
@@ -631,6 +744,7 @@ function renderQuestion(state, questions) {
     }
     
     const hasAnswer = state.answers[question.id];
+    // 適応型モードでは出題済みの最後の質問 (次問は回答時に選択される)
     const isLastQuestion = state.currentQuestion >= questions.length - 1;
     if (nextBtn) {
         nextBtn.style.display = hasAnswer && !isLastQuestion ? 'block' : 'none';
@@ -643,19 +757,50 @@ function renderQuestion(state, questions) {
 }
 
 /**
- * 結果をレンダリング
+ * 最終結果を判定
  * @param {DiagnosisState} state - 診断状態
+ * @returns {DiagnosticResult} 診断結果
  */
-function renderResult(state) {
-    if (!appContext) return;
-    
-    const result = determineMBTITypeWithConsistency(
-        state.functionScores, 
+function getFinalResult(state) {
+    return determineMBTITypeWithConsistency(
+        getMemoizedScores(state), 
         appContext.cognitiveStacks,
         state.answers,
         appContext.questions,
-        appContext.mode
+        { strategy: appContext.strategy }
     );
+}
+
+/**
+ * 完了した診断を履歴に記録
+ * @param {DiagnosisState} state - 完了時の診断状態
+ */
+function recordHistory(state) {
+    if (!appContext) return;
+    
+    try {
+        const entry = createHistoryEntry(getFinalResult(state), state, {
+            mode: appContext.mode,
+            strategy: appContext.strategy,
+            normalize: (score) => getNormalizedScore(score, appContext.mode),
+            functionScores: getMemoizedScores(state)
+        });
+        if (appContext.storage.history.add(entry)) {
+            console.info(`[App] 診断履歴に記録 (${entry.type}, ${entry.mode})`);
+        }
+    } catch (error) {
+        console.error('[App] Error in recordHistory:', error);
+    }
+}
+
+/**
+ * 結果をレンダリング
+ * @param {DiagnosisState} state - 診断状態
+ */
+function renderResult(state) {
+    if (!appContext) return;
+    
+    const result = getFinalResult(state);
     
     const questionScreen = document.getElementById('question-screen');
     const resultScreen = document.getElementById('result-screen');
@@ -671,10 +816,21 @@ function renderResult(state) {
             appContext.cognitiveStacks,
             FUNCTIONS,
             (score) => getNormalizedScore(score, appContext.mode),
-            state.functionScores,
+            getMemoizedScores(state),
             appContext.questions,
             appContext.mode
         );
+        
+        // 履歴比較ビューと書き出しパネルは「やり直す」ボタンの直前に置く
+        const entries = appContext.storage.history.list();
+        const historyHtml = HistoryView.render(entries, analyzeDrift(entries), FUNCTIONS, appContext.mbtiDescriptions);
+        const restartButton = resultScreen.querySelector('.btn-restart');
+        if (restartButton) {
+            restartButton.insertAdjacentHTML('beforebegin', historyHtml + ProfileExportPanel.render(signingKeyId, getExtraExportFormats()) + SharePanel.render() + PrintReportPanel.render() + ResearchConsentPanel.render());
+        }
+        
+        // 言語の切り替えなどで描画し直したら、印刷用レポートも次の印刷で作り直す
+        printedState = null;
     }
 }
 
@@ -685,14 +841,19 @@ function renderResult(state) {
  */
 function render(state, questions) {
     try {
-        if (state.showResult) {
+        // 読み込んだ myself.json の表示中は自分の診断を描画しない
+        if (importedProfile) {
+            renderImportedProfile();
+        } else if (sharedResult) {
+            renderSharedResult();
+        } else if (state.showResult) {
             renderResult(state);
         } else {
             renderQuestion(state, questions);
         }
     } catch (error) {
         console.error('[App] Render error:', error);
-        showErrorScreen(error, 'レンダリング中にエラーが発生しました');
+        showErrorScreen(error, t('common.renderError'));
     }
 }
 
@@ -752,7 +913,7 @@ window.toggleScores = function() {
     }
     
     if (text) {
-        text.textContent = isOpen ? 'スコア詳細を表示' : 'スコア詳細を非表示';
+        text.textContent = isOpen ? t('progress.showScores') : t('progress.hideScores');
     }
     
     if (icon) {
@@ -761,10 +922,21 @@ window.toggleScores = function() {
     
     if (!isOpen && appContext) {
         const state = appContext.diagnosisState.getState();
-        updateScoresList(state, appContext.questions);
+        updateScoresList(state, getQuestionSequence(state));
     }
 };
 
+/**
+ * 診断履歴を消去 (グローバル公開用)
+ */
+window.clearHistory = function() {
+    if (!appContext || !ensureWritable()) return;
+    if (!window.confirm(t('history.clearConfirm'))) return;
+    
+    appContext.storage.history.clear();
+    render(appContext.diagnosisState.getState(), appContext.questions);
+};
+
 // ============================================
 // エラーハンドリング
 // ============================================
@@ -781,14 +953,14 @@ function showErrorScreen(error, message) {
     if (errorDiv) {
         errorDiv.innerHTML = `
             <div style="text-align:center;padding:40px;color:#ef4444;">
-                <h3>エラーが発生しました</h3>
+                <h3>${t('common.errorTitle')}</h3>
                 <p style="margin: 16px 0; color: #cbd5e1;">${message}</p>
                 <details style="margin: 20px 0; text-align: left; max-width: 500px; margin-left: auto; margin-right: auto;">
-                    <summary style="cursor: pointer; color: #94a3b8;">詳細情報</summary>
+                    <summary style="cursor: pointer; color: #94a3b8;">${t('common.errorDetails')}</summary>
                     <pre style="background: #1a2332; padding: 12px; border-radius: 8px; overflow-x: auto; font-size: 12px; margin-top: 8px;">${error.stack || error.message}</pre>
                 </details>
                 <button onclick="location.reload()" style="margin-top:20px;padding:12px 24px;background:#60a5fa;color:#021426;border:none;border-radius:8px;font-weight:700;cursor:pointer;">
-                    再読み込み
+                    ${t('common.reload')}
                 </button>
             </div>
         `;
@@ -804,7 +976,7 @@ function showLoadingScreen() {
         loadingDiv.innerHTML = `
             <div style="text-align:center;padding:40px;">
                 <div style="width:40px;height:40px;border:4px solid #1a2332;border-top-color:#60a5fa;border-radius:50%;animation:spin 1s linear infinite;margin:0 auto 16px;"></div>
-                <div style="color:#94a3b8;">読み込み中...</div>
+                <div style="color:#94a3b8;">${t('common.loading')}</div>
             </div>
             <style>
                 @keyframes spin {
@@ -816,180 +988,1433 @@ function showLoadingScreen() {
 }
 
 // ============================================
-// アプリケーション初期化
+// 表示言語
 // ============================================
 
 /**
- * UIを初期化
+ * 表示言語を初期化
+ * URLパラメータ → 保存済みの設定 → ブラウザの言語 の順に判定し、保存する
  * @private
+ * @returns {string} 表示言語
  */
-function initUI() {
+function initLanguage() {
     try {
-        const mode = getModeFromURL();
-        document.title = `Persona Finder - ${getModeDisplayName(mode)}`;
+        const storage = createStorageManager(CONFIG.STORAGE_KEY_PREFIX);
+        const { language, source } = detectLanguage({
+            search: window.location.search,
+            stored: storage.language.get(),
+            browserLanguages: navigator.languages || [navigator.language]
+        });
+        
+        setLanguage(language);
+        storage.language.set(language);
+        applyDocumentTranslations();
+        renderLanguageSwitch();
+        
+        console.info(`[App] 表示言語: ${language} (${source})`);
+        return language;
     } catch (error) {
-        console.error('[App] Error in initUI:', error);
+        console.error('[App] Error in initLanguage:', error);
+        return setLanguage(I18N_CONFIG.DEFAULT_LANGUAGE);
     }
 }
 
 /**
- * ストレージを初期化
+ * 言語切り替えボタンを描画
  * @private
- * @param {string} mode - 現在のモード
- * @returns {ReturnType<typeof createStorageManager>} ストレージマネージャー
  */
-function initStorage(mode) {
-    const storage = createStorageManager('persona_finder');
-    
-    try {
-        const savedMode = storage.getMode();
-        if (savedMode && savedMode !== mode) {
-            console.warn(`[App] モード不一致 (保存: ${savedMode}, 現在: ${mode}). 診断状態のみリセット`);
-            
-            // シャッフルシードを保持
-            const seed = storage.shuffleSeed.get();
-            storage.clearAll();
-            storage.shuffleSeed.set(seed);
-            storage.setMode(mode);
-            showModeChangeNotification(mode);
-        } else if (!savedMode) {
-            storage.setMode(mode);
-        }
-    } catch (error) {
-        console.error('[App] Error in initStorage:', error);
-    }
-    
-    return storage;
+function renderLanguageSwitch() {
+    const container = document.getElementById('language-switch');
+    if (!container) return;
+    
+    const current = getLanguage();
+    container.innerHTML = I18N_CONFIG.SUPPORTED_LANGUAGES.map(lang => `
+        <button type="button" class="language-btn" lang="${lang}"
+                aria-pressed="${lang === current}"
+                onclick="switchLanguage('${lang}')">
+            ${LANGUAGE_NAMES[lang]}
+        </button>
+    `).join('');
 }
 
 /**
- * データを初期化
- * @private
- * @param {string} mode - 現在のモード
- * @returns {Promise<Object>} データオブジェクト
+ * 表示言語を切り替える (再読み込みなし)
+ * 質問文・タイプ説明を翻訳ファイルから読み直し、診断状態はそのまま再描画する
+ * @param {string} lang - 言語
+ * @returns {Promise<void>}
  */
-async function initData(mode) {
+async function switchLanguage(lang) {
+    const language = setLanguage(lang);
+    
     try {
-        const data = await initializeData(mode);
+        // リロード・共有時にも同じ言語になるようURLと設定に残す
+        const url = new URL(window.location.href);
+        url.searchParams.set(I18N_CONFIG.URL_PARAM, language);
+        window.history.replaceState(null, '', url);
         
-        if (!data.questions || data.questions.length === 0) {
-            throw new Error(ERROR_MESSAGES.NO_QUESTIONS);
+        applyDocumentTranslations();
+        renderLanguageSwitch();
+        initUI();
+        
+        if (!appContext) return;
+        appContext.storage.language.set(language);
+        renderPrivacyPanel();
+        
+        const data = await initializeData(appContext.mode, language);
+        
+        // ハンドラーと同じ配列を共有しているため、配列は差し替えずに本文だけ更新する
+        const texts = new Map(data.questions.map(q => [q.id, q.text]));
+        appContext.questions.forEach(question => {
+            if (texts.has(question.id)) {
+                question.text = texts.get(question.id);
+            }
+        });
+        
+        appContext = Object.freeze({
+            ...appContext,
+            mbtiDescriptions: data.mbtiDescriptions
+        });
+        
+        // 進捗セクションは初回のみ全体を描画するため、再描画させる
+        const progressSection = document.getElementById('progress-section');
+        if (progressSection) {
+            delete progressSection.dataset.initialized;
         }
         
-        console.info(`[App] モード: ${mode}, 質問数: ${data.questions.length}`);
+        clearMemoCache();
+        const state = appContext.diagnosisState.getState();
+        render(state, getQuestionSequence(state));
         
-        return data;
+        console.info(`[App] 表示言語を切り替え: ${language}`);
     } catch (error) {
-        console.error('[App] Error in initData:', error);
-        throw error;
+        console.error('[App] Error in switchLanguage:', error);
     }
 }
 
+window.switchLanguage = switchLanguage;
+
+// ============================================
+// myself.json の書き出し・署名
+// ============================================
+
 /**
- * 質問をシャッフル
+ * この端末の署名鍵ID (鍵がなければnull)
+ * @type {string|null}
+ */
+let signingKeyId = null;
+
+/**
+ * 保存済みの署名鍵のIDを求める
  * @private
- * @param {Question[]} questions - 質問配列
  * @param {ReturnType<typeof createStorageManager>} storage - ストレージマネージャー
- * @returns {Question[]} シャッフルされた質問配列
+ * @returns {Promise<void>}
  */
-function initQuestions(questions, storage) {
+async function loadSigningKeyId(storage) {
     try {
-        let shuffleSeed = storage.shuffleSeed.get();
-        const { shuffled, seed: usedSeed } = shuffleQuestionsWithConstraints(questions, shuffleSeed);
-        storage.shuffleSeed.set(usedSeed);
-        
-        return shuffled;
+        const keyPair = storage.signingKey.get();
+        signingKeyId = keyPair ? await getSigningKeyId(keyPair.publicKey) : null;
     } catch (error) {
-        console.error('[App] Error in initQuestions:', error);
-        return questions;
+        console.error('[App] Error in loadSigningKeyId:', error);
+        signingKeyId = null;
     }
 }
 
 /**
- * ハンドラーを初期化
+ * 署名鍵を取得 (なければ生成して保存)
  * @private
- * @param {ReturnType<typeof useDiagnosisState>} diagnosisState - 診断状態
- * @param {Question[]} questions - 質問配列
- * @param {ReturnType<typeof createStorageManager>} storage - ストレージマネージャー
- * @returns {ReturnType<typeof createHandlers>} ハンドラー関数群
+ * @returns {Promise<import('./profile-signer.js').SigningKeyPair>} 鍵ペア
  */
-function initHandlers(diagnosisState, questions, storage) {
-    try {
-        const handlers = createHandlers({
-            diagnosisState,
-            questions,
-            calculateScore,
-            storage
-        });
-        
-        // グローバルハンドラー登録(後方互換性のため)
-        window.handleAnswer = handlers.handleAnswer.bind(handlers);
-        window.goBack = handlers.goBack.bind(handlers);
-        window.goNext = handlers.goNext.bind(handlers);
-        window.reset = handlers.reset.bind(handlers);
-        window.handleKeyboardNav = handlers.handleKeyboardNav.bind(handlers);
-        
-        return handlers;
-    } catch (error) {
-        console.error('[App] Error in initHandlers:', error);
-        throw error;
-    }
+async function getOrCreateSigningKey() {
+    const stored = appContext.storage.signingKey.get();
+    if (stored) return stored;
+    
+    const keyPair = await generateSigningKeyPair();
+    appContext.storage.signingKey.set(keyPair);
+    signingKeyId = await getSigningKeyId(keyPair.publicKey);
+    console.info(`[App] 署名鍵を作成: ${signingKeyId}`);
+    return keyPair;
 }
 
 /**
- * 状態を復元
+ * JSONをファイルとしてダウンロード
  * @private
- * @param {ReturnType<typeof useDiagnosisState>} diagnosisState - 診断状態
- * @param {ReturnType<typeof createStorageManager>} storage - ストレージマネージャー
- * @param {string} mode - 現在のモード
- * @returns {boolean} 復元が成功したかどうか
+ * @param {Object} data - 書き出すデータ
+ * @param {string} fileName - ファイル名
+ */
+function downloadJSON(data, fileName) {
+    downloadText(JSON.stringify(data, null, 2), fileName, 'application/json');
+}
+
+/**
+ * 文字列をファイルとしてダウンロード
+ * @private
+ * @param {string} text - 書き出す内容
+ * @param {string} fileName - ファイル名
+ * @param {string} mimeType - MIMEタイプ
+ */
+function downloadText(text, fileName, mimeType) {
+    const blob = new Blob([text], { type: `${mimeType};charset=utf-8` });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = fileName;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    URL.revokeObjectURL(url);
+}
+
+/**
+ * 現在の診断結果から myself プロファイルを作る (myself.json と他の形式で共通)
+ * @private
+ * @param {DiagnosisState} state - 診断状態
+ * @param {import('./profile-exporter.js').MyselfProfileOptions} [options] - 追加のオプション (profileId など)
+ * @returns {Object} myself プロファイル
+ */
+function buildCurrentProfile(state, options = {}) {
+    // *_ja の項目に入れるため、タイプ説明は翻訳前 (日本語) のものを使う
+    const descriptions = getLanguage() === I18N_CONFIG.DEFAULT_LANGUAGE
+        ? appContext.mbtiDescriptions
+        : DEFAULT_MBTI_DESCRIPTIONS;
+    
+    return buildMyselfProfile(
+        getMemoizedScores(state),
+        state.answers,
+        appContext.questions,
+        appContext.cognitiveStacks,
+        descriptions,
+        { mode: appContext.mode, strategy: appContext.strategy, ...options }
+    );
+}
+
+/**
+ * 書き出しパネルに出す myself.json 以外の形式
+ * (JSON は署名付きで書き出せる専用のボタンがある)
+ * @private
+ * @returns {Array<{id: string, label: string}>} 形式一覧
+ */
+function getExtraExportFormats() {
+    return listProfileFormats().filter(format => format.id !== 'json');
+}
+
+/**
+ * 現在の診断結果を myself.json として書き出す (グローバル公開用)
+ * 「署名を付ける」がオンなら、この端末の鍵で署名する
+ * @returns {Promise<void>}
  */
-function restoreState(diagnosisState, storage, mode) {
+window.downloadMyselfProfile = async function() {
+    if (!appContext) return;
+    
+    const sign = document.getElementById('export-sign')?.checked === true;
+    const status = document.querySelector('.profile-export-status');
+    if (status) status.textContent = '';
+    
     try {
-        const savedState = storage.loadState();
-        const savedMode = storage.getMode();
-        
-        if (savedState && savedMode === mode) {
-            diagnosisState.setState(savedState);
-            console.info(`[App] 保存状態を復元 (mode: ${savedMode})`);
-            return true;
+        let profile = buildCurrentProfile(appContext.diagnosisState.getState());
+        if (sign) {
+            const hadKey = signingKeyId !== null;
+            profile = await signMyselfProfile(profile, await getOrCreateSigningKey());
+            
+            // 初めて鍵を作ったときは、パネルの鍵ID表示を更新する
+            const panel = document.querySelector('.profile-export-card');
+            if (!hadKey && panel) {
+                panel.outerHTML = ProfileExportPanel.render(signingKeyId, getExtraExportFormats());
+                document.getElementById('export-sign').checked = true;
+            }
         }
         
-        return false;
+        downloadJSON(profile, 'myself.json');
+        console.info(`[App] myself.json を書き出し (${profile.mbti.type}${sign ? ', 署名付き' : ''})`);
     } catch (error) {
-        console.error('[App] Error in restoreState:', error);
-        return false;
+        console.error('[App] Error in downloadMyselfProfile:', error);
+        if (status) status.textContent = t('export.failed');
     }
-}
+};
 
 /**
- * アプリケーションを初期化
- * @returns {Promise<void>}
+ * 現在の診断結果を指定の形式 (CSV / Markdown / YAML など) で書き出す (グローバル公開用)
+ * 署名は myself.json だけに付けるため、ここでは付けない
+ * @param {string} formatId - profile-formats.js の形式ID
  */
-async function initializeApplication() {
-    showLoadingScreen();
+window.downloadProfileAs = function(formatId) {
+    if (!appContext) return;
+    
+    const status = document.querySelector('.profile-export-status');
+    if (status) status.textContent = '';
     
     try {
-        // 1. UI初期化
-        initUI();
+        const format = getProfileFormat(formatId);
+        if (!format) {
+            throw new Error(`未登録の形式: ${formatId}`);
+        }
+        
+        const profile = buildCurrentProfile(appContext.diagnosisState.getState());
+        downloadText(serializeProfiles(profile, format.id), `myself.${format.extension}`, format.mimeType);
+        console.info(`[App] myself.${format.extension} を書き出し (${profile.mbti.type})`);
+    } catch (error) {
+        console.error('[App] Error in downloadProfileAs:', error);
+        if (status) status.textContent = t('export.failed');
+    }
+};
+
+// ============================================
+// 保存した結果 (myself.json) の読み込み
+// ============================================
+
+/**
+ * 表示中の読み込み結果 (なければnull)
+ * @type {{profile: Object, questions: Question[], verification: import('./profile-signer.js').VerificationResult}|null}
+ */
+let importedProfile = null;
+
+/**
+ * 読み込み状況を表示
+ * @private
+ * @param {string} message - メッセージ
+ * @param {'success' | 'error'} kind - 種別
+ */
+function showImportStatus(message, kind) {
+    const status = document.getElementById('import-status');
+    if (!status) return;
+    
+    status.replaceChildren();
+    if (message) {
+        const span = document.createElement('span');
+        span.className = `import-${kind}`;
+        span.textContent = message;
+        status.appendChild(span);
+    }
+}
+
+/**
+ * myself.json の読み込みUI (ファイル選択・ドラッグ&ドロップ) を初期化
+ * @private
+ */
+function initProfileImport() {
+    const dropzone = document.getElementById('import-dropzone');
+    const input = document.getElementById('import-file');
+    if (!dropzone || !input) return;
+    
+    input.addEventListener('change', () => {
+        if (input.files && input.files[0]) {
+            importProfileFile(input.files[0]);
+        }
+        // 同じファイルを選び直しても change が発火するように
+        input.value = '';
+    });
+    
+    dropzone.addEventListener('dragover', (event) => {
+        event.preventDefault();
+        dropzone.classList.add('dragover');
+    });
+    dropzone.addEventListener('dragleave', () => {
+        dropzone.classList.remove('dragover');
+    });
+    dropzone.addEventListener('drop', (event) => {
+        event.preventDefault();
+        dropzone.classList.remove('dragover');
+        const file = event.dataTransfer?.files?.[0];
+        if (file) {
+            importProfileFile(file);
+        }
+    });
+}
+
+/**
+ * myself.json ファイルを読み込んで結果を表示
+ * 診断状態・保存データには触れない
+ * @param {File} file - 読み込むファイル
+ * @returns {Promise<void>}
+ */
+async function importProfileFile(file) {
+    let text;
+    let schema;
+    try {
+        [text, schema] = await Promise.all([file.text(), loadMyselfProfileSchema()]);
+    } catch (error) {
+        console.error('[App] Error in importProfileFile:', error);
+        showImportStatus(t('import.readFailed'), 'error');
+        return;
+    }
+    
+    const { profile, errors, migratedFrom } = importMyselfProfile(text, schema);
+    if (!profile) {
+        console.warn(`[App] myself.json を読み込めませんでした (${file.name}):`, errors);
+        showImportStatus(`${t('import.invalid', { name: file.name })}: ${errors.join(' / ')}`, 'error');
+        return;
+    }
+    
+    // 矛盾ペアの質問文は、プロファイルのモードの質問データから引く
+    const mode = profile.source?.mode;
+    let questions = appContext?.mode === mode ? appContext.questions : [];
+    if (questions.length === 0 && mode) {
+        try {
+            questions = await loadQuestions(mode);
+        } catch (error) {
+            console.warn('[App] 質問データを読み込めないため、矛盾ペアの質問文は表示しません:', error);
+        }
+    }
+    
+    // 署名は移行前の内容に対して付いているため、読み込んだままの内容で検証する
+    const verification = await verifyMyselfProfile(text, { trustedKeyIds: signingKeyId ? [signingKeyId] : [] });
+    
+    importedProfile = { profile, questions, verification };
+    showImportStatus(
+        migratedFrom !== null
+            ? t('import.migrated', { name: file.name, from: migratedFrom, to: MYSELF_SCHEMA_VERSION })
+            : t('import.loaded', { name: file.name }),
+        'success'
+    );
+    console.info(`[App] myself.json を読み込み: ${profile.mbti.type} (schemaVersion ${profile.schemaVersion}${migratedFrom !== null ? `, v${migratedFrom} から移行` : ''})`);
+    
+    renderImportedProfile();
+    document.getElementById('result-screen')?.scrollIntoView({ behavior: 'smooth', block: 'start' });
+}
+
+/**
+ * 読み込んだ結果を結果画面に描画
+ * @private
+ */
+function renderImportedProfile() {
+    if (!importedProfile) return;
+    
+    const questionScreen = document.getElementById('question-screen');
+    const resultScreen = document.getElementById('result-screen');
+    if (!questionScreen || !resultScreen) return;
+    
+    const view = profileToResultView(importedProfile.profile);
+    // 翻訳済みの説明を優先し、なければ書き出し時の説明を使う
+    const descriptions = {
+        ...DEFAULT_MBTI_DESCRIPTIONS,
+        [view.result.type]: {
+            name: importedProfile.profile.mbti.name_ja,
+            description: importedProfile.profile.mbti.description_ja
+        },
+        ...appContext?.mbtiDescriptions
+    };
+    
+    questionScreen.style.display = 'none';
+    resultScreen.style.display = 'block';
+    resultScreen.className = 'result-screen active';
+    
+    resultScreen.innerHTML = ImportedProfileBanner.render(view.source, getModeDisplayName(view.mode), importedProfile.verification) + ResultCard.render(
+        view.result,
+        descriptions,
+        appContext?.cognitiveStacks || COGNITIVE_STACKS,
+        FUNCTIONS,
+        view.getNormalizedScore,
+        view.functionScores,
+        importedProfile.questions,
+        view.mode
+    );
+    
+    // 「やり直す」の代わりに、自分の診断へ戻るボタンを置く
+    const restartButton = resultScreen.querySelector('.btn-restart');
+    if (restartButton) {
+        restartButton.textContent = t('import.close');
+        restartButton.setAttribute('aria-label', t('import.closeAria'));
+        restartButton.setAttribute('onclick', 'closeImportedProfile()');
+    }
+}
+
+/**
+ * 読み込んだ結果を閉じて自分の診断の表示に戻る (グローバル公開用)
+ */
+window.closeImportedProfile = function() {
+    importedProfile = null;
+    showImportStatus('', 'success');
+    showOwnDiagnosis();
+};
+
+/**
+ * 結果画面を空にして自分の診断を描画し直す (読み込み・共有された結果を閉じたとき)
+ * @private
+ */
+function showOwnDiagnosis() {
+    const questionScreen = document.getElementById('question-screen');
+    const resultScreen = document.getElementById('result-screen');
+    if (questionScreen && resultScreen) {
+        questionScreen.style.display = '';
+        resultScreen.style.display = '';
+        resultScreen.className = 'result-screen';
+        resultScreen.innerHTML = '';
+    }
+    
+    if (appContext) {
+        const state = appContext.diagnosisState.getState();
+        render(state, getQuestionSequence(state));
+    }
+}
+
+// ============================================
+// 結果の共有リンク (URLフラグメント)
+// ============================================
+
+/**
+ * 共有リンクから表示中の結果 (なければnull)
+ * リンクの内容は保存せず、自分の診断状態にも触れない
+ * @type {{payload: import('./permalink.js').PermalinkPayload, result: DiagnosticResult, functionScores: Object<string, number>, questions: Question[], answeredCount: number}|null}
+ */
+let sharedResult = null;
+
+/** 作成した共有リンク (結果画面の共有パネルに表示) */
+let permalinkUrl = null;
+
+/**
+ * 共有パネルを描画し直す
+ * @private
+ * @param {{text: string, kind: 'error'|'success'}|null} [message] - 直前の操作の結果
+ */
+function renderSharePanel(message = null) {
+    const panel = document.querySelector('.share-card');
+    if (!panel) return;
+    const scoresOnly = document.getElementById('share-scores-only')?.checked === true;
+    panel.outerHTML = SharePanel.render(permalinkUrl, message, scoresOnly);
+}
+
+/**
+ * 現在の結果の共有リンクを作成 (グローバル公開用)
+ * 回答はシャッフルシードで決まる出題順の位置で入れる。「スコアだけ」なら機能スコアのみ
+ * @returns {Promise<void>}
+ */
+window.createPermalink = async function() {
+    if (!appContext) return;
+    
+    try {
+        const state = appContext.diagnosisState.getState();
+        const scoresOnly = document.getElementById('share-scores-only')?.checked === true;
+        const common = {
+            mode: appContext.mode,
+            strategy: appContext.strategy,
+            seed: appContext.storage.shuffleSeed.get()
+        };
+        const token = await encodePermalink(scoresOnly
+            ? { ...common, functionScores: getMemoizedScores(state) }
+            : { ...common, answers: state.answers, orderedQuestions: appContext.questions });
+        
+        permalinkUrl = buildPermalinkUrl(token, window.location.href);
+        renderSharePanel();
+        document.getElementById('share-link')?.focus();
+    } catch (error) {
+        console.error('[App] Error in createPermalink:', error);
+        renderSharePanel({ text: t('share.failed'), kind: 'error' });
+    }
+};
+
+/**
+ * 共有リンクをクリップボードにコピー (グローバル公開用)
+ * @returns {Promise<void>}
+ */
+window.copyPermalink = async function() {
+    if (!permalinkUrl) return;
+    
+    try {
+        await navigator.clipboard.writeText(permalinkUrl);
+        renderSharePanel({ text: t('share.copied'), kind: 'success' });
+    } catch (error) {
+        // クリップボードが使えなければ選択状態にして手動コピーに任せる
+        console.warn('[App] クリップボードにコピーできませんでした:', error);
+        document.getElementById('share-link')?.select();
+    }
+};
+
+/**
+ * 共有リンクを開いて結果を表示
+ * 回答のリンクは同じシードで質問をシャッフルし直して当てはめ、結果を計算する
+ * @private
+ * @param {string} token - トークン
+ * @returns {Promise<void>}
+ */
+async function openPermalink(token) {
+    const { payload, error } = await decodePermalink(token);
+    if (!payload) {
+        console.warn(`[App] 共有リンクを読み込めませんでした: ${error}`);
+        showImportStatus(t(`share.errors.${error}`), 'error');
+        return;
+    }
+    
+    // 未登録の戦略は既定の戦略で判定する
+    const strategies = listScoringStrategies().map(s => s.id);
+    const strategy = strategies.includes(payload.strategy) ? payload.strategy : CORE_CONFIG.SCORING_STRATEGY;
+    const cognitiveStacks = appContext?.cognitiveStacks || COGNITIVE_STACKS;
+    
+    let answers = {};
+    let questions = [];
+    let functionScores = payload.functionScores;
+    if (payload.kind === 'answers') {
+        try {
+            const { shuffled } = shuffleQuestionsWithConstraints(await loadQuestions(payload.mode), payload.seed);
+            questions = shuffled;
+        } catch (loadError) {
+            console.error('[App] 共有リンクの質問データを読み込めませんでした:', loadError);
+            showImportStatus(t('share.errors.questions'), 'error');
+            return;
+        }
+        answers = resolvePermalinkAnswers(payload, questions);
+        if (!answers) {
+            showImportStatus(t('share.errors.mismatch'), 'error');
+            return;
+        }
+        functionScores = calculateFunctionScores(answers, questions);
+    }
+    
+    importedProfile = null;
+    sharedResult = {
+        payload,
+        result: determineMBTITypeWithConsistency(functionScores, cognitiveStacks, answers, questions, { strategy }),
+        functionScores,
+        questions,
+        answeredCount: Object.keys(answers).length
+    };
+    showImportStatus('', 'success');
+    console.info(`[App] 共有リンクを表示: ${sharedResult.result.type} (${payload.kind}, mode: ${payload.mode})`);
+    
+    renderSharedResult();
+    document.getElementById('result-screen')?.scrollIntoView({ behavior: 'smooth', block: 'start' });
+}
+
+/**
+ * 共有リンクの結果を結果画面に描画
+ * @private
+ */
+function renderSharedResult() {
+    if (!sharedResult) return;
+    
+    const questionScreen = document.getElementById('question-screen');
+    const resultScreen = document.getElementById('result-screen');
+    if (!questionScreen || !resultScreen) return;
+    
+    const { payload, result, functionScores, questions, answeredCount } = sharedResult;
+    questionScreen.style.display = 'none';
+    resultScreen.style.display = 'block';
+    resultScreen.className = 'result-screen active';
+    
+    resultScreen.innerHTML = SharedResultBanner.render({
+        kind: payload.kind,
+        modeName: getModeDisplayName(payload.mode),
+        strategy: payload.strategy,
+        answeredCount
+    }) + ResultCard.render(
+        result,
+        appContext?.mbtiDescriptions || DEFAULT_MBTI_DESCRIPTIONS,
+        appContext?.cognitiveStacks || COGNITIVE_STACKS,
+        FUNCTIONS,
+        (score) => getNormalizedScore(score, payload.mode),
+        functionScores,
+        questions,
+        payload.mode
+    );
+    
+    // 「やり直す」の代わりに、自分の診断へ戻るボタンを置く
+    const restartButton = resultScreen.querySelector('.btn-restart');
+    if (restartButton) {
+        restartButton.textContent = t('import.close');
+        restartButton.setAttribute('aria-label', t('share.closeAria'));
+        restartButton.setAttribute('onclick', 'closeSharedResult()');
+    }
+}
+
+/**
+ * 共有リンクの結果を閉じて自分の診断の表示に戻る (グローバル公開用)
+ * URLのフラグメントも消す (再読み込みで開き直さないように)
+ */
+window.closeSharedResult = function() {
+    sharedResult = null;
+    window.history.replaceState(null, '', window.location.pathname + window.location.search);
+    showOwnDiagnosis();
+};
+
+/**
+ * URLフラグメントの共有リンクを開く (起動時・フラグメントの変更時)
+ * @private
+ * @returns {Promise<void>}
+ */
+async function openPermalinkFromLocation() {
+    const token = readPermalinkFragment(window.location.hash);
+    if (token) {
+        await openPermalink(token);
+    }
+}
+
+// ============================================
+// 印刷用レポート (印刷・PDF保存)
+// ============================================
+
+/** 印刷用レポートを描画したときの診断状態 (同じ状態なら作り直さない) */
+let printedState = null;
+
+/**
+ * 自分の診断結果から印刷用レポートを #print-report に描画する
+ * 結果画面以外 (質問中・読み込み/共有の結果の表示中) では中身を空にし、通常の画面を印刷させる
+ * ブートストラップを含むため、結果画面の描画ごとではなく印刷の直前にだけ作る
+ * @private
+ * @returns {boolean} レポートを描画したか
+ */
+function renderPrintReport() {
+    const container = document.getElementById('print-report');
+    if (!container) return false;
+    
+    const state = appContext?.diagnosisState.getState();
+    if (!state?.showResult || importedProfile || sharedResult) {
+        container.innerHTML = '';
+        document.body.classList.remove('has-print-report');
+        printedState = null;
+        return false;
+    }
+    if (state === printedState) return true;
+    
+    const report = generateDiagnosticReport(
+        getMemoizedScores(state),
+        appContext.cognitiveStacks,
+        state.answers,
+        appContext.questions,
+        { strategy: appContext.strategy }
+    );
+    container.innerHTML = renderPrintableReport(report, {
+        mbtiDescriptions: appContext.mbtiDescriptions,
+        questions: appContext.questions,
+        modeName: getModeDisplayName(appContext.mode),
+        answeredCount: Object.keys(state.answers).length,
+        questionCount: appContext.questions.length
+    });
+    document.body.classList.add('has-print-report');
+    printedState = state;
+    return true;
+}
+
+/**
+ * 印刷用レポートを作って印刷ダイアログを開く (グローバル公開用)
+ * 「PDFに保存」を選べばそのまま PDF になる
+ */
+window.printReport = function() {
+    try {
+        renderPrintReport();
+        window.print();
+    } catch (error) {
+        console.error('[App] Error in printReport:', error);
+        const status = document.querySelector('.print-report-status');
+        if (status) status.textContent = t('report.failed');
+    }
+};
+
+/**
+ * ブラウザのメニューや Ctrl+P から印刷したときもレポートを使う
+ * @private
+ */
+function handleBeforePrint() {
+    try {
+        renderPrintReport();
+    } catch (error) {
+        console.error('[App] Error in handleBeforePrint:', error);
+    }
+}
+
+// ============================================
+// 研究用データの書き出し (同意画面)
+// ============================================
+
+/**
+ * 研究用データのパネルを描画し直す
+ * @private
+ * @param {boolean} open - 同意画面を開くか
+ * @param {{text: string, kind: 'error'|'success'}|null} [message] - 直前の操作の結果
+ */
+function renderResearchPanel(open, message = null) {
+    const panel = document.querySelector('.research-card');
+    if (!panel) return;
+    panel.outerHTML = ResearchConsentPanel.render({ open, message });
+}
+
+/**
+ * 同意画面を開く (グローバル公開用)
+ */
+window.openResearchConsent = function() {
+    renderResearchPanel(true);
+    document.getElementById('research-heading')?.scrollIntoView({ block: 'nearest' });
+};
+
+/**
+ * 同意画面を閉じる (グローバル公開用)
+ * 入力した参加者ID・研究コードと同意のチェックは残さない
+ */
+window.closeResearchConsent = function() {
+    renderResearchPanel(false);
+};
+
+/**
+ * 同意のチェックに合わせて書き出しボタンを切り替える (グローバル公開用)
+ */
+window.toggleResearchConsent = function() {
+    const consented = document.getElementById('research-consent')?.checked === true;
+    const button = document.getElementById('research-download');
+    if (button) button.disabled = !consented;
+};
+
+/**
+ * 匿名化した研究用データを書き出す (グローバル公開用)
+ * 同意のチェックがなければ何もしない。書き出したら同意画面を閉じる
+ * @returns {Promise<void>}
+ */
+window.downloadResearchData = async function() {
+    if (!appContext) return;
+    if (document.getElementById('research-consent')?.checked !== true) return;
+    
+    const participantId = document.getElementById('research-participant')?.value.trim() || null;
+    const studyCode = document.getElementById('research-study')?.value.trim() || null;
+    
+    try {
+        const state = appContext.diagnosisState.getState();
+        const record = await buildResearchRecord({
+            answers: state.answers,
+            questions: getQuestionSequence(state),
+            profile: buildCurrentProfile(state, { profileId: participantId }),
+            mode: appContext.mode,
+            strategy: appContext.strategy,
+            shuffleSeed: appContext.storage.shuffleSeed.get(),
+            studyCode
+        });
+        
+        downloadJSON(record, 'persona-finder-research.json');
+        console.info(`[App] 研究用データを書き出し (${record.items.length}問${record.linkable ? ', 研究コードあり' : ''})`);
+        renderResearchPanel(false, { text: t('research.downloaded'), kind: 'success' });
+    } catch (error) {
+        console.error('[App] Error in downloadResearchData:', error);
+        // 入力した参加者ID・研究コードを消さないよう、パネルは描画し直さずに結果だけ出す
+        const status = document.querySelector('.research-status');
+        if (status) {
+            const text = document.createElement('span');
+            text.className = 'privacy-error';
+            text.textContent = t('research.failed');
+            status.replaceChildren(text);
+        }
+    }
+};
+
+// ============================================
+// 保存データの保護 (暗号化)
+// ============================================
+
+/**
+ * 起動時のロック解除
+ * 暗号化されていてロック中なら、質問カードの位置にパスフレーズの入力欄を表示して選択を待つ。
+ * パスフレーズが違えば再入力、「使わずに始める」ならロックしたまま続行する
+ * (暗号化された保存データは残し、この回の回答・履歴は保存しない)
+ * @private
+ * @param {ReturnType<typeof createStorageManager>} storage - ストレージマネージャー
+ * @returns {Promise<void>}
+ */
+function promptUnlock(storage) {
+    const container = document.getElementById('question-content');
+    if (!container || !storage.encryption.isEnabled() || storage.encryption.isUnlocked()) {
+        return Promise.resolve();
+    }
+    
+    return new Promise((resolve) => {
+        const show = (error = null) => {
+            container.innerHTML = UnlockPrompt.render(error);
+            const form = document.getElementById('unlock-form');
+            const input = document.getElementById('unlock-passphrase');
+            input?.focus();
+            
+            form.addEventListener('submit', async (event) => {
+                event.preventDefault();
+                form.querySelectorAll('button').forEach(button => { button.disabled = true; });
+                if (await storage.encryption.unlock(input.value)) {
+                    resolve();
+                } else {
+                    show(t('privacy.wrong'));
+                }
+            });
+            form.querySelector('[data-action="skip"]').addEventListener('click', () => {
+                console.warn('[App] 保存データをロックしたまま開始');
+                resolve();
+            });
+            form.querySelector('[data-action="forget"]').addEventListener('click', () => {
+                if (window.confirm(t('privacy.forgetConfirm'))) {
+                    storage.forgetEverything();
+                    window.location.reload();
+                }
+            });
+        };
+        show();
+    });
+}
+
+/**
+ * 暗号化設定パネルを描画
+ * @private
+ * @param {{text: string, kind: 'error'|'success'}|null} [message] - 直前の操作の結果
+ */
+function renderPrivacyPanel(message = null) {
+    const container = document.getElementById('privacy-controls');
+    if (!container || !appContext) return;
+    
+    const { encryption } = appContext.storage;
+    container.innerHTML = PrivacyPanel.render({
+        enabled: encryption.isEnabled(),
+        unlocked: encryption.isUnlocked(),
+        minLength: STORAGE_CRYPTO_CONFIG.MIN_PASSPHRASE_LENGTH,
+        backendName: appContext.storage.backendName
+    }, message);
+}
+
+/**
+ * パスフレーズ入力欄の値を取得
+ * @private
+ * @param {string} id - input の id
+ * @returns {string} 入力値
+ */
+function readPassphrase(id) {
+    return document.getElementById(id)?.value ?? '';
+}
+
+/**
+ * 新しいパスフレーズと確認用の入力を検証
+ * @private
+ * @param {string} passphrase - 新しいパスフレーズ
+ * @param {string} confirmation - 確認用の入力
+ * @returns {string|null} エラーメッセージ (問題なければnull)
+ */
+function validateNewPassphrase(passphrase, confirmation) {
+    if (passphrase.length < STORAGE_CRYPTO_CONFIG.MIN_PASSPHRASE_LENGTH) {
+        return t('privacy.tooShort', { min: STORAGE_CRYPTO_CONFIG.MIN_PASSPHRASE_LENGTH });
+    }
+    if (passphrase !== confirmation) {
+        return t('privacy.mismatch');
+    }
+    return null;
+}
+
+/**
+ * 暗号化の操作を実行してパネルを描き直す
+ * 鍵の導出に時間がかかるため、実行中はボタンを無効にする
+ * @private
+ * @param {() => Promise<boolean>} action - 操作
+ * @param {string} successKey - 成功時のメッセージキー
+ * @param {string} failureKey - 失敗時のメッセージキー
+ * @returns {Promise<boolean>} 成功したかどうか
+ */
+async function runPrivacyAction(action, successKey, failureKey) {
+    const container = document.getElementById('privacy-controls');
+    container?.querySelectorAll('button').forEach(button => { button.disabled = true; });
+    const status = container?.querySelector('.privacy-status');
+    if (status) status.textContent = t('privacy.working');
+    
+    let succeeded = false;
+    try {
+        succeeded = await action();
+    } catch (error) {
+        console.error('[App] Error in privacy action:', error);
+    }
+    
+    renderPrivacyPanel(succeeded
+        ? { text: t(successKey), kind: 'success' }
+        : { text: t(failureKey), kind: 'error' });
+    return succeeded;
+}
+
+/**
+ * 暗号化を有効にする (グローバル公開用)
+ */
+window.enableEncryption = async function() {
+    if (!appContext || !ensureWritable()) return;
+    
+    const passphrase = readPassphrase('privacy-new');
+    const error = validateNewPassphrase(passphrase, readPassphrase('privacy-confirm'));
+    if (error) {
+        renderPrivacyPanel({ text: error, kind: 'error' });
+        return;
+    }
+    await runPrivacyAction(() => appContext.storage.encryption.enable(passphrase), 'privacy.enabled', 'privacy.failed');
+};
+
+/**
+ * 診断中にロックを解除 (グローバル公開用)
+ * この回に回答済みなら今の診断状態で保存し直す (保存済みの続きより優先)
+ */
+window.unlockEncryption = async function() {
+    if (!appContext) return;
+    
+    const { storage, diagnosisState } = appContext;
+    const unlocked = await runPrivacyAction(
+        () => storage.encryption.unlock(readPassphrase('privacy-current')),
+        'privacy.unlocked',
+        'privacy.wrong'
+    );
+    if (!unlocked) return;
+    
+    const state = diagnosisState.getState();
+    if (appContext.tabSync.isLeader() && Object.keys(state.answers).length > 0) {
+        storage.saveState(state);
+    }
+    // 履歴を読み込めたので結果画面を描き直す
+    render(state, getQuestionSequence(state));
+};
+
+/**
+ * パスフレーズ・鍵を変更 (グローバル公開用)
+ * 新しいパスフレーズが空なら同じパスフレーズのまま鍵だけを入れ替える
+ */
+window.rotateEncryptionKey = async function() {
+    if (!appContext || !ensureWritable()) return;
+    
+    const current = readPassphrase('privacy-current');
+    const next = readPassphrase('privacy-new');
+    const confirmation = readPassphrase('privacy-confirm');
+    if (next || confirmation) {
+        const error = validateNewPassphrase(next, confirmation);
+        if (error) {
+            renderPrivacyPanel({ text: error, kind: 'error' });
+            return;
+        }
+    }
+    await runPrivacyAction(
+        () => appContext.storage.encryption.rotateKey(current, next || current),
+        'privacy.rotated',
+        'privacy.wrong'
+    );
+};
+
+/**
+ * 暗号化をやめる (グローバル公開用)
+ */
+window.disableEncryption = async function() {
+    if (!appContext || !ensureWritable()) return;
+    
+    await runPrivacyAction(
+        () => appContext.storage.encryption.disable(readPassphrase('privacy-current')),
+        'privacy.disabled',
+        'privacy.wrong'
+    );
+};
+
+/**
+ * 保存データをすべて消去して最初から (グローバル公開用)
+ */
+window.forgetEverything = function() {
+    if (!appContext || !ensureWritable()) return;
+    if (!window.confirm(t('privacy.forgetConfirm'))) return;
+    
+    appContext.storage.forgetEverything();
+    // メモリ上の診断状態が保存し直されないよう読み込み直す
+    window.location.reload();
+};
+
+/**
+ * 保存データをまとめて書き出す (グローバル公開用)
+ * @returns {Promise<void>}
+ */
+window.exportStore = async function() {
+    if (!appContext) return;
+    
+    try {
+        const data = await appContext.storage.exportStore();
+        downloadJSON(data, `persona-finder-store-${data.exportedAt.slice(0, 10)}.json`);
+    } catch (error) {
+        console.error('[App] Error in exportStore:', error);
+        renderPrivacyPanel({ text: t('privacy.failed'), kind: 'error' });
+    }
+};
+
+/**
+ * 書き出した保存データで置き換える (グローバル公開用)
+ * 成功したら読み込み直して、置き換えたデータで始める
+ * @param {HTMLInputElement} input - ファイル選択欄
+ * @returns {Promise<void>}
+ */
+window.importStoreFile = async function(input) {
+    const file = input?.files?.[0];
+    if (!appContext || !file) return;
+    input.value = '';
+    if (!ensureWritable()) return;
+    
+    let data;
+    try {
+        data = JSON.parse(await file.text());
+    } catch (error) {
+        renderPrivacyPanel({ text: t('privacy.importFailed', { errors: error.message }), kind: 'error' });
+        return;
+    }
+    if (!window.confirm(t('privacy.importConfirm'))) return;
+    
+    const { ok, errors } = await appContext.storage.importStore(data);
+    if (ok) {
+        window.location.reload();
+        return;
+    }
+    renderPrivacyPanel({ text: t('privacy.importFailed', { errors: errors.join(', ') }), kind: 'error' });
+};
+
+// ============================================
+// 開発用: タイムトラベル (?dev=1)
+// ============================================
+
+/**
+ * タイムトラベルパネルの表示内容を作成
+ * 機能スコアは各時点の回答から導出する (前の時点からの変化でスコアの動きを追う)
+ * @private
+ * @param {Array<{state: DiagnosisState, label: string, at: number}>} timeline - タイムライン
+ * @param {number} index - 選択中のフレーム
+ * @returns {Object} TimeTravelPanel.render の引数
+ */
+function buildTimeTravelView(timeline, index) {
+    const { state, label, at } = timeline[index];
+    const scores = getMemoizedScores(state);
+    const previous = index > 0 ? getMemoizedScores(timeline[index - 1].state) : scores;
+    const answeredCount = Object.keys(state.answers).length;
+
+    const provisional = answeredCount > 0
+        ? determineMBTITypeWithConsistency(
+            scores,
+            appContext.cognitiveStacks,
+            state.answers,
+            appContext.questions,
+            { strategy: appContext.strategy }
+        )
+        : null;
+
+    return {
+        index,
+        total: timeline.length,
+        frame: { label, at, answeredCount, showResult: state.showResult },
+        provisional: provisional && { type: provisional.type, confidence: provisional.confidence },
+        scores: Object.keys(scores).map(funcType => ({
+            funcType,
+            raw: scores[funcType],
+            normalized: getNormalizedScore(scores[funcType], appContext.mode),
+            delta: scores[funcType] - previous[funcType]
+        })),
+        canUndo: appContext.diagnosisState.canUndo(),
+        canRedo: appContext.diagnosisState.canRedo()
+    };
+}
+
+/**
+ * タイムトラベルパネルを描画 (開発モードのときだけ)
+ * @private
+ */
+function renderTimeTravelPanel() {
+    if (!appContext || !appContext.devMode) return;
+
+    try {
+        let panel = document.getElementById('time-travel-panel');
+        if (!panel) {
+            panel = document.createElement('aside');
+            panel.id = 'time-travel-panel';
+            panel.className = 'time-travel-panel';
+            panel.setAttribute('aria-label', t('timeTravel.heading'));
+            document.body.appendChild(panel);
+        }
+
+        const timeline = appContext.diagnosisState.getTimeline();
+        const index = timeTravelIndex === null ? timeline.length - 1 : Math.min(timeTravelIndex, timeline.length - 1);
+        panel.innerHTML = TimeTravelPanel.render(buildTimeTravelView(timeline, index));
+    } catch (error) {
+        console.error('[App] Error in renderTimeTravelPanel:', error);
+    }
+}
+
+/**
+ * タイムトラベルのフレームを選択 (グローバル公開用)
+ * 最新のフレームを選ぶと、以後は変更のたびに最新を表示する
+ * @param {number|string} index - フレーム
+ */
+window.selectTimeTravelFrame = function(index) {
+    if (!appContext) return;
+    const last = appContext.diagnosisState.getTimeline().length - 1;
+    const selected = Math.max(0, Math.min(Number(index), last));
+    timeTravelIndex = selected === last ? null : selected;
+    renderTimeTravelPanel();
+    document.getElementById('time-travel-frame')?.focus();
+};
+
+/**
+ * タイムトラベルのフレームを前後に移動 (グローバル公開用)
+ * @param {number} step - 移動量 (-1 / 1)
+ */
+window.stepTimeTravel = function(step) {
+    if (!appContext) return;
+    const last = appContext.diagnosisState.getTimeline().length - 1;
+    window.selectTimeTravelFrame((timeTravelIndex ?? last) + step);
+};
+
+/**
+ * 選択中のフレームの状態に戻す (グローバル公開用)
+ * 戻した操作も取り消せる
+ */
+window.jumpToTimeTravelFrame = function() {
+    if (!appContext || timeTravelIndex === null) return;
+    const { state } = appContext.diagnosisState.getTimeline()[timeTravelIndex];
+    timeTravelIndex = null;
+    appContext.handlers.travelTo(state);
+    renderTimeTravelPanel();
+};
+
+// ============================================
+// タブ間同期 (別のタブで診断中)
+// ============================================
+
+/**
+ * 読み取り専用の通知を表示・非表示
+ * リーダーのタブが別のモードなら、引き継ぐとその診断状態がリセットされることも伝える
+ * @private
+ */
+function renderTabNotice() {
+    const notice = document.getElementById('tab-notice');
+    const readOnly = Boolean(appContext) && !appContext.tabSync.isLeader();
+    
+    document.body.classList.toggle('tab-read-only', readOnly);
+    if (notice) {
+        const leaderMode = readOnly ? appContext.storage.getMode() : null;
+        const otherModeName = leaderMode && leaderMode !== appContext.mode ? getModeDisplayName(leaderMode) : null;
+        notice.hidden = !readOnly;
+        notice.innerHTML = readOnly ? ReadOnlyNotice.render(otherModeName) : '';
+    }
+}
+
+/**
+ * 保存データを変更できるか (リーダーのタブか)
+ * 読み取り専用のタブでは設定パネルに理由を表示する
+ * @private
+ * @returns {boolean} 変更できるかどうか
+ */
+function ensureWritable() {
+    if (!appContext || appContext.tabSync.isLeader()) return true;
+    renderPrivacyPanel({ text: t('tabs.readOnlyAction'), kind: 'error' });
+    return false;
+}
+
+/**
+ * このタブで診断を続ける (グローバル公開用)
+ * 元のタブは読み取り専用になる
+ */
+window.continueInThisTab = function() {
+    if (!appContext) return;
+    appContext.tabSync.takeOver();
+};
+
+// ============================================
+// アプリケーション初期化
+// ============================================
+
+/**
+ * UIを初期化
+ * @private
+ */
+function initUI() {
+    try {
+        const mode = getModeFromURL();
+        document.title = `Persona Finder - ${getModeDisplayName(mode)}`;
+    } catch (error) {
+        console.error('[App] Error in initUI:', error);
+    }
+}
+
+/**
+ * ストレージを初期化
+ * IndexedDB を優先して開き、localStorage に残っているデータを移す (storage-backends.js)
+ * @private
+ * @param {string} mode - 現在のモード
+ * @param {boolean} readOnly - 読み取り専用のタブか (別のタブの保存データを書き換えない)
+ * @returns {Promise<ReturnType<typeof createStorageManager>>} ストレージマネージャー
+ */
+async function initStorage(mode, readOnly) {
+    const storage = await openStorageManager(CONFIG.STORAGE_KEY_PREFIX);
+    console.info(`[App] 保存先: ${storage.backendName}`);
+    if (!readOnly) {
+        applyStoredMode(storage, mode);
+    }
+    
+    return storage;
+}
+
+/**
+ * 保存されているモードを現在のモードに合わせる
+ * 別のモードの診断状態はリセットする (保存データを書けるリーダーのタブだけが呼ぶ)
+ * @private
+ * @param {ReturnType<typeof createStorageManager>} storage - ストレージマネージャー
+ * @param {string} mode - 現在のモード
+ */
+function applyStoredMode(storage, mode) {
+    try {
+        const savedMode = storage.getMode();
+        if (savedMode && savedMode !== mode) {
+            console.warn(`[App] モード不一致 (保存: ${savedMode}, 現在: ${mode}). 診断状態のみリセット`);
+            
+            // シャッフルシードを保持
+            const seed = storage.shuffleSeed.get();
+            storage.clearAll();
+            storage.shuffleSeed.set(seed);
+            storage.setMode(mode);
+            showModeChangeNotification(mode);
+        } else if (!savedMode) {
+            storage.setMode(mode);
+        }
+    } catch (error) {
+        console.error('[App] Error in applyStoredMode:', error);
+    }
+}
+
+/**
+ * データを初期化
+ * @private
+ * @param {string} mode - 現在のモード
+ * @param {string} language - 表示言語
+ * @returns {Promise<Object>} データオブジェクト
+ */
+async function initData(mode, language) {
+    try {
+        const data = await initializeData(mode, language);
+        
+        if (!data.questions || data.questions.length === 0) {
+            throw new Error(ERROR_MESSAGES.NO_QUESTIONS);
+        }
+        
+        console.info(`[App] モード: ${mode}, 質問数: ${data.questions.length}`);
+        
+        // 設定ファイルに8スロット定義があれば Beebe 戦略を差し替え
+        if (data.beebeModel) {
+            registerScoringStrategy(createBeebeStrategy(data.beebeModel));
+        }
+        
+        return data;
+    } catch (error) {
+        console.error('[App] Error in initData:', error);
+        throw error;
+    }
+}
+
+/**
+ * 質問をシャッフル
+ * @private
+ * @param {Question[]} questions - 質問配列
+ * @param {ReturnType<typeof createStorageManager>} storage - ストレージマネージャー
+ * @returns {Question[]} シャッフルされた質問配列
+ */
+function initQuestions(questions, storage) {
+    try {
+        let shuffleSeed = storage.shuffleSeed.get();
+        const { shuffled, seed: usedSeed } = shuffleQuestionsWithConstraints(questions, shuffleSeed);
+        storage.shuffleSeed.set(usedSeed);
+        
+        return shuffled;
+    } catch (error) {
+        console.error('[App] Error in initQuestions:', error);
+        return questions;
+    }
+}
+
+/**
+ * ハンドラーを初期化
+ * @private
+ * @param {ReturnType<typeof useDiagnosisState>} diagnosisState - 診断状態
+ * @param {Question[]} questions - 質問配列
+ * @param {ReturnType<typeof createStorageManager>} storage - ストレージマネージャー
+ * @param {boolean} adaptive - 適応型モードかどうか
+ * @returns {ReturnType<typeof createHandlers>} ハンドラー関数群
+ */
+function initHandlers(diagnosisState, questions, storage, adaptive) {
+    try {
+        const handlers = createHandlers({
+            diagnosisState,
+            questions,
+            storage,
+            selectNextQuestion: adaptive ? selectAdaptiveQuestion : undefined
+        });
+        
+        // グローバルハンドラー登録(後方互換性のため)
+        window.handleAnswer = handlers.handleAnswer.bind(handlers);
+        window.goBack = handlers.goBack.bind(handlers);
+        window.goNext = handlers.goNext.bind(handlers);
+        window.reset = handlers.reset.bind(handlers);
+        window.handleKeyboardNav = handlers.handleKeyboardNav.bind(handlers);
+        window.undo = handlers.undo.bind(handlers);
+        window.redo = handlers.redo.bind(handlers);
+        
+        // 取り消し・やり直しのショートカット (Ctrl/⌘+Z, Ctrl/⌘+Shift+Z, Ctrl/⌘+Y)
+        document.addEventListener('keydown', handlers.handleShortcut.bind(handlers));
+        
+        return handlers;
+    } catch (error) {
+        console.error('[App] Error in initHandlers:', error);
+        throw error;
+    }
+}
+
+/**
+ * 状態を復元
+ * @private
+ * @param {ReturnType<typeof useDiagnosisState>} diagnosisState - 診断状態
+ * @param {ReturnType<typeof createStorageManager>} storage - ストレージマネージャー
+ * @param {string} mode - 現在のモード
+ * @param {Question[]} questions - 質問配列
+ * @returns {boolean} 復元が成功したかどうか
+ */
+function restoreState(diagnosisState, storage, mode, questions) {
+    try {
+        const savedState = storage.loadState();
+        const savedMode = storage.getMode();
+        
+        if (savedState && savedMode === mode) {
+            if (mode === 'adaptive') {
+                // 質問バンクから消えたIDを除外し、位置を出題済みの範囲に収める
+                const askedQuestionIds = resolveQuestionSequence(savedState, questions).map(q => q.id);
+                savedState.askedQuestionIds = askedQuestionIds;
+                savedState.currentQuestion = Math.max(0, Math.min(savedState.currentQuestion, askedQuestionIds.length - 1));
+            }
+            // 復元前の状態には取り消しで戻らないよう、ここから記録し直す
+            diagnosisState.setState(savedState, { label: 'restore', record: false });
+            console.info(`[App] 保存状態を復元 (mode: ${savedMode})`);
+            return true;
+        }
+        
+        return false;
+    } catch (error) {
+        console.error('[App] Error in restoreState:', error);
+        return false;
+    }
+}
+
+/**
+ * アプリケーションを初期化
+ * @returns {Promise<void>}
+ */
+async function initializeApplication() {
+    // 表示言語はローディング表示より先に決める
+    const language = initLanguage();
+    initProfileImport();
+    showLoadingScreen();
+    
+    try {
+        // 1. UI初期化
+        initUI();
         
-        // 2. モード取得
+        // 2. モード・スコアリング戦略取得
         const mode = getModeFromURL();
+        const strategy = getStrategyFromURL();
+        const adaptive = mode === 'adaptive';
         
-        // 3. ストレージ初期化
-        const storage = initStorage(mode);
+        // 3. タブ間同期・ストレージ初期化 (暗号化されていればロック解除を待つ)
+        // 回答・保存はリーダーのタブだけが行い、他のタブはリーダーの状態を表示する
+        const tabSync = createTabSync(CONFIG.STORAGE_KEY_PREFIX);
+        await tabSync.ready;
+        const storage = await initStorage(mode, !tabSync.isLeader());
+        if (storage.encryption.isEnabled() && !storage.encryption.isUnlocked()) {
+            await promptUnlock(storage);
+            showLoadingScreen();
+        }
         
         // 4. データ読み込み
-        const data = await initData(mode);
+        const data = await initData(mode, language);
         
         // 5. 質問シャッフル
         const shuffledQuestions = initQuestions(data.questions, storage);
         
-        // 6. 状態管理初期化
-        const diagnosisState = useDiagnosisState(shuffledQuestions);
+        // 6. 状態管理初期化 (適応型ではシャッフル済みの順序が同点時の出題順になる)
+        const diagnosisState = useDiagnosisState(shuffledQuestions, { adaptive, sync: tabSync, syncScope: mode });
         
         // 7. ハンドラー初期化
-        const handlers = initHandlers(diagnosisState, shuffledQuestions, storage);
+        const handlers = initHandlers(diagnosisState, shuffledQuestions, storage, adaptive);
         
         // 8. アプリケーションコンテキスト設定
         appContext = Object.freeze({
@@ -999,37 +2424,84 @@ async function initializeApplication() {
             diagnosisState,
             handlers,
             storage,
-            mode
+            tabSync,
+            mode,
+            strategy,
+            adaptive,
+            devMode: getDevModeFromURL()
         });
         
-        // 9. Shadow説明の表示履歴チェック
+        // 9. Shadow説明の表示履歴チェック・署名鍵IDの読み込み
         hasSeenShadowExplanation = storage.shadowSeen.get();
+        await loadSigningKeyId(storage);
+        renderPrivacyPanel();
         
         // 10. 状態監視
+        // 結果表示に切り替わった時点で履歴に記録する (復元した完了状態は記録済みのため除外)
+        let wasShowingResult = false;
+        let historyEnabled = false;
         diagnosisState.subscribe((state) => {
             try {
                 // メモキャッシュをクリア
                 clearMemoCache();
                 
-                storage.saveState(state);
-                render(state, appContext.questions);
+                // 保存・履歴の記録はリーダーのタブだけが行う
+                const isLeader = tabSync.isLeader();
+                if (isLeader) {
+                    storage.saveState(state);
+                }
+                if (isLeader && historyEnabled && state.showResult && !wasShowingResult) {
+                    recordHistory(state);
+                }
+                wasShowingResult = state.showResult;
+                render(state, getQuestionSequence(state));
+                renderTimeTravelPanel();
             } catch (error) {
                 console.error('[App] Error in state subscription:', error);
             }
         });
         
-        // 11. 保存状態の復元
-        const wasRestored = restoreState(diagnosisState, storage, mode);
+        // リーダーが替わったら通知を切り替え、引き継いだ状態を保存する
+        // (別のモードのタブから引き継いだときは、起動時と同じく保存されていた診断状態をリセットする)
+        tabSync.onLeaderChange((isLeader) => {
+            if (isLeader) {
+                applyStoredMode(storage, mode);
+                storage.saveState(diagnosisState.getState());
+            }
+            renderTabNotice();
+            renderPrivacyPanel();
+        });
+        renderTabNotice();
+        
+        // 11. 保存状態の復元 (読み取り専用のタブはリーダーから受け取る)
+        const wasRestored = tabSync.isLeader() && restoreState(diagnosisState, storage, mode, shuffledQuestions);
+        historyEnabled = true;
+        
+        // 12. 適応型: 最初の質問を選択
+        if (adaptive && tabSync.isLeader() && diagnosisState.getState().askedQuestionIds.length === 0) {
+            const firstQuestion = selectAdaptiveQuestion(diagnosisState.getState());
+            if (firstQuestion) {
+                diagnosisState.actions.askQuestion(firstQuestion.id);
+            }
+        }
         
-        // 12. 初回レンダリング
+        // 13. 初回レンダリング
         const state = diagnosisState.getState();
-        render(state, appContext.questions);
+        render(state, getQuestionSequence(state));
+        renderTimeTravelPanel();
         
-        // 13. 復元通知
+        // 14. 復元通知
         if (wasRestored && state.currentQuestion > 0) {
-            showRestoreNotification(state, appContext.questions);
+            showRestoreNotification(state, getQuestionSequence(state));
         }
         
+        // 15. 共有リンク (#r=...) があれば、その結果を表示する
+        window.addEventListener('hashchange', openPermalinkFromLocation);
+        await openPermalinkFromLocation();
+        
+        // 16. 印刷時は結果画面の代わりに印刷用レポートを出す
+        window.addEventListener('beforeprint', handleBeforePrint);
+        
         console.info('[App] Application initialized successfully');
         
     } catch (error) {
@@ -1073,9 +2545,12 @@ if (typeof window !== 'undefined') {
 export {
     initializeApplication,
     getModeFromURL,
+    getStrategyFromURL,
+    getDevModeFromURL,
     getModeDisplayName,
-    recalculateFunctionScores,
+    switchLanguage,
     getMemoizedScores,
+    getMemoizedProvisionalResult,
     getMemoizedProvisionalType,
     calculateOptionImpacts,
     shuffleQuestionsWithConstraints,
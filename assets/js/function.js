@@ -3,9 +3,33 @@
 // （新JSON構造 + クイックチェック対応）
 // ==========================================
 
+import {
+  t,
+  detectLanguage,
+  setLanguage,
+  applyDocumentTranslations,
+  getLanguageFallbackChain,
+  localizedDataPath
+} from '../../i18n.js';
+import { createStorageManager, openStorageManager } from '../../hooks.js';
+import { renderRadarChart } from '../../charts.js';
+
 const params = new URLSearchParams(location.search);
 const code = (params.get('code') || params.get('func') || 'ni').toLowerCase();
 
+// 表示言語（?lang= → 診断ページと共通の保存設定 → ブラウザの言語）
+// 表示言語は localStorage に残してあるため、保存先を開く前に同期的に読める
+const STORAGE_KEY_PREFIX = 'persona_finder';
+const storage = createStorageManager(STORAGE_KEY_PREFIX);
+const { language } = detectLanguage({
+  search: location.search,
+  stored: storage.language.get(),
+  browserLanguages: navigator.languages || [navigator.language]
+});
+setLanguage(language);
+storage.language.set(language);
+applyDocumentTranslations();
+
 // ==========================================
 // ユーティリティ
 // ==========================================
@@ -107,12 +131,12 @@ function updateHero(data) {
   const funcCode =
     (data.function || data.code || code || '').toUpperCase();
   const name =
-    data.name || data.meta?.displayName || '認知機能';
+    data.name || data.meta?.displayName || t('functionPage.fallbackName');
 
   const tagline =
     data.meta?.summaryTagline ||
     data.short ||
-    '認知機能の深層分析';
+    t('functionPage.fallbackTagline');
 
   const tags =
     data.meta?.tags ||
@@ -152,9 +176,9 @@ function renderIntroSection(data, tocItems, sectionId) {
   if (!hasOverview) return { fragment: null, sectionId };
 
   const id = `section-${sectionId++}`;
-  tocItems.push({ id, title: 'この認知機能のざっくりした姿' });
+  tocItems.push({ id, title: t('functionPage.intro.toc') });
 
-  const section = createSection(id, 'この認知機能のざっくりした姿', '📌');
+  const section = createSection(id, t('functionPage.intro.title'), '📌');
 
   // リードテキスト
   if (data.short || data.overview?.essence) {
@@ -168,11 +192,11 @@ function renderIntroSection(data, tocItems, sectionId) {
   if (Array.isArray(data.quickCheck) && data.quickCheck.length) {
     const quizCard = createElement('div', 'quiz-card');
 
-    const title = createElement('div', 'quiz-title', '簡易チェック');
+    const title = createElement('div', 'quiz-title', t('functionPage.intro.quizTitle'));
     const subtitle = createElement(
       'div',
       'quiz-subtitle',
-      'あてはまるものにチェックを入れてみてください。'
+      t('functionPage.intro.quizSubtitle')
     );
     quizCard.appendChild(title);
     quizCard.appendChild(subtitle);
@@ -210,7 +234,7 @@ function renderIntroSection(data, tocItems, sectionId) {
     const interpEl = createElement(
       'div',
       'quiz-interpretation',
-      'チェック数に応じて、この機能との距離感の目安を表示します。'
+      t('functionPage.intro.quizPlaceholder')
     );
     result.appendChild(scoreEl);
     result.appendChild(interpEl);
@@ -225,16 +249,16 @@ function renderIntroSection(data, tocItems, sectionId) {
       let message;
 
       if (checked === 0) {
-        message = 'このページの記述は「そこまで自分っぽくない」と感じるかもしれません。他機能のページも覗いてみてください。';
+        message = t('functionPage.intro.quizNone');
       } else {
         const ratio = checked / total;
 
         if (ratio >= 0.7) {
-          message = 'この機能を「主機能」または「補助機能」として強く使っている可能性があります。日常の判断や認識の軸になっているかもしれません。';
+          message = t('functionPage.intro.quizHigh');
         } else if (ratio >= 0.4) {
-          message = 'この機能は、補助・第三あたりでそこそこ使われている可能性があります。他の機能とのバランスも合わせて見ると、スタックの輪郭が見えやすくなります。';
+          message = t('functionPage.intro.quizMedium');
         } else {
-          message = 'この機能は、影響はあるもののメインの軸というより「背景」で働いているかもしれません。別の機能のページにも強く共感する可能性があります。';
+          message = t('functionPage.intro.quizLow');
         }
       }
 
@@ -258,19 +282,19 @@ function renderInnerViewSection(data, tocItems, sectionId) {
   if (!hasContent) return { fragment: null, sectionId };
 
   const id = `section-${sectionId++}`;
-  tocItems.push({ id, title: 'この機能が世界をどう見ているか' });
+  tocItems.push({ id, title: t('functionPage.innerView.toc') });
 
-  const section = createSection(id, 'この機能が世界をどう見ているか', '👁️');
+  const section = createSection(id, t('functionPage.innerView.title'), '👁️');
   const prose = createElement('div', 'prose');
 
   if (data.overview?.detailed) {
-    const h3 = createElement('h3', null, '内側の視点');
+    const h3 = createElement('h3', null, t('functionPage.innerView.detailed'));
     prose.appendChild(h3);
     formatTextToElements(data.overview.detailed).forEach(el => prose.appendChild(el));
   }
 
   if (data.overview?.mechanism) {
-    const h3 = createElement('h3', null, '働き方のメカニズム');
+    const h3 = createElement('h3', null, t('functionPage.innerView.mechanism'));
     prose.appendChild(h3);
     formatTextToElements(data.overview.mechanism).forEach(el => prose.appendChild(el));
   }
@@ -289,13 +313,13 @@ function renderTheorySection(data, tocItems, sectionId) {
   if (!hasContent) return { fragment: null, sectionId };
 
   const id = `section-${sectionId++}`;
-  tocItems.push({ id, title: '理論上の位置づけ' });
+  tocItems.push({ id, title: t('functionPage.theory.toc') });
 
-  const section = createSection(id, '理論上の位置づけと、似ている機能との違い', '📚');
+  const section = createSection(id, t('functionPage.theory.title'), '📚');
   const prose = createElement('div', 'prose');
 
   if (j.definition || j.orientation || j.purpose) {
-    const h3 = createElement('h3', null, '理論上の位置づけ');
+    const h3 = createElement('h3', null, t('functionPage.theory.jungian'));
     prose.appendChild(h3);
     [j.definition, j.orientation, j.purpose]
       .filter(Boolean)
@@ -303,7 +327,7 @@ function renderTheorySection(data, tocItems, sectionId) {
   }
 
   if (c.similarButDifferent || c.oftenConfusedWith) {
-    const h3 = createElement('h3', null, '似ている機能との違い');
+    const h3 = createElement('h3', null, t('functionPage.theory.comparisons'));
     prose.appendChild(h3);
     [c.similarButDifferent, c.oftenConfusedWith]
       .filter(Boolean)
@@ -321,16 +345,16 @@ function renderStackSection(data, tocItems, sectionId) {
   if (!hasContent) return { fragment: null, sectionId };
 
   const id = `section-${sectionId++}`;
-  tocItems.push({ id, title: 'タイプの中での現れ方' });
+  tocItems.push({ id, title: t('functionPage.stack.toc') });
 
-  const section = createSection(id, 'タイプの中での現れ方', '🧩');
+  const section = createSection(id, t('functionPage.stack.title'), '🧩');
   const grid = createElement('div', 'types-grid');
 
   const order = [
-    { key: 'dominant', label: 'もっとも前面にあるとき' },
-    { key: 'auxiliary', label: '第二の位置にあるとき' },
-    { key: 'tertiary', label: '第三の位置にあるとき' },
-    { key: 'inferior', label: 'もっとも奥にあるとき' }
+    { key: 'dominant', label: t('functionPage.stack.dominant') },
+    { key: 'auxiliary', label: t('functionPage.stack.auxiliary') },
+    { key: 'tertiary', label: t('functionPage.stack.tertiary') },
+    { key: 'inferior', label: t('functionPage.stack.inferior') }
   ];
 
   order.forEach(item => {
@@ -358,24 +382,24 @@ function renderDevelopmentSection(data, tocItems, sectionId) {
   if (!hasContent) return { fragment: null, sectionId };
 
   const id = `section-${sectionId++}`;
-  tocItems.push({ id, title: 'バランスとつまずき' });
+  tocItems.push({ id, title: t('functionPage.development.toc') });
 
-  const section = createSection(id, 'バランスとつまずきやすいポイント', '⚖️');
+  const section = createSection(id, t('functionPage.development.title'), '⚖️');
   const prose = createElement('div', 'prose');
 
   if (d.balanced) {
-    const h3 = createElement('h3', null, 'バランスよく働いているとき');
+    const h3 = createElement('h3', null, t('functionPage.development.balanced'));
     prose.appendChild(h3);
     formatTextToElements(d.balanced).forEach(el => prose.appendChild(el));
   }
 
   if (d.overuse || d.underuse) {
-    const h3 = createElement('h3', null, '偏りやすい方向');
+    const h3 = createElement('h3', null, t('functionPage.development.imbalance'));
     prose.appendChild(h3);
 
     if (d.overuse) {
       const p = document.createElement('p');
-      const strong = createElement('strong', null, '使いすぎるとき');
+      const strong = createElement('strong', null, t('functionPage.development.overuse'));
       p.appendChild(strong);
       p.appendChild(document.createElement('br'));
       formatTextToElements(d.overuse).forEach(el => {
@@ -386,7 +410,7 @@ function renderDevelopmentSection(data, tocItems, sectionId) {
 
     if (d.underuse) {
       const p = document.createElement('p');
-      const strong = createElement('strong', null, '避けすぎるとき');
+      const strong = createElement('strong', null, t('functionPage.development.underuse'));
       p.appendChild(strong);
       p.appendChild(document.createElement('br'));
       formatTextToElements(d.underuse).forEach(el => {
@@ -397,7 +421,7 @@ function renderDevelopmentSection(data, tocItems, sectionId) {
   }
 
   if (data.misconceptions) {
-    const h3 = createElement('h3', null, 'よくある誤解');
+    const h3 = createElement('h3', null, t('functionPage.development.misconceptions'));
     prose.appendChild(h3);
     formatTextToElements(data.misconceptions).forEach(el => prose.appendChild(el));
   }
@@ -413,16 +437,16 @@ function renderShadowSection(data, tocItems, sectionId) {
   if (!hasContent) return { fragment: null, sectionId };
 
   const id = `section-${sectionId++}`;
-  tocItems.push({ id, title: '影の側面' });
+  tocItems.push({ id, title: t('functionPage.shadow.toc') });
 
-  const section = createSection(id, '影の側面として現れるとき', '🌒');
+  const section = createSection(id, t('functionPage.shadow.title'), '🌒');
   const grid = createElement('div', 'stages-grid');
 
   const order = [
-    { key: 'opposing', label: '反発として現れるとき' },
-    { key: 'criticalParent', label: '厳しい基準として現れるとき' },
-    { key: 'trickster', label: '揺さぶりや混乱として現れるとき' },
-    { key: 'demon', label: '自己否定や無力感として現れるとき' }
+    { key: 'opposing', label: t('functionPage.shadow.opposing') },
+    { key: 'criticalParent', label: t('functionPage.shadow.criticalParent') },
+    { key: 'trickster', label: t('functionPage.shadow.trickster') },
+    { key: 'demon', label: t('functionPage.shadow.demon') }
   ];
 
   order.forEach(item => {
@@ -450,25 +474,25 @@ function renderCognitiveSection(data, tocItems, sectionId) {
   if (!hasContent) return { fragment: null, sectionId };
 
   const id = `section-${sectionId++}`;
-  tocItems.push({ id, title: '認知科学的な補足' });
+  tocItems.push({ id, title: t('functionPage.cognitive.toc') });
 
-  const section = createSection(id, '認知科学的な補足とモデルの限界', '🧠');
+  const section = createSection(id, t('functionPage.cognitive.title'), '🧠');
   const prose = createElement('div', 'prose');
 
   if (c.notes) {
-    const h3 = createElement('h3', null, 'モデルとしての注意点');
+    const h3 = createElement('h3', null, t('functionPage.cognitive.notes'));
     prose.appendChild(h3);
     formatTextToElements(c.notes).forEach(el => prose.appendChild(el));
   }
 
   if (c.neural) {
-    const h3 = createElement('h3', null, '脳との関係についての仮説');
+    const h3 = createElement('h3', null, t('functionPage.cognitive.neural'));
     prose.appendChild(h3);
     formatTextToElements(c.neural).forEach(el => prose.appendChild(el));
   }
 
   if (c.processing) {
-    const h3 = createElement('h3', null, '情報処理の特徴');
+    const h3 = createElement('h3', null, t('functionPage.cognitive.processing'));
     prose.appendChild(h3);
     formatTextToElements(c.processing).forEach(el => prose.appendChild(el));
   }
@@ -484,19 +508,19 @@ function renderGuidanceSection(data, tocItems, sectionId) {
   if (!hasContent) return { fragment: null, sectionId };
 
   const id = `section-${sectionId++}`;
-  tocItems.push({ id, title: '付き合い方のヒント' });
+  tocItems.push({ id, title: t('functionPage.guidance.toc') });
 
-  const section = createSection(id, 'この機能とうまく付き合うためのヒント', '💡');
+  const section = createSection(id, t('functionPage.guidance.title'), '💡');
   const prose = createElement('div', 'prose');
 
   if (g.resonatesIf) {
-    const h3 = createElement('h3', null, 'しっくりくるとき');
+    const h3 = createElement('h3', null, t('functionPage.guidance.resonatesIf'));
     prose.appendChild(h3);
     formatTextToElements(g.resonatesIf).forEach(el => prose.appendChild(el));
   }
 
   if (g.notResonateIf) {
-    const h3 = createElement('h3', null, '扱いづらく感じるとき');
+    const h3 = createElement('h3', null, t('functionPage.guidance.notResonateIf'));
     prose.appendChild(h3);
     formatTextToElements(g.notResonateIf).forEach(el => prose.appendChild(el));
   }
@@ -505,6 +529,108 @@ function renderGuidanceSection(data, tocItems, sectionId) {
   return { fragment: section, sectionId };
 }
 
+// 9. あなたのスコア（診断履歴の最新の結果。履歴がなければ出さない）
+/**
+ * 「あなたのスコア」セクションのレンダラーを作る
+ * 履歴は診断ページと同じ保存先 (IndexedDB へ移行済みのこともある) から読む。
+ * 履歴が暗号化されていてロック中なら、パスフレーズの入力欄を出して解除後に描画し直す
+ * @param {import('../../hooks.js').StorageAPI|null} historyStorage - 保存先を開いたストレージ (開けなければnull)
+ * @returns {(data: Object, tocItems: Array, sectionId: number) => {fragment: HTMLElement|null, sectionId: number}}
+ */
+export function createMyScoreRenderer(historyStorage) {
+  const funcType = code.charAt(0).toUpperCase() + code.slice(1);
+
+  function renderBody(prose) {
+    if (!historyStorage.encryption.isUnlocked()) {
+      prose.appendChild(renderUnlockForm(prose));
+      return;
+    }
+
+    const latest = historyStorage.history.list().at(-1);
+    const score = latest?.scores[funcType];
+    if (!Number.isFinite(score)) {
+      prose.appendChild(createElement('p', null, t('functionPage.myScore.empty')));
+      return;
+    }
+
+    prose.appendChild(createElement('p', null, t('functionPage.myScore.summary', {
+      date: new Date(latest.completedAt).toLocaleDateString(language),
+      type: latest.type,
+      code: funcType,
+      score: Math.round(score)
+    })));
+
+    const chart = createElement('div', 'my-score-chart');
+    chart.innerHTML = renderRadarChart(latest.scores, {
+      highlight: funcType,
+      title: t('functionPage.myScore.chartTitle', { code: funcType })
+    });
+    prose.appendChild(chart);
+  }
+
+  function renderUnlockForm(prose) {
+    const form = createElement('form', 'my-score-unlock');
+    form.appendChild(createElement('p', null, t('functionPage.myScore.locked')));
+
+    const input = createElement('input');
+    input.type = 'password';
+    input.autocomplete = 'current-password';
+    input.setAttribute('aria-label', t('functionPage.myScore.passphrase'));
+    input.placeholder = t('functionPage.myScore.passphrase');
+    const button = createElement('button', null, t('functionPage.myScore.unlock'));
+    button.type = 'submit';
+    const status = createElement('p', 'my-score-unlock__status');
+    status.setAttribute('role', 'status');
+    form.appendChild(createElement('div', 'my-score-unlock__row', [input, button]));
+    form.appendChild(status);
+
+    form.addEventListener('submit', async (event) => {
+      event.preventDefault();
+      button.disabled = true;
+      const unlocked = await historyStorage.encryption.unlock(input.value);
+      button.disabled = false;
+      if (!unlocked) {
+        status.textContent = t('functionPage.myScore.wrongPassphrase');
+        input.select();
+        return;
+      }
+      prose.replaceChildren();
+      renderBody(prose);
+    });
+    return form;
+  }
+
+  return function renderMyScoreSection(data, tocItems, sectionId) {
+    if (!historyStorage) return { fragment: null, sectionId };
+    // 履歴がなければセクションを出さない (暗号化中は中身を読めないため、解除の入力欄を出す)
+    if (historyStorage.encryption.isUnlocked() && historyStorage.history.list().length === 0) {
+      return { fragment: null, sectionId };
+    }
+
+    const id = `section-${sectionId++}`;
+    tocItems.push({ id, title: t('functionPage.myScore.toc') });
+
+    const section = createSection(id, t('functionPage.myScore.title'), '📈');
+    const prose = createElement('div', 'prose');
+    renderBody(prose);
+    section.appendChild(prose);
+    return { fragment: section, sectionId };
+  };
+}
+
+/**
+ * 診断ページと同じ保存先を開く (開けなければnull)
+ * @returns {Promise<import('../../hooks.js').StorageAPI|null>}
+ */
+async function openHistoryStorage() {
+  try {
+    return await openStorageManager(STORAGE_KEY_PREFIX);
+  } catch (err) {
+    console.error('保存データを開けませんでした:', err);
+    return null;
+  }
+}
+
 // ==========================================
 // 目次・アニメーション
 // ==========================================
@@ -564,6 +690,19 @@ function observeSections(root) {
 // メインロード
 // ==========================================
 
+// 翻訳ファイル（data/ni.en.json など）→ 元データ（data/ni.json）の順に探す
+async function fetchFunctionData() {
+  const paths = [
+    ...new Set(getLanguageFallbackChain().map(lang => localizedDataPath(`data/${code}.json`, lang)))
+  ];
+
+  for (const path of paths) {
+    const res = await fetch(path).catch(() => null);
+    if (res && res.ok) return res.json();
+  }
+  throw new Error(t('functionPage.notFound', { code }));
+}
+
 async function loadData() {
   const main = document.getElementById('main-content');
   const container =
@@ -577,18 +716,18 @@ async function loadData() {
   }
 
   try {
-    const res = await fetch(`data/${code}.json`);
-    if (!res.ok) throw new Error(`${code}.json が見つかりませんでした`);
-
-    const data = await res.json();
+    const [data, historyStorage] = await Promise.all([fetchFunctionData(), openHistoryStorage()]);
 
     // タイトル・description
     const titleText =
       data.meta?.seoTitle ||
-      `${data.name || ''}（${(data.function || data.code || code).toUpperCase()}）認知機能ガイド — Persona Finder`;
+      t('functionPage.titleTemplate', {
+        name: data.name || '',
+        code: (data.function || data.code || code).toUpperCase()
+      });
     const descText =
       data.meta?.seoDescription ||
-      '認知機能の深層分析';
+      t('functionPage.fallbackTagline');
 
     const titleEl = document.getElementById('page-title');
     const descEl = document.getElementById('page-description');
@@ -614,7 +753,8 @@ async function loadData() {
       renderDevelopmentSection,
       renderShadowSection,
       renderCognitiveSection,
-      renderGuidanceSection
+      renderGuidanceSection,
+      createMyScoreRenderer(historyStorage)
     ];
 
     const frag = document.createDocumentFragment();
@@ -640,7 +780,7 @@ async function loadData() {
   } catch (err) {
     console.error(err);
     contentRoot.innerHTML = '';
-    const box = createInfoBox('エラー', err.message || 'データの読み込みに失敗しました。', true);
+    const box = createInfoBox(t('functionPage.error'), err.message || t('functionPage.loadFailed'), true);
     contentRoot.appendChild(box);
   }
 }
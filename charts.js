@@ -0,0 +1,368 @@
+// ============================================
+// charts.js - SVGチャート (外部ライブラリなし)
+// ============================================
+//
+// 機能スコアのレーダーチャート・棒グラフ、16タイプの順位グラフ、I/E・N/S・T/F の軸ゲージを
+// インラインSVGの文字列として生成する。DOM に依存しないため、finder.html・機能ページ・
+// 印刷用レポート (report-renderer.js)・Node.js のどこからでも同じ関数を使える。
+//
+// 色や文字の大きさは SVG に書かず、assets/css/charts.css の .chart-* クラスで指定する。
+// どのチャートも role="img" と <title>/<desc> を持ち、読み上げでは desc に数値の一覧が入る。
+
+import { t } from './i18n.js';
+
+// ============================================
+// 定数定義
+// ============================================
+
+/** チャートの寸法と並び順 (寸法は SVG のユーザー単位) */
+export const CHART_CONFIG = Object.freeze({
+    /** レーダーチャートの軸の順 (上から時計回り。知覚機能 (N・S) を右半分、判断機能 (T・F) を左半分に置く) */
+    FUNCTION_ORDER: Object.freeze(['Ni', 'Ne', 'Si', 'Se', 'Ti', 'Te', 'Fi', 'Fe']),
+    RADAR: Object.freeze({
+        SIZE: 320,
+        PADDING: 44,
+        LEVELS: Object.freeze([25, 50, 75, 100]),
+        LABEL_OFFSET: 18,
+        POINT_RADIUS: 3.5
+    }),
+    BARS: Object.freeze({
+        WIDTH: 640,
+        ROW_HEIGHT: 30,
+        LABEL_WIDTH: 56,
+        VALUE_WIDTH: 48,
+        BAR_HEIGHT: 14
+    }),
+    TYPE_RANKING: Object.freeze({
+        WIDTH: 640,
+        ROW_HEIGHT: 22,
+        LABEL_WIDTH: 60,
+        VALUE_WIDTH: 56,
+        BAR_HEIGHT: 14
+    }),
+    GAUGE: Object.freeze({
+        WIDTH: 480,
+        ROW_HEIGHT: 40,
+        POLE_WIDTH: 72,
+        TRACK_HEIGHT: 8,
+        MARKER_RADIUS: 7
+    })
+});
+
+/**
+ * 軸ゲージの3軸 (profile.axes のキーと、値 1 / 0 の側の指標)
+ * 左に value = 1 の側を置く (I/E・N/S・T/F の表記順)
+ */
+export const PROFILE_AXES = Object.freeze([
+    Object.freeze({ key: 'introversion_vs_extraversion', high: 'I', low: 'E' }),
+    Object.freeze({ key: 'intuition_vs_sensing', high: 'N', low: 'S' }),
+    Object.freeze({ key: 'thinking_vs_feeling', high: 'T', low: 'F' })
+]);
+
+/** title/desc の id の連番 (同じページに複数のチャートを置くため) */
+let chartSequence = 0;
+
+// ============================================
+// ユーティリティ
+// ============================================
+
+/**
+ * HTMLエスケープ (属性値にも使えるよう引用符も変換する)
+ * @param {any} text - エスケープする値
+ * @returns {string} エスケープされた文字列
+ */
+function escapeHtml(text) {
+    return String(text ?? '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+/**
+ * 座標を小数2桁に丸める (SVG を短く保つため)
+ * @param {number} value - 座標
+ * @returns {number} 丸めた座標
+ */
+function round(value) {
+    return Math.round(value * 100) / 100;
+}
+
+/**
+ * 値を範囲内に収める
+ * @param {number} value - 値
+ * @param {number} min - 最小値
+ * @param {number} max - 最大値
+ * @returns {number} 範囲内の値
+ */
+function clamp(value, min, max) {
+    return Math.max(min, Math.min(max, Number.isFinite(value) ? value : min));
+}
+
+/**
+ * SVG の外枠 (role="img" と title/desc を付ける)
+ * @param {Object} params
+ * @param {string} params.kind - チャートの種類 (クラス名と id に使う)
+ * @param {number} params.width - viewBox の幅
+ * @param {number} params.height - viewBox の高さ
+ * @param {string} params.title - タイトル
+ * @param {string} params.description - 説明 (数値の一覧)
+ * @param {string} [params.id] - id の接頭辞 (省略時は連番)
+ * @param {string} params.body - SVG の中身
+ * @returns {string} SVGマークアップ
+ */
+function renderSvg({ kind, width, height, title, description, id, body }) {
+    const prefix = id || `chart-${kind}-${++chartSequence}`;
+
+    return `
+        <svg class="chart chart-${kind}" viewBox="0 0 ${width} ${height}" width="100%" role="img" aria-labelledby="${prefix}-title ${prefix}-desc" xmlns="http://www.w3.org/2000/svg">
+            <title id="${prefix}-title">${escapeHtml(title)}</title>
+            <desc id="${prefix}-desc">${escapeHtml(description)}</desc>
+            ${body}
+        </svg>
+    `;
+}
+
+// ============================================
+// レーダーチャート (8機能)
+// ============================================
+
+/**
+ * 8機能のレーダーチャート
+ * @param {Object<string, number>} scores - 機能ごとの正規化スコア (0-100)
+ * @param {Object} [options]
+ * @param {string} [options.highlight] - 強調する機能 (機能ページの機能など)
+ * @param {string} [options.title] - タイトル
+ * @param {string} [options.description] - 説明 (省略時はスコアの一覧)
+ * @param {string} [options.id] - title/desc の id の接頭辞
+ * @returns {string} SVGマークアップ
+ */
+export function renderRadarChart(scores, options = {}) {
+    const { SIZE, PADDING, LEVELS, LABEL_OFFSET, POINT_RADIUS } = CHART_CONFIG.RADAR;
+    const order = CHART_CONFIG.FUNCTION_ORDER;
+    const center = SIZE / 2;
+    const radius = center - PADDING;
+
+    const pointAt = (index, value) => {
+        const angle = -Math.PI / 2 + (index * 2 * Math.PI) / order.length;
+        const distance = (clamp(value, 0, 100) / 100) * radius;
+        return {
+            x: round(center + distance * Math.cos(angle)),
+            y: round(center + distance * Math.sin(angle))
+        };
+    };
+    const polygon = (values) => values
+        .map((value, index) => pointAt(index, value))
+        .map(({ x, y }) => `${x},${y}`)
+        .join(' ');
+
+    const rings = LEVELS.map(level => `
+        <polygon class="chart-grid${level === 50 ? ' chart-grid-mid' : ''}" points="${polygon(order.map(() => level))}"/>
+    `).join('');
+
+    const spokes = order.map((_, index) => {
+        const end = pointAt(index, 100);
+        return `<line class="chart-grid" x1="${center}" y1="${center}" x2="${end.x}" y2="${end.y}"/>`;
+    }).join('');
+
+    const values = order.map(funcType => scores?.[funcType] ?? 0);
+
+    const points = order.map((funcType, index) => {
+        const { x, y } = pointAt(index, values[index]);
+        const highlighted = funcType === options.highlight;
+        return `<circle class="chart-point${highlighted ? ' chart-highlight' : ''}" cx="${x}" cy="${y}" r="${highlighted ? POINT_RADIUS * 1.6 : POINT_RADIUS}"/>`;
+    }).join('');
+
+    const labels = order.map((funcType, index) => {
+        const angle = -Math.PI / 2 + (index * 2 * Math.PI) / order.length;
+        const x = round(center + (radius + LABEL_OFFSET) * Math.cos(angle));
+        const y = round(center + (radius + LABEL_OFFSET) * Math.sin(angle));
+        const anchor = Math.abs(Math.cos(angle)) < 0.3 ? 'middle' : (Math.cos(angle) > 0 ? 'start' : 'end');
+        return `<text class="chart-label${funcType === options.highlight ? ' chart-highlight' : ''}" x="${x}" y="${y}" text-anchor="${anchor}" dominant-baseline="middle">${funcType}</text>`;
+    }).join('');
+
+    return renderSvg({
+        kind: 'radar',
+        width: SIZE,
+        height: SIZE,
+        title: options.title || t('charts.radarTitle'),
+        description: options.description || order
+            .map((funcType, index) => `${funcType} ${Math.round(values[index])}`)
+            .join(', '),
+        id: options.id,
+        body: `${rings}${spokes}<polygon class="chart-area" points="${polygon(values)}"/>${points}${labels}`
+    });
+}
+
+// ============================================
+// 機能スコアの横棒グラフ
+// ============================================
+
+/**
+ * 機能スコアの横棒グラフ (信頼区間があればひげで示す)
+ * @param {Array<{name: string, normalizedScore: number}>} functionScores - 機能スコア (表示順)
+ * @param {Object} [options]
+ * @param {Object<string, {lower: number, upper: number}>} [options.intervals] - 機能ごとの信頼区間 (0-100)
+ * @param {string} [options.title] - タイトル
+ * @param {string} [options.description] - 説明 (省略時はスコアの一覧)
+ * @param {string} [options.id] - title/desc の id の接頭辞
+ * @returns {string} SVGマークアップ
+ */
+export function renderFunctionBarChart(functionScores, options = {}) {
+    const { WIDTH, ROW_HEIGHT, LABEL_WIDTH, VALUE_WIDTH, BAR_HEIGHT } = CHART_CONFIG.BARS;
+    const intervals = options.intervals || {};
+    const trackWidth = WIDTH - LABEL_WIDTH - VALUE_WIDTH;
+    const height = ROW_HEIGHT * functionScores.length;
+    const x = (score) => round(LABEL_WIDTH + (clamp(score, 0, 100) / 100) * trackWidth);
+
+    const rows = functionScores.map((entry, index) => {
+        const middle = index * ROW_HEIGHT + ROW_HEIGHT / 2;
+        const barY = middle - BAR_HEIGHT / 2;
+        const interval = intervals[entry.name];
+
+        return `
+            <g>
+                <text class="chart-label" x="0" y="${middle}" dominant-baseline="middle">${escapeHtml(entry.name)}</text>
+                <rect class="chart-track" x="${LABEL_WIDTH}" y="${barY}" width="${trackWidth}" height="${BAR_HEIGHT}" rx="2"/>
+                <rect class="chart-bar" x="${LABEL_WIDTH}" y="${barY}" width="${round(x(entry.normalizedScore) - LABEL_WIDTH)}" height="${BAR_HEIGHT}" rx="2"/>
+                ${interval ? `<line class="chart-interval" x1="${x(interval.lower)}" x2="${x(interval.upper)}" y1="${middle}" y2="${middle}"/>` : ''}
+                <text class="chart-value" x="${WIDTH}" y="${middle}" text-anchor="end" dominant-baseline="middle">${entry.normalizedScore}</text>
+            </g>
+        `;
+    }).join('');
+
+    return renderSvg({
+        kind: 'bars',
+        width: WIDTH,
+        height,
+        title: options.title || t('charts.barsTitle'),
+        description: options.description || functionScores
+            .map(entry => intervals[entry.name]
+                ? `${entry.name} ${entry.normalizedScore} (${intervals[entry.name].lower}–${intervals[entry.name].upper})`
+                : `${entry.name} ${entry.normalizedScore}`)
+            .join(', '),
+        id: options.id,
+        body: `<line class="chart-grid chart-grid-mid" x1="${x(50)}" x2="${x(50)}" y1="0" y2="${height}"/>${rows}`
+    });
+}
+
+// ============================================
+// 16タイプの順位グラフ
+// ============================================
+
+/**
+ * タイプスコアを降順の配列にそろえる
+ * 判定結果の typeScores (オブジェクト) とレポートの typeScores (配列) の両方を受け付ける
+ * @param {Object<string, number>|Array<{type: string, score: number}>} typeScores - タイプスコア
+ * @returns {Array<{type: string, score: number}>} 降順のタイプスコア
+ */
+function toRankedTypeScores(typeScores) {
+    const entries = Array.isArray(typeScores)
+        ? typeScores.map(({ type, score }) => ({ type, score }))
+        : Object.entries(typeScores || {}).map(([type, score]) => ({ type, score }));
+    return entries
+        .filter(entry => Number.isFinite(entry.score))
+        .sort((a, b) => b.score - a.score);
+}
+
+/**
+ * 16タイプのスコアの順位グラフ (降順の横棒。負のスコアは0の線から左に伸ばす)
+ * @param {Object<string, number>|Array<{type: string, score: number}>} typeScores - タイプスコア
+ * @param {Object} [options]
+ * @param {string} [options.highlight] - 強調するタイプ (判定結果)
+ * @param {string} [options.title] - タイトル
+ * @param {string} [options.description] - 説明 (省略時は順位の一覧)
+ * @param {string} [options.id] - title/desc の id の接頭辞
+ * @returns {string} SVGマークアップ
+ */
+export function renderTypeRankingChart(typeScores, options = {}) {
+    const { WIDTH, ROW_HEIGHT, LABEL_WIDTH, VALUE_WIDTH, BAR_HEIGHT } = CHART_CONFIG.TYPE_RANKING;
+    const ranked = toRankedTypeScores(typeScores);
+    const trackWidth = WIDTH - LABEL_WIDTH - VALUE_WIDTH;
+    const height = ROW_HEIGHT * ranked.length;
+
+    // 0 を必ず含む範囲で目盛りを取る (戦略によってはスコアが負になる)
+    const min = Math.min(0, ...ranked.map(entry => entry.score));
+    const max = Math.max(0, ...ranked.map(entry => entry.score));
+    const span = max - min || 1;
+    const x = (score) => round(LABEL_WIDTH + ((score - min) / span) * trackWidth);
+    const zero = x(0);
+    const formatScore = (score) => String(Math.round(score * 10) / 10);
+
+    const rows = ranked.map((entry, index) => {
+        const middle = index * ROW_HEIGHT + ROW_HEIGHT / 2;
+        const end = x(entry.score);
+        const highlighted = entry.type === options.highlight;
+
+        return `
+            <g${highlighted ? ' class="chart-highlight"' : ''}>
+                <text class="chart-label" x="0" y="${middle}" dominant-baseline="middle">${index + 1}. ${escapeHtml(entry.type)}</text>
+                <rect class="chart-bar" x="${Math.min(zero, end)}" y="${middle - BAR_HEIGHT / 2}" width="${round(Math.abs(end - zero))}" height="${BAR_HEIGHT}" rx="2"/>
+                <text class="chart-value" x="${WIDTH}" y="${middle}" text-anchor="end" dominant-baseline="middle">${formatScore(entry.score)}</text>
+            </g>
+        `;
+    }).join('');
+
+    return renderSvg({
+        kind: 'types',
+        width: WIDTH,
+        height,
+        title: options.title || t('charts.typesTitle'),
+        description: options.description || ranked
+            .map((entry, index) => `${index + 1}. ${entry.type} ${formatScore(entry.score)}`)
+            .join(', '),
+        id: options.id,
+        body: `<line class="chart-grid" x1="${zero}" x2="${zero}" y1="0" y2="${height}"/>${rows}`
+    });
+}
+
+// ============================================
+// 軸ゲージ (I/E・N/S・T/F)
+// ============================================
+
+/**
+ * profile.axes の3軸のゲージ
+ * 各軸は value = 1 の側 (I・N・T) を左に置き、マーカーの位置で傾きを示す
+ * @param {import('./ai-adapter.js').ProfileAxes} axes - 軸スコア (0-1)
+ * @param {Object} [options]
+ * @param {string} [options.title] - タイトル
+ * @param {string} [options.description] - 説明 (省略時は各軸の割合)
+ * @param {string} [options.id] - title/desc の id の接頭辞
+ * @returns {string} SVGマークアップ
+ */
+export function renderAxisGauge(axes, options = {}) {
+    const { WIDTH, ROW_HEIGHT, POLE_WIDTH, TRACK_HEIGHT, MARKER_RADIUS } = CHART_CONFIG.GAUGE;
+    const trackWidth = WIDTH - POLE_WIDTH * 2;
+    const height = ROW_HEIGHT * PROFILE_AXES.length;
+
+    const rows = PROFILE_AXES.map((axis, index) => {
+        const value = clamp(axes?.[axis.key]?.value ?? 0.5, 0, 1);
+        const highPercent = Math.round(value * 100);
+        const middle = index * ROW_HEIGHT + ROW_HEIGHT / 2;
+        const markerX = round(POLE_WIDTH + (1 - value) * trackWidth);
+
+        return {
+            text: `${axis.high} ${highPercent}% – ${axis.low} ${100 - highPercent}%`,
+            svg: `
+                <g>
+                    <text class="chart-label${value > 0.5 ? ' chart-highlight' : ''}" x="0" y="${middle}" dominant-baseline="middle">${axis.high} ${highPercent}%</text>
+                    <rect class="chart-track" x="${POLE_WIDTH}" y="${middle - TRACK_HEIGHT / 2}" width="${trackWidth}" height="${TRACK_HEIGHT}" rx="${TRACK_HEIGHT / 2}"/>
+                    <line class="chart-grid chart-grid-mid" x1="${POLE_WIDTH + trackWidth / 2}" x2="${POLE_WIDTH + trackWidth / 2}" y1="${middle - TRACK_HEIGHT}" y2="${middle + TRACK_HEIGHT}"/>
+                    <circle class="chart-point" cx="${markerX}" cy="${middle}" r="${MARKER_RADIUS}"/>
+                    <text class="chart-label${value < 0.5 ? ' chart-highlight' : ''}" x="${WIDTH}" y="${middle}" text-anchor="end" dominant-baseline="middle">${axis.low} ${100 - highPercent}%</text>
+                </g>
+            `
+        };
+    });
+
+    return renderSvg({
+        kind: 'gauge',
+        width: WIDTH,
+        height,
+        title: options.title || t('charts.gaugeTitle'),
+        description: options.description || rows.map(row => row.text).join(', '),
+        id: options.id,
+        body: rows.map(row => row.svg).join('')
+    });
+}
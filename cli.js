@@ -0,0 +1,469 @@
+#!/usr/bin/env node
+// ============================================
+// cli.js - Headless Diagnosis CLI (Node.js)
+// ============================================
+//
+// 使い方:
+//   node cli.js --answers answers.json [--mode standard] [--format report]
+//   node cli.js --answers pilot.csv --mode detail --format myself --out result.json
+//   node cli.js --answers pilot.csv --format csv --out results.csv
+//
+// 回答ファイルの形式:
+//   - JSON: { "ni_01": 4, ... } / { "ni_01": { "value": 4 } } / [{ "id": "ni_01", "value": 4 }]
+//           保存済み状態 ({ answers: {...}, mode }) もそのまま読み込める
+//   - CSV (縦持ち): id,value の2列 (1ファイル = 1回答者)
+//   - CSV (横持ち): ヘッダーに質問ID、1行 = 1回答者 (respondent 列は任意)
+
+import { readFile, writeFile } from 'node:fs/promises';
+import { extname } from 'node:path';
+import { pathToFileURL } from 'node:url';
+import { parseArgs } from 'node:util';
+
+import {
+    calculateFunctionScores,
+    createBeebeStrategy,
+    generateDiagnosticReport,
+    listScoringStrategies,
+    printDiagnosticReport,
+    registerScoringStrategy
+} from './core.js';
+import { buildMyselfProfile } from './profile-exporter.js';
+import { listProfileFormats, serializeProfiles } from './profile-formats.js';
+import { ADAPTIVE_CONFIG } from './adaptive.js';
+import { analyzeItems, renderItemAnalysisHTML } from './item-analysis.js';
+
+// ============================================
+// 定数定義
+// ============================================
+
+const VALID_MODES = Object.freeze(['simple', 'standard', 'detail', 'adaptive']);
+/** myself プロファイルを profile-formats.js の形式で書き出す形式 (JSON は myself と同じため除く) */
+const PROFILE_FORMATS = Object.freeze(listProfileFormats().map(format => format.id).filter(id => id !== 'json'));
+
+const VALID_FORMATS = Object.freeze(['report', 'myself', 'summary', 'items', 'items-html', ...PROFILE_FORMATS]);
+
+/** 全回答者をまとめて集計する形式 (項目分析) */
+const AGGREGATE_FORMATS = Object.freeze(['items', 'items-html']);
+const DEFAULT_MODE = 'standard';
+const DEFAULT_FORMAT = 'report';
+
+/** データディレクトリ (cli.js からの相対位置) */
+const DATA_DIR = new URL('./data/', import.meta.url);
+
+/** 回答者ID列として扱うCSVヘッダー */
+const RESPONDENT_COLUMNS = Object.freeze(['respondent', 'respondentId', 'respondent_id']);
+
+const USAGE = `Usage: node cli.js --answers <file> [--answers <file> ...] [options]
+
+Options:
+  -a, --answers <file>   回答ファイル (.json / .csv, 複数指定可)
+  -m, --mode <mode>      ${VALID_MODES.join(' | ')} (default: ${DEFAULT_MODE})
+  -f, --format <format>  ${VALID_FORMATS.join(' | ')} (default: ${DEFAULT_FORMAT})
+  -o, --out <file>       出力先ファイル (省略時は標準出力)
+  -s, --strategy <id>    スコアリング戦略 (${listScoringStrategies().map(s => s.id).join(' | ')})
+      --profile-id <id>  myself.json の source.profileId
+  -h, --help             このヘルプを表示
+
+Formats:
+  report / myself / summary  回答者ごとの診断結果
+  items / items-html         全回答者を集計した項目分析 (JSON / HTMLテーブル)`;
+
+// ============================================
+// データ読み込み
+// ============================================
+
+/**
+ * JSONファイルを読み込む
+ * @param {string|URL} path - ファイルパス
+ * @returns {Promise<any>} パース済みJSON
+ */
+async function readJSON(path) {
+    const text = await readFile(path, 'utf8');
+    try {
+        return JSON.parse(text);
+    } catch (error) {
+        throw new Error(`[CLI] Failed to parse JSON from ${path}: ${error.message}`);
+    }
+}
+
+/**
+ * 質問データとMBTI設定をディスクから読み込む
+ * @param {string} mode - 診断モード
+ * @returns {Promise<{questions: Array, cognitiveStacks: Object, mbtiDescriptions: Object}>} データ
+ */
+async function loadData(mode) {
+    // 適応型の回答は詳細モードの質問バンクの部分集合
+    const bank = mode === 'adaptive' ? ADAPTIVE_CONFIG.QUESTION_BANK : mode;
+    const [questionData, config] = await Promise.all([
+        readJSON(new URL(`questions-${bank}.json`, DATA_DIR)),
+        readJSON(new URL('mbti-config.json', DATA_DIR))
+    ]);
+
+    if (!Array.isArray(questionData.questions) || questionData.questions.length === 0) {
+        throw new Error(`[CLI] No questions found in ${mode} mode data`);
+    }
+    if (!config.cognitiveStacks || !config.mbtiDescriptions) {
+        throw new Error('[CLI] Invalid MBTI config format');
+    }
+    if (config.beebeModel) {
+        registerScoringStrategy(createBeebeStrategy(config.beebeModel));
+    }
+
+    return {
+        questions: questionData.questions,
+        cognitiveStacks: config.cognitiveStacks,
+        mbtiDescriptions: config.mbtiDescriptions
+    };
+}
+
+// ============================================
+// 回答ファイルのパース
+// ============================================
+
+/**
+ * CSVテキストを行・列に分割 (ダブルクォート対応)
+ * @param {string} text - CSVテキスト
+ * @returns {string[][]} 行配列
+ */
+function parseCSV(text) {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let inQuotes = false;
+
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+
+        if (inQuotes) {
+            if (char === '"' && text[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                inQuotes = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            inQuotes = true;
+        } else if (char === ',') {
+            row.push(field.trim());
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') i++;
+            row.push(field.trim());
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+
+    if (field !== '' || row.length > 0) {
+        row.push(field.trim());
+        rows.push(row);
+    }
+
+    return rows.filter(r => r.some(cell => cell !== ''));
+}
+
+/**
+ * CSVから回答者ごとの生回答を取り出す
+ * @param {string} text - CSVテキスト
+ * @param {Set<string>} questionIds - 既知の質問ID
+ * @returns {Array<{respondent: string|null, raw: Object<string, any>}>} 回答者配列
+ */
+function parseAnswersCSV(text, questionIds) {
+    const rows = parseCSV(text.replace(/^\uFEFF/, ''));
+    if (rows.length === 0) return [];
+
+    const header = rows[0];
+    const idIndex = header.findIndex(h => ['id', 'questionId', 'question_id'].includes(h));
+    const valueIndex = header.indexOf('value');
+    const isLongFormat = idIndex !== -1 && valueIndex !== -1 &&
+        !header.some(h => questionIds.has(h));
+
+    // 縦持ち: ヘッダー付き or ヘッダーなし (1列目が質問ID)
+    if (isLongFormat || (header.length === 2 && questionIds.has(header[0]))) {
+        const body = isLongFormat ? rows.slice(1) : rows;
+        const qi = isLongFormat ? idIndex : 0;
+        const vi = isLongFormat ? valueIndex : 1;
+        const raw = {};
+        body.forEach(r => { raw[r[qi]] = r[vi]; });
+        return [{ respondent: null, raw }];
+    }
+
+    // 横持ち: 1行 = 1回答者
+    const respondentIndex = header.findIndex(h => RESPONDENT_COLUMNS.includes(h));
+    return rows.slice(1).map((r, index) => {
+        const raw = {};
+        header.forEach((h, col) => {
+            if (col !== respondentIndex && r[col] !== undefined && r[col] !== '') {
+                raw[h] = r[col];
+            }
+        });
+        return {
+            respondent: respondentIndex !== -1 ? r[respondentIndex] : String(index + 1),
+            raw
+        };
+    });
+}
+
+/**
+ * JSONから回答者ごとの生回答を取り出す
+ * @param {any} data - パース済みJSON
+ * @returns {Array<{respondent: string|null, raw: Object<string, any>}>} 回答者配列
+ */
+function parseAnswersJSON(data) {
+    // 保存済み状態 / ラッパー形式
+    if (data && !Array.isArray(data) && typeof data.answers === 'object') {
+        return parseAnswersJSON(data.answers).map(entry => ({
+            ...entry,
+            respondent: data.respondent ?? data.profileId ?? entry.respondent
+        }));
+    }
+
+    // [{ answers: {...} }, ...] 形式 (保存済み状態の配列)
+    if (Array.isArray(data) && data.length > 0 && data.every(item => item && typeof item.answers === 'object')) {
+        return data.flatMap(item => parseAnswersJSON(item));
+    }
+
+    // [{ id, value }] 形式
+    if (Array.isArray(data)) {
+        const raw = {};
+        data.forEach(item => {
+            const id = item?.id ?? item?.questionId;
+            if (id) raw[id] = item.value;
+        });
+        return [{ respondent: null, raw }];
+    }
+
+    if (data && typeof data === 'object') {
+        return [{ respondent: null, raw: data }];
+    }
+
+    throw new Error('[CLI] Unsupported answers JSON format');
+}
+
+/**
+ * 生回答を診断状態と同じ { value, isReverse } 形式に正規化
+ * @param {Object<string, any>} raw - 生回答
+ * @param {Map<string, Object>} questionMap - 質問IDマップ
+ * @returns {{answers: Object<string, {value: number, isReverse: boolean}>, skipped: string[]}} 正規化結果
+ */
+function normalizeAnswers(raw, questionMap) {
+    const answers = {};
+    const skipped = [];
+
+    for (const [id, entry] of Object.entries(raw)) {
+        const question = questionMap.get(id);
+        if (!question) {
+            skipped.push(`${id} (unknown question)`);
+            continue;
+        }
+
+        const value = Number(typeof entry === 'object' && entry !== null ? entry.value : entry);
+        if (!Number.isInteger(value) || value < 1 || value > 5) {
+            skipped.push(`${id} (invalid value: ${JSON.stringify(entry)})`);
+            continue;
+        }
+
+        answers[id] = { value, isReverse: question.reverse || false };
+
+        // 保存済み状態に含まれる回答タイミングは引き継ぐ
+        if (typeof entry === 'object' && entry !== null) {
+            ['shownAt', 'answeredAt', 'changeCount'].forEach(key => {
+                if (typeof entry[key] === 'number') answers[id][key] = entry[key];
+            });
+        }
+    }
+
+    return { answers, skipped };
+}
+
+// ============================================
+// 診断実行
+// ============================================
+
+/**
+ * 1回答者分の診断を実行
+ * @param {Object<string, {value: number, isReverse: boolean}>} answers - 回答データ
+ * @param {Object} data - loadData() の戻り値
+ * @param {{mode: string, format: string, strategy?: string, profileId?: string|null}} options - 実行オプション
+ * @returns {Object} レポートまたは myself プロファイル
+ */
+export function runDiagnosis(answers, data, options) {
+    const { questions, cognitiveStacks, mbtiDescriptions } = data;
+    const functionScores = calculateFunctionScores(answers, questions);
+
+    if (options.format === 'myself') {
+        return buildMyselfProfile(
+            functionScores,
+            answers,
+            questions,
+            cognitiveStacks,
+            mbtiDescriptions,
+            {
+                mode: options.mode,
+                source: 'PersonaFinder CLI',
+                profileId: options.profileId ?? null,
+                strategy: options.strategy
+            }
+        );
+    }
+
+    const reportOptions = { strategy: options.strategy };
+
+    if (options.format === 'summary') {
+        return printDiagnosticReport(functionScores, cognitiveStacks, answers, questions, reportOptions);
+    }
+
+    return generateDiagnosticReport(functionScores, cognitiveStacks, answers, questions, reportOptions);
+}
+
+/**
+ * 回答ファイルを読み込んで回答者配列を返す
+ * @param {string} path - ファイルパス
+ * @param {Object} data - loadData() の戻り値
+ * @returns {Promise<Array<{respondent: string|null, answers: Object, skipped: string[]}>>} 回答者配列
+ */
+export async function loadAnswers(path, data) {
+    const questionMap = new Map(data.questions.map(q => [q.id, q]));
+    const text = await readFile(path, 'utf8');
+
+    const entries = extname(path).toLowerCase() === '.csv'
+        ? parseAnswersCSV(text, new Set(questionMap.keys()))
+        : parseAnswersJSON(JSON.parse(text));
+
+    return entries.map(({ respondent, raw }) => ({
+        respondent,
+        ...normalizeAnswers(raw, questionMap)
+    }));
+}
+
+// ============================================
+// エントリーポイント
+// ============================================
+
+/**
+ * CLIメイン処理
+ * @param {string[]} argv - コマンドライン引数
+ * @returns {Promise<number>} 終了コード
+ */
+async function main(argv) {
+    const { values } = parseArgs({
+        args: argv,
+        options: {
+            answers: { type: 'string', short: 'a', multiple: true },
+            mode: { type: 'string', short: 'm', default: DEFAULT_MODE },
+            format: { type: 'string', short: 'f', default: DEFAULT_FORMAT },
+            out: { type: 'string', short: 'o' },
+            strategy: { type: 'string', short: 's' },
+            'profile-id': { type: 'string' },
+            help: { type: 'boolean', short: 'h' }
+        }
+    });
+
+    if (values.help || !values.answers) {
+        console.log(USAGE);
+        return values.help ? 0 : 1;
+    }
+    if (!VALID_MODES.includes(values.mode)) {
+        console.error(`Invalid mode: ${values.mode}. Valid modes are: ${VALID_MODES.join(', ')}`);
+        return 1;
+    }
+    if (!VALID_FORMATS.includes(values.format)) {
+        console.error(`Invalid format: ${values.format}. Valid formats are: ${VALID_FORMATS.join(', ')}`);
+        return 1;
+    }
+    const strategies = listScoringStrategies().map(s => s.id);
+    if (values.strategy && !strategies.includes(values.strategy)) {
+        console.error(`Invalid strategy: ${values.strategy}. Valid strategies are: ${strategies.join(', ')}`);
+        return 1;
+    }
+
+    const data = await loadData(values.mode);
+    const loaded = await Promise.all(values.answers.map(async path =>
+        (await loadAnswers(path, data)).map(entry => ({
+            ...entry,
+            respondent: entry.respondent ?? (values.answers.length > 1 ? path : null)
+        }))
+    ));
+    const respondents = loaded.flat();
+
+    if (respondents.length === 0) {
+        console.error(`[CLI] No answers found in ${values.answers.join(', ')}`);
+        return 1;
+    }
+
+    respondents.forEach(({ respondent, skipped }) => {
+        if (skipped.length > 0) {
+            console.error(`[CLI] ${respondent ?? values.answers[0]}: skipped ${skipped.length} answer(s): ${skipped.join(', ')}`);
+        }
+    });
+
+    if (AGGREGATE_FORMATS.includes(values.format)) {
+        const analysis = analyzeItems(respondents.map(r => r.answers), data.questions);
+        const payload = values.format === 'items-html'
+            ? renderItemAnalysisHTML(analysis)
+            : `${JSON.stringify(analysis, null, 2)}\n`;
+
+        if (values.out) {
+            await writeFile(values.out, payload, 'utf8');
+            console.error(`[CLI] Item analysis of ${respondents.length} answer set(s) written to ${values.out}`);
+        } else {
+            process.stdout.write(payload);
+        }
+        return 0;
+    }
+
+    // csv / markdown / yaml は全回答者を1つの文書にまとめる (CSV は1行 = 1回答者)
+    if (PROFILE_FORMATS.includes(values.format)) {
+        const profiles = respondents.map(({ respondent, answers }) => runDiagnosis(answers, data, {
+            mode: values.mode,
+            format: 'myself',
+            strategy: values.strategy,
+            profileId: values['profile-id'] ?? respondent
+        }));
+        const payload = serializeProfiles(profiles, values.format);
+
+        if (values.out) {
+            await writeFile(values.out, payload, 'utf8');
+            console.error(`[CLI] ${profiles.length} profile(s) written to ${values.out}`);
+        } else {
+            process.stdout.write(payload);
+        }
+        return 0;
+    }
+
+    // summary はコンソール出力が本体なので、JSONはファイル指定時のみ書き出す
+    const results = respondents.map(({ respondent, answers }) => {
+        const output = runDiagnosis(answers, data, {
+            mode: values.mode,
+            format: values.format,
+            strategy: values.strategy,
+            profileId: values['profile-id'] ?? respondent
+        });
+        return respondents.length > 1 ? { respondent, ...output } : output;
+    });
+
+    const payload = JSON.stringify(results.length === 1 ? results[0] : results, null, 2);
+
+    if (values.out) {
+        await writeFile(values.out, `${payload}\n`, 'utf8');
+        console.error(`[CLI] ${results.length} result(s) written to ${values.out}`);
+    } else if (values.format !== 'summary') {
+        process.stdout.write(`${payload}\n`);
+    }
+
+    return 0;
+}
+
+if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) {
+    main(process.argv.slice(2))
+        .then(code => { process.exitCode = code; })
+        .catch(error => {
+            console.error(error.message || error);
+            process.exitCode = 1;
+        });
+}
@@ -2,6 +2,10 @@
 // components.js - UI Components (リファクタ版)
 // ============================================
 
+import { t, getLanguage } from './i18n.js';
+import { renderRadarChart, renderTypeRankingChart, renderAxisGauge } from './charts.js';
+import { buildProfileAxes } from './profile-exporter.js';
+
 // ============================================
 // 型定義 (JSDoc)
 // ============================================
@@ -34,6 +38,22 @@
  * @property {string|null} warning - 警告メッセージ
  */
 
+// ============================================
+// 定数定義
+// ============================================
+
+/** 履歴グラフの機能ごとの色 (同じ態度の内向・外向は同系色) */
+const FUNCTION_COLORS = Object.freeze({
+    Ni: '#a78bfa',
+    Ne: '#c084fc',
+    Si: '#34d399',
+    Se: '#a3e635',
+    Ti: '#60a5fa',
+    Te: '#22d3ee',
+    Fi: '#f472b6',
+    Fe: '#fb923c'
+});
+
 // ============================================
 // ユーティリティ関数
 // ============================================
@@ -49,6 +69,65 @@ function escapeHtml(text) {
     return div.innerHTML;
 }
 
+/**
+ * 回答値 (1-5) のラベルを取得
+ * @param {number} value - 回答値
+ * @returns {string} ラベル
+ */
+function getLikertLabel(value) {
+    return t(`likert.${value}`, {}, String(value));
+}
+
+/**
+ * スタックのスロット名を取得 (カタログに訳語がなければ core.js のラベル)
+ * @param {{id?: string, label: string}} slot - スロット
+ * @returns {string} スロット名
+ */
+function getSlotLabel(slot) {
+    return slot.id ? t(`stackSlots.${slot.id}`, {}, slot.label) : slot.label;
+}
+
+/**
+ * 認知機能の表示名・説明を取得 (カタログに訳語がなければ core.js の FUNCTIONS)
+ * @param {string} funcType - 機能タイプ
+ * @param {Object} FUNCTIONS - 機能定義
+ * @returns {{fullName: string, description: string}} 表示名と説明
+ */
+function getFunctionText(funcType, FUNCTIONS) {
+    return {
+        fullName: t(`functions.${funcType}.fullName`, {}, FUNCTIONS[funcType].fullName),
+        description: t(`functions.${funcType}.description`, {}, FUNCTIONS[funcType].description)
+    };
+}
+
+/**
+ * 日付を現在の言語の形式で表示
+ * @param {number} timestamp - epoch ms
+ * @returns {string} 日付
+ */
+function formatDate(timestamp) {
+    return new Date(timestamp).toLocaleDateString(getLanguage());
+}
+
+/**
+ * 署名鍵IDを短く表示 (先頭16桁を4桁ずつ区切る)
+ * @param {string} keyId - 鍵ID (SHA-256, 16進)
+ * @returns {string} 'ab12 cd34 ef56 7890'
+ */
+function formatKeyId(keyId) {
+    return keyId.slice(0, 16).match(/.{1,4}/g).join(' ');
+}
+
+/**
+ * スコアの変化量を符号付きで表示
+ * @param {number} delta - 変化量
+ * @returns {string} '+5' / '-3' / '±0'
+ */
+function formatDelta(delta) {
+    if (delta === 0) return '±0';
+    return delta > 0 ? `+${delta}` : String(delta);
+}
+
 // ============================================
 // ProgressSection - 進捗セクションコンポーネント
 // ============================================
@@ -63,28 +142,30 @@ export const ProgressSection = {
      * @param {Function} getNormalizedScore - スコア正規化関数
      * @param {Array} questions - 質問配列
      * @param {Object} currentScores - 現在のスコア
+     * @param {number} [totalQuestions] - 進捗の分母 (適応型モードでは最大出題数)
      * @returns {string} HTMLマークアップ
      */
-    render(state, provisionalType, mbtiDescriptions, COGNITIVE_STACKS, getNormalizedScore, questions, currentScores) {
+    render(state, provisionalType, mbtiDescriptions, COGNITIVE_STACKS, getNormalizedScore, questions, currentScores, totalQuestions = questions.length) {
         const { currentQuestion, answers } = state;
         const answeredCount = Object.keys(answers).length;
-        const progressPercent = Math.round((currentQuestion / Math.max(1, questions.length - 1)) * 100);
+        const progressPercent = Math.round((currentQuestion / Math.max(1, totalQuestions - 1)) * 100);
         
         const provisionalDesc = mbtiDescriptions[provisionalType];
         const isInitialState = answeredCount === 0;
         
         const progressNote = isInitialState 
-            ? '<div style="font-size:11px;color:#94a3b8;margin-top:4px;opacity:0.7;">※便宜上の仮値です</div>'
+            ? `<div style="font-size:11px;color:#94a3b8;margin-top:4px;opacity:0.7;">${escapeHtml(t('progress.provisionalNote'))}</div>`
             : (answeredCount < 8 
-                ? '<div style="font-size:11px;color:#fbbf24;margin-top:4px;">⚠ 回答数が少ないため精度が低い可能性があります</div>'
+                ? `<div style="font-size:11px;color:#fbbf24;margin-top:4px;">${escapeHtml(t('progress.lowAnswersNote'))}</div>`
                 : '');
 
         const stack = COGNITIVE_STACKS[provisionalType];
+        const stackSlotIds = ['dominant', 'auxiliary', 'tertiary', 'inferior'];
         const stackLabels = ['主機能', '補助機能', '第三機能', '劣等機能'];
         
         const stackScores = stack.map((key, index) => ({
             key,
-            label: stackLabels[index],
+            label: getSlotLabel({ id: stackSlotIds[index], label: stackLabels[index] }),
             normalizedValue: getNormalizedScore(currentScores[key])
         }));
 
@@ -93,19 +174,19 @@ export const ProgressSection = {
             .filter(key => !stack.includes(key))
             .map(key => ({
                 key,
-                label: 'Shadow',
+                label: t('progress.shadow'),
                 normalizedValue: getNormalizedScore(currentScores[key])
             }));
 
         return `
             <div class="progress-header">
                 <div class="provisional-type">
-                    <span class="type-badge" id="type-badge" aria-label="暫定タイプ ${provisionalType}">${provisionalType}</span>
+                    <span class="type-badge" id="type-badge" aria-label="${escapeHtml(t('progress.typeAria', { type: provisionalType }))}">${provisionalType}</span>
                     <span class="type-name" id="type-name">${escapeHtml(provisionalDesc.name)}</span>
                 </div>
-                <div class="progress-percent" id="progress-percent" aria-label="進捗 ${progressPercent}パーセント">${progressPercent}%</div>
+                <div class="progress-percent" id="progress-percent" aria-label="${escapeHtml(t('progress.percentAria', { percent: progressPercent }))}">${progressPercent}%</div>
             </div>
-            <div class="progress-bar" role="progressbar" aria-valuenow="${progressPercent}" aria-valuemin="0" aria-valuemax="100" aria-label="診断進捗">
+            <div class="progress-bar" role="progressbar" aria-valuenow="${progressPercent}" aria-valuemin="0" aria-valuemax="100" aria-label="${escapeHtml(t('progress.barAria'))}">
                 <div class="progress-fill" id="progress-fill" style="width: ${progressPercent}%"></div>
             </div>
             <div id="progress-note">${progressNote}</div>
@@ -116,10 +197,10 @@ export const ProgressSection = {
                     onclick="toggleScores()"
                     aria-expanded="false"
                     aria-controls="scores-list">
-                    <span id="toggle-text">スコア詳細を表示</span>
+                    <span id="toggle-text">${escapeHtml(t('progress.showScores'))}</span>
                     <span id="toggle-icon" aria-hidden="true">▼</span>
                 </button>
-                <div class="scores-list" id="scores-list" role="region" aria-label="スコア詳細">
+                <div class="scores-list" id="scores-list" role="region" aria-label="${escapeHtml(t('progress.scoresAria'))}">
                     ${stackScores.map(item => this._renderScoreMini(item, false)).join('')}
                     ${shadowScores.map(item => this._renderScoreMini(item, true)).join('')}
                 </div>
@@ -138,7 +219,7 @@ export const ProgressSection = {
             <div class="score-mini ${isShadow ? 'score-mini-shadow' : ''}" data-score-key="${item.key}">
                 <div class="score-mini-position">${escapeHtml(item.label)}</div>
                 <div class="score-mini-label">${item.key}</div>
-                <div class="score-mini-value" aria-label="${item.key} スコア ${item.normalizedValue}">${item.normalizedValue}</div>
+                <div class="score-mini-value" aria-label="${escapeHtml(t('progress.scoreAria', { key: item.key, value: item.normalizedValue }))}">${item.normalizedValue}</div>
             </div>
         `;
     }
@@ -160,13 +241,7 @@ export const QuestionCard = {
      * @returns {string} HTMLマークアップ
      */
     render(question, impacts, currentValue, isShadow, questionIndex, totalQuestions) {
-        const SCORE_LABELS = {
-            1: "全くそう思わない",
-            2: "あまりそう思わない",
-            3: "どちらとも言えない",
-            4: "ややそう思う",
-            5: "とてもそう思う"
-        };
+        const SCORE_LABELS = Object.fromEntries([1, 2, 3, 4, 5].map(v => [v, getLikertLabel(v)]));
 
         const funcColor = isShadow ? '#94a3b8' : '#60a5fa';
         const questionId = `question-text-${questionIndex}`;
@@ -174,11 +249,11 @@ export const QuestionCard = {
 
         return `
             <div class="question-header" id="${headerId}">
-                Question ${questionIndex + 1} of ${totalQuestions}
+                ${escapeHtml(t('question.header', { current: questionIndex + 1, total: totalQuestions }))}
             </div>
             <div class="question-text" id="${questionId}">
                 ${escapeHtml(question.text)}
-                ${question.reverse ? ' <span style="color:var(--color-accent-primary);font-size:0.9em">(逆転項目)</span>' : ''}
+                ${question.reverse ? ` <span style="color:var(--color-accent-primary);font-size:0.9em">${escapeHtml(t('question.reverseItem'))}</span>` : ''}
             </div>
 
             <div class="options-horizontal" 
@@ -192,15 +267,12 @@ export const QuestionCard = {
 
             ${window.innerWidth <= 360 ? `
                 <div class="mobile-hint" role="note">
-                    横スクロールで全選択肢を確認できます
+                    ${escapeHtml(t('question.mobileHint'))}
                 </div>
             ` : ''}
 
             <div class="keyboard-hint" role="note">
-                キーボード操作: 
-                <kbd>←</kbd><kbd>→</kbd> 選択肢移動 | 
-                <kbd>Enter</kbd> 決定 | 
-                <kbd>Home</kbd>/<kbd>End</kbd> 最初/最後
+                ${t('question.keyboardHintHtml')}
             </div>
         `;
     },
@@ -222,7 +294,7 @@ export const QuestionCard = {
             <button class="option ${isSelected ? 'selected' : ''} ${isShadow ? 'option-shadow' : ''}"
                     role="radio"
                     aria-checked="${isSelected}"
-                    aria-label="${escapeHtml(SCORE_LABELS[value])} - ${value}点"
+                    aria-label="${escapeHtml(t('question.optionAria', { label: SCORE_LABELS[value], value }))}"
                     data-value="${value}"
                     tabindex="${isSelected ? '0' : '-1'}">
                 
@@ -246,7 +318,7 @@ export const QuestionCard = {
     _renderImpact(impact, isShadow, funcColor) {
         if (isShadow) {
             return `
-                <div class="option-impact" role="status" aria-label="Shadow機能への影響">
+                <div class="option-impact" role="status" aria-label="${escapeHtml(t('question.shadowImpactAria'))}">
                     <span class="impact-func" style="color:${funcColor};">
                         ${escapeHtml(impact.funcType)}
                     </span>
@@ -261,18 +333,18 @@ export const QuestionCard = {
                     </div>
                     
                     <div class="impact-shadow-note">
-                        スタック外 (${escapeHtml(impact.provisionalType || '')})
+                        ${escapeHtml(t('question.outsideStack', { type: impact.provisionalType || '' }))}
                     </div>
                 </div>
             `;
         }
 
         return `
-            <div class="option-impact" role="status" aria-label="スコアへの影響">
+            <div class="option-impact" role="status" aria-label="${escapeHtml(t('question.impactAria'))}">
                 <span class="impact-func" style="color:${funcColor};">
                     ${escapeHtml(impact.funcType)}
                 </span>
-                <span class="impact-position">[${escapeHtml(impact.position)}]</span>
+                <span class="impact-position">[${escapeHtml(impact.slotId ? getSlotLabel({ id: impact.slotId, label: impact.position }) : impact.position)}]</span>
                 
                 <div class="impact-change">
                     <span class="impact-current">${impact.currentNormalized}</span>
@@ -283,7 +355,7 @@ export const QuestionCard = {
                 </div>
                 
                 <div class="impact-weighted">
-                    診断影響: ${impact.weightedDelta >= 0 ? '+' : ''}${impact.weightedDelta.toFixed(1)} (×${impact.weight})
+                    ${escapeHtml(t('question.weightedImpact', { delta: `${impact.weightedDelta >= 0 ? '+' : ''}${impact.weightedDelta.toFixed(1)}`, weight: impact.weight }))}
                 </div>
             </div>
         `;
@@ -308,7 +380,7 @@ export const ResultCard = {
      * @returns {string} HTMLマークアップ
      */
     render(result, mbtiDescriptions, COGNITIVE_STACKS, FUNCTIONS, getNormalizedScore, functionScores, questions, mode) {
-        const { type: mbtiType, confidence, originalConfidence, consistency, contradictionCount, warning, top2, typeScores, contradictions } = result;
+        const { type: mbtiType, confidence, originalConfidence, consistency, contradictionCount, warning, top2, typeScores, contradictions, stackSlots, responseStyles } = result;
         const desc = mbtiDescriptions[mbtiType];
         
         // 多面性に応じて表示する代替タイプ数を決定
@@ -322,29 +394,25 @@ export const ResultCard = {
             .slice(0, 3);
 
         // モード表示名
-        const modeDisplayNames = {
-            simple: 'クイック診断',
-            standard: 'スタンダード診断',
-            detail: '詳細診断'
-        };
-        const modeDisplay = modeDisplayNames[mode] || mode;
+        const modeDisplay = t(`modes.${mode}`, {}, mode);
 
         return `
             <div class="result-header" role="banner">
-                <h2 class="result-title">診断完了</h2>
-                <p class="result-subtitle">あなたの認知機能プロファイルが特定されました</p>
-                <div style="font-size: 12px; color: #94a3b8; margin-top: 8px;">診断モード: ${modeDisplay}</div>
+                <h2 class="result-title">${escapeHtml(t('result.title'))}</h2>
+                <p class="result-subtitle">${escapeHtml(t('result.subtitle'))}</p>
+                <div style="font-size: 12px; color: #94a3b8; margin-top: 8px;">${escapeHtml(t('result.mode', { mode: modeDisplay }))}</div>
             </div>
 
             ${this._renderTypeCard(mbtiType, desc)}
             ${showAlternatives ? this._renderAlternativeTypesCard(sortedTypes, mbtiDescriptions, typeScores, versatilityScore, showMultiple) : ''}
-            ${this._renderMetricsCard(confidence, originalConfidence, consistency, contradictionCount, warning)}
+            ${this._renderMetricsCard(confidence, originalConfidence, consistency, contradictionCount, warning, responseStyles)}
             ${contradictionCount > 0 ? this._renderContradictionsCard(contradictions, questions) : ''}
-            ${this._renderStackCard(mbtiType, COGNITIVE_STACKS, FUNCTIONS)}
+            ${this._renderStackCard(mbtiType, COGNITIVE_STACKS, FUNCTIONS, stackSlots)}
             ${this._renderScoresCard(functionScores, FUNCTIONS, getNormalizedScore)}
+            ${this._renderTypeRankingCard(typeScores, mbtiType)}
 
-            <button class="btn-restart" onclick="reset()" aria-label="診断をやり直す">
-                診断をやり直す
+            <button class="btn-restart" onclick="reset()" aria-label="${escapeHtml(t('result.restartAria'))}">
+                ${escapeHtml(t('result.restart'))}
             </button>
         `;
     },
@@ -365,9 +433,9 @@ export const ResultCard = {
         const displayContradictions = sortedContradictions.slice(0, 5);
         
         const getSeverityLabel = (severity) => {
-            if (severity >= 0.75) return { label: '大きな文脈差', color: '#a78bfa', icon: '🎭' };
-            if (severity >= 0.5) return { label: '中程度の文脈差', color: '#60a5fa', icon: '🎨' };
-            return { label: '軽微な文脈差', color: '#10b981', icon: '🌿' };
+            if (severity >= 0.75) return { label: t('contradictions.severityHigh'), color: '#a78bfa', icon: '🎭' };
+            if (severity >= 0.5) return { label: t('contradictions.severityMedium'), color: '#60a5fa', icon: '🎨' };
+            return { label: t('contradictions.severityLow'), color: '#10b981', icon: '🌿' };
         };
 
         // 質問IDから質問文を取得するヘルパー
@@ -380,12 +448,11 @@ export const ResultCard = {
             <div class="result-card" role="region" aria-labelledby="contradictions-heading" style="background: linear-gradient(135deg, rgba(96, 165, 250, 0.05), rgba(167, 139, 250, 0.05)); border: 1px solid rgba(96, 165, 250, 0.3);">
                 <div style="display: flex; align-items: center; gap: 8px; margin-bottom: 12px;">
                     <span style="font-size: 20px;" aria-hidden="true">📊</span>
-                    <h4 id="contradictions-heading" style="font-size: 16px; background: linear-gradient(135deg, #60a5fa, #a78bfa); -webkit-background-clip: text; -webkit-text-fill-color: transparent; margin: 0;">文脈による判断の変化</h4>
+                    <h4 id="contradictions-heading" style="font-size: 16px; background: linear-gradient(135deg, #60a5fa, #a78bfa); -webkit-background-clip: text; -webkit-text-fill-color: transparent; margin: 0;">${escapeHtml(t('contradictions.heading'))}</h4>
                 </div>
                 
                 <p style="font-size: 13px; color: #cbd5e1; margin-bottom: 16px; line-height: 1.5;">
-                    以下の質問ペアで、文脈に応じて異なる回答をしています。<br>
-                    これは<strong style="color: #60a5fa;">状況適応能力</strong>の表れである可能性があります。
+                    ${t('contradictions.introHtml')}
                 </p>
 
                 <details open style="margin-bottom: 12px;">
@@ -398,7 +465,7 @@ export const ResultCard = {
                         color: #60a5fa;
                         user-select: none;
                     ">
-                        詳細を表示 (${displayContradictions.length}件)
+                        ${escapeHtml(t('contradictions.showDetails', { count: displayContradictions.length }))}
                     </summary>
                     
                     <div style="margin-top: 12px;">
@@ -417,7 +484,7 @@ export const ResultCard = {
                                     <div style="display: flex; align-items: center; gap: 8px; margin-bottom: 8px;">
                                         <span style="font-size: 16px;" aria-hidden="true">${icon}</span>
                                         <span style="font-size: 12px; color: ${color}; font-weight: 600;">
-                                            ${label} (${severityPercent}%)
+                                            ${escapeHtml(label)} (${severityPercent}%)
                                         </span>
                                     </div>
                                     
@@ -429,13 +496,13 @@ export const ResultCard = {
                                             font-size: 12px;
                                         ">
                                             <div style="color: #60a5fa; font-weight: 600; margin-bottom: 4px;">
-                                                質問A
+                                                ${escapeHtml(t('contradictions.questionA'))}
                                             </div>
                                             <div style="color: #e2e8f0; margin-bottom: 6px; line-height: 1.4;">
                                                 ${escapeHtml(getQuestionText(c.questionA))}
                                             </div>
                                             <div style="color: #cbd5e1;">
-                                                回答: <strong>${this._getAnswerLabel(c.valueA)}</strong>
+                                                ${escapeHtml(t('contradictions.answer'))} <strong>${escapeHtml(this._getAnswerLabel(c.valueA))}</strong>
                                             </div>
                                         </div>
                                         
@@ -446,13 +513,13 @@ export const ResultCard = {
                                             font-size: 12px;
                                         ">
                                             <div style="color: #a78bfa; font-weight: 600; margin-bottom: 4px;">
-                                                質問B
+                                                ${escapeHtml(t('contradictions.questionB'))}
                                             </div>
                                             <div style="color: #e2e8f0; margin-bottom: 6px; line-height: 1.4;">
                                                 ${escapeHtml(getQuestionText(c.questionB))}
                                             </div>
                                             <div style="color: #cbd5e1;">
-                                                回答: <strong>${this._getAnswerLabel(c.valueB)}</strong>
+                                                ${escapeHtml(t('contradictions.answer'))} <strong>${escapeHtml(this._getAnswerLabel(c.valueB))}</strong>
                                             </div>
                                         </div>
                                     </div>
@@ -464,10 +531,8 @@ export const ResultCard = {
 
                 <div style="padding: 12px; background: rgba(96, 165, 250, 0.1); border-radius: 8px; border-left: 3px solid #60a5fa;">
                     <div style="font-size: 11px; color: #cbd5e1; line-height: 1.5;">
-                        <strong style="color: #60a5fa;">💡 解釈のヒント</strong><br>
-                        • 同じテーマでも<strong>文脈が変われば判断が変わる</strong>のは自然なことです<br>
-                        • これは<strong>状況を読む力</strong>や<strong>認知的柔軟性</strong>の表れかもしれません<br>
-                        • あるいは、まだ自分の価値観が<strong>形成途中</strong>である可能性もあります
+                        <strong style="color: #60a5fa;">${escapeHtml(t('contradictions.hintTitle'))}</strong><br>
+                        ${t('contradictions.hintHtml')}
                     </div>
                 </div>
             </div>
@@ -480,14 +545,7 @@ export const ResultCard = {
      * @returns {string} ラベル
      */
     _getAnswerLabel(value) {
-        const labels = {
-            1: "1: 全くそう思わない",
-            2: "2: あまりそう思わない",
-            3: "3: どちらとも言えない",
-            4: "4: ややそう思う",
-            5: "5: とてもそう思う"
-        };
-        return labels[value] || String(value);
+        return [1, 2, 3, 4, 5].includes(value) ? `${value}: ${getLikertLabel(value)}` : String(value);
     },
 
     /**
@@ -499,7 +557,7 @@ export const ResultCard = {
     _renderTypeCard(mbtiType, desc) {
         return `
             <div class="result-card" role="region" aria-labelledby="result-type">
-                <div class="result-mbti" id="result-type" aria-label="診断結果 ${mbtiType}">${mbtiType}</div>
+                <div class="result-mbti" id="result-type" aria-label="${escapeHtml(t('result.typeAria', { type: mbtiType }))}">${mbtiType}</div>
                 <h3 class="result-name">${escapeHtml(desc.name)}</h3>
                 <p class="result-desc">${escapeHtml(desc.description)}</p>
             </div>
@@ -524,11 +582,10 @@ export const ResultCard = {
             <div class="result-card" style="background: linear-gradient(135deg, rgba(139, 92, 246, 0.05), rgba(236, 72, 153, 0.05)); border: 1px solid rgba(167, 139, 250, 0.4);" role="region" aria-labelledby="alternative-type-heading">
                 <div style="display: flex; align-items: center; gap: 8px; margin-bottom: 12px;">
                     <span style="font-size: 20px;" aria-hidden="true">✨</span>
-                    <h4 id="alternative-type-heading" style="font-size: 16px; background: linear-gradient(135deg, #a78bfa, #ec4899); -webkit-background-clip: text; -webkit-text-fill-color: transparent; margin: 0;">多面的な性格特性</h4>
+                    <h4 id="alternative-type-heading" style="font-size: 16px; background: linear-gradient(135deg, #a78bfa, #ec4899); -webkit-background-clip: text; -webkit-text-fill-color: transparent; margin: 0;">${escapeHtml(t('alternatives.heading'))}</h4>
                 </div>
                 <p style="font-size: 13px; color: #cbd5e1; margin-bottom: 16px; line-height: 1.5;">
-                    あなたは単一のタイプに収まらない<strong style="color: #a78bfa;">多面性(${versatilityScore}%)</strong>を持っています。<br>
-                    これは心理的な成熟と柔軟性の証です。以下のタイプの特性も併せ持っています。
+                    ${t('alternatives.introHtml', { score: versatilityScore })}
                 </p>
                 
                 ${alternativeTypes.map(([type, score]) => {
@@ -551,7 +608,7 @@ export const ResultCard = {
                                     background: linear-gradient(135deg, #a78bfa, #ec4899);
                                     -webkit-background-clip: text;
                                     -webkit-text-fill-color: transparent;
-                                " aria-label="代替タイプ ${type}">
+                                " aria-label="${escapeHtml(t('alternatives.typeAria', { type }))}">
                                     ${type}
                                 </div>
                                 <div style="flex: 1;">
@@ -559,7 +616,7 @@ export const ResultCard = {
                                         ${escapeHtml(desc.name)}
                                     </div>
                                     <div style="font-size: 12px; color: #94a3b8;">
-                                        類似度: ${similarity}%
+                                        ${escapeHtml(t('alternatives.similarity', { similarity }))}
                                     </div>
                                 </div>
                             </div>
@@ -572,8 +629,8 @@ export const ResultCard = {
                 
                 <div style="margin-top: 12px; padding: 12px; background: rgba(167, 139, 250, 0.1); border-radius: 8px; border-left: 3px solid #a78bfa;">
                     <div style="font-size: 11px; color: #cbd5e1; line-height: 1.5;">
-                        <strong style="color: #a78bfa;">💡 これは良いことです</strong><br>
-                        Jung心理学では、複数の機能を統合できる人ほど心理的に成熟していると考えられています。
+                        <strong style="color: #a78bfa;">${escapeHtml(t('alternatives.noteTitle'))}</strong><br>
+                        ${escapeHtml(t('alternatives.note'))}
                     </div>
                 </div>
             </div>
@@ -587,9 +644,10 @@ export const ResultCard = {
      * @param {number} consistency - 一貫性
      * @param {number} contradictionCount - 矛盾件数
      * @param {string|null} warning - 警告
+     * @param {Array<{id: string, label: string, message: string, severity: number}>} [responseStyles] - 検出された回答スタイル
      * @returns {string} HTMLマークアップ
      */
-    _renderMetricsCard(confidence, originalConfidence, consistency, contradictionCount, warning) {
+    _renderMetricsCard(confidence, originalConfidence, consistency, contradictionCount, warning, responseStyles = []) {
         // 多面性スコア(確信度の逆)
         const versatilityScore = 100 - confidence;
         
@@ -606,15 +664,15 @@ export const ResultCard = {
         };
 
         const getVersatilityDesc = (score) => {
-            if (score >= 60) return '非常に多面的で柔軟な性格';
-            if (score >= 30) return 'バランスの取れた性格特性';
-            return '明確で一貫した性格特性';
+            if (score >= 60) return t('metrics.versatilityHigh');
+            if (score >= 30) return t('metrics.versatilityMedium');
+            return t('metrics.versatilityLow');
         };
 
         const getConsistencyDesc = (cons) => {
-            if (cons >= 80) return '回答に高い一貫性があります';
-            if (cons >= 60) return '文脈に応じた判断の揺らぎ';
-            return '状況依存的な柔軟な判断傾向';
+            if (cons >= 80) return t('metrics.consistencyHigh');
+            if (cons >= 60) return t('metrics.consistencyMedium');
+            return t('metrics.consistencyLow');
         };
 
         const versColor = getVersatilityColor(versatilityScore);
@@ -622,24 +680,24 @@ export const ResultCard = {
 
         return `
             <div class="result-card" role="region" aria-labelledby="metrics-heading">
-                <h4 id="metrics-heading" style="margin-bottom: 16px; font-size: 18px;">性格プロファイル分析</h4>
+                <h4 id="metrics-heading" style="margin-bottom: 16px; font-size: 18px;">${escapeHtml(t('metrics.heading'))}</h4>
                 
                 ${this._renderMetricItem(
                     '✨',
-                    '性格の多面性',
+                    t('metrics.versatility'),
                     versatilityScore,
                     versColor,
                     getVersatilityDesc(versatilityScore),
-                    versatilityScore >= 60 ? '🎓 Jung心理学では個性化(成熟)の証とされます' : null
+                    versatilityScore >= 60 ? t('metrics.versatilityNote') : null
                 )}
                 
                 ${this._renderMetricItem(
                     '🎭',
-                    '文脈適応性',
+                    t('metrics.consistency'),
                     consistency,
                     consColor,
                     getConsistencyDesc(consistency),
-                    contradictionCount > 0 ? `文脈に応じた判断の変化: ${contradictionCount}件` : null
+                    contradictionCount > 0 ? t('metrics.contradictionCount', { count: contradictionCount }) : null
                 )}
 
                 ${versatilityScore >= 60 ? `
@@ -657,9 +715,48 @@ export const ResultCard = {
                         line-height: 1.5;
                     " role="note">
                         <span style="font-size: 16px; flex-shrink: 0;" aria-hidden="true">🌟</span>
-                        <span>あなたは状況に応じて異なる認知機能を使い分けられる<strong style="color: #a78bfa;">柔軟性</strong>を持っています。これは単一タイプに固執するより成熟した心理状態を示しています。</span>
+                        <span>${t('metrics.flexibilityHtml')}</span>
                     </div>
                 ` : ''}
+
+                ${responseStyles.length > 0 ? this._renderResponseStyleWarnings(responseStyles) : ''}
+            </div>
+        `;
+    },
+
+    /**
+     * 回答スタイルの警告をレンダリング
+     * 矛盾 (文脈差) とは別に、回答の仕方そのものに関する注意を表示する
+     * @param {Array<{id: string, label: string, message: string, severity: number}>} responseStyles - 検出された回答スタイル
+     * @returns {string} HTMLマークアップ
+     */
+    _renderResponseStyleWarnings(responseStyles) {
+        return `
+            <div style="margin-top: 12px;" role="note" aria-labelledby="response-style-heading">
+                <div id="response-style-heading" style="font-size: 13px; font-weight: 700; color: #fbbf24; margin-bottom: 8px;">
+                    ${escapeHtml(t('responseStyles.heading'))}
+                </div>
+                ${responseStyles.map(style => `
+                    <div style="
+                        display: flex;
+                        align-items: flex-start;
+                        gap: 8px;
+                        padding: 10px 12px;
+                        margin-bottom: 8px;
+                        background: rgba(251, 191, 36, ${style.severity >= 0.75 ? '0.15' : '0.08'});
+                        border: 1px solid rgba(251, 191, 36, 0.3);
+                        border-radius: 8px;
+                        font-size: 12px;
+                        color: #cbd5e1;
+                        line-height: 1.5;
+                    " data-response-style="${escapeHtml(style.id)}">
+                        <strong style="color: #fbbf24; flex-shrink: 0;">${escapeHtml(t(`responseStyles.${style.id}.label`, {}, style.label))}</strong>
+                        <span>${escapeHtml(t(`responseStyles.${style.id}.message`, { percent: Math.round((style.ratio ?? 0) * 100) }, style.message))}</span>
+                    </div>
+                `).join('')}
+                <div style="font-size: 11px; color: #94a3b8;">
+                    ${escapeHtml(t('responseStyles.footer'))}
+                </div>
             </div>
         `;
     },
@@ -712,7 +809,7 @@ export const ResultCard = {
                         font-weight: 800;
                         font-family: 'JetBrains Mono', monospace;
                         color: ${color};
-                    " aria-label="${title} ${value}パーセント">
+                    " aria-label="${escapeHtml(t('metrics.valueAria', { title, value }))}">
                         ${value}%
                     </div>
                 </div>
@@ -738,46 +835,76 @@ export const ResultCard = {
 
     /**
      * スタックカードをレンダリング
+     * 8スロット (Beebe) の構成が渡された場合はシャドウ4機能も表示する
      * @param {string} mbtiType - MBTIタイプ
      * @param {Object} COGNITIVE_STACKS - 認知スタック
      * @param {Object} FUNCTIONS - 機能定義
+     * @param {Array<{label: string, function: string, weight: number, shadow: boolean}>} [stackSlots] - スタック構成
      * @returns {string} HTMLマークアップ
      */
-    _renderStackCard(mbtiType, COGNITIVE_STACKS, FUNCTIONS) {
-        const stack = COGNITIVE_STACKS[mbtiType];
+    _renderStackCard(mbtiType, COGNITIVE_STACKS, FUNCTIONS, stackSlots) {
+        const ids = ['dominant', 'auxiliary', 'tertiary', 'inferior'];
         const labels = ['主機能', '補助機能', '第三機能', '劣等機能'];
+        const slots = stackSlots && stackSlots.length > 0
+            ? stackSlots
+            : COGNITIVE_STACKS[mbtiType].map((f, index) => ({ id: ids[index], label: labels[index], function: f, shadow: false }));
+        const egoSlots = slots.filter(slot => !slot.shadow);
+        const shadowSlots = slots.filter(slot => slot.shadow);
 
         return `
             <div class="result-card" role="region" aria-labelledby="stack-heading">
-                <h4 id="stack-heading" style="margin-bottom: 16px; font-size: 18px;">認知機能スタック</h4>
+                <h4 id="stack-heading" style="margin-bottom: 16px; font-size: 18px;">${escapeHtml(t('stack.heading'))}</h4>
                 <div style="display: grid; gap: 12px;">
-                    ${stack.map((f, index) => `
-                        <div style="padding: 16px; background: var(--color-bg-secondary); border-radius: 12px; border: 1px solid var(--color-border);">
-                            <div style="font-size: 11px; color: var(--color-accent-primary); font-weight: 700; margin-bottom: 8px;">
-                                ${escapeHtml(labels[index])}
-                            </div>
-                            <div style="display: flex; justify-content: space-between; align-items: center;">
-                                <div>
-                                    <div style="font-size: 16px; font-weight: 700; margin-bottom: 4px;">
-                                        ${escapeHtml(FUNCTIONS[f].fullName)}
-                                    </div>
-                                    <div style="font-size: 13px; color: var(--color-text-secondary);">
-                                        ${escapeHtml(FUNCTIONS[f].description)}
-                                    </div>
-                                </div>
-                                <div style="font-family: var(--font-mono); font-size: 24px; font-weight: 800; color: var(--color-accent-primary);" aria-label="${f} ${FUNCTIONS[f].fullName}">
-                                    ${f}
-                                </div>
-                            </div>
+                    ${egoSlots.map(slot => this._renderStackSlot(slot, FUNCTIONS)).join('')}
+                </div>
+                ${shadowSlots.length > 0 ? `
+                    <h5 style="margin: 20px 0 4px; font-size: 14px; color: var(--color-text-secondary);">${escapeHtml(t('stack.shadowHeading'))}</h5>
+                    <p style="font-size: 12px; color: var(--color-text-secondary); margin-bottom: 12px; line-height: 1.5;">
+                        ${escapeHtml(t('stack.shadowNote'))}
+                    </p>
+                    <div style="display: grid; gap: 12px; opacity: 0.85;">
+                        ${shadowSlots.map(slot => this._renderStackSlot(slot, FUNCTIONS)).join('')}
+                    </div>
+                ` : ''}
+            </div>
+        `;
+    },
+
+    /**
+     * スタックの1スロットをレンダリング
+     * @param {{id?: string, label: string, function: string, weight?: number, shadow: boolean}} slot - スロット
+     * @param {Object} FUNCTIONS - 機能定義
+     * @returns {string} HTMLマークアップ
+     */
+    _renderStackSlot(slot, FUNCTIONS) {
+        const f = slot.function;
+        const accent = slot.shadow ? '#94a3b8' : 'var(--color-accent-primary)';
+        const funcText = getFunctionText(f, FUNCTIONS);
+
+        return `
+            <div style="padding: 16px; background: var(--color-bg-secondary); border-radius: 12px; border: 1px ${slot.shadow ? 'dashed' : 'solid'} var(--color-border);">
+                <div style="font-size: 11px; color: ${accent}; font-weight: 700; margin-bottom: 8px;">
+                    ${escapeHtml(getSlotLabel(slot))}${slot.shadow && typeof slot.weight === 'number' ? escapeHtml(t('stack.weight', { weight: slot.weight })) : ''}
+                </div>
+                <div style="display: flex; justify-content: space-between; align-items: center;">
+                    <div>
+                        <div style="font-size: 16px; font-weight: 700; margin-bottom: 4px;">
+                            ${escapeHtml(funcText.fullName)}
                         </div>
-                    `).join('')}
+                        <div style="font-size: 13px; color: var(--color-text-secondary);">
+                            ${escapeHtml(funcText.description)}
+                        </div>
+                    </div>
+                    <div style="font-family: var(--font-mono); font-size: 24px; font-weight: 800; color: ${accent};" aria-label="${f} ${escapeHtml(funcText.fullName)}">
+                        ${f}
+                    </div>
                 </div>
             </div>
         `;
     },
 
     /**
-     * スコアカードをレンダリング
+     * スコアカードをレンダリング (レーダーチャート・軸ゲージと数値)
      * @param {Object} functionScores - 機能スコア
      * @param {Object} FUNCTIONS - 機能定義
      * @param {Function} getNormalizedScore - スコア正規化関数
@@ -790,20 +917,24 @@ export const ResultCard = {
                 key,
                 value: getNormalizedScore(val),
                 rawValue: val,
-                func: FUNCTIONS[key]
+                func: getFunctionText(key, FUNCTIONS)
             }))
             .sort((a, b) => b.value - a.value);
 
         return `
             <div class="result-card" role="region" aria-labelledby="scores-heading">
-                <h4 id="scores-heading" style="margin-bottom: 16px; font-size: 18px;">詳細スコア</h4>
+                <h4 id="scores-heading" style="margin-bottom: 16px; font-size: 18px;">${escapeHtml(t('scores.heading'))}</h4>
+                <div class="chart-row">
+                    ${renderRadarChart(Object.fromEntries(sortedScores.map(item => [item.key, item.value])))}
+                    ${renderAxisGauge(buildProfileAxes(functionScores))}
+                </div>
                 <div style="display: grid; grid-template-columns: repeat(4, 1fr); gap: 12px;">
                     ${sortedScores.map(item => `
                         <div style="text-align: center; padding: 12px; background: var(--color-bg-secondary); border-radius: 8px; border: 1px solid var(--color-border);">
                             <div style="font-family: var(--font-mono); font-size: 14px; font-weight: 800; color: var(--color-accent-primary); margin-bottom: 4px;">
                                 ${item.key}
                             </div>
-                            <div style="font-family: var(--font-mono); font-size: 24px; font-weight: 800;" aria-label="${item.key} スコア ${item.value}">
+                            <div style="font-family: var(--font-mono); font-size: 24px; font-weight: 800;" aria-label="${escapeHtml(t('progress.scoreAria', { key: item.key, value: item.value }))}">
                                 ${item.value}
                             </div>
                             <div style="font-size: 11px; color: var(--color-text-secondary);">
@@ -814,5 +945,728 @@ export const ResultCard = {
                 </div>
             </div>
         `;
+    },
+
+    /**
+     * 16タイプの順位カードをレンダリング
+     * @param {Object<string, number>} typeScores - 全タイプのスコア
+     * @param {string} mbtiType - 判定されたタイプ (強調表示)
+     * @returns {string} HTMLマークアップ
+     */
+    _renderTypeRankingCard(typeScores, mbtiType) {
+        if (!typeScores || Object.keys(typeScores).length === 0) return '';
+
+        return `
+            <div class="result-card" role="region" aria-labelledby="type-ranking-heading">
+                <h4 id="type-ranking-heading" style="margin-bottom: 8px; font-size: 18px;">${escapeHtml(t('charts.typesHeading'))}</h4>
+                <p style="font-size: 12px; color: #94a3b8; margin-bottom: 12px;">${escapeHtml(t('charts.typesNote'))}</p>
+                ${renderTypeRankingChart(typeScores, { highlight: mbtiType })}
+            </div>
+        `;
+    }
+};
+
+// ============================================
+// HistoryView - 診断履歴・認知ドリフト比較ビュー
+// ============================================
+
+export const HistoryView = {
+    /**
+     * 履歴比較ビューをレンダリング
+     * @param {import('./history.js').HistoryEntry[]} entries - 古い順の履歴
+     * @param {import('./history.js').DriftAnalysis} drift - ドリフト分析結果
+     * @param {Object} FUNCTIONS - 機能定義
+     * @param {Object} mbtiDescriptions - MBTI説明
+     * @returns {string} HTMLマークアップ (履歴がなければ空文字)
+     */
+    render(entries, drift, FUNCTIONS, mbtiDescriptions) {
+        if (!entries || entries.length === 0) return '';
+
+        const summary = t('history.summary', {
+            count: drift.sessions,
+            from: formatDate(drift.span.from),
+            to: formatDate(drift.span.to)
+        });
+
+        return `
+            <div class="result-card history-card" role="region" aria-labelledby="history-heading">
+                <h4 id="history-heading" style="margin-bottom: 8px; font-size: 18px;">📈 ${escapeHtml(t('history.heading'))}</h4>
+                <p style="font-size: 13px; color: #94a3b8; margin-bottom: 16px;">${escapeHtml(summary)}</p>
+
+                ${entries.length < 2 ? `
+                    <p style="font-size: 14px; color: #cbd5e1; line-height: 1.6;">${escapeHtml(t('history.needMore'))}</p>
+                ` : `
+                    ${this._renderTypeSummary(drift, mbtiDescriptions)}
+                    ${this._renderChart(drift)}
+                    ${this._renderTypeTimeline(drift)}
+                    ${this._renderDriftTable(drift, FUNCTIONS)}
+                `}
+
+                <div style="text-align: right; margin-top: 16px;">
+                    <button type="button" class="history-clear-btn" onclick="clearHistory()"
+                            style="padding: 6px 14px; font-size: 12px; color: #94a3b8; background: transparent; border: 1px solid rgba(148, 163, 184, 0.4); border-radius: 6px; cursor: pointer;">
+                        ${escapeHtml(t('history.clear'))}
+                    </button>
+                </div>
+            </div>
+        `;
+    },
+
+    /**
+     * 判定タイプの安定度をレンダリング
+     * @param {import('./history.js').DriftAnalysis} drift - ドリフト分析結果
+     * @param {Object} mbtiDescriptions - MBTI説明
+     * @returns {string} HTMLマークアップ
+     */
+    _renderTypeSummary(drift, mbtiDescriptions) {
+        const type = drift.mostFrequentType;
+        const name = mbtiDescriptions[type]?.name || '';
+
+        return `
+            <div style="display: flex; gap: 12px; flex-wrap: wrap; margin-bottom: 16px;">
+                <div style="flex: 1; min-width: 160px; padding: 12px; background: rgba(96, 165, 250, 0.08); border: 1px solid rgba(96, 165, 250, 0.3); border-radius: 8px;">
+                    <div style="font-size: 12px; color: #94a3b8;">${escapeHtml(t('history.mostFrequent'))}</div>
+                    <div style="font-family: var(--font-mono); font-size: 20px; font-weight: 800; color: #60a5fa;">${escapeHtml(type)}</div>
+                    <div style="font-size: 12px; color: #cbd5e1;">${escapeHtml(name)} · ${escapeHtml(t('history.stability', { percent: drift.typeStability }))}</div>
+                </div>
+                <div style="flex: 1; min-width: 160px; padding: 12px; background: rgba(167, 139, 250, 0.08); border: 1px solid rgba(167, 139, 250, 0.3); border-radius: 8px;">
+                    <div style="font-size: 12px; color: #94a3b8;">${escapeHtml(t('history.typeChangesLabel'))}</div>
+                    <div style="font-family: var(--font-mono); font-size: 20px; font-weight: 800; color: #a78bfa;">${drift.typeChanges}</div>
+                    <div style="font-size: 12px; color: #cbd5e1;">${escapeHtml(t('history.typeChanges', { count: drift.typeChanges, sessions: drift.sessions }))}</div>
+                </div>
+            </div>
+        `;
+    },
+
+    /**
+     * 機能スコアの推移を折れ線グラフ (SVG) でレンダリング
+     * 内向機能は破線、外向機能は実線で描く
+     * @param {import('./history.js').DriftAnalysis} drift - ドリフト分析結果
+     * @returns {string} HTMLマークアップ
+     */
+    _renderChart(drift) {
+        const width = 600;
+        const height = 240;
+        const pad = { top: 12, right: 16, bottom: 28, left: 36 };
+        const plotWidth = width - pad.left - pad.right;
+        const plotHeight = height - pad.top - pad.bottom;
+        const count = drift.sessions;
+
+        const x = (index) => pad.left + (count === 1 ? plotWidth / 2 : (plotWidth * index) / (count - 1));
+        const y = (value) => pad.top + plotHeight * (1 - Math.max(0, Math.min(100, value)) / 100);
+
+        const gridLines = [0, 25, 50, 75, 100].map(value => `
+            <line x1="${pad.left}" x2="${width - pad.right}" y1="${y(value)}" y2="${y(value)}" stroke="rgba(148, 163, 184, 0.2)" stroke-width="1"/>
+            <text x="${pad.left - 6}" y="${y(value) + 4}" text-anchor="end" font-size="10" fill="#94a3b8">${value}</text>
+        `).join('');
+
+        const xLabels = drift.types.map((session, index) => `
+            <text x="${x(index)}" y="${height - 8}" text-anchor="middle" font-size="10" fill="#94a3b8">${index + 1}</text>
+        `).join('');
+
+        const lines = Object.entries(drift.functions).map(([key, { series }]) => {
+            const points = series.map((value, index) => `${x(index)},${y(value)}`).join(' ');
+            const dash = key.endsWith('i') ? ' stroke-dasharray="5 3"' : '';
+            return `
+                <g>
+                    <title>${escapeHtml(`${key}: ${series.join(' → ')}`)}</title>
+                    <polyline points="${points}" fill="none" stroke="${FUNCTION_COLORS[key]}" stroke-width="2"${dash}/>
+                    ${series.map((value, index) => `<circle cx="${x(index)}" cy="${y(value)}" r="3" fill="${FUNCTION_COLORS[key]}"/>`).join('')}
+                </g>
+            `;
+        }).join('');
+
+        const legend = Object.keys(drift.functions).map(key => `
+            <span style="display: inline-flex; align-items: center; gap: 4px; font-family: var(--font-mono); font-size: 12px;">
+                <svg width="18" height="6" aria-hidden="true"><line x1="0" x2="18" y1="3" y2="3" stroke="${FUNCTION_COLORS[key]}" stroke-width="2"${key.endsWith('i') ? ' stroke-dasharray="5 3"' : ''}/></svg>
+                ${key}
+            </span>
+        `).join('');
+
+        const description = t('history.chartDesc', {
+            count,
+            movers: drift.topMovers.slice(0, 3)
+                .map(key => `${key} ${formatDelta(drift.functions[key].delta)}`)
+                .join(', ')
+        });
+
+        return `
+            <figure style="margin: 0 0 16px;">
+                <svg viewBox="0 0 ${width} ${height}" width="100%" role="img" aria-labelledby="history-chart-title history-chart-desc" style="display: block; max-width: 100%;">
+                    <title id="history-chart-title">${escapeHtml(t('history.chartTitle'))}</title>
+                    <desc id="history-chart-desc">${escapeHtml(description)}</desc>
+                    ${gridLines}
+                    ${xLabels}
+                    ${lines}
+                </svg>
+                <figcaption style="display: flex; flex-wrap: wrap; gap: 12px; justify-content: center; margin-top: 8px; color: #cbd5e1;">
+                    ${legend}
+                </figcaption>
+            </figure>
+        `;
+    },
+
+    /**
+     * 判定タイプの推移をレンダリング
+     * @param {import('./history.js').DriftAnalysis} drift - ドリフト分析結果
+     * @returns {string} HTMLマークアップ
+     */
+    _renderTypeTimeline(drift) {
+        return `
+            <div style="margin-bottom: 16px;">
+                <div style="font-size: 13px; font-weight: 600; margin-bottom: 8px;">${escapeHtml(t('history.timelineHeading'))}</div>
+                <ol style="display: flex; flex-wrap: wrap; gap: 8px; list-style: none; padding: 0; margin: 0;">
+                    ${drift.types.map((session, index) => {
+                        const changed = index > 0 && session.type !== drift.types[index - 1].type;
+                        const color = changed ? '#fbbf24' : '#60a5fa';
+                        return `
+                            <li style="padding: 6px 10px; border: 1px solid ${color}; border-radius: 8px; text-align: center; min-width: 72px;">
+                                <div style="font-size: 10px; color: #94a3b8;">#${index + 1} · ${escapeHtml(formatDate(session.completedAt))}</div>
+                                <div style="font-family: var(--font-mono); font-weight: 800; color: ${color};">${escapeHtml(session.type)}</div>
+                                <div style="font-size: 10px; color: #94a3b8;">${escapeHtml(t(`modes.${session.mode}`, {}, session.mode))}</div>
+                            </li>
+                        `;
+                    }).join('')}
+                </ol>
+            </div>
+        `;
+    },
+
+    /**
+     * 機能ごとの変化量テーブルをレンダリング (変化の大きい順)
+     * @param {import('./history.js').DriftAnalysis} drift - ドリフト分析結果
+     * @param {Object} FUNCTIONS - 機能定義
+     * @returns {string} HTMLマークアップ
+     */
+    _renderDriftTable(drift, FUNCTIONS) {
+        const trendIcons = { up: '↑', down: '↓', stable: '→' };
+        const trendColors = { up: '#10b981', down: '#f87171', stable: '#94a3b8' };
+
+        return `
+            <table style="width: 100%; border-collapse: collapse; font-size: 13px;">
+                <thead>
+                    <tr style="color: #94a3b8; text-align: left;">
+                        <th scope="col" style="padding: 6px 4px;">${escapeHtml(t('history.tableFunction'))}</th>
+                        <th scope="col" style="padding: 6px 4px;">${escapeHtml(t('history.tableChange'))}</th>
+                        <th scope="col" style="padding: 6px 4px; text-align: right;">${escapeHtml(t('history.tableDelta'))}</th>
+                        <th scope="col" style="padding: 6px 4px; text-align: right;">${escapeHtml(t('history.tableStdDev'))}</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    ${drift.topMovers.map(key => {
+                        const item = drift.functions[key];
+                        return `
+                            <tr style="border-top: 1px solid rgba(148, 163, 184, 0.15);">
+                                <th scope="row" style="padding: 6px 4px; text-align: left; font-weight: 600;">
+                                    <span style="font-family: var(--font-mono); color: ${FUNCTION_COLORS[key]};">${key}</span>
+                                    <span style="font-size: 11px; color: #94a3b8; font-weight: 400;">${escapeHtml(getFunctionText(key, FUNCTIONS).fullName)}</span>
+                                </th>
+                                <td style="padding: 6px 4px; font-family: var(--font-mono);">${item.first} → ${item.last}</td>
+                                <td style="padding: 6px 4px; text-align: right; font-family: var(--font-mono); color: ${trendColors[item.trend]};"
+                                    aria-label="${escapeHtml(t(`history.trend.${item.trend}`))} ${formatDelta(item.delta)}">
+                                    ${trendIcons[item.trend]} ${formatDelta(item.delta)}
+                                </td>
+                                <td style="padding: 6px 4px; text-align: right; font-family: var(--font-mono); color: #94a3b8;">${item.stdDev}</td>
+                            </tr>
+                        `;
+                    }).join('')}
+                </tbody>
+            </table>
+        `;
     }
-};
\ No newline at end of file
+};
+
+// ============================================
+// ImportedProfileBanner - 読み込んだ myself.json の表示中バナー
+// ============================================
+
+export const ImportedProfileBanner = {
+    /**
+     * 読み込んだ結果の生成元を示すバナーをレンダリング
+     * @param {import('./profile-importer.js').ImportedResultView['source']} source - 生成元の情報
+     * @param {string} modeName - 診断モードの表示名
+     * @param {import('./profile-signer.js').VerificationResult|null} [verification] - 署名の検証結果
+     * @returns {string} HTMLマークアップ
+     */
+    render(source, modeName, verification = null) {
+        const generatedAt = Date.parse(source.generatedAt);
+
+        return `
+            <div class="result-card imported-profile-banner" role="note" aria-labelledby="imported-profile-heading" style="background: rgba(52, 211, 153, 0.06); border: 1px solid rgba(52, 211, 153, 0.35);">
+                <h4 id="imported-profile-heading" style="font-size: 16px; margin-bottom: 8px; color: #34d399;">${escapeHtml(t('import.bannerTitle'))}</h4>
+                <div style="font-size: 13px; color: #cbd5e1; line-height: 1.7;">
+                    ${Number.isFinite(generatedAt) ? `<div>${escapeHtml(t('import.generatedAt', { date: formatDate(generatedAt) }))}</div>` : ''}
+                    <div>${escapeHtml(t('import.source', { tool: source.tool || '-', mode: modeName, strategy: source.strategyId || '-' }))}</div>
+                    ${source.profileId ? `<div style="font-family: var(--font-mono); font-size: 12px; color: #94a3b8;">${escapeHtml(t('import.profileId', { id: source.profileId }))}</div>` : ''}
+                </div>
+                ${verification ? this._renderSignature(verification) : ''}
+            </div>
+        `;
+    },
+
+    /**
+     * 署名の検証結果をレンダリング
+     * @param {import('./profile-signer.js').VerificationResult} verification - 検証結果
+     * @returns {string} HTMLマークアップ
+     */
+    _renderSignature(verification) {
+        const colors = { valid: '#34d399', tampered: '#f87171', invalid: '#f87171', unsigned: '#94a3b8' };
+        const message = verification.status === 'valid'
+            ? t('import.signature.valid', { id: formatKeyId(verification.keyId) })
+            : t(`import.signature.${verification.status}`);
+
+        return `
+            <div class="imported-profile-signature" data-status="${verification.status}" style="margin-top: 10px; padding-top: 10px; border-top: 1px solid rgba(148, 163, 184, 0.2); font-size: 13px; color: ${colors[verification.status]};">
+                ${escapeHtml(message)}
+                ${verification.trusted ? `<div style="font-size: 12px; color: #94a3b8;">${escapeHtml(t('import.signature.ownKey'))}</div>` : ''}
+            </div>
+        `;
+    }
+};
+
+// ============================================
+// ProfileExportPanel - myself.json の書き出し
+// ============================================
+
+export const ProfileExportPanel = {
+    /**
+     * 書き出しパネルをレンダリング
+     * @param {string|null} keyId - この端末の署名鍵ID (未生成ならnull)
+     * @param {Array<{id: string, label: string}>} [formats] - myself.json 以外の書き出し形式 (profile-formats.js)
+     * @returns {string} HTMLマークアップ
+     */
+    render(keyId, formats = []) {
+        return `
+            <div class="result-card profile-export-card" role="region" aria-labelledby="profile-export-heading">
+                <h4 id="profile-export-heading" style="margin-bottom: 8px; font-size: 18px;">📤 ${escapeHtml(t('export.heading'))}</h4>
+                <p style="font-size: 13px; color: #94a3b8; margin-bottom: 12px;">${escapeHtml(t('export.description'))}</p>
+
+                <label style="display: flex; align-items: flex-start; gap: 8px; font-size: 14px; color: #cbd5e1; cursor: pointer;">
+                    <input type="checkbox" id="export-sign" style="margin-top: 3px;">
+                    <span>${escapeHtml(t('export.sign'))}</span>
+                </label>
+                <div style="font-size: 12px; color: #94a3b8; margin: 4px 0 12px 24px; font-family: ${keyId ? 'var(--font-mono)' : 'inherit'};">
+                    ${escapeHtml(keyId ? t('export.keyId', { id: formatKeyId(keyId) }) : t('export.noKey'))}
+                </div>
+
+                <button type="button" class="profile-export-btn" onclick="downloadMyselfProfile()"
+                        style="padding: 10px 18px; font-size: 14px; font-weight: 700; color: #021426; background: #60a5fa; border: none; border-radius: 8px; cursor: pointer;">
+                    ${escapeHtml(t('export.download'))}
+                </button>
+                ${formats.length > 0 ? `
+                    <div style="display: flex; flex-wrap: wrap; align-items: center; gap: 8px; margin-top: 12px; font-size: 13px; color: #94a3b8;">
+                        <span>${escapeHtml(t('export.otherFormats'))}</span>
+                        ${formats.map(format => `
+                            <button type="button" class="privacy-btn" onclick="downloadProfileAs('${escapeHtml(format.id)}')">${escapeHtml(t('export.downloadAs', { format: format.label }))}</button>
+                        `).join('')}
+                    </div>
+                ` : ''}
+                <div class="profile-export-status" role="status" aria-live="polite" style="font-size: 13px; color: #f87171; margin-top: 8px;"></div>
+            </div>
+        `;
+    }
+};
+
+// ============================================
+// SharePanel - 結果の共有リンク
+// ============================================
+
+export const SharePanel = {
+    /**
+     * 共有リンクのパネルをレンダリング
+     * @param {string|null} [link] - 作成したリンク
+     * @param {{text: string, kind: 'error'|'success'}|null} [message] - 直前の操作の結果
+     * @param {boolean} [scoresOnly=false] - スコアだけを共有するか
+     * @returns {string} HTMLマークアップ
+     */
+    render(link = null, message = null, scoresOnly = false) {
+        return `
+            <div class="result-card share-card" role="region" aria-labelledby="share-heading">
+                <h4 id="share-heading" style="margin-bottom: 8px; font-size: 18px;">🔗 ${escapeHtml(t('share.heading'))}</h4>
+                <p style="font-size: 13px; color: #94a3b8; margin-bottom: 12px;">${escapeHtml(t('share.description'))}</p>
+
+                <label style="display: flex; align-items: flex-start; gap: 8px; font-size: 14px; color: #cbd5e1; cursor: pointer; margin-bottom: 12px;">
+                    <input type="checkbox" id="share-scores-only" style="margin-top: 3px;" ${scoresOnly ? 'checked' : ''}>
+                    <span>${escapeHtml(t('share.scoresOnly'))}</span>
+                </label>
+
+                <button type="button" class="profile-export-btn" onclick="createPermalink()"
+                        style="padding: 10px 18px; font-size: 14px; font-weight: 700; color: #021426; background: #60a5fa; border: none; border-radius: 8px; cursor: pointer;">
+                    ${escapeHtml(t('share.create'))}
+                </button>
+                ${link ? `
+                    <div class="share-link">
+                        <input type="text" id="share-link" value="${escapeHtml(link)}" readonly onfocus="this.select()"
+                               aria-label="${escapeHtml(t('share.linkLabel'))}">
+                        <button type="button" class="privacy-btn" onclick="copyPermalink()">${escapeHtml(t('share.copy'))}</button>
+                    </div>
+                ` : ''}
+                <div class="share-status" role="status" aria-live="polite">${message
+                    ? `<span class="privacy-${message.kind}">${escapeHtml(message.text)}</span>`
+                    : ''}</div>
+            </div>
+        `;
+    }
+};
+
+// ============================================
+// PrintReportPanel - 印刷・PDF保存
+// ============================================
+
+export const PrintReportPanel = {
+    /**
+     * 印刷用レポートのパネルをレンダリング
+     * @returns {string} HTMLマークアップ
+     */
+    render() {
+        return `
+            <div class="result-card print-report-card" role="region" aria-labelledby="print-report-heading">
+                <h4 id="print-report-heading" style="margin-bottom: 8px; font-size: 18px;">🖨 ${escapeHtml(t('report.panelHeading'))}</h4>
+                <p style="font-size: 13px; color: #94a3b8; margin-bottom: 12px;">${escapeHtml(t('report.panelDescription'))}</p>
+                <button type="button" class="privacy-btn" onclick="printReport()">${escapeHtml(t('report.print'))}</button>
+                <div class="print-report-status" role="status" aria-live="polite" style="font-size: 13px; color: #f87171; margin-top: 8px;"></div>
+            </div>
+        `;
+    }
+};
+
+// ============================================
+// ResearchConsentPanel - 研究用データの書き出し (同意画面)
+// ============================================
+
+export const ResearchConsentPanel = {
+    /**
+     * 研究用データの書き出しパネルをレンダリング
+     * 開くまでは説明とボタンだけを出し、開いたら同意の確認と書き出しの入力欄を出す
+     * @param {Object} [view]
+     * @param {boolean} [view.open=false] - 同意画面を開いているか
+     * @param {{text: string, kind: 'error'|'success'}|null} [view.message] - 直前の操作の結果
+     * @returns {string} HTMLマークアップ
+     */
+    render({ open = false, message = null } = {}) {
+        return `
+            <div class="result-card research-card" role="region" aria-labelledby="research-heading">
+                <h4 id="research-heading" style="margin-bottom: 8px; font-size: 18px;">🔬 ${escapeHtml(t('research.heading'))}</h4>
+                <p style="font-size: 13px; color: #94a3b8; margin-bottom: 12px;">${escapeHtml(t('research.description'))}</p>
+                ${open ? this._renderConsent() : `
+                    <button type="button" class="privacy-btn" onclick="openResearchConsent()">${escapeHtml(t('research.open'))}</button>
+                `}
+                <div class="privacy-status research-status" role="status" aria-live="polite">${message
+                    ? `<span class="privacy-${message.kind}">${escapeHtml(message.text)}</span>`
+                    : ''}</div>
+            </div>
+        `;
+    },
+
+    /**
+     * 同意の確認と書き出しの入力欄をレンダリング
+     * @returns {string} HTMLマークアップ
+     */
+    _renderConsent() {
+        const list = (items) => items.map(item => `<li>${escapeHtml(item)}</li>`).join('');
+
+        return `
+            <div class="research-consent" style="font-size: 13px; color: #cbd5e1; line-height: 1.7;">
+                <div style="font-weight: 700; margin-bottom: 4px;">${escapeHtml(t('research.includedHeading'))}</div>
+                <ul style="margin: 0 0 12px 20px;">${list([
+                    t('research.includedAnswers'),
+                    t('research.includedTiming'),
+                    t('research.includedSettings'),
+                    t('research.includedReport')
+                ])}</ul>
+                <div style="font-weight: 700; margin-bottom: 4px;">${escapeHtml(t('research.anonymizedHeading'))}</div>
+                <ul style="margin: 0 0 12px 20px;">${list([
+                    t('research.anonymizedIds'),
+                    t('research.anonymizedParticipant'),
+                    t('research.anonymizedTime')
+                ])}</ul>
+                <p style="color: #94a3b8; margin-bottom: 12px;">${escapeHtml(t('research.notSent'))}</p>
+            </div>
+
+            <label class="privacy-field" for="research-participant">
+                <span>${escapeHtml(t('research.participantLabel'))}</span>
+                <input type="text" id="research-participant" autocomplete="off">
+            </label>
+            <label class="privacy-field" for="research-study">
+                <span>${escapeHtml(t('research.studyLabel'))}</span>
+                <input type="text" id="research-study" autocomplete="off">
+            </label>
+            <p class="privacy-hint">${escapeHtml(t('research.studyHint'))}</p>
+
+            <label style="display: flex; align-items: flex-start; gap: 8px; font-size: 14px; color: #cbd5e1; cursor: pointer; margin-bottom: 12px;">
+                <input type="checkbox" id="research-consent" style="margin-top: 3px;" onchange="toggleResearchConsent()">
+                <span>${escapeHtml(t('research.consent'))}</span>
+            </label>
+
+            <div class="privacy-actions">
+                <button type="button" class="privacy-btn primary" id="research-download" onclick="downloadResearchData()" disabled>${escapeHtml(t('research.download'))}</button>
+                <button type="button" class="privacy-btn" onclick="closeResearchConsent()">${escapeHtml(t('research.cancel'))}</button>
+            </div>
+        `;
+    }
+};
+
+// ============================================
+// SharedResultBanner - 共有リンクの結果表示
+// ============================================
+
+export const SharedResultBanner = {
+    /**
+     * 共有リンクから表示している結果のバナーをレンダリング
+     * @param {Object} info - 共有リンクの内容
+     * @param {'answers' | 'scores'} info.kind - 種別
+     * @param {string} info.modeName - 診断モードの表示名
+     * @param {string} info.strategy - スコアリング戦略ID
+     * @param {number} info.answeredCount - 回答数 (kind が answers のとき)
+     * @returns {string} HTMLマークアップ
+     */
+    render({ kind, modeName, strategy, answeredCount }) {
+        return `
+            <div class="result-card imported-profile-banner" role="note" aria-labelledby="shared-result-heading" style="background: rgba(96, 165, 250, 0.06); border: 1px solid rgba(96, 165, 250, 0.35);">
+                <h4 id="shared-result-heading" style="font-size: 16px; margin-bottom: 8px; color: #60a5fa;">${escapeHtml(t('share.bannerTitle'))}</h4>
+                <div style="font-size: 13px; color: #cbd5e1; line-height: 1.7;">
+                    <div>${escapeHtml(t('share.source', { mode: modeName, strategy }))}</div>
+                    <div>${escapeHtml(kind === 'answers'
+                        ? t('share.fromAnswers', { count: answeredCount })
+                        : t('share.fromScores'))}</div>
+                    <div style="color: #94a3b8;">${escapeHtml(t('share.notSaved'))}</div>
+                </div>
+            </div>
+        `;
+    }
+};
+
+// ============================================
+// PrivacyPanel - 保存データの暗号化設定
+// ============================================
+
+export const PrivacyPanel = {
+    /**
+     * 暗号化設定のフォームをレンダリング
+     * @param {Object} status - 暗号化の状態
+     * @param {boolean} status.enabled - 暗号化が有効か
+     * @param {boolean} status.unlocked - 鍵が使える状態か
+     * @param {number} status.minLength - パスフレーズの最小文字数
+     * @param {string} status.backendName - 保存先のバックエンド名
+     * @param {{text: string, kind: 'error'|'success'}|null} [message] - 直前の操作の結果
+     * @returns {string} HTMLマークアップ
+     */
+    render({ enabled, unlocked, minLength, backendName }, message = null) {
+        const statusText = !enabled
+            ? t('privacy.statusOff')
+            : unlocked ? t('privacy.statusOn') : t('privacy.statusLocked');
+
+        let form;
+        if (!enabled) {
+            form = `
+                ${this._renderField('privacy-new', t('privacy.newPassphrase', { min: minLength }), 'new-password')}
+                ${this._renderField('privacy-confirm', t('privacy.confirmPassphrase'), 'new-password')}
+                <div class="privacy-actions">
+                    <button type="button" class="privacy-btn primary" onclick="enableEncryption()">${escapeHtml(t('privacy.enable'))}</button>
+                </div>
+            `;
+        } else if (!unlocked) {
+            form = `
+                ${this._renderField('privacy-current', t('privacy.currentPassphrase'), 'current-password')}
+                <div class="privacy-actions">
+                    <button type="button" class="privacy-btn primary" onclick="unlockEncryption()">${escapeHtml(t('privacy.unlock'))}</button>
+                </div>
+            `;
+        } else {
+            form = `
+                ${this._renderField('privacy-current', t('privacy.currentPassphrase'), 'current-password')}
+                ${this._renderField('privacy-new', t('privacy.newPassphrase', { min: minLength }), 'new-password')}
+                ${this._renderField('privacy-confirm', t('privacy.confirmPassphrase'), 'new-password')}
+                <p class="privacy-hint">${escapeHtml(t('privacy.rotateHint'))}</p>
+                <div class="privacy-actions">
+                    <button type="button" class="privacy-btn primary" onclick="rotateEncryptionKey()">${escapeHtml(t('privacy.rotate'))}</button>
+                    <button type="button" class="privacy-btn" onclick="disableEncryption()">${escapeHtml(t('privacy.disable'))}</button>
+                </div>
+            `;
+        }
+
+        return `
+            <div class="privacy-state">${escapeHtml(statusText)}</div>
+            <p class="privacy-hint">${escapeHtml(t('privacy.backend', { name: t(`privacy.backends.${backendName}`, {}, backendName) }))}</p>
+            <form class="privacy-form" onsubmit="return false;">
+                ${form}
+            </form>
+            <div class="privacy-status" role="status" aria-live="polite">${message
+                ? `<span class="privacy-${message.kind}">${escapeHtml(message.text)}</span>`
+                : ''}</div>
+            <div class="privacy-store">
+                <p class="privacy-hint">${escapeHtml(t('privacy.storeHint'))}</p>
+                <div class="privacy-actions">
+                    <button type="button" class="privacy-btn" onclick="exportStore()">📦 ${escapeHtml(t('privacy.exportStore'))}</button>
+                    <label class="privacy-btn">
+                        📥 ${escapeHtml(t('privacy.importStore'))}
+                        <input type="file" accept=".json,application/json" onchange="importStoreFile(this)" hidden>
+                    </label>
+                </div>
+            </div>
+            <div class="privacy-actions privacy-danger">
+                <button type="button" class="privacy-btn danger" onclick="forgetEverything()">🗑️ ${escapeHtml(t('privacy.forget'))}</button>
+            </div>
+        `;
+    },
+
+    /**
+     * パスフレーズ入力欄をレンダリング
+     * @param {string} id - input の id
+     * @param {string} label - ラベル
+     * @param {string} autocomplete - autocomplete 属性
+     * @returns {string} HTMLマークアップ
+     */
+    _renderField(id, label, autocomplete) {
+        return `
+            <label class="privacy-field" for="${id}">
+                <span>${escapeHtml(label)}</span>
+                <input type="password" id="${id}" autocomplete="${autocomplete}">
+            </label>
+        `;
+    }
+};
+
+// ============================================
+// ReadOnlyNotice - 別のタブで診断中の通知
+// ============================================
+
+export const ReadOnlyNotice = {
+    /**
+     * 読み取り専用の通知をレンダリング
+     * @param {string|null} [otherModeName] - リーダーのタブが別のモードならその表示名
+     * @returns {string} HTMLマークアップ
+     */
+    render(otherModeName = null) {
+        const message = otherModeName
+            ? t('tabs.readOnlyOtherMode', { mode: otherModeName })
+            : t('tabs.readOnly');
+        return `
+            <span>📖 ${escapeHtml(message)}</span>
+            <button type="button" class="privacy-btn primary" onclick="continueInThisTab()">${escapeHtml(t('tabs.continueHere'))}</button>
+        `;
+    }
+};
+
+// ============================================
+// UnlockPrompt - 起動時のロック解除
+// ============================================
+
+export const UnlockPrompt = {
+    /**
+     * ロック解除フォームをレンダリング (質問カードの位置に表示)
+     * @param {string|null} [error] - エラーメッセージ (パスフレーズ違いなど)
+     * @returns {string} HTMLマークアップ
+     */
+    render(error = null) {
+        return `
+            <form id="unlock-form" class="unlock-prompt" style="padding: 24px 8px;">
+                <h3 style="font-size: 20px; margin-bottom: 8px;">${escapeHtml(t('unlock.title'))}</h3>
+                <p style="font-size: 14px; color: #94a3b8; margin-bottom: 16px;">${escapeHtml(t('unlock.body'))}</p>
+
+                <label class="privacy-field" for="unlock-passphrase">
+                    <span>${escapeHtml(t('unlock.passphrase'))}</span>
+                    <input type="password" id="unlock-passphrase" autocomplete="current-password" required
+                           ${error ? 'aria-invalid="true" aria-describedby="unlock-error"' : ''}>
+                </label>
+                <div id="unlock-error" role="alert" style="font-size: 13px; color: #f87171; min-height: 1.5em;">${error ? escapeHtml(error) : ''}</div>
+
+                <div class="privacy-actions">
+                    <button type="submit" class="privacy-btn primary">${escapeHtml(t('unlock.submit'))}</button>
+                    <button type="button" class="privacy-btn" data-action="skip">${escapeHtml(t('unlock.skip'))}</button>
+                </div>
+                <p class="privacy-hint">${escapeHtml(t('unlock.skipNote'))}</p>
+
+                <div class="privacy-actions privacy-danger">
+                    <button type="button" class="privacy-btn danger" data-action="forget">🗑️ ${escapeHtml(t('unlock.forget'))}</button>
+                </div>
+            </form>
+        `;
+    }
+};
+
+// ============================================
+// TimeTravelPanel - 開発用: 状態の変化をたどる
+// ============================================
+
+export const TimeTravelPanel = {
+    /**
+     * タイムトラベルパネルをレンダリング (?dev=1 のときだけ表示)
+     * @param {Object} view - 表示内容 (app.js で作る)
+     * @param {number} view.index - 選択中のフレーム (0始まり)
+     * @param {number} view.total - フレーム数
+     * @param {{label: string, at: number, answeredCount: number, showResult: boolean}} view.frame - 選択中のフレーム
+     * @param {{type: string, confidence: number}|null} view.provisional - その時点の暫定タイプ (未回答ならnull)
+     * @param {Array<{funcType: string, raw: number, normalized: number, delta: number}>} view.scores - 機能スコア
+     *   raw: 素点 / normalized: 正規化スコア (0-100) / delta: 前のフレームからの素点の変化
+     * @param {boolean} view.canUndo - 取り消せるか
+     * @param {boolean} view.canRedo - やり直せるか
+     * @returns {string} HTMLマークアップ
+     */
+    render({ index, total, frame, provisional, scores, canUndo, canRedo }) {
+        return `
+            <h2 class="time-travel-heading">🕰️ ${escapeHtml(t('timeTravel.heading'))}</h2>
+            <div class="time-travel-controls">
+                <button type="button" class="privacy-btn" onclick="undo()" ${canUndo ? '' : 'disabled'}
+                        title="Ctrl+Z">↶ ${escapeHtml(t('timeTravel.undo'))}</button>
+                <button type="button" class="privacy-btn" onclick="redo()" ${canRedo ? '' : 'disabled'}
+                        title="Ctrl+Shift+Z">↷ ${escapeHtml(t('timeTravel.redo'))}</button>
+            </div>
+            <label class="time-travel-slider" for="time-travel-frame">
+                <span>${escapeHtml(t('timeTravel.frame', { current: index + 1, total }))}</span>
+                <input type="range" id="time-travel-frame" min="0" max="${total - 1}" value="${index}"
+                       oninput="selectTimeTravelFrame(this.value)">
+            </label>
+            <div class="time-travel-controls">
+                <button type="button" class="privacy-btn" onclick="stepTimeTravel(-1)" ${index > 0 ? '' : 'disabled'}
+                        aria-label="${escapeHtml(t('timeTravel.previous'))}">◀</button>
+                <button type="button" class="privacy-btn" onclick="stepTimeTravel(1)" ${index < total - 1 ? '' : 'disabled'}
+                        aria-label="${escapeHtml(t('timeTravel.next'))}">▶</button>
+                <button type="button" class="privacy-btn primary" onclick="jumpToTimeTravelFrame()" ${index < total - 1 ? '' : 'disabled'}>
+                    ${escapeHtml(t('timeTravel.jump'))}
+                </button>
+            </div>
+            <dl class="time-travel-meta">
+                <dt>${escapeHtml(t('timeTravel.label'))}</dt>
+                <dd><code>${escapeHtml(frame.label)}</code> (${escapeHtml(new Date(frame.at).toLocaleTimeString(getLanguage()))})</dd>
+                <dt>${escapeHtml(t('timeTravel.answered'))}</dt>
+                <dd>${frame.answeredCount}${frame.showResult ? ` · ${escapeHtml(t('timeTravel.result'))}` : ''}</dd>
+                <dt>${escapeHtml(t('timeTravel.provisional'))}</dt>
+                <dd>${provisional
+                    ? `${escapeHtml(provisional.type)} (${provisional.confidence}%)`
+                    : '—'}</dd>
+            </dl>
+            ${this._renderScores(scores)}
+        `;
+    },
+
+    /**
+     * 機能スコアの表をレンダリング
+     * @param {Array<{funcType: string, raw: number, normalized: number, delta: number}>} scores - 機能スコア
+     * @returns {string} HTMLマークアップ
+     */
+    _renderScores(scores) {
+        const rows = scores.map(({ funcType, raw, normalized, delta }) => `
+            <tr>
+                <th scope="row">${escapeHtml(funcType)}</th>
+                <td>${raw}</td>
+                <td>${normalized}</td>
+                <td class="${delta > 0 ? 'time-travel-up' : delta < 0 ? 'time-travel-down' : ''}">${formatDelta(delta)}</td>
+            </tr>
+        `).join('');
+
+        return `
+            <table class="time-travel-scores">
+                <thead>
+                    <tr>
+                        <th scope="col">${escapeHtml(t('timeTravel.function'))}</th>
+                        <th scope="col">${escapeHtml(t('timeTravel.raw'))}</th>
+                        <th scope="col">${escapeHtml(t('timeTravel.normalized'))}</th>
+                        <th scope="col">${escapeHtml(t('timeTravel.delta'))}</th>
+                    </tr>
+                </thead>
+                <tbody>${rows}</tbody>
+            </table>
+        `;
+    }
+};
@@ -0,0 +1,409 @@
+#!/usr/bin/env node
+// ============================================
+// contradiction-miner.js - 矛盾ペア候補の抽出ツール (Node.js)
+// ============================================
+//
+// 質問バンクのタグ・機能・逆転フラグから、related.contradicts に追加すべき
+// 矛盾ペアの候補を推定し、そのまま適用できる JSON Patch (RFC 6902) を出力する。
+// あわせて、既存の related.contradicts が存在しないIDを参照していないか検証する。
+//
+// 使い方:
+//   node contradiction-miner.js                          # 全モードを解析
+//   node contradiction-miner.js --mode detail --out contradictions.patch.json
+//   node contradiction-miner.js --check                  # 参照の検証のみ (CI向け)
+//
+// 推定の考え方:
+//   - 矛盾ペアは「同じ機能の逆転項目」と「通常項目」の組み合わせ
+//   - 既存ペアのタグの組 (逆転項目のタグ × 通常項目のタグ) を対立タグとして学習し、
+//     同じ対立タグを持つ未登録の組み合わせを候補にする
+//   - 逆転項目のタグと同じ項目に現れるタグ (同じ極の概念) を持つ通常項目は減点する
+//   - priority が小さい (中核的な) 項目ほど優先する
+
+import { readFile, writeFile } from 'node:fs/promises';
+import { pathToFileURL } from 'node:url';
+import { parseArgs } from 'node:util';
+
+// ============================================
+// 型定義 (JSDoc)
+// ============================================
+
+/**
+ * @typedef {import('./data.js').Question} Question
+ */
+
+/**
+ * @typedef {Object} ReferenceIssue
+ * @property {string} questionId - related.contradicts を持つ質問ID
+ * @property {string} referenceId - 参照先ID
+ * @property {'missing' | 'self' | 'duplicate' | 'cross-function' | 'same-keying'} issue - 問題の種類
+ * @property {'error' | 'warning'} severity - 重大度 (error は detectContradictions で無視される参照)
+ */
+
+/**
+ * @typedef {Object} ContradictionProposal
+ * @property {string} questionA - 逆転項目のID (related.contradicts の追加先)
+ * @property {string} questionB - 通常項目のID
+ * @property {string} function - 認知機能
+ * @property {number} score - 候補スコア (0-1)
+ * @property {Array<[string, string]>} opposingTags - 根拠となった対立タグの組
+ * @property {string[]} samePoleTags - 逆転項目と同じ極とみなしたタグ
+ */
+
+// ============================================
+// 定数定義
+// ============================================
+
+/** 候補抽出の設定 */
+export const MINER_SETTINGS = Object.freeze({
+    /** 逆転項目1問あたりの最大候補数 */
+    MAX_PER_ITEM: 2,
+    /** 候補として採用する最小スコア (priority と極の区別だけでは届かず、対立タグの根拠が必要) */
+    MIN_SCORE: 0.55,
+    /** スコアの重み */
+    WEIGHTS: Object.freeze({
+        OPPOSING_TAGS: 0.5,
+        PRIORITY: 0.3,
+        DISTINCT_POLE: 0.2
+    })
+});
+
+const VALID_MODES = Object.freeze(['simple', 'standard', 'detail']);
+
+/** データディレクトリ (contradiction-miner.js からの相対位置) */
+const DATA_DIR = new URL('./data/', import.meta.url);
+
+const USAGE = `Usage: node contradiction-miner.js [options]
+
+Options:
+  -m, --mode <mode>        ${VALID_MODES.join(' | ')} (複数指定可, 省略時は全モード)
+  -o, --out <file>         出力先ファイル (省略時は標準出力)
+      --max-per-item <n>   逆転項目1問あたりの最大候補数 (default: ${MINER_SETTINGS.MAX_PER_ITEM})
+      --min-score <n>      候補として採用する最小スコア (default: ${MINER_SETTINGS.MIN_SCORE})
+      --check              参照の検証のみ行い、問題があれば終了コード1
+  -h, --help               このヘルプを表示`;
+
+// ============================================
+// 参照の検証
+// ============================================
+
+/**
+ * related.contradicts の参照を検証
+ * 存在しないID・自己参照は error、重複・機能違い・逆転フラグが同じ組は warning とする
+ * @param {Question[]} questions - 質問データ配列
+ * @returns {ReferenceIssue[]} 検出した問題
+ */
+export function validateContradictionReferences(questions) {
+    const byId = new Map(questions.map(q => [q.id, q]));
+    const issues = [];
+
+    questions.forEach(question => {
+        const references = question.related?.contradicts;
+        if (!Array.isArray(references)) return;
+
+        const seen = new Set();
+        references.forEach(referenceId => {
+            const push = (issue, severity) => issues.push({ questionId: question.id, referenceId, issue, severity });
+            const target = byId.get(referenceId);
+
+            if (seen.has(referenceId)) {
+                push('duplicate', 'warning');
+                return;
+            }
+            seen.add(referenceId);
+
+            if (!target) {
+                push('missing', 'error');
+            } else if (referenceId === question.id) {
+                push('self', 'error');
+            } else if (target.function !== question.function) {
+                push('cross-function', 'warning');
+            } else if (Boolean(target.reverse) === Boolean(question.reverse)) {
+                push('same-keying', 'warning');
+            }
+        });
+    });
+
+    return issues;
+}
+
+// ============================================
+// タグ統計
+// ============================================
+
+/**
+ * 既存の矛盾ペアから対立タグの組を学習
+ * キーは "逆転項目のタグ|通常項目のタグ"、値は出現回数
+ * @param {Question[][]} banks - 学習に使う質問バンク
+ * @returns {Map<string, number>} 対立タグの出現回数
+ */
+export function learnOpposingTags(banks) {
+    const opposing = new Map();
+
+    banks.forEach(questions => {
+        const byId = new Map(questions.map(q => [q.id, q]));
+
+        questions.forEach(question => {
+            (question.related?.contradicts || []).forEach(referenceId => {
+                const target = byId.get(referenceId);
+                if (!target || Boolean(target.reverse) === Boolean(question.reverse)) return;
+
+                const [reversed, keyed] = question.reverse ? [question, target] : [target, question];
+                (reversed.tags || []).forEach(reverseTag => {
+                    (keyed.tags || []).forEach(tag => {
+                        const key = `${reverseTag}|${tag}`;
+                        opposing.set(key, (opposing.get(key) || 0) + 1);
+                    });
+                });
+            });
+        });
+    });
+
+    return opposing;
+}
+
+/**
+ * 同じ通常項目に現れるタグの共起関係を集計 (同じ極の概念とみなす)
+ * @param {Question[]} questions - 質問データ配列
+ * @returns {Map<string, Set<string>>} タグ → 共起タグ (自身を含む)
+ */
+function buildTagPoles(questions) {
+    const poles = new Map();
+
+    questions.filter(q => !q.reverse).forEach(q => {
+        const tags = q.tags || [];
+        tags.forEach(tag => {
+            if (!poles.has(tag)) poles.set(tag, new Set([tag]));
+            tags.forEach(other => poles.get(tag).add(other));
+        });
+    });
+
+    return poles;
+}
+
+// ============================================
+// 候補の抽出
+// ============================================
+
+/**
+ * 矛盾ペアの候補を抽出
+ * 既に登録済みの組み合わせ (どちらの向きでも) は候補に含めない
+ * @param {Question[]} questions - 対象の質問データ配列
+ * @param {Object} [options] - オプション
+ * @param {Question[][]} [options.corpus] - 対立タグの学習に使う質問バンク (省略時は対象のみ)
+ * @param {number} [options.maxPerItem] - 逆転項目1問あたりの最大候補数
+ * @param {number} [options.minScore] - 最小スコア
+ * @returns {ContradictionProposal[]} 候補 (逆転項目の出現順 → スコアの降順)
+ */
+export function proposeContradictionPairs(questions, options = {}) {
+    const {
+        corpus = [questions],
+        maxPerItem = MINER_SETTINGS.MAX_PER_ITEM,
+        minScore = MINER_SETTINGS.MIN_SCORE
+    } = options;
+    const { WEIGHTS } = MINER_SETTINGS;
+
+    const opposing = learnOpposingTags(corpus);
+    const poles = buildTagPoles(corpus.flat());
+    const priorities = questions.map(q => q.priority).filter(Number.isFinite);
+    const minPriority = Math.min(...priorities);
+    const maxPriority = Math.max(...priorities);
+
+    const existingPairs = new Set();
+    questions.forEach(q => {
+        (q.related?.contradicts || []).forEach(id => existingPairs.add([q.id, id].sort().join('|')));
+    });
+
+    const priorityScore = (q) => {
+        if (!Number.isFinite(q.priority) || maxPriority === minPriority) return 1;
+        return (maxPriority - q.priority) / (maxPriority - minPriority);
+    };
+
+    return questions.filter(q => q.reverse).flatMap(reversed => {
+        const reverseTags = reversed.tags || [];
+        const samePole = new Set(reverseTags.flatMap(tag => [...(poles.get(tag) || [tag])]));
+
+        const candidates = questions
+            .filter(q => !q.reverse
+                && q.function === reversed.function
+                && !existingPairs.has([reversed.id, q.id].sort().join('|')))
+            .map(keyed => {
+                const tags = keyed.tags || [];
+                const opposingTags = reverseTags.flatMap(reverseTag =>
+                    tags.filter(tag => opposing.has(`${reverseTag}|${tag}`)).map(tag => [reverseTag, tag])
+                );
+                const samePoleTags = tags.filter(tag => samePole.has(tag));
+                const opposingRatio = tags.length > 0
+                    ? new Set(opposingTags.map(([, tag]) => tag)).size / tags.length
+                    : 0;
+
+                const score = WEIGHTS.OPPOSING_TAGS * opposingRatio
+                    + WEIGHTS.PRIORITY * priorityScore(keyed)
+                    + WEIGHTS.DISTINCT_POLE * (samePoleTags.length === 0 ? 1 : 0);
+
+                return {
+                    questionA: reversed.id,
+                    questionB: keyed.id,
+                    function: reversed.function,
+                    score: Math.round(score * 1000) / 1000,
+                    opposingTags,
+                    samePoleTags
+                };
+            })
+            .filter(candidate => candidate.score >= minScore);
+
+        // スコアの降順 → バンク順 (sort は安定)
+        return candidates
+            .sort((a, b) => b.score - a.score)
+            .slice(0, maxPerItem);
+    });
+}
+
+// ============================================
+// パッチ生成
+// ============================================
+
+/**
+ * 候補を質問ファイルに適用する JSON Patch (RFC 6902) に変換
+ * パスは質問ファイルのルート ({ questions: [...] }) を基準にする
+ * @param {Question[]} questions - 対象の質問データ配列
+ * @param {ContradictionProposal[]} proposals - 候補
+ * @returns {Array<{op: 'add', path: string, value: any}>} JSON Patch
+ */
+export function buildContradictionPatch(questions, proposals) {
+    const indexById = new Map(questions.map((q, index) => [q.id, index]));
+    const additions = new Map();
+
+    proposals.forEach(({ questionA, questionB }) => {
+        if (!additions.has(questionA)) additions.set(questionA, []);
+        additions.get(questionA).push(questionB);
+    });
+
+    return [...additions].flatMap(([questionId, referenceIds]) => {
+        const index = indexById.get(questionId);
+        const question = questions[index];
+        const base = `/questions/${index}/related`;
+
+        if (Array.isArray(question.related?.contradicts)) {
+            return referenceIds.map(id => ({ op: 'add', path: `${base}/contradicts/-`, value: id }));
+        }
+        if (question.related) {
+            return [{ op: 'add', path: `${base}/contradicts`, value: referenceIds }];
+        }
+        return [{ op: 'add', path: base, value: { contradicts: referenceIds } }];
+    });
+}
+
+// ============================================
+// CLI
+// ============================================
+
+/**
+ * 質問ファイルを読み込む
+ * @param {string} mode - 診断モード
+ * @returns {Promise<{file: string, questions: Question[]}>} 質問データ
+ */
+async function loadQuestionBank(mode) {
+    const file = `data/questions-${mode}.json`;
+    const text = await readFile(new URL(`questions-${mode}.json`, DATA_DIR), 'utf8');
+
+    try {
+        const data = JSON.parse(text);
+        if (!Array.isArray(data.questions)) {
+            throw new Error('questions is not an array');
+        }
+        return { file, questions: data.questions };
+    } catch (error) {
+        throw new Error(`[ContradictionMiner] Failed to load ${file}: ${error.message}`);
+    }
+}
+
+/**
+ * CLIエントリーポイント
+ * @param {string[]} argv - コマンドライン引数
+ * @returns {Promise<number>} 終了コード
+ */
+async function main(argv) {
+    const { values } = parseArgs({
+        args: argv,
+        options: {
+            mode: { type: 'string', short: 'm', multiple: true },
+            out: { type: 'string', short: 'o' },
+            'max-per-item': { type: 'string' },
+            'min-score': { type: 'string' },
+            check: { type: 'boolean' },
+            help: { type: 'boolean', short: 'h' }
+        }
+    });
+
+    if (values.help) {
+        console.log(USAGE);
+        return 0;
+    }
+
+    const modes = values.mode || VALID_MODES;
+    const invalidMode = modes.find(mode => !VALID_MODES.includes(mode));
+    if (invalidMode) {
+        console.error(`Invalid mode: ${invalidMode}. Valid modes are: ${VALID_MODES.join(', ')}`);
+        return 1;
+    }
+
+    const maxPerItem = Number(values['max-per-item'] ?? MINER_SETTINGS.MAX_PER_ITEM);
+    const minScore = Number(values['min-score'] ?? MINER_SETTINGS.MIN_SCORE);
+    if (!Number.isInteger(maxPerItem) || maxPerItem < 1 || !Number.isFinite(minScore)) {
+        console.error('Invalid --max-per-item or --min-score');
+        return 1;
+    }
+
+    // 対立タグは全モードの既存ペアから学習する (タグ体系はモード間で共通)
+    const banks = await Promise.all(VALID_MODES.map(loadQuestionBank));
+    const corpus = banks.map(bank => bank.questions);
+
+    const files = banks
+        .filter((bank, index) => modes.includes(VALID_MODES[index]))
+        .map(({ file, questions }) => {
+            const referenceIssues = validateContradictionReferences(questions);
+            if (values.check) {
+                return { file, referenceIssues };
+            }
+
+            const proposals = proposeContradictionPairs(questions, { corpus, maxPerItem, minScore });
+            return {
+                file,
+                referenceIssues,
+                proposals,
+                patch: buildContradictionPatch(questions, proposals)
+            };
+        });
+
+    const errorCount = files.reduce((sum, { referenceIssues }) =>
+        sum + referenceIssues.filter(issue => issue.severity === 'error').length, 0);
+
+    files.forEach(({ file, referenceIssues, proposals }) => {
+        referenceIssues.forEach(({ questionId, referenceId, issue, severity }) => {
+            console.error(`[ContradictionMiner] ${file}: ${severity} ${issue}: ${questionId} -> ${referenceId}`);
+        });
+        if (proposals) {
+            console.error(`[ContradictionMiner] ${file}: ${proposals.length} candidate pair(s)`);
+        }
+    });
+
+    const payload = `${JSON.stringify({ files }, null, 2)}\n`;
+
+    if (values.out) {
+        await writeFile(values.out, payload, 'utf8');
+        console.error(`[ContradictionMiner] Written to ${values.out}`);
+    } else {
+        process.stdout.write(payload);
+    }
+
+    return errorCount > 0 ? 1 : 0;
+}
+
+if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) {
+    main(process.argv.slice(2))
+        .then(code => { process.exitCode = code; })
+        .catch(error => {
+            console.error(error.message || error);
+            process.exitCode = 1;
+        });
+}
@@ -27,6 +27,27 @@
  * @property {number} severity - 深刻度 (0-1)
  */
 
+/**
+ * @typedef {Object} ScoringStrategy
+ * @property {string} id - 戦略ID
+ * @property {string} name - 表示名
+ * @property {string} description - モデルの説明
+ * @property {number[]} weights - スタック位置ごとの重み (レポート表示用)
+ * @property {(functionScores: FunctionScore, stacks: Object<string, string[]>) => Object<string, number>} scoreTypes - 全タイプのスコアを算出
+ * @property {(typeName: string, stacks: Object<string, string[]>) => StackSlot[]} describeStack - タイプのスタック構成を取得
+ * @property {(sortedTypes: Array<[string, number]>, stacks: Object<string, string[]>) => number} [calculateConfidence] - 確信度 (0-100) を算出 (省略時は calculateImprovedConfidence)
+ */
+
+/**
+ * @typedef {Object} StackSlot
+ * @property {string} id - スロットID (dominant, opposing など)
+ * @property {string} label - 表示名 (主機能, 対立機能 など)
+ * @property {string} shortLabel - 短縮表示名 (主, 対立 など)
+ * @property {boolean} shadow - シャドウ位置かどうか
+ * @property {string} function - 機能名
+ * @property {number} weight - スコアリング上の重み
+ */
+
 /**
  * @typedef {Object} DiagnosticResult
  * @property {string} type - 判定されたMBTIタイプ
@@ -37,9 +58,31 @@
  * @property {Contradiction[]} contradictions - 矛盾詳細
  * @property {string[]} top2 - トップ2タイプ
  * @property {Object<string, number>} typeScores - 全タイプのスコア
+ * @property {string} strategy - 使用したスコアリング戦略ID
+ * @property {StackSlot[]} stackSlots - 判定タイプのスタック構成 (戦略により4 or 8スロット)
+ * @property {ResponseStyleFlag[]} responseStyles - 検出された回答スタイル
  * @property {string|null} warning - 警告メッセージ
  */
 
+/**
+ * @typedef {Object} ResponseStyleFlag
+ * @property {'straight-lining' | 'alternating' | 'acquiescence' | 'extreme' | 'midpoint' | 'too-fast'} id - 検出ID
+ * @property {string} label - 表示名
+ * @property {string} message - ユーザー向け説明
+ * @property {number} severity - 深刻度 (0-1)
+ * @property {number} ratio - 判定に使った割合 (0-1)
+ */
+
+/**
+ * @typedef {Object} BootstrapResult
+ * @property {string} method - 推定方法 ('stratified-bootstrap')
+ * @property {number} iterations - 再標本化の回数
+ * @property {number} confidenceLevel - 信頼水準 (0-1)
+ * @property {number} seed - 乱数シード
+ * @property {Object<string, {normalizedScore: number, lower: number, upper: number, sampleSize: number}>} functionScores - 機能ごとの正規化スコアと信頼区間
+ * @property {Array<{type: string, probability: number}>} typeProbabilities - 16タイプの判定確率 (降順)
+ */
+
 // ============================================
 // 定数定義: Jung理論に基づく認知機能重み付け
 // ============================================
@@ -55,6 +98,33 @@ const JUNG_FUNCTION_WEIGHTS = {
     INFERIOR: 0.5
 };
 
+/** Grant/Brownsword モデルの重み付け (線形減衰) */
+const GRANT_BROWNSWORD_WEIGHTS = {
+    /** 主機能の重み */
+    DOMINANT: 4.0,
+    /** 補助機能の重み */
+    AUXILIARY: 3.0,
+    /** 第三機能の重み */
+    TERTIARY: 2.0,
+    /** 劣等機能の重み */
+    INFERIOR: 1.0
+};
+
+/** Beebe モデルのシャドウ位置の重み (負値 = 適合度を下げる) */
+const BEEBE_SHADOW_WEIGHTS = {
+    /** 対立機能の重み */
+    OPPOSING: -1.0,
+    /** 批判的親機能の重み */
+    CRITICAL_PARENT: -0.5,
+    /** トリックスター機能の重み */
+    TRICKSTER: -0.25,
+    /** 悪魔的機能の重み */
+    DEMON: -0.125
+};
+
+/** デフォルトのスコアリング戦略ID */
+const DEFAULT_SCORING_STRATEGY = 'jung';
+
 /** Likertスケールの中点 */
 const LIKERT_SCALE_MIDPOINT = 3;
 
@@ -113,6 +183,40 @@ const CONTRADICTION_DETECTION = {
     PENALTY_MULTIPLIER: 200
 };
 
+/** 回答スタイル (不注意回答) 検出の設定 */
+const RESPONSE_STYLE_DETECTION = {
+    /** 判定に必要な最小回答数 */
+    MIN_ANSWERS: 10,
+    /** 同一値の割合がこれ以上ならストレートライン */
+    STRAIGHT_LINE_RATIO: 0.8,
+    /** 1つおきに同じ値が並ぶ割合がこれ以上なら交互パターン */
+    ALTERNATING_RATIO: 0.7,
+    /** 通常・逆転項目の双方で同意 (4以上) する割合がこれ以上なら黙従傾向 */
+    ACQUIESCENCE_RATIO: 0.7,
+    /** 黙従傾向の判定に必要な逆転項目の回答数 */
+    MIN_REVERSE_ANSWERS: 3,
+    /** 両端 (1/5) の割合がこれ以上なら極端回答 */
+    EXTREME_RATIO: 0.9,
+    /** 中央 (3) の割合がこれ以上なら中間回答 */
+    MIDPOINT_RATIO: 0.7,
+    /** これより速い回答 (ms) を「速すぎる」とみなす */
+    FAST_ANSWER_MS: 800,
+    /** 速すぎる回答の割合がこれ以上なら高速回答 */
+    FAST_ANSWER_RATIO: 0.3,
+    /** 一貫性スコアから差し引く最大ポイント */
+    MAX_PENALTY: 40
+};
+
+/** ブートストラップ信頼区間の設定 */
+const BOOTSTRAP_SETTINGS = {
+    /** 再標本化の回数 */
+    ITERATIONS: 1000,
+    /** 信頼水準 */
+    CONFIDENCE_LEVEL: 0.95,
+    /** 既定の乱数シード (同じ回答からは同じ区間を再現する) */
+    DEFAULT_SEED: 20240601
+};
+
 // ============================================
 // 認知機能の定義
 // ============================================
@@ -215,6 +319,40 @@ export function calculateScore(value, isReverse = false) {
     return emphasizedScore;
 }
 
+/**
+ * 回答データから認知機能スコアを集計
+ * @param {Object<string, {value: number, isReverse: boolean}|number>} answers - 回答データ
+ * @param {Array} questions - 質問データ配列
+ * @returns {FunctionScore} 機能スコア
+ */
+export function calculateFunctionScores(answers, questions) {
+    const scores = {
+        Ni: 0, Ne: 0, Si: 0, Se: 0,
+        Ti: 0, Te: 0, Fi: 0, Fe: 0
+    };
+
+    if (!answers || !Array.isArray(questions)) {
+        return scores;
+    }
+
+    for (const question of questions) {
+        const answer = answers[question.id];
+        if (answer === undefined) continue;
+
+        const value = typeof answer === 'object' ? answer.value : answer;
+        const isReverse = typeof answer === 'object' && 'isReverse' in answer
+            ? answer.isReverse
+            : (question.reverse || false);
+        const funcType = question.funcType || question.function;
+
+        if (isValidFunctionType(funcType)) {
+            scores[funcType] += calculateScore(value, isReverse);
+        }
+    }
+
+    return scores;
+}
+
 /**
  * 生スコアを0-100に正規化
  * @param {number} rawScore - 生スコア
@@ -312,6 +450,13 @@ export function detectContradictions(answers, questions) {
                 if (contradictAnswer) {
                     const contradictQuestion = questions.find(q => q.id === contradictId);
                     
+                    // 質問データに存在しないIDを参照している場合はスキップ
+                    // (contradiction-miner.js --check で検出できる)
+                    if (!contradictQuestion) {
+                        console.warn(`[detectContradictions] ${question.id} references unknown question: ${contradictId}`);
+                        continue;
+                    }
+                    
                     const isContradicting = checkContradiction(
                         answer.value,
                         contradictAnswer.value,
@@ -389,6 +534,425 @@ function applyConsistencyPenalty(originalConfidence, consistencyScore) {
     return Math.round(adjustedConfidence);
 }
 
+// ============================================
+// 回答スタイル検出 (不注意回答)
+// ============================================
+
+/**
+ * 閾値を超えた割合を深刻度 (0.5-1) に変換
+ * 閾値ちょうどで 0.5、割合 1.0 で 1.0
+ * @param {number} ratio - 観測された割合
+ * @param {number} threshold - 閾値
+ * @returns {number} 深刻度
+ */
+function ratioToSeverity(ratio, threshold) {
+    if (threshold >= 1) return 1;
+    return Number((0.5 + 0.5 * Math.min(1, (ratio - threshold) / (1 - threshold))).toFixed(2));
+}
+
+/**
+ * 回答を提示順に並べる
+ * shownAt があればその順、なければ回答の記録順
+ * @param {Object<string, {value: number, shownAt?: number}>} answers - 回答データ
+ * @returns {Array<[string, {value: number, shownAt?: number, answeredAt?: number}]>} [質問ID, 回答] 配列
+ */
+function orderAnswers(answers) {
+    const entries = Object.entries(answers || {});
+    if (entries.every(([, answer]) => typeof answer?.shownAt === 'number')) {
+        return entries.sort((a, b) => a[1].shownAt - b[1].shownAt);
+    }
+    return entries;
+}
+
+/**
+ * 不注意回答のパターンを検出
+ * ストレートライン・交互パターン・黙従傾向・極端回答・中間回答・高速回答 (タイムスタンプがある場合)
+ * @param {Object<string, {value: number, isReverse: boolean, shownAt?: number, answeredAt?: number}>} answers - 回答データ
+ * @param {Array} questions - 質問データ配列
+ * @returns {{flags: ResponseStyleFlag[], penalty: number}} 検出結果と一貫性ペナルティ (0-MAX_PENALTY)
+ */
+export function detectResponseStyles(answers, questions) {
+    const settings = RESPONSE_STYLE_DETECTION;
+    const questionMap = new Map((questions || []).map(q => [q.id, q]));
+    const ordered = orderAnswers(answers).filter(([id, answer]) =>
+        questionMap.has(id) && isValidLikertValue(answer?.value)
+    );
+    const values = ordered.map(([, answer]) => answer.value);
+    const flags = [];
+
+    if (values.length < settings.MIN_ANSWERS) {
+        return { flags, penalty: 0 };
+    }
+
+    const ratioOf = (predicate) => values.filter(predicate).length / values.length;
+
+    // 1. ストレートライン: ほぼ全問で同じ値
+    const counts = values.reduce((acc, v) => ({ ...acc, [v]: (acc[v] || 0) + 1 }), {});
+    const [modalValue, modalCount] = Object.entries(counts).sort((a, b) => b[1] - a[1])[0];
+    const sameRatio = modalCount / values.length;
+    if (sameRatio >= settings.STRAIGHT_LINE_RATIO) {
+        flags.push({
+            id: 'straight-lining',
+            label: '同じ回答の連続',
+            message: `${Math.round(sameRatio * 100)}%の質問に同じ値 (${modalValue}) で回答しています。`,
+            severity: ratioToSeverity(sameRatio, settings.STRAIGHT_LINE_RATIO),
+            ratio: Number(sameRatio.toFixed(2))
+        });
+    }
+
+    // 2. 交互パターン: A, B, A, B ... の繰り返し
+    let alternatingCount = 0;
+    for (let i = 2; i < values.length; i++) {
+        if (values[i] === values[i - 2] && values[i] !== values[i - 1]) alternatingCount++;
+    }
+    const alternatingRatio = alternatingCount / (values.length - 2);
+    if (alternatingRatio >= settings.ALTERNATING_RATIO) {
+        flags.push({
+            id: 'alternating',
+            label: '交互パターン',
+            message: '2つの値を交互に選ぶパターンが続いています。',
+            severity: ratioToSeverity(alternatingRatio, settings.ALTERNATING_RATIO),
+            ratio: Number(alternatingRatio.toFixed(2))
+        });
+    }
+
+    // 3. 黙従傾向: 通常項目と逆転項目の両方に同意
+    const normalValues = ordered.filter(([id]) => !questionMap.get(id).reverse).map(([, a]) => a.value);
+    const reverseValues = ordered.filter(([id]) => questionMap.get(id).reverse).map(([, a]) => a.value);
+    if (reverseValues.length >= settings.MIN_REVERSE_ANSWERS && normalValues.length > 0) {
+        const agreeRatio = (list) => list.filter(v => v >= 4).length / list.length;
+        const acquiescenceRatio = Math.min(agreeRatio(normalValues), agreeRatio(reverseValues));
+        if (acquiescenceRatio >= settings.ACQUIESCENCE_RATIO) {
+            flags.push({
+                id: 'acquiescence',
+                label: '黙従傾向',
+                message: '反対の内容を問う質問にも「そう思う」と回答する傾向があります。',
+                severity: ratioToSeverity(acquiescenceRatio, settings.ACQUIESCENCE_RATIO),
+                ratio: Number(acquiescenceRatio.toFixed(2))
+            });
+        }
+    }
+
+    // 4. 極端回答 / 中間回答
+    const extremeRatio = ratioOf(v => v === 1 || v === 5);
+    if (extremeRatio >= settings.EXTREME_RATIO) {
+        flags.push({
+            id: 'extreme',
+            label: '極端な回答のみ',
+            message: 'ほとんどの質問に両端の選択肢 (1 または 5) で回答しています。',
+            severity: ratioToSeverity(extremeRatio, settings.EXTREME_RATIO),
+            ratio: Number(extremeRatio.toFixed(2))
+        });
+    }
+
+    const midpointRatio = ratioOf(v => v === LIKERT_SCALE_MIDPOINT);
+    if (midpointRatio >= settings.MIDPOINT_RATIO) {
+        flags.push({
+            id: 'midpoint',
+            label: '中間の回答のみ',
+            message: `${Math.round(midpointRatio * 100)}%の質問に「どちらでもない」で回答しています。`,
+            severity: ratioToSeverity(midpointRatio, settings.MIDPOINT_RATIO),
+            ratio: Number(midpointRatio.toFixed(2))
+        });
+    }
+
+    // 5. 高速回答: 表示から回答までが短すぎる (タイムスタンプがある回答のみ)
+    const durations = ordered
+        .map(([, answer]) => answer.answeredAt - answer.shownAt)
+        .filter(ms => Number.isFinite(ms) && ms >= 0);
+    if (durations.length >= settings.MIN_ANSWERS) {
+        const fastRatio = durations.filter(ms => ms < settings.FAST_ANSWER_MS).length / durations.length;
+        if (fastRatio >= settings.FAST_ANSWER_RATIO) {
+            flags.push({
+                id: 'too-fast',
+                label: '回答が速すぎる',
+                message: `${Math.round(fastRatio * 100)}%の質問に${settings.FAST_ANSWER_MS / 1000}秒未満で回答しています。`,
+                severity: ratioToSeverity(fastRatio, settings.FAST_ANSWER_RATIO),
+                ratio: Number(fastRatio.toFixed(2))
+            });
+        }
+    }
+
+    const totalSeverity = flags.reduce((sum, flag) => sum + flag.severity, 0);
+    const penalty = Math.round(Math.min(1, totalSeverity / 2) * settings.MAX_PENALTY);
+
+    return { flags, penalty };
+}
+
+// ============================================
+// スコアリング戦略 (仮説モデルの切り替え)
+// ============================================
+
+/** 登録済みスコアリング戦略 */
+const SCORING_STRATEGIES = new Map();
+
+/** スタックのスロット定義 (Beebe 8機能モデルの順序) */
+const STACK_SLOTS = Object.freeze([
+    { id: 'dominant', label: '主機能', shortLabel: '主' },
+    { id: 'auxiliary', label: '補助機能', shortLabel: '補' },
+    { id: 'tertiary', label: '第三機能', shortLabel: '第三' },
+    { id: 'inferior', label: '劣等機能', shortLabel: '劣' },
+    { id: 'opposing', label: '対立機能', shortLabel: '対立', shadow: true },
+    { id: 'criticalParent', label: '批判的親機能', shortLabel: '批判', shadow: true },
+    { id: 'trickster', label: 'トリックスター機能', shortLabel: 'トリック', shadow: true },
+    { id: 'demon', label: '悪魔的機能', shortLabel: '悪魔', shadow: true }
+]);
+
+/**
+ * 機能の態度 (内向/外向) を反転 (Ni → Ne)
+ * @param {string} funcName - 機能名
+ * @returns {string} 反転した機能名
+ */
+function flipAttitude(funcName) {
+    return funcName[0] + (funcName[1] === 'i' ? 'e' : 'i');
+}
+
+/**
+ * 4スロットのスタックから Beebe の8スロットスタックを導出
+ * (対立・批判的親・トリックスター・悪魔 = 各機能の態度反転)
+ * @param {string[]} stack - 4スロットのスタック
+ * @returns {string[]} 8スロットのスタック
+ */
+export function expandToBeebeStack(stack) {
+    if (stack.length >= 8) return stack.slice(0, 8);
+    return [...stack, ...stack.map(flipAttitude)];
+}
+
+/**
+ * スロット定義と重みからスタック構成を組み立てる
+ * @param {string[]} functionStack - スタック (4 or 8スロット)
+ * @param {Array<{id: string, label: string, shortLabel: string, shadow?: boolean}>} slots - スロット定義
+ * @param {number[]} weights - スロットごとの重み
+ * @returns {StackSlot[]} スタック構成
+ */
+function buildStackSlots(functionStack, slots, weights) {
+    return functionStack.slice(0, weights.length).map((func, index) => ({
+        id: slots[index]?.id ?? `slot${index + 1}`,
+        label: slots[index]?.label ?? `第${index + 1}機能`,
+        shortLabel: slots[index]?.shortLabel ?? String(index + 1),
+        shadow: Boolean(slots[index]?.shadow),
+        function: func,
+        weight: weights[index]
+    }));
+}
+
+/**
+ * スタック位置の重み付き和で評価する戦略を生成
+ * @param {Object} definition - 戦略定義
+ * @param {string} definition.id - 戦略ID
+ * @param {string} definition.name - 表示名
+ * @param {string} definition.description - 説明
+ * @param {number[]} definition.weights - スタック位置ごとの重み
+ * @param {(stack: string[], typeName: string) => string[]} [definition.expandStack] - スタック拡張関数
+ * @param {Array<{id: string, label: string, shortLabel: string, shadow?: boolean}>} [definition.slots] - スロット定義
+ * @returns {ScoringStrategy} 戦略
+ */
+export function createStackWeightedStrategy({ id, name, description, weights, expandStack = stack => stack, slots = STACK_SLOTS }) {
+    return Object.freeze({
+        id,
+        name,
+        description,
+        weights: Object.freeze([...weights]),
+        scoreTypes(functionScores, stacks) {
+            const typeScores = {};
+
+            for (const [typeName, baseStack] of Object.entries(stacks)) {
+                const functionStack = expandStack(baseStack, typeName);
+                let totalScore = 0;
+
+                for (let position = 0; position < functionStack.length && position < weights.length; position++) {
+                    const funcScore = functionScores[functionStack[position]] || 0;
+                    totalScore += funcScore * weights[position];
+                }
+
+                typeScores[typeName] = totalScore;
+            }
+
+            return typeScores;
+        },
+        describeStack(typeName, stacks) {
+            const baseStack = stacks[typeName];
+            if (!baseStack) return [];
+            return buildStackSlots(expandStack(baseStack, typeName), slots, weights);
+        }
+    });
+}
+
+/**
+ * Beebe 8機能モデルの戦略を生成
+ * mbti-config.json の beebeModel (slots / stacks) があればそれを優先し、
+ * なければ既定の重みと態度反転によるシャドウ導出を使う
+ * @param {Object} [model] - Beebeモデル定義
+ * @param {Array<{id: string, label?: string, shortLabel?: string, weight: number, shadow?: boolean}>} [model.slots] - 8スロットの定義
+ * @param {Object<string, string[]>} [model.stacks] - タイプごとの8スロットスタック
+ * @returns {ScoringStrategy} 戦略
+ */
+export function createBeebeStrategy(model = {}) {
+    const configSlots = Array.isArray(model.slots) && model.slots.length === STACK_SLOTS.length
+        ? model.slots
+        : null;
+    const configStacks = model.stacks || {};
+
+    const slots = STACK_SLOTS.map((slot, index) => ({ ...slot, ...(configSlots?.[index] || {}) }));
+    const weights = configSlots
+        ? configSlots.map(slot => Number(slot.weight) || 0)
+        : [
+            JUNG_FUNCTION_WEIGHTS.DOMINANT,
+            JUNG_FUNCTION_WEIGHTS.AUXILIARY,
+            JUNG_FUNCTION_WEIGHTS.TERTIARY,
+            JUNG_FUNCTION_WEIGHTS.INFERIOR,
+            BEEBE_SHADOW_WEIGHTS.OPPOSING,
+            BEEBE_SHADOW_WEIGHTS.CRITICAL_PARENT,
+            BEEBE_SHADOW_WEIGHTS.TRICKSTER,
+            BEEBE_SHADOW_WEIGHTS.DEMON
+        ];
+
+    return createStackWeightedStrategy({
+        id: 'beebe',
+        name: 'Beebe 8機能モデル',
+        description: '主・補・第三・劣等の4スロットに加え、シャドウ4機能を独自の重みで評価する',
+        weights,
+        slots,
+        expandStack: (stack, typeName) => {
+            const configured = configStacks[typeName];
+            return Array.isArray(configured) && configured.length === STACK_SLOTS.length
+                ? configured
+                : expandToBeebeStack(stack);
+        }
+    });
+}
+
+/**
+ * スコアリング戦略を登録
+ * @param {ScoringStrategy} strategy - 戦略
+ * @returns {boolean} 登録できたかどうか
+ */
+export function registerScoringStrategy(strategy) {
+    if (!strategy || typeof strategy.id !== 'string' || typeof strategy.scoreTypes !== 'function') {
+        console.error('[registerScoringStrategy] 不正な戦略定義です:', strategy);
+        return false;
+    }
+    SCORING_STRATEGIES.set(strategy.id, strategy);
+    return true;
+}
+
+/**
+ * スコアリング戦略を取得 (未登録IDはデフォルトにフォールバック)
+ * @param {string} [strategyId] - 戦略ID
+ * @returns {ScoringStrategy} 戦略
+ */
+export function getScoringStrategy(strategyId) {
+    strategyId = strategyId || CONFIG.SCORING_STRATEGY;
+    if (SCORING_STRATEGIES.has(strategyId)) {
+        return SCORING_STRATEGIES.get(strategyId);
+    }
+    console.warn(`[getScoringStrategy] 未登録の戦略: ${strategyId}。${DEFAULT_SCORING_STRATEGY} を使用します。`);
+    return SCORING_STRATEGIES.get(DEFAULT_SCORING_STRATEGY);
+}
+
+/**
+ * 登録済みスコアリング戦略の一覧を取得
+ * @returns {Array<{id: string, name: string, description: string}>} 戦略一覧
+ */
+export function listScoringStrategies() {
+    return [...SCORING_STRATEGIES.values()].map(({ id, name, description }) => ({ id, name, description }));
+}
+
+/**
+ * 2つのベクトルのコサイン類似度
+ * @param {number[]} a - ベクトル
+ * @param {number[]} b - ベクトル
+ * @returns {number} 類似度 (-1〜1。どちらかがゼロベクトルなら0)
+ */
+function cosineSimilarity(a, b) {
+    const norm = (v) => Math.sqrt(v.reduce((sum, x) => sum + x * x, 0));
+    const dot = a.reduce((sum, v, i) => sum + v * b[i], 0);
+    return dot / (norm(a) * norm(b) + CONFIDENCE_CALCULATION_EPSILON);
+}
+
+/**
+ * 理想プロファイルとのコサイン類似度で評価する戦略
+ * (理想プロファイル = Jung重みをスタック位置に配置し、スタック外は0)
+ * 確信度は Jung 重みの合計向けの calculateImprovedConfidence を使わず、
+ * 1位と2位のタイプとの角度の差を、その2タイプの理想プロファイル間の角度で割って求める。
+ * 角度の差はこの角度を超えないため (三角不等式)、回答が1位の理想プロファイルと同じ向きなら100になる
+ * @type {ScoringStrategy}
+ */
+const COSINE_SIMILARITY_STRATEGY = Object.freeze({
+    id: 'cosine',
+    name: 'コサイン類似度モデル',
+    description: '機能スコアのベクトルと各タイプの理想プロファイルとの角度で適合度を測る',
+    weights: Object.freeze([
+        JUNG_FUNCTION_WEIGHTS.DOMINANT,
+        JUNG_FUNCTION_WEIGHTS.AUXILIARY,
+        JUNG_FUNCTION_WEIGHTS.TERTIARY,
+        JUNG_FUNCTION_WEIGHTS.INFERIOR
+    ]),
+    idealProfile(stack) {
+        return Object.keys(FUNCTIONS).map(f => {
+            const position = stack.indexOf(f);
+            return position === -1 || position >= this.weights.length ? 0 : this.weights[position];
+        });
+    },
+    scoreTypes(functionScores, stacks) {
+        const actual = Object.keys(FUNCTIONS).map(f => functionScores[f] || 0);
+        const typeScores = {};
+
+        for (const [typeName, stack] of Object.entries(stacks)) {
+            // -100〜100 に揃えて他モデルと同じ感覚で比較できるようにする
+            typeScores[typeName] = 100 * cosineSimilarity(actual, this.idealProfile(stack));
+        }
+
+        return typeScores;
+    },
+    calculateConfidence(sortedTypes, stacks) {
+        const [[firstType, firstScore], [secondType, secondScore] = [null, 0]] = sortedTypes;
+        if (!secondType) return CONFIDENCE_BOUNDS.MAX;
+
+        const angle = (similarity) => Math.acos(Math.max(-1, Math.min(1, similarity)));
+        const angleGap = angle(secondScore / 100) - angle(firstScore / 100);
+        const idealAngle = angle(cosineSimilarity(this.idealProfile(stacks[firstType]), this.idealProfile(stacks[secondType])));
+        const confidence = 100 * angleGap / (idealAngle + CONFIDENCE_CALCULATION_EPSILON);
+
+        return Math.max(
+            CONFIDENCE_BOUNDS.MIN,
+            Math.min(CONFIDENCE_BOUNDS.MAX, Math.round(confidence))
+        );
+    },
+    describeStack(typeName, stacks) {
+        const stack = stacks[typeName];
+        return stack ? buildStackSlots(stack, STACK_SLOTS, this.weights) : [];
+    }
+});
+
+registerScoringStrategy(createStackWeightedStrategy({
+    id: 'jung',
+    name: 'Jung重み付けモデル',
+    description: '主4・補2・第三1・劣等0.5 の重みでスタックを評価する標準モデル',
+    weights: [
+        JUNG_FUNCTION_WEIGHTS.DOMINANT,
+        JUNG_FUNCTION_WEIGHTS.AUXILIARY,
+        JUNG_FUNCTION_WEIGHTS.TERTIARY,
+        JUNG_FUNCTION_WEIGHTS.INFERIOR
+    ]
+}));
+
+registerScoringStrategy(createStackWeightedStrategy({
+    id: 'grant-brownsword',
+    name: 'Grant/Brownsword モデル',
+    description: '主4・補3・第三2・劣等1 の線形減衰でスタックを評価する',
+    weights: [
+        GRANT_BROWNSWORD_WEIGHTS.DOMINANT,
+        GRANT_BROWNSWORD_WEIGHTS.AUXILIARY,
+        GRANT_BROWNSWORD_WEIGHTS.TERTIARY,
+        GRANT_BROWNSWORD_WEIGHTS.INFERIOR
+    ]
+}));
+
+registerScoringStrategy(createBeebeStrategy());
+
+registerScoringStrategy(COSINE_SIMILARITY_STRATEGY);
+
 // ============================================
 // MBTIタイプ判定
 // ============================================
@@ -397,41 +961,26 @@ function applyConsistencyPenalty(originalConfidence, consistencyScore) {
  * 機能スコアからMBTIタイプを判定
  * @param {FunctionScore} functionScores - 機能スコア
  * @param {Object<string, string[]>} COGNITIVE_STACKS - スタック定義
- * @returns {{type: string, confidence: number, top2: string[], typeScores: Object<string, number>}} 判定結果
+ * @param {{strategy?: string}} [options] - 判定オプション (strategy: スコアリング戦略ID)
+ * @returns {{type: string, confidence: number, top2: string[], typeScores: Object<string, number>, strategy: string, stackSlots: StackSlot[]}} 判定結果
  */
-export function determineMBTIType(functionScores, COGNITIVE_STACKS) {
+export function determineMBTIType(functionScores, COGNITIVE_STACKS, options = {}) {
+    const strategy = getScoringStrategy(options.strategy);
+
     if (!functionScores || typeof functionScores !== 'object') {
         console.error('[determineMBTIType] functionScoresが不正です');
         return {
             type: 'UNKNOWN',
             confidence: 0,
             top2: ['UNKNOWN', 'UNKNOWN'],
-            typeScores: {}
+            typeScores: {},
+            strategy: strategy.id,
+            stackSlots: []
         };
     }
-    
-    const typeScores = {};
-    const stackWeights = [
-        JUNG_FUNCTION_WEIGHTS.DOMINANT,
-        JUNG_FUNCTION_WEIGHTS.AUXILIARY,
-        JUNG_FUNCTION_WEIGHTS.TERTIARY,
-        JUNG_FUNCTION_WEIGHTS.INFERIOR
-    ];
-    
-    for (const [typeName, functionStack] of Object.entries(COGNITIVE_STACKS)) {
-        let totalScore = 0;
-        
-        for (let position = 0; position < functionStack.length; position++) {
-            const funcName = functionStack[position];
-            const funcScore = functionScores[funcName] || 0;
-            const weight = stackWeights[position];
-            
-            totalScore += funcScore * weight;
-        }
-        
-        typeScores[typeName] = totalScore;
-    }
-    
+
+    const typeScores = strategy.scoreTypes(functionScores, COGNITIVE_STACKS);
+
     const sortedTypes = Object.entries(typeScores)
         .sort((a, b) => b[1] - a[1]);
     
@@ -439,18 +988,22 @@ export function determineMBTIType(functionScores, COGNITIVE_STACKS) {
     const [secondType, secondScore] = sortedTypes[1] || [null, 0];
     const [thirdType, thirdScore] = sortedTypes[2] || [null, 0];
     
-    const confidence = calculateImprovedConfidence(
-        firstScore, 
-        secondScore, 
-        thirdScore,
-        sortedTypes
-    );
+    const confidence = typeof strategy.calculateConfidence === 'function'
+        ? strategy.calculateConfidence(sortedTypes, COGNITIVE_STACKS)
+        : calculateImprovedConfidence(
+            firstScore, 
+            secondScore, 
+            thirdScore,
+            sortedTypes
+        );
     
     return {
         type: firstType,
         confidence: confidence,
         top2: [firstType, secondType],
-        typeScores: typeScores
+        typeScores: typeScores,
+        strategy: strategy.id,
+        stackSlots: strategy.describeStack(firstType, COGNITIVE_STACKS)
     };
 }
 
@@ -500,31 +1053,148 @@ function calculateImprovedConfidence(firstScore, secondScore, thirdScore, sorted
  * @param {Object<string, string[]>} COGNITIVE_STACKS - スタック定義
  * @param {Object} answers - 回答データ
  * @param {Array} questions - 質問データ配列
+ * @param {{strategy?: string}} [options] - 判定オプション
  * @returns {DiagnosticResult} 判定結果
  */
-export function determineMBTITypeWithConsistency(functionScores, COGNITIVE_STACKS, answers, questions) {
-    const result = determineMBTIType(functionScores, COGNITIVE_STACKS);
+export function determineMBTITypeWithConsistency(functionScores, COGNITIVE_STACKS, answers, questions, options = {}) {
+    const result = determineMBTIType(functionScores, COGNITIVE_STACKS, options);
     const contradictionAnalysis = detectContradictions(answers, questions);
+    const responseStyle = detectResponseStyles(answers, questions);
+    
+    // 不注意回答のペナルティを矛盾ベースの一貫性から差し引く
+    const consistency = Math.max(0, contradictionAnalysis.consistencyScore - responseStyle.penalty);
     
     const originalConfidence = result.confidence;
     const adjustedConfidence = applyConsistencyPenalty(
         originalConfidence,
-        contradictionAnalysis.consistencyScore
+        consistency
     );
     
     return {
         ...result,
         confidence: adjustedConfidence,
         originalConfidence: originalConfidence,
-        consistency: contradictionAnalysis.consistencyScore,
+        consistency: consistency,
         contradictionCount: contradictionAnalysis.count,
         contradictions: contradictionAnalysis.contradictions,
-        warning: contradictionAnalysis.consistencyScore < DIAGNOSTIC_THRESHOLDS.WARNING_CONSISTENCY_THRESHOLD
+        responseStyles: responseStyle.flags,
+        warning: consistency < DIAGNOSTIC_THRESHOLDS.WARNING_CONSISTENCY_THRESHOLD
             ? "回答に矛盾が見られます。診断結果の信頼性が低い可能性があります。"
             : null
     };
 }
 
+// ============================================
+// ブートストラップ信頼区間
+// ============================================
+
+/**
+ * シード付き疑似乱数生成器 (線形合同法)
+ * @param {number} seed - シード値
+ * @returns {() => number} 0-1の乱数を返す関数
+ */
+export function seededRandom(seed) {
+    let state = seed;
+    return function() {
+        state = (state * 1664525 + 1013904223) % 4294967296;
+        return state / 4294967296;
+    };
+}
+
+/**
+ * ソート済み配列の分位点 (線形補間)
+ * @param {number[]} sorted - 昇順ソート済み配列
+ * @param {number} p - 分位 (0-1)
+ * @returns {number} 分位点
+ */
+function quantile(sorted, p) {
+    const position = (sorted.length - 1) * p;
+    const lower = Math.floor(position);
+    const upper = Math.ceil(position);
+    return sorted[lower] + (sorted[upper] - sorted[lower]) * (position - lower);
+}
+
+/**
+ * 回答を機能ごとに再標本化し、正規化スコアの信頼区間と16タイプの判定確率を推定
+ * 機能ごとの回答数を保ったまま復元抽出する (層別ブートストラップ)
+ * @param {Object<string, {value: number, isReverse: boolean}>} answers - 回答データ
+ * @param {Array} questions - 質問データ配列
+ * @param {Object<string, string[]>} COGNITIVE_STACKS - スタック定義
+ * @param {{strategy?: string, iterations?: number, seed?: number, confidenceLevel?: number}} [options] - 推定オプション
+ * @returns {BootstrapResult} 推定結果
+ */
+export function bootstrapFunctionScores(answers, questions, COGNITIVE_STACKS, options = {}) {
+    const {
+        strategy: strategyId,
+        iterations = BOOTSTRAP_SETTINGS.ITERATIONS,
+        seed = BOOTSTRAP_SETTINGS.DEFAULT_SEED,
+        confidenceLevel = BOOTSTRAP_SETTINGS.CONFIDENCE_LEVEL
+    } = options;
+    const strategy = getScoringStrategy(strategyId);
+    const functionNames = Object.keys(FUNCTIONS);
+
+    // 機能ごとに各回答のスコアを集める
+    const itemScores = Object.fromEntries(functionNames.map(f => [f, []]));
+    (questions || []).forEach(question => {
+        const answer = answers?.[question.id];
+        const funcType = question.funcType || question.function;
+        if (answer === undefined || !(funcType in itemScores)) return;
+
+        itemScores[funcType].push(calculateFunctionScores({ [question.id]: answer }, [question])[funcType]);
+    });
+
+    const random = seededRandom(seed);
+    const samples = Object.fromEntries(functionNames.map(f => [f, []]));
+    const typeCounts = Object.fromEntries(Object.keys(COGNITIVE_STACKS).map(t => [t, 0]));
+    const answeredCount = functionNames.reduce((sum, f) => sum + itemScores[f].length, 0);
+
+    for (let i = 0; i < iterations && answeredCount > 0; i++) {
+        const resampled = {};
+        functionNames.forEach(f => {
+            const items = itemScores[f];
+            let total = 0;
+            for (let k = 0; k < items.length; k++) {
+                total += items[Math.floor(random() * items.length)];
+            }
+            resampled[f] = total;
+            samples[f].push(normalizeScore(total));
+        });
+
+        const [bestType] = Object.entries(strategy.scoreTypes(resampled, COGNITIVE_STACKS))
+            .sort((a, b) => b[1] - a[1])[0];
+        typeCounts[bestType]++;
+    }
+
+    const tail = (1 - confidenceLevel) / 2;
+    const intervals = {};
+    functionNames.forEach(f => {
+        const normalized = normalizeScore(itemScores[f].reduce((sum, v) => sum + v, 0));
+        const sorted = samples[f].sort((a, b) => a - b);
+
+        intervals[f] = {
+            normalizedScore: normalized,
+            lower: sorted.length > 0 ? Math.round(quantile(sorted, tail)) : normalized,
+            upper: sorted.length > 0 ? Math.round(quantile(sorted, 1 - tail)) : normalized,
+            sampleSize: itemScores[f].length
+        };
+    });
+
+    const effectiveIterations = answeredCount > 0 ? iterations : 0;
+
+    return {
+        method: 'stratified-bootstrap',
+        iterations: effectiveIterations,
+        confidenceLevel,
+        seed,
+        functionScores: intervals,
+        typeProbabilities: effectiveIterations > 0
+            ? Object.entries(typeCounts)
+                .map(([type, count]) => ({ type, probability: Number((count / effectiveIterations).toFixed(3)) }))
+                .sort((a, b) => b.probability - a.probability)
+            : []
+    };
+}
+
 // ============================================
 // エクスポート: 定数も外部から参照可能に
 // ============================================
@@ -538,7 +1208,14 @@ export const CONFIG = {
     CONFIDENCE_CALCULATION_EPSILON,
     CONFIDENCE_BOUNDS,
     DIAGNOSTIC_THRESHOLDS,
-    CONTRADICTION_DETECTION
+    CONTRADICTION_DETECTION,
+    RESPONSE_STYLE_DETECTION,
+    GRANT_BROWNSWORD_WEIGHTS,
+    BEEBE_SHADOW_WEIGHTS,
+    STACK_SLOTS,
+    BOOTSTRAP_SETTINGS,
+    /** 使用するスコアリング戦略ID (URLパラメータ等で上書き可) */
+    SCORING_STRATEGY: DEFAULT_SCORING_STRATEGY
 };
 
 // ============================================
@@ -586,19 +1263,27 @@ export function getDetailedFunctionScores(functionScores) {
  * @param {Object<string, string[]>} COGNITIVE_STACKS - スタック定義
  * @param {Object} answers - 回答データ
  * @param {Array} questions - 質問データ
+ * @param {{strategy?: string, bootstrapIterations?: number, bootstrapSeed?: number}} [options] - 判定オプション
  * @returns {Object} 診断レポート
  */
-export function generateDiagnosticReport(functionScores, COGNITIVE_STACKS, answers, questions) {
-    const result = determineMBTITypeWithConsistency(functionScores, COGNITIVE_STACKS, answers, questions);
+export function generateDiagnosticReport(functionScores, COGNITIVE_STACKS, answers, questions, options = {}) {
+    const result = determineMBTITypeWithConsistency(functionScores, COGNITIVE_STACKS, answers, questions, options);
     const detailedScores = getDetailedFunctionScores(functionScores);
+    const strategy = getScoringStrategy(result.strategy);
     
     const report = {
         timestamp: new Date().toISOString(),
+        scoringStrategy: {
+            id: strategy.id,
+            name: strategy.name,
+            description: strategy.description
+        },
+        // 数値はそのまま持ち、% などの書式は表示側 (printDiagnosticReport など) で付ける
         result: {
             determinedType: result.type,
-            confidence: `${result.confidence}%`,
-            originalConfidence: `${result.originalConfidence}%`,
-            consistency: `${result.consistency}%`,
+            confidence: result.confidence,
+            originalConfidence: result.originalConfidence,
+            consistency: result.consistency,
             secondBestType: result.top2[1],
             warning: result.warning
         },
@@ -606,6 +1291,7 @@ export function generateDiagnosticReport(functionScores, COGNITIVE_STACKS, answe
             count: result.contradictionCount,
             details: result.contradictions
         },
+        responseStyles: result.responseStyles,
         functionScores: detailedScores,
         typeScores: Object.entries(result.typeScores)
             .sort((a, b) => b[1] - a[1])
@@ -618,26 +1304,24 @@ export function generateDiagnosticReport(functionScores, COGNITIVE_STACKS, answe
         stackAnalysis: {
             determinedType: result.type,
             stack: COGNITIVE_STACKS[result.type],
-            breakdown: COGNITIVE_STACKS[result.type].map((func, index) => ({
-                position: ['主機能', '補助機能', '第三機能', '劣等機能'][index],
-                function: func,
-                fullName: FUNCTIONS[func].fullName,
-                rawScore: functionScores[func],
-                normalizedScore: normalizeScore(functionScores[func]),
-                weight: [
-                    JUNG_FUNCTION_WEIGHTS.DOMINANT,
-                    JUNG_FUNCTION_WEIGHTS.AUXILIARY,
-                    JUNG_FUNCTION_WEIGHTS.TERTIARY,
-                    JUNG_FUNCTION_WEIGHTS.INFERIOR
-                ][index],
-                weightedScore: Number((functionScores[func] * [
-                    JUNG_FUNCTION_WEIGHTS.DOMINANT,
-                    JUNG_FUNCTION_WEIGHTS.AUXILIARY,
-                    JUNG_FUNCTION_WEIGHTS.TERTIARY,
-                    JUNG_FUNCTION_WEIGHTS.INFERIOR
-                ][index]).toFixed(2))
+            fullStack: result.stackSlots.map(slot => slot.function),
+            breakdown: result.stackSlots.map(slot => ({
+                position: slot.label,
+                slot: slot.id,
+                shadow: slot.shadow,
+                function: slot.function,
+                fullName: FUNCTIONS[slot.function].fullName,
+                rawScore: functionScores[slot.function],
+                normalizedScore: normalizeScore(functionScores[slot.function]),
+                weight: slot.weight,
+                weightedScore: Number((functionScores[slot.function] * slot.weight).toFixed(2))
             }))
-        }
+        },
+        uncertainty: bootstrapFunctionScores(answers, questions, COGNITIVE_STACKS, {
+            strategy: result.strategy,
+            iterations: options.bootstrapIterations,
+            seed: options.bootstrapSeed
+        })
     };
     
     return report;
@@ -649,17 +1333,19 @@ export function generateDiagnosticReport(functionScores, COGNITIVE_STACKS, answe
  * @param {Object<string, string[]>} COGNITIVE_STACKS - スタック定義
  * @param {Object} answers - 回答データ
  * @param {Array} questions - 質問データ
+ * @param {{strategy?: string, bootstrapIterations?: number, bootstrapSeed?: number}} [options] - 判定オプション
  * @returns {Object} 診断レポート
  */
-export function printDiagnosticReport(functionScores, COGNITIVE_STACKS, answers, questions) {
-    const report = generateDiagnosticReport(functionScores, COGNITIVE_STACKS, answers, questions);
+export function printDiagnosticReport(functionScores, COGNITIVE_STACKS, answers, questions, options = {}) {
+    const report = generateDiagnosticReport(functionScores, COGNITIVE_STACKS, answers, questions, options);
     
     console.group('🧠 MBTI診断 詳細レポート');
     
     console.group('📊 判定結果');
+    console.log('スコアリング戦略:', `${report.scoringStrategy.name} (${report.scoringStrategy.id})`);
     console.log('判定タイプ:', report.result.determinedType);
-    console.log('確信度:', report.result.confidence, `(元: ${report.result.originalConfidence})`);
-    console.log('一貫性:', report.result.consistency);
+    console.log('確信度:', `${report.result.confidence}%`, `(元: ${report.result.originalConfidence}%)`);
+    console.log('一貫性:', `${report.result.consistency}%`);
     console.log('次点タイプ:', report.result.secondBestType);
     if (report.result.warning) console.warn('⚠️', report.result.warning);
     console.groupEnd();
@@ -669,6 +1355,9 @@ export function printDiagnosticReport(functionScores, COGNITIVE_STACKS, answers,
     if (report.contradictions.count > 0) {
         console.table(report.contradictions.details);
     }
+    if (report.responseStyles.length > 0) {
+        console.warn('回答スタイル:', report.responseStyles.map(flag => flag.label).join(', '));
+    }
     console.groupEnd();
     
     console.group('🎯 認知機能スコア');
@@ -681,10 +1370,15 @@ export function printDiagnosticReport(functionScores, COGNITIVE_STACKS, answers,
     
     console.group('📝 機能スタック分析');
     console.log('タイプ:', report.stackAnalysis.determinedType);
-    console.log('スタック:', report.stackAnalysis.stack.join(' → '));
+    console.log('スタック:', report.stackAnalysis.fullStack.join(' → '));
     console.table(report.stackAnalysis.breakdown);
     console.groupEnd();
     
+    console.group(`🎲 不確実性 (${report.uncertainty.confidenceLevel * 100}%信頼区間, ブートストラップ${report.uncertainty.iterations}回)`);
+    console.table(report.uncertainty.functionScores);
+    console.table(report.uncertainty.typeProbabilities.slice(0, 5));
+    console.groupEnd();
+    
     console.groupEnd();
     
     return report;
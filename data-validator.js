@@ -0,0 +1,456 @@
+#!/usr/bin/env node
+// ============================================
+// data-validator.js - データファイルのスキーマ検証・リンター (Node.js)
+// ============================================
+//
+// data/ 以下の JSON を data/schemas/*.schema.json (JSON Schema draft-07) で検証し、
+// スキーマでは表現できないファイル内・ファイル間の整合性もチェックする。
+//
+// 使い方:
+//   node data-validator.js            # 全ファイルを検証 (error があれば終了コード1)
+//   node data-validator.js --strict   # warning も失敗扱いにする
+//   node data-validator.js --json     # 結果をJSONで出力
+//
+// 対象:
+//   questions-{simple,standard,detail}.json / mbti-config.json /
+//   cognitive-card.json / type-card.json / ni.json ... fe.json
+//   翻訳ファイル questions-{mode}.{lang}.json / mbti-config.{lang}.json (存在する場合のみ)
+
+import { access, readFile } from 'node:fs/promises';
+import { pathToFileURL } from 'node:url';
+import { parseArgs } from 'node:util';
+
+import { validateContradictionReferences } from './contradiction-miner.js';
+import { I18N_CONFIG, localizedDataPath } from './i18n.js';
+import { validateSchema, escapePointer } from './json-schema.js';
+
+// スキーマ検証は json-schema.js に置き、ブラウザ側 (myself.json の読み込み) と共有する
+export { validateSchema };
+
+// ============================================
+// 型定義 (JSDoc)
+// ============================================
+
+/**
+ * @typedef {Object} LintIssue
+ * @property {string} file - 対象ファイル (data/ からの相対パス)
+ * @property {string} path - JSON Pointer 形式の位置 (ファイル全体なら '')
+ * @property {string} rule - ルールID
+ * @property {'error' | 'warning' | 'info'} severity - 重大度
+ * @property {string} message - メッセージ
+ */
+
+// ============================================
+// 定数定義
+// ============================================
+
+/** リンターの設定 */
+export const LINT_SETTINGS = Object.freeze({
+    /** 機能ごとの逆転項目の割合の許容範囲 */
+    MIN_REVERSE_RATIO: 0.15,
+    MAX_REVERSE_RATIO: 0.5
+});
+
+const ALL_FUNCTIONS = Object.freeze(['Ni', 'Ne', 'Si', 'Se', 'Ti', 'Te', 'Fi', 'Fe']);
+const QUESTION_MODES = Object.freeze(['simple', 'standard', 'detail']);
+const STACK_SLOT_LABELS = Object.freeze(['主機能', '補助機能', '第三機能', '劣等機能']);
+
+/** 翻訳ファイルを探す言語 (既定言語は元データそのもの) */
+const TRANSLATION_LANGUAGES = Object.freeze(
+    I18N_CONFIG.SUPPORTED_LANGUAGES.filter(lang => lang !== I18N_CONFIG.DEFAULT_LANGUAGE)
+);
+
+/** データディレクトリ (data-validator.js からの相対位置) */
+const DATA_DIR = new URL('./data/', import.meta.url);
+const SCHEMA_DIR = new URL('./data/schemas/', import.meta.url);
+
+const USAGE = `Usage: node data-validator.js [options]
+
+Options:
+      --strict   warning があっても終了コード1にする
+      --json     結果をJSONで出力
+  -h, --help     このヘルプを表示`;
+
+// ============================================
+// ファイルごとのリント
+// ============================================
+
+/**
+ * 質問バンクの整合性をチェック
+ * @param {Object} data - questions-*.json の内容
+ * @param {string} mode - ファイル名から得たモードID
+ * @returns {Array<Omit<LintIssue, 'file'>>} 検出した問題
+ */
+export function lintQuestionBank(data, mode) {
+    const issues = [];
+    const push = (path, rule, severity, message) => issues.push({ path, rule, severity, message });
+    const questions = Array.isArray(data?.questions) ? data.questions : [];
+
+    if (data?.mode !== mode) {
+        push('/mode', 'header-mode', 'error', `header mode is ${JSON.stringify(data?.mode)} but the file is questions-${mode}.json`);
+    }
+    if (data?.totalQuestions !== questions.length) {
+        push('/totalQuestions', 'header-total', 'error', `totalQuestions is ${data?.totalQuestions} but ${questions.length} question(s) are defined`);
+    }
+
+    // ID・本文の重複
+    const firstIndex = new Map();
+    const firstText = new Map();
+    questions.forEach((q, index) => {
+        if (firstIndex.has(q.id)) {
+            push(`/questions/${index}/id`, 'duplicate-id', 'error', `duplicate ID '${q.id}' (first at /questions/${firstIndex.get(q.id)})`);
+        } else {
+            firstIndex.set(q.id, index);
+        }
+        if (firstText.has(q.text)) {
+            push(`/questions/${index}/text`, 'duplicate-text', 'warning', `same text as '${firstText.get(q.text)}'`);
+        } else {
+            firstText.set(q.text, q.id);
+        }
+        if (typeof q.id === 'string' && typeof q.function === 'string'
+            && !q.id.startsWith(`${q.function.toLowerCase()}_`)) {
+            push(`/questions/${index}/id`, 'id-prefix', 'warning', `ID '${q.id}' does not match function ${q.function}`);
+        }
+    });
+
+    // 機能ごとの問題数・逆転項目の割合
+    ALL_FUNCTIONS.forEach(f => {
+        const items = questions.filter(q => q.function === f);
+        const reverseCount = items.filter(q => q.reverse).length;
+
+        if (items.length !== data?.questionsPerFunction) {
+            push('/questionsPerFunction', 'function-balance', 'error', `${f} has ${items.length} question(s), expected ${data?.questionsPerFunction}`);
+        }
+        if (items.length === 0) return;
+
+        const ratio = reverseCount / items.length;
+        const ratioText = `${f} reverse items: ${reverseCount}/${items.length} (${Math.round(ratio * 100)}%)`;
+        const inRange = ratio >= LINT_SETTINGS.MIN_REVERSE_RATIO && ratio <= LINT_SETTINGS.MAX_REVERSE_RATIO;
+
+        push('/questions', 'reverse-ratio', inRange ? 'info' : 'warning', inRange
+            ? ratioText
+            : `${ratioText} is outside ${LINT_SETTINGS.MIN_REVERSE_RATIO * 100}-${LINT_SETTINGS.MAX_REVERSE_RATIO * 100}%`);
+    });
+
+    // related の参照先
+    validateContradictionReferences(questions).forEach(({ questionId, referenceId, issue, severity }) => {
+        const index = firstIndex.get(questionId);
+        const rule = issue === 'missing' ? 'dangling-related' : `related-${issue}`;
+        push(`/questions/${index}/related/contradicts`, rule, severity, `${questionId} -> ${referenceId}: ${issue}`);
+    });
+
+    return issues;
+}
+
+/**
+ * MBTI設定の整合性をチェック (16タイプの網羅・Beebeスタックとの一致)
+ * @param {Object} config - mbti-config.json の内容
+ * @returns {Array<Omit<LintIssue, 'file'>>} 検出した問題
+ */
+export function lintMbtiConfig(config) {
+    const issues = [];
+    const push = (path, rule, severity, message) => issues.push({ path, rule, severity, message });
+    const types = Object.keys(config?.cognitiveStacks || {});
+
+    if (types.length !== 16) {
+        push('/cognitiveStacks', 'type-coverage', 'error', `expected 16 types, got ${types.length}`);
+    }
+
+    types.forEach(type => {
+        if (!config.mbtiDescriptions?.[type]) {
+            push(`/mbtiDescriptions`, 'type-coverage', 'error', `missing description for ${type}`);
+        }
+
+        const beebeStack = config.beebeModel?.stacks?.[type];
+        if (config.beebeModel && !beebeStack) {
+            push('/beebeModel/stacks', 'type-coverage', 'error', `missing Beebe stack for ${type}`);
+        } else if (beebeStack) {
+            const mismatch = config.cognitiveStacks[type].some((f, i) => beebeStack[i] !== f);
+            if (mismatch) {
+                push(`/beebeModel/stacks/${type}`, 'beebe-stack', 'error', `first 4 functions differ from cognitiveStacks.${type}`);
+            }
+        }
+    });
+
+    Object.keys(config?.mbtiDescriptions || {})
+        .filter(type => !types.includes(type))
+        .forEach(type => push(`/mbtiDescriptions/${type}`, 'type-coverage', 'warning', `${type} has no cognitive stack`));
+
+    const slotCount = config?.beebeModel?.slots?.length;
+    Object.entries(config?.beebeModel?.stacks || {}).forEach(([type, stack]) => {
+        if (stack.length !== slotCount) {
+            push(`/beebeModel/stacks/${type}`, 'beebe-stack', 'error', `${stack.length} function(s) for ${slotCount} slot(s)`);
+        }
+    });
+
+    return issues;
+}
+
+/**
+ * 認知機能カードの整合性をチェック
+ * @param {Object} data - cognitive-card.json の内容
+ * @returns {Array<Omit<LintIssue, 'file'>>} 検出した問題
+ */
+export function lintCognitiveCard(data) {
+    const codes = (data?.functions || []).map(f => f.code);
+
+    return ALL_FUNCTIONS
+        .filter(f => !codes.includes(f))
+        .map(f => ({ path: '/functions', rule: 'function-coverage', severity: 'error', message: `missing card for ${f}` }));
+}
+
+/**
+ * タイプカードの整合性をチェック (mbti-config.json のスタックと照合)
+ * @param {Object} data - type-card.json の内容
+ * @param {Object} config - mbti-config.json の内容
+ * @returns {Array<Omit<LintIssue, 'file'>>} 検出した問題
+ */
+export function lintTypeCard(data, config) {
+    const issues = [];
+    const push = (path, rule, severity, message) => issues.push({ path, rule, severity, message });
+    const seen = new Set();
+
+    (data?.types || []).forEach((card, index) => {
+        if (seen.has(card.code)) {
+            push(`/types/${index}/code`, 'duplicate-id', 'error', `duplicate type '${card.code}'`);
+        }
+        seen.add(card.code);
+
+        const expected = config?.cognitiveStacks?.[card.code];
+        if (!expected) {
+            push(`/types/${index}/code`, 'type-coverage', 'error', `${card.code} is not in mbti-config.json`);
+            return;
+        }
+
+        (card.stack || []).forEach((slot, slotIndex) => {
+            if (slot.slot !== STACK_SLOT_LABELS[slotIndex] || slot.code !== expected[slotIndex]) {
+                push(`/types/${index}/stack/${slotIndex}`, 'stack-mismatch', 'error',
+                    `expected ${STACK_SLOT_LABELS[slotIndex]} ${expected[slotIndex]}, got ${slot.slot} ${slot.code}`);
+            }
+        });
+    });
+
+    return issues;
+}
+
+/**
+ * 認知機能リファレンス (ni.json ... fe.json) の整合性をチェック
+ * @param {Array<{file: string, code: string, data: Object}>} entries - ファイルごとの内容
+ * @returns {LintIssue[]} 検出した問題
+ */
+export function lintFunctionFiles(entries) {
+    const issues = [];
+    const orders = new Map();
+
+    entries.forEach(({ file, code, data }) => {
+        const push = (path, rule, severity, message) => issues.push({ file, path, rule, severity, message });
+
+        if (data?.function !== code) {
+            push('/function', 'function-slug', 'error', `function is ${JSON.stringify(data?.function)} but the file is ${code}.json`);
+        }
+        if (data?.meta?.slug !== code) {
+            push('/meta/slug', 'function-slug', 'error', `slug is ${JSON.stringify(data?.meta?.slug)} but the file is ${code}.json`);
+        }
+        if (data?.meta?.path !== `/functions/${code}`) {
+            push('/meta/path', 'function-slug', 'error', `path should be /functions/${code}`);
+        }
+
+        const order = data?.meta?.order;
+        if (orders.has(order)) {
+            push('/meta/order', 'duplicate-order', 'error', `order ${order} is also used by ${orders.get(order)}`);
+        } else {
+            orders.set(order, file);
+        }
+    });
+
+    return issues;
+}
+
+/**
+ * 質問バンクの翻訳ファイルをチェック (元データとのID対応)
+ * @param {Object} translation - questions-{mode}.{lang}.json の内容
+ * @param {Object} bank - 元データ (questions-{mode}.json) の内容
+ * @param {string} mode - ファイル名から得たモードID
+ * @param {string} lang - ファイル名から得た言語
+ * @returns {Array<Omit<LintIssue, 'file'>>} 検出した問題
+ */
+export function lintQuestionTranslation(translation, bank, mode, lang) {
+    const issues = [];
+    const push = (path, rule, severity, message) => issues.push({ path, rule, severity, message });
+    const entries = translation?.questions || {};
+    const ids = new Set((bank?.questions || []).map(q => q.id));
+
+    if (translation?.mode !== mode) {
+        push('/mode', 'header-mode', 'error', `header mode is ${JSON.stringify(translation?.mode)} but the file is for ${mode}`);
+    }
+    if (translation?.lang !== lang) {
+        push('/lang', 'header-lang', 'error', `header lang is ${JSON.stringify(translation?.lang)} but the file is for ${lang}`);
+    }
+
+    // 元データにないIDの訳は使われない (IDの付け替え漏れ)
+    Object.keys(entries).forEach(id => {
+        if (!ids.has(id)) {
+            push(`/questions/${escapePointer(id)}`, 'dangling-translation', 'error', `'${id}' is not in questions-${mode}.json`);
+        }
+    });
+
+    // 訳のない質問は元の文で表示される
+    const missing = [...ids].filter(id => !(id in entries));
+    if (missing.length > 0) {
+        push('/questions', 'untranslated', 'warning', `${missing.length} question(s) fall back to the original text: ${missing.join(', ')}`);
+    }
+
+    return issues;
+}
+
+// ============================================
+// 一括検証
+// ============================================
+
+/**
+ * JSONファイルを読み込む
+ * @param {URL} url - ファイルURL
+ * @returns {Promise<any>} パース済みJSON
+ */
+async function readJSON(url) {
+    const text = await readFile(url, 'utf8');
+    try {
+        return JSON.parse(text);
+    } catch (error) {
+        throw new Error(`[DataValidator] Failed to parse JSON from ${url.pathname}: ${error.message}`);
+    }
+}
+
+/**
+ * data/ 以下の全ファイルを検証
+ * 読み込めないファイルは parse-error として報告し、残りの検証を続ける
+ * @returns {Promise<LintIssue[]>} 検出した問題
+ */
+export async function validateDataDirectory() {
+    const issues = [];
+    const schemaCache = new Map();
+
+    const loadSchema = async (name) => {
+        if (!schemaCache.has(name)) {
+            schemaCache.set(name, await readJSON(new URL(`${name}.schema.json`, SCHEMA_DIR)));
+        }
+        return schemaCache.get(name);
+    };
+
+    /** ファイルを読み込んでスキーマ検証し、内容を返す (失敗時は null) */
+    const check = async (file, schemaName) => {
+        let data;
+        try {
+            data = await readJSON(new URL(file, DATA_DIR));
+        } catch (error) {
+            issues.push({ file, path: '', rule: 'parse-error', severity: 'error', message: error.message });
+            return null;
+        }
+
+        const schema = await loadSchema(schemaName);
+        validateSchema(data, schema).forEach(({ path, message }) => {
+            issues.push({ file, path, rule: 'schema', severity: 'error', message });
+        });
+        return data;
+    };
+
+    /** 任意のファイル (翻訳など) は存在する場合のみ検証する */
+    const checkOptional = async (file, schemaName) => {
+        try {
+            await access(new URL(file, DATA_DIR));
+        } catch {
+            return null;
+        }
+        return check(file, schemaName);
+    };
+
+    const withFile = (file, fileIssues) => fileIssues.forEach(issue => issues.push({ file, ...issue }));
+
+    for (const mode of QUESTION_MODES) {
+        const file = `questions-${mode}.json`;
+        const data = await check(file, 'questions');
+        if (data) withFile(file, lintQuestionBank(data, mode));
+
+        for (const lang of TRANSLATION_LANGUAGES) {
+            const translationFile = localizedDataPath(file, lang);
+            const translation = await checkOptional(translationFile, 'questions-translation');
+            if (translation && data) {
+                withFile(translationFile, lintQuestionTranslation(translation, data, mode, lang));
+            }
+        }
+    }
+
+    const config = await check('mbti-config.json', 'mbti-config');
+    if (config) withFile('mbti-config.json', lintMbtiConfig(config));
+
+    for (const lang of TRANSLATION_LANGUAGES) {
+        await checkOptional(localizedDataPath('mbti-config.json', lang), 'mbti-config-translation');
+    }
+
+    const cognitiveCard = await check('cognitive-card.json', 'cognitive-card');
+    if (cognitiveCard) withFile('cognitive-card.json', lintCognitiveCard(cognitiveCard));
+
+    const typeCard = await check('type-card.json', 'type-card');
+    if (typeCard && config) withFile('type-card.json', lintTypeCard(typeCard, config));
+
+    const functionEntries = [];
+    for (const f of ALL_FUNCTIONS) {
+        const code = f.toLowerCase();
+        const file = `${code}.json`;
+        const data = await check(file, 'function');
+        if (data) functionEntries.push({ file, code, data });
+    }
+    issues.push(...lintFunctionFiles(functionEntries));
+
+    return issues;
+}
+
+// ============================================
+// CLI
+// ============================================
+
+/**
+ * CLIエントリーポイント
+ * @param {string[]} argv - コマンドライン引数
+ * @returns {Promise<number>} 終了コード
+ */
+async function main(argv) {
+    const { values } = parseArgs({
+        args: argv,
+        options: {
+            strict: { type: 'boolean' },
+            json: { type: 'boolean' },
+            help: { type: 'boolean', short: 'h' }
+        }
+    });
+
+    if (values.help) {
+        console.log(USAGE);
+        return 0;
+    }
+
+    const issues = await validateDataDirectory();
+    const count = (severity) => issues.filter(issue => issue.severity === severity).length;
+    const errors = count('error');
+    const warnings = count('warning');
+
+    if (values.json) {
+        process.stdout.write(`${JSON.stringify({ errors, warnings, issues }, null, 2)}\n`);
+    } else {
+        issues.forEach(({ file, path, rule, severity, message }) => {
+            console.log(`${severity.padEnd(7)} data/${file}${path ? `#${path}` : ''} [${rule}] ${message}`);
+        });
+        console.log(`\n${errors} error(s), ${warnings} warning(s)`);
+    }
+
+    return errors > 0 || (values.strict && warnings > 0) ? 1 : 0;
+}
+
+if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) {
+    main(process.argv.slice(2))
+        .then(code => { process.exitCode = code; })
+        .catch(error => {
+            console.error(error.message || error);
+            process.exitCode = 1;
+        });
+}
@@ -2,6 +2,13 @@
 // data.js - JSON Data Loader (3モード対応版)
 // ============================================
 
+import {
+    I18N_CONFIG,
+    getLanguage,
+    getLanguageFallbackChain,
+    localizedDataPath
+} from './i18n.js';
+
 // ============================================
 // 型定義 (JSDoc)
 // ============================================
@@ -21,6 +28,13 @@
  * @typedef {Object} MBTIConfig
  * @property {Object<string, string[]>} cognitiveStacks - 認知スタック定義
  * @property {Object<string, {name: string, description: string}>} mbtiDescriptions - MBTI説明
+ * @property {BeebeModel} [beebeModel] - 8スロットスタック定義 (任意)
+ */
+
+/**
+ * @typedef {Object} BeebeModel
+ * @property {Array<{id: string, label: string, weight: number, shadow: boolean}>} slots - 8スロットの定義と重み
+ * @property {Object<string, string[]>} stacks - タイプごとの8スロットスタック
  */
 
 /**
@@ -28,18 +42,41 @@
  * @property {Question[]} questions - 質問配列
  * @property {Object<string, string[]>} cognitiveStacks - 認知スタック
  * @property {Object<string, {name: string, description: string}>} mbtiDescriptions - MBTI説明
+ * @property {BeebeModel|null} beebeModel - 8スロットスタック定義 (未定義ならnull)
+ */
+
+/**
+ * @typedef {Object} QuestionTranslation
+ * 質問データの翻訳ファイル (data/questions-{mode}.{lang}.json)
+ * 元データと同じIDに訳文を対応させる。訳のない質問は元の文のまま
+ * @property {string} lang - 言語
+ * @property {string} mode - 元データのモード
+ * @property {Object<string, string>} questions - 質問ID → 訳文
+ */
+
+/**
+ * @typedef {Object} ConfigTranslation
+ * MBTI設定の翻訳ファイル (data/mbti-config.{lang}.json)
+ * @property {string} lang - 言語
+ * @property {Object<string, {name?: string, description?: string}>} mbtiDescriptions - タイプごとの訳
  */
 
 // ============================================
 // 定数定義
 // ============================================
 
-const VALID_MODES = ['simple', 'standard', 'detail'];
+const VALID_MODES = ['simple', 'standard', 'detail', 'adaptive'];
 const DEFAULT_MODE = 'standard';
 
+/** 他モードの質問データを流用するモード (適応型は詳細モードのバンクから出題) */
+const QUESTION_BANKS = {
+    adaptive: 'detail'
+};
+
 const DATA_PATHS = {
-    QUESTIONS: (mode) => `data/questions-${mode}.json`,
-    CONFIG: 'data/mbti-config.json'
+    QUESTIONS: (mode) => `data/questions-${QUESTION_BANKS[mode] || mode}.json`,
+    CONFIG: 'data/mbti-config.json',
+    MYSELF_SCHEMA: 'data/schemas/myself.schema.json'
 };
 
 const ERROR_MESSAGES = {
@@ -57,10 +94,11 @@ const ERROR_MESSAGES = {
 let currentMode = DEFAULT_MODE;
 let cachedQuestions = null;
 let cachedConfig = null;
+let cachedMyselfSchema = null;
 
 /**
  * モードを設定
- * @param {string} mode - 'simple', 'standard', または 'detail'
+ * @param {string} mode - 'simple', 'standard', 'detail', または 'adaptive'
  */
 export function setMode(mode) {
     if (!VALID_MODES.includes(mode)) {
@@ -112,23 +150,105 @@ async function fetchJSON(url) {
     }
 }
 
+// ============================================
+// 翻訳ファイル
+// ============================================
+
+/**
+ * 翻訳ファイルを読み込む (存在しなければnull)
+ * 翻訳は任意のため、失敗しても元データで続行する
+ * @param {string} path - 翻訳ファイルのパス
+ * @returns {Promise<Object|null>} 翻訳データ
+ */
+async function fetchTranslation(path) {
+    try {
+        return await fetchJSON(path);
+    } catch (error) {
+        console.info(`[Data] 翻訳ファイルなし: ${path}`);
+        return null;
+    }
+}
+
+/**
+ * フォールバックチェーンに沿って翻訳ファイルを読み込む
+ * 既定言語は元データそのものなので読み込まない
+ * @param {string} path - 元データのパス
+ * @param {string} lang - 言語
+ * @returns {Promise<Object[]>} 翻訳データ (優先度の高い順)
+ */
+async function loadTranslations(path, lang) {
+    const languages = getLanguageFallbackChain(lang)
+        .filter(chainLang => chainLang !== I18N_CONFIG.DEFAULT_LANGUAGE);
+
+    const translations = await Promise.all(
+        languages.map(chainLang => fetchTranslation(localizedDataPath(path, chainLang)))
+    );
+    return translations.filter(Boolean);
+}
+
+/**
+ * 質問配列に翻訳を重ねる (元の配列は変更しない)
+ * @param {Question[]} questions - 元データの質問配列
+ * @param {QuestionTranslation[]} translations - 翻訳データ (優先度の高い順)
+ * @returns {Question[]} 訳文を反映した質問配列
+ */
+export function applyQuestionTranslations(questions, translations) {
+    if (!translations || translations.length === 0) return questions;
+
+    return questions.map(question => {
+        const text = translations
+            .map(translation => translation.questions?.[question.id])
+            .find(value => typeof value === 'string' && value.length > 0);
+        return text ? { ...question, text } : question;
+    });
+}
+
+/**
+ * MBTI設定に翻訳を重ねる (元の設定は変更しない)
+ * @param {MBTIConfig} config - 元データの設定
+ * @param {ConfigTranslation[]} translations - 翻訳データ (優先度の高い順)
+ * @returns {MBTIConfig} 訳文を反映した設定
+ */
+function applyConfigTranslations(config, translations) {
+    if (!translations || translations.length === 0) return config;
+
+    const mbtiDescriptions = {};
+    for (const [type, description] of Object.entries(config.mbtiDescriptions)) {
+        // 優先度の低い翻訳から順に重ねる
+        mbtiDescriptions[type] = translations.reduceRight(
+            (merged, translation) => ({ ...merged, ...translation.mbtiDescriptions?.[type] }),
+            description
+        );
+    }
+    return { ...config, mbtiDescriptions };
+}
+
+// ============================================
+// データ読み込み
+// ============================================
+
 /**
  * 質問データを読み込む
- * @param {string} [mode] - 'simple', 'standard', または 'detail'
+ * 翻訳ファイル (questions-{mode}.{lang}.json) があれば質問文を差し替える
+ * @param {string} [mode] - 'simple', 'standard', 'detail', または 'adaptive'
+ * @param {string} [lang] - 言語 (既定は現在の言語)
  * @returns {Promise<Question[]>} 質問配列
  */
-export async function loadQuestions(mode = currentMode) {
+export async function loadQuestions(mode = currentMode, lang = getLanguage()) {
     const path = DATA_PATHS.QUESTIONS(mode);
     
     try {
-        const data = await fetchJSON(path);
+        const [data, translations] = await Promise.all([
+            fetchJSON(path),
+            loadTranslations(path, lang)
+        ]);
         
         if (!data.questions || !Array.isArray(data.questions)) {
             throw new Error(ERROR_MESSAGES.NO_QUESTIONS(mode));
         }
         
-        console.info(`[Data] 質問データ読み込み成功: ${mode} (${data.questions.length}問)`);
-        return data.questions;
+        console.info(`[Data] 質問データ読み込み成功: ${mode} (${data.questions.length}問, lang: ${lang})`);
+        return applyQuestionTranslations(data.questions, translations);
         
     } catch (error) {
         console.error(`[Data] 質問データの読み込みに失敗 (${mode}):`, error);
@@ -138,9 +258,23 @@ export async function loadQuestions(mode = currentMode) {
 
 /**
  * MBTI設定を読み込む
+ * キャッシュするのは元データのみ。翻訳は呼び出しごとに重ねる
+ * @param {string} [lang] - 言語 (既定は現在の言語)
+ * @returns {Promise<MBTIConfig>} MBTI設定
+ */
+export async function loadMBTIConfig(lang = getLanguage()) {
+    const [config, translations] = await Promise.all([
+        loadBaseMBTIConfig(),
+        loadTranslations(DATA_PATHS.CONFIG, lang)
+    ]);
+    return applyConfigTranslations(config, translations);
+}
+
+/**
+ * 元データのMBTI設定を読み込む
  * @returns {Promise<MBTIConfig>} MBTI設定
  */
-export async function loadMBTIConfig() {
+async function loadBaseMBTIConfig() {
     if (cachedConfig) {
         return cachedConfig;
     }
@@ -171,6 +305,25 @@ export async function loadMBTIConfig() {
     }
 }
 
+/**
+ * myself.json の JSON Schema を読み込む
+ * 読み込めない場合は例外 (スキーマなしでは検証できないため、フォールバックしない)
+ * @returns {Promise<Object>} myself.schema.json の内容
+ */
+export async function loadMyselfProfileSchema() {
+    if (cachedMyselfSchema) {
+        return cachedMyselfSchema;
+    }
+    
+    try {
+        cachedMyselfSchema = await fetchJSON(DATA_PATHS.MYSELF_SCHEMA);
+        return cachedMyselfSchema;
+    } catch (error) {
+        console.error('[Data] myself.json のスキーマの読み込みに失敗:', error);
+        throw error;
+    }
+}
+
 // ============================================
 // 同期的アクセス(後方互換性)
 // ============================================
@@ -201,10 +354,11 @@ export const questions = [];
 
 /**
  * データを事前読み込み
- * @param {string} [mode] - 'simple', 'standard', または 'detail'
+ * @param {string} [mode] - 'simple', 'standard', 'detail', または 'adaptive'
+ * @param {string} [lang] - 言語 (既定は現在の言語)
  * @returns {Promise<InitializedData>} 初期化されたデータ
  */
-export async function initializeData(mode = DEFAULT_MODE) {
+export async function initializeData(mode = DEFAULT_MODE, lang = getLanguage()) {
     // モード検証
     if (!VALID_MODES.includes(mode)) {
         console.warn(`[Data] 無効なモード: ${mode}. デフォルト(${DEFAULT_MODE})を使用します`);
@@ -214,21 +368,21 @@ export async function initializeData(mode = DEFAULT_MODE) {
     try {
         // 並行読み込み
         const [questionsData, configData] = await Promise.all([
-            loadQuestions(mode),
-            loadMBTIConfig()
+            loadQuestions(mode, lang),
+            loadMBTIConfig(lang)
         ]);
         
-        // キャッシュ更新
+        // キャッシュ更新 (設定のキャッシュは loadBaseMBTIConfig が元データで持つ)
         cachedQuestions = questionsData;
-        cachedConfig = configData;
         currentMode = mode;
         
-        console.info(`[Data] データ初期化完了 (mode: ${mode}, questions: ${questionsData.length})`);
+        console.info(`[Data] データ初期化完了 (mode: ${mode}, lang: ${lang}, questions: ${questionsData.length})`);
         
         return {
             questions: questionsData,
             cognitiveStacks: configData.cognitiveStacks,
-            mbtiDescriptions: configData.mbtiDescriptions
+            mbtiDescriptions: configData.mbtiDescriptions,
+            beebeModel: configData.beebeModel || null
         };
         
     } catch (error) {
@@ -377,6 +531,14 @@ export function getModeInfo(mode) {
             questions: 96,
             duration: '12-15分',
             description: '最も精密な診断。より正確な結果を求める方へ'
+        },
+        adaptive: {
+            id: 'adaptive',
+            name: '適応型診断',
+            questions: 64,
+            duration: '5-10分',
+            description: '回答に応じて詳細診断の質問から出題。確信度が十分になった時点で終了',
+            adaptive: true
         }
     };
     
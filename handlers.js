@@ -2,7 +2,8 @@
 // handlers.js - Event Handlers (Safari対応版 v3)
 // ============================================
 
-import { safeStructuredClone } from './hooks.js';
+import { safeStructuredClone, createAnswerRecord } from './hooks.js';
+import { resolveQuestionSequence } from './adaptive.js';
 
 // ============================================
 // 型定義 (JSDoc)
@@ -11,9 +12,9 @@ import { safeStructuredClone } from './hooks.js';
 /**
  * @typedef {Object} DiagnosisState
  * @property {number} currentQuestion - 現在の質問インデックス
- * @property {Object<string, {value: number, isReverse: boolean}>} answers - 回答記録
- * @property {Object<string, number>} functionScores - 機能スコア
+ * @property {Object<string, import('./hooks.js').AnswerRecord>} answers - 回答記録 (機能スコアは回答から導出する)
  * @property {boolean} showResult - 結果表示フラグ
+ * @property {string[]} askedQuestionIds - 出題済み質問ID (適応型モードの出題順)
  */
 
 /**
@@ -28,6 +29,10 @@ import { safeStructuredClone } from './hooks.js';
  * @typedef {Object} StateManager
  * @property {() => DiagnosisState} getState - 状態取得関数
  * @property {(newState: DiagnosisState | Function) => void} setState - 状態更新関数
+ * @property {{askQuestion: (questionId: string, meta?: Object) => void}} actions - 状態アクション
+ * @property {() => boolean} [isReadOnly] - 読み取り専用か (別のタブで診断中)
+ * @property {() => boolean} [undo] - 取り消し (hooks.js の createUndoableState)
+ * @property {() => boolean} [redo] - やり直し
  */
 
 /**
@@ -42,8 +47,8 @@ import { safeStructuredClone } from './hooks.js';
  * @typedef {Object} HandlerDependencies
  * @property {StateManager} diagnosisState - 状態管理オブジェクト
  * @property {Question[]} questions - 質問配列
- * @property {(value: number, isReverse: boolean) => number} calculateScore - スコア計算関数
  * @property {StorageManager} storage - ストレージマネージャー
+ * @property {(state: DiagnosisState) => Question|null} [selectNextQuestion] - 次問選択関数 (指定時は適応型モード)
  */
 
 // ============================================
@@ -60,6 +65,12 @@ const KEYBOARD_KEYS = Object.freeze({
     SPACE: ' '
 });
 
+/** 取り消し・やり直しのショートカット (Ctrl / ⌘ と組み合わせる。Shift+Z もやり直し) */
+const UNDO_KEYS = Object.freeze({
+    UNDO: 'z',
+    REDO: 'y'
+});
+
 /** 画面遷移アニメーション遅延 (ms) */
 const TRANSITION_DELAY = 200;
 
@@ -67,11 +78,8 @@ const TRANSITION_DELAY = 200;
 const INITIAL_STATE = Object.freeze({
     currentQuestion: 0,
     answers: {},
-    functionScores: Object.freeze({
-        Ni: 0, Ne: 0, Si: 0, Se: 0,
-        Ti: 0, Te: 0, Fi: 0, Fe: 0
-    }),
-    showResult: false
+    showResult: false,
+    askedQuestionIds: Object.freeze([])
 });
 
 // ============================================
@@ -87,6 +95,26 @@ function createInitialState() {
     return safeStructuredClone(INITIAL_STATE);
 }
 
+/**
+ * キー入力が取り消し・やり直しのショートカットか判定
+ * 入力欄では標準の取り消しを優先するため判定しない
+ * @param {KeyboardEvent} event - キーボードイベント
+ * @returns {'undo' | 'redo' | null} ショートカットの種類
+ */
+function getUndoShortcut(event) {
+    if (!(event.ctrlKey || event.metaKey) || event.altKey) return null;
+
+    const target = event.target;
+    if (target && (target.isContentEditable || ['INPUT', 'TEXTAREA', 'SELECT'].includes(target.tagName))) {
+        return null;
+    }
+
+    const key = String(event.key).toLowerCase();
+    if (key === UNDO_KEYS.UNDO) return event.shiftKey ? 'redo' : 'undo';
+    if (key === UNDO_KEYS.REDO && !event.shiftKey) return 'redo';
+    return null;
+}
+
 /**
  * tabindexを更新(ローミングタブインデックスパターン)
  * @param {HTMLElement[]} options - オプション要素配列
@@ -162,23 +190,65 @@ function scrollToTop() {
  * @returns {Object} ハンドラー関数群
  */
 export function createHandlers(deps) {
-    const { diagnosisState, questions, calculateScore, storage } = deps;
+    const { diagnosisState, questions, storage, selectNextQuestion } = deps;
     
     // 依存関係の検証
-    if (!diagnosisState || !questions || !calculateScore || !storage) {
+    if (!diagnosisState || !questions || !storage) {
         throw new Error('[Handlers] Missing required dependencies');
     }
     
     const { getState, setState } = diagnosisState;
 
+    /**
+     * 読み取り専用のタブか (別のタブで診断中。回答・移動・リセットを受け付けない)
+     * @private
+     * @returns {boolean} 読み取り専用かどうか
+     */
+    const isReadOnly = () => Boolean(diagnosisState.isReadOnly?.());
+
+    /** 質問ごとの最初の表示時刻 (回答時に AnswerRecord.shownAt として保存) */
+    const shownTimes = new Map();
+
+    /** 回答ごとの連番 (回答と次の質問への移動を1回の取り消しにまとめる) */
+    let answerSequence = 0;
+
+    /** 回答後の画面遷移のタイマー (取り消し・リセット時に止める) */
+    let pendingTransition = null;
+
+    /**
+     * 現在の出題順を取得
+     * 適応型モードでは出題済みの質問のみ、それ以外は全質問
+     * @private
+     * @param {DiagnosisState} state - 診断状態
+     * @returns {Question[]} 出題順の質問配列
+     */
+    function getQuestionSequence(state) {
+        return selectNextQuestion ? resolveQuestionSequence(state, questions) : questions;
+    }
+
+    /**
+     * 初期状態を生成 (適応型モードでは最初の質問を出題済みにする)
+     * @private
+     * @returns {DiagnosisState} 初期状態
+     */
+    function createStartState() {
+        const initialState = createInitialState();
+        const firstQuestion = selectNextQuestion ? selectNextQuestion(initialState) : null;
+
+        return firstQuestion
+            ? { ...initialState, askedQuestionIds: [firstQuestion.id] }
+            : initialState;
+    }
+
     /**
      * 回答処理の内部実装
      * @private
      * @param {number} value - 選択された値 (1-5)
      * @param {Question} question - 現在の質問
      * @param {boolean} isShadowOption - Shadow機能かどうか
+     * @param {string} group - 取り消しのグループ
      */
-    function processAnswer(value, question, isShadowOption) {
+    function processAnswer(value, question, isShadowOption, group) {
         if (!question) {
             console.error('[Handlers] Invalid question in processAnswer');
             return;
@@ -193,26 +263,22 @@ export function createHandlers(deps) {
         }
 
         try {
-            // 1. 回答を保存
+            // 1. 回答を保存 (表示・回答時刻と変更回数を含む)
+            // 機能スコアは回答から導出するため、再回答しても二重に加算されない
             setState(prev => ({
                 ...prev,
                 answers: {
                     ...prev.answers,
-                    [question.id]: { value, isReverse }
-                }
-            }));
-
-            // 2. スコアを更新
-            const delta = calculateScore(value, isReverse);
-            setState(prev => ({
-                ...prev,
-                functionScores: {
-                    ...prev.functionScores,
-                    [funcType]: prev.functionScores[funcType] + delta
+                    [question.id]: createAnswerRecord(
+                        prev.answers[question.id],
+                        value,
+                        isReverse,
+                        shownTimes.get(question.id) ?? null
+                    )
                 }
-            }));
+            }), { label: `answer:${question.id}`, group });
 
-            // 3. Shadow説明フラグを保存
+            // 2. Shadow説明フラグを保存
             if (isShadowOption) {
                 storage.shadowSeen.set();
             }
@@ -225,19 +291,32 @@ export function createHandlers(deps) {
      * 次の画面に遷移
      * @private
      * @param {number} currentIndex - 現在の質問インデックス
+     * @param {string} group - 取り消しのグループ (回答と同じ)
      */
-    function transitionToNext(currentIndex) {
-        setTimeout(() => {
+    function transitionToNext(currentIndex, group) {
+        clearTimeout(pendingTransition);
+        pendingTransition = setTimeout(() => {
+            pendingTransition = null;
             try {
-                if (currentIndex >= questions.length - 1) {
-                    // 最後の質問 → 結果表示
-                    setState(prev => ({ ...prev, showResult: true }));
+                const state = getState();
+                const sequence = getQuestionSequence(state);
+
+                if (currentIndex >= sequence.length - 1) {
+                    // 適応型モード: 終了条件を満たすまで次の質問を選んで追加
+                    const nextQuestion = selectNextQuestion ? selectNextQuestion(state) : null;
+
+                    if (nextQuestion) {
+                        diagnosisState.actions.askQuestion(nextQuestion.id, { group });
+                    } else {
+                        // 最後の質問 → 結果表示
+                        setState(prev => ({ ...prev, showResult: true }), { label: 'result', group });
+                    }
                 } else {
                     // 次の質問へ
                     setState(prev => ({
                         ...prev,
                         currentQuestion: prev.currentQuestion + 1
-                    }));
+                    }), { label: 'next', group });
                 }
             } catch (error) {
                 console.error('[Handlers] Error in transitionToNext:', error);
@@ -250,12 +329,24 @@ export function createHandlers(deps) {
     // ============================================
 
     return Object.freeze({
+        /**
+         * 質問の表示を記録 (初回表示時刻のみ保持)
+         * @param {string} questionId - 質問ID
+         */
+        markQuestionShown(questionId) {
+            if (questionId && !shownTimes.has(questionId)) {
+                shownTimes.set(questionId, Date.now());
+            }
+        },
+
         /**
          * 回答ハンドラー
          * @param {number} value - 選択された値 (1-5)
          * @param {Object} event - イベントオブジェクト
          */
         handleAnswer(value, event) {
+            if (isReadOnly()) return;
+
             try {
                 // バリデーション
                 if (typeof value !== 'number' || value < 1 || value > 5) {
@@ -264,7 +355,7 @@ export function createHandlers(deps) {
                 }
 
                 const state = getState();
-                const question = questions[state.currentQuestion];
+                const question = getQuestionSequence(state)[state.currentQuestion];
                 
                 if (!question) {
                     console.error('[Handlers] Invalid question index:', state.currentQuestion);
@@ -274,11 +365,12 @@ export function createHandlers(deps) {
                 // Shadow機能判定
                 const isShadowOption = event?.currentTarget?.closest?.('.option-shadow') !== null;
 
-                // 回答処理
-                processAnswer(value, question, isShadowOption);
+                // 回答処理 (回答から画面遷移までを1回の取り消しにまとめる)
+                const group = `answer-${++answerSequence}`;
+                processAnswer(value, question, isShadowOption, group);
 
                 // 画面遷移
-                transitionToNext(state.currentQuestion);
+                transitionToNext(state.currentQuestion, group);
 
             } catch (error) {
                 console.error('[Handlers] Error in handleAnswer:', error);
@@ -289,13 +381,15 @@ export function createHandlers(deps) {
          * 戻るハンドラー
          */
         goBack() {
+            if (isReadOnly()) return;
+
             try {
                 const state = getState();
                 if (state.currentQuestion > 0) {
                     setState(prev => ({
                         ...prev,
                         currentQuestion: prev.currentQuestion - 1
-                    }));
+                    }), { label: 'back' });
                 }
             } catch (error) {
                 console.error('[Handlers] Error in goBack:', error);
@@ -306,9 +400,12 @@ export function createHandlers(deps) {
          * 次へハンドラー
          */
         goNext() {
+            if (isReadOnly()) return;
+
             try {
                 const state = getState();
-                const question = questions[state.currentQuestion];
+                const sequence = getQuestionSequence(state);
+                const question = sequence[state.currentQuestion];
                 
                 if (!question) {
                     console.error('[Handlers] Invalid question index:', state.currentQuestion);
@@ -316,11 +413,11 @@ export function createHandlers(deps) {
                 }
 
                 // 回答済み かつ 最後の質問でない場合のみ進む
-                if (state.answers[question.id] && state.currentQuestion < questions.length - 1) {
+                if (state.answers[question.id] && state.currentQuestion < sequence.length - 1) {
                     setState(prev => ({
                         ...prev,
                         currentQuestion: prev.currentQuestion + 1
-                    }));
+                    }), { label: 'next' });
                 }
             } catch (error) {
                 console.error('[Handlers] Error in goNext:', error);
@@ -331,12 +428,17 @@ export function createHandlers(deps) {
          * リセットハンドラー
          */
         reset() {
+            // 読み取り専用のタブからリーダーの保存データを消さない
+            if (isReadOnly()) return;
+
             try {
                 // 1. ストレージをクリア
                 storage.clearAll();
                 
-                // 2. 初期状態に戻す (Safari対応版を使用)
-                setState(createInitialState());
+                // 2. 初期状態に戻す (Safari対応版を使用。取り消せば直前の診断に戻る)
+                clearTimeout(pendingTransition);
+                shownTimes.clear();
+                setState(createStartState(), { label: 'reset' });
 
                 // 3. UI を質問画面に戻す
                 switchToQuestionScreen();
@@ -351,6 +453,86 @@ export function createHandlers(deps) {
             }
         },
 
+        /**
+         * 取り消しハンドラー
+         * 回答の取り消しは、回答前の質問に戻る
+         * @returns {boolean} 取り消せたかどうか
+         */
+        undo() {
+            if (isReadOnly() || typeof diagnosisState.undo !== 'function') return false;
+
+            try {
+                clearTimeout(pendingTransition);
+                pendingTransition = null;
+                const undone = diagnosisState.undo();
+                if (undone && !getState().showResult) {
+                    switchToQuestionScreen();
+                }
+                return undone;
+            } catch (error) {
+                console.error('[Handlers] Error in undo:', error);
+                return false;
+            }
+        },
+
+        /**
+         * やり直しハンドラー
+         * @returns {boolean} やり直せたかどうか
+         */
+        redo() {
+            if (isReadOnly() || typeof diagnosisState.redo !== 'function') return false;
+
+            try {
+                clearTimeout(pendingTransition);
+                pendingTransition = null;
+                const redone = diagnosisState.redo();
+                if (redone && !getState().showResult) {
+                    switchToQuestionScreen();
+                }
+                return redone;
+            } catch (error) {
+                console.error('[Handlers] Error in redo:', error);
+                return false;
+            }
+        },
+
+        /**
+         * 過去の状態に戻す (開発用のタイムトラベルパネルから使う)
+         * 戻した操作も取り消せる
+         * @param {DiagnosisState} targetState - タイムラインの状態
+         */
+        travelTo(targetState) {
+            if (isReadOnly()) return;
+
+            try {
+                clearTimeout(pendingTransition);
+                pendingTransition = null;
+                setState(targetState, { label: 'time-travel' });
+                if (!targetState.showResult) {
+                    switchToQuestionScreen();
+                }
+            } catch (error) {
+                console.error('[Handlers] Error in travelTo:', error);
+            }
+        },
+
+        /**
+         * 取り消し・やり直しのショートカット (document の keydown に登録)
+         * Ctrl/⌘+Z で取り消し、Ctrl/⌘+Shift+Z または Ctrl/⌘+Y でやり直し
+         * @param {KeyboardEvent} event - キーボードイベント
+         */
+        handleShortcut(event) {
+            const shortcut = getUndoShortcut(event);
+            if (!shortcut) return;
+
+            event.preventDefault();
+            if (shortcut === 'undo') {
+                this.undo();
+            } else {
+                this.redo();
+            }
+        },
+
         /**
          * キーボードナビゲーションハンドラー
          * @param {KeyboardEvent} event - キーボードイベント
@@ -439,4 +621,4 @@ export function createHandlers(deps) {
 // 定数のエクスポート(テスト用)
 // ============================================
 
-export { KEYBOARD_KEYS, TRANSITION_DELAY, INITIAL_STATE };
\ No newline at end of file
+export { KEYBOARD_KEYS, UNDO_KEYS, TRANSITION_DELAY, INITIAL_STATE, getUndoShortcut };
\ No newline at end of file
@@ -0,0 +1,177 @@
+// ============================================
+// history.js - 診断履歴と認知ドリフトの分析
+// ============================================
+//
+// 完了した診断を1件ずつ履歴エントリーとして残し (保存は hooks.js の storage.history)、
+// 複数回の結果から機能スコアと判定タイプの推移 (認知ドリフト) を求める。
+// モードによって素点の範囲が異なるため、比較には正規化スコア (0-100) を使う。
+
+// ============================================
+// 型定義 (JSDoc)
+// ============================================
+
+/**
+ * @typedef {import('./core.js').DiagnosticResult} DiagnosticResult
+ * @typedef {import('./hooks.js').DiagnosisState} DiagnosisState
+ */
+
+/**
+ * @typedef {Object} HistoryEntry
+ * @property {string} id - エントリーID
+ * @property {number} completedAt - 診断完了時刻 (epoch ms)
+ * @property {string} type - 判定タイプ
+ * @property {number} confidence - 確信度 (0-100)
+ * @property {number} consistency - 一貫性 (0-100)
+ * @property {string} mode - 診断モード
+ * @property {string} strategy - スコアリング戦略ID
+ * @property {number} answeredCount - 回答数
+ * @property {Object<string, number>} scores - 正規化スコア (0-100)
+ * @property {Object<string, number>} rawScores - 素点
+ */
+
+/**
+ * @typedef {Object} FunctionDrift
+ * @property {number[]} series - 古い順の正規化スコア
+ * @property {number} first - 初回のスコア
+ * @property {number} last - 最新のスコア
+ * @property {number} delta - 初回 → 最新の変化量
+ * @property {number} mean - 平均
+ * @property {number} stdDev - 標準偏差
+ * @property {'up' | 'down' | 'stable'} trend - 変化の向き
+ */
+
+/**
+ * @typedef {Object} DriftAnalysis
+ * @property {number} sessions - 診断回数
+ * @property {{from: number, to: number}|null} span - 期間 (epoch ms)
+ * @property {Object<string, FunctionDrift>} functions - 機能ごとの推移
+ * @property {Array<{type: string, completedAt: number, mode: string}>} types - 判定タイプの推移
+ * @property {number} typeChanges - 前回から判定タイプが変わった回数
+ * @property {string|null} mostFrequentType - 最も多く判定されたタイプ
+ * @property {number} typeStability - 最多タイプの割合 (0-100)
+ * @property {string[]} topMovers - 変化量の大きい順の機能
+ */
+
+// ============================================
+// 定数定義
+// ============================================
+
+/** ドリフト分析の設定 */
+export const DRIFT_CONFIG = Object.freeze({
+    /** この変化量 (正規化スコア) 未満は stable とみなす */
+    STABLE_DELTA: 5
+});
+
+const ALL_FUNCTIONS = Object.freeze(['Ni', 'Ne', 'Si', 'Se', 'Ti', 'Te', 'Fi', 'Fe']);
+
+// ============================================
+// 履歴エントリー
+// ============================================
+
+/**
+ * 診断結果から履歴エントリーを作成
+ * @param {DiagnosticResult} result - 診断結果
+ * @param {DiagnosisState} state - 完了時の診断状態
+ * @param {Object} context - 診断の条件
+ * @param {string} context.mode - 診断モード
+ * @param {string} context.strategy - スコアリング戦略ID
+ * @param {(score: number) => number} context.normalize - スコア正規化関数
+ * @param {Object<string, number>} context.functionScores - 機能の素点 (回答から導出したもの)
+ * @param {number} [context.now] - 完了時刻 (epoch ms)
+ * @returns {HistoryEntry} 履歴エントリー
+ */
+export function createHistoryEntry(result, state, { mode, strategy, normalize, functionScores, now = Date.now() }) {
+    const rawScores = {};
+    const scores = {};
+    ALL_FUNCTIONS.forEach(f => {
+        rawScores[f] = functionScores?.[f] ?? 0;
+        scores[f] = normalize(rawScores[f]);
+    });
+
+    return {
+        id: `${now.toString(36)}-${result.type}`,
+        completedAt: now,
+        type: result.type,
+        confidence: result.confidence,
+        consistency: result.consistency,
+        mode,
+        strategy,
+        answeredCount: Object.keys(state.answers || {}).length,
+        scores,
+        rawScores
+    };
+}
+
+/**
+ * 履歴エントリーの形式を検証 (壊れた保存データの除外用)
+ * @param {any} entry - 検証する値
+ * @returns {boolean} 有効なエントリーかどうか
+ */
+export function isValidHistoryEntry(entry) {
+    return Boolean(entry)
+        && typeof entry.id === 'string'
+        && typeof entry.type === 'string'
+        && Number.isFinite(entry.completedAt)
+        && typeof entry.scores === 'object' && entry.scores !== null
+        && ALL_FUNCTIONS.every(f => Number.isFinite(entry.scores[f]));
+}
+
+// ============================================
+// ドリフト分析
+// ============================================
+
+/**
+ * 履歴から機能スコアと判定タイプの推移を分析
+ * @param {HistoryEntry[]} entries - 履歴エントリー (順不同)
+ * @returns {DriftAnalysis} 分析結果
+ */
+export function analyzeDrift(entries) {
+    const sorted = (entries || [])
+        .filter(isValidHistoryEntry)
+        .sort((a, b) => a.completedAt - b.completedAt);
+
+    const functions = {};
+    ALL_FUNCTIONS.forEach(f => {
+        const series = sorted.map(entry => entry.scores[f]);
+        const first = series[0] ?? 0;
+        const last = series[series.length - 1] ?? 0;
+        const delta = last - first;
+        const mean = series.length > 0 ? series.reduce((sum, v) => sum + v, 0) / series.length : 0;
+        const variance = series.length > 0
+            ? series.reduce((sum, v) => sum + (v - mean) ** 2, 0) / series.length
+            : 0;
+
+        functions[f] = {
+            series,
+            first,
+            last,
+            delta,
+            mean: Math.round(mean * 10) / 10,
+            stdDev: Math.round(Math.sqrt(variance) * 10) / 10,
+            trend: Math.abs(delta) < DRIFT_CONFIG.STABLE_DELTA ? 'stable' : (delta > 0 ? 'up' : 'down')
+        };
+    });
+
+    const types = sorted.map(({ type, completedAt, mode }) => ({ type, completedAt, mode }));
+    const typeChanges = types.filter((entry, i) => i > 0 && entry.type !== types[i - 1].type).length;
+
+    const typeCounts = {};
+    types.forEach(({ type }) => { typeCounts[type] = (typeCounts[type] || 0) + 1; });
+    // 同数なら最新の判定を優先
+    const mostFrequentType = [...types].reverse()
+        .map(({ type }) => type)
+        .reduce((best, type) => (best === null || typeCounts[type] > typeCounts[best] ? type : best), null);
+
+    return {
+        sessions: sorted.length,
+        span: sorted.length > 0
+            ? { from: sorted[0].completedAt, to: sorted[sorted.length - 1].completedAt }
+            : null,
+        functions,
+        types,
+        typeChanges,
+        mostFrequentType,
+        typeStability: mostFrequentType ? Math.round((typeCounts[mostFrequentType] / sorted.length) * 100) : 0,
+        topMovers: [...ALL_FUNCTIONS].sort((a, b) => Math.abs(functions[b].delta) - Math.abs(functions[a].delta))
+    };
+}
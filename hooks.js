@@ -2,6 +2,19 @@
 // hooks.js - State Management Hooks (Safari対応版 v3)
 // ============================================
 
+import { calculateFunctionScores } from './core.js';
+import { isValidHistoryEntry } from './history.js';
+import { isValidSigningKeyPair } from './profile-signer.js';
+import {
+    createEncryptionKey,
+    unlockEncryptionKey,
+    encryptText,
+    decryptText,
+    isEncryptedEnvelope,
+    isValidPassphrase
+} from './storage-crypto.js';
+import { createLocalStorageBackend, openStorageBackend, isQuotaExceededError, byteLength } from './storage-backends.js';
+
 // ============================================
 // Safari互換: structuredClone ポリフィル
 // ============================================
@@ -62,12 +75,21 @@ function safeStructuredClone(obj) {
 // 型定義 (JSDoc)
 // ============================================
 
+/**
+ * @typedef {Object} AnswerRecord
+ * @property {number} value - 回答値 (1-5)
+ * @property {boolean} isReverse - 逆転項目フラグ
+ * @property {number|null} shownAt - 質問が最初に表示された時刻 (epoch ms, 不明ならnull)
+ * @property {number|null} answeredAt - 最後に回答した時刻 (epoch ms)
+ * @property {number} changeCount - 回答を別の値に変更した回数
+ */
+
 /**
  * @typedef {Object} DiagnosisState
  * @property {number} currentQuestion - 現在の質問インデックス
- * @property {Object<string, {value: number, isReverse: boolean}>} answers - 回答記録
- * @property {Object<string, number>} functionScores - 機能スコア
+ * @property {Object<string, AnswerRecord>} answers - 回答記録 (機能スコアは selectFunctionScores で回答から導出する)
  * @property {boolean} showResult - 結果表示フラグ
+ * @property {string[]} askedQuestionIds - 出題済み質問ID (適応型モードの出題順)
  */
 
 /**
@@ -81,22 +103,66 @@ function safeStructuredClone(obj) {
 /**
  * @typedef {Object} StateManager
  * @property {() => DiagnosisState} getState - 状態取得関数
- * @property {(newState: DiagnosisState | ((prev: DiagnosisState) => DiagnosisState)) => void} setState - 状態更新関数
+ * @property {(newState: DiagnosisState | ((prev: DiagnosisState) => DiagnosisState), meta?: TransitionMeta) => void} setState - 状態更新関数
  * @property {(listener: (state: DiagnosisState) => void) => () => void} subscribe - 購読関数
  */
 
+/**
+ * @typedef {Object} TransitionMeta
+ * @property {string} [label='update'] - 変更の名前 (タイムトラベル表示用。'answer:q12' など)
+ * @property {string|null} [group=null] - 同じ値が続く変更は1回の取り消しでまとめて戻す (回答 → 次の質問 など)
+ * @property {boolean} [record=true] - false なら取り消し履歴を破棄してこの状態から記録し直す (復元・他のタブからの反映)
+ */
+
+/**
+ * @typedef {Object} TimelineEntry
+ * @template T
+ * @property {T} state - 変更後の状態
+ * @property {string} label - 変更の名前
+ * @property {number} at - 変更時刻 (epoch ms)
+ */
+
+/**
+ * @typedef {Object} UndoControls
+ * @property {() => boolean} undo - 1つ前の状態に戻す (戻せなければfalse)
+ * @property {() => boolean} redo - 取り消した変更をやり直す (やり直せなければfalse)
+ * @property {() => boolean} canUndo - 取り消せるか
+ * @property {() => boolean} canRedo - やり直せるか
+ * @property {() => TimelineEntry[]} getTimeline - これまでの状態 (古い順。取り消し・やり直しも含む)
+ */
+
+/**
+ * @typedef {Object} DiagnosisOptions
+ * @property {boolean} [adaptive=false] - 適応型モード (出題順を askedQuestionIds で管理)
+ * @property {TabSync} [sync] - タブ間同期 (指定するとリーダーのタブだけが状態を変更できる)
+ * @property {string} [syncScope='default'] - 同期する範囲 (同じ値のタブ同士でだけ状態を共有する。診断モードなど)
+ */
+
+/**
+ * @typedef {Object} TabSync
+ * @property {string} tabId - このタブのID
+ * @property {Promise<void>} ready - 最初のリーダー判定が済んだら解決
+ * @property {() => boolean} isLeader - このタブがリーダー (書き込みできるタブ) か
+ * @property {(listener: (isLeader: boolean) => void) => () => void} onLeaderChange - リーダーの交代を購読
+ * @property {(message: Object) => void} publish - 他のタブにメッセージを送る
+ * @property {(listener: (message: Object) => void) => () => void} subscribe - 他のタブからのメッセージを購読
+ * @property {() => void} takeOver - このタブをリーダーにする (元のリーダーは読み取り専用になる)
+ * @property {() => void} close - 同期をやめる (リーダーなら次のタブに譲る)
+ */
+
 /**
  * @typedef {Object} DiagnosisActions
- * @property {(questionId: string, value: number, isReverse: boolean) => void} setAnswer - 回答設定
- * @property {(funcType: string, delta: number) => void} updateFunctionScore - スコア更新
+ * @property {(questionId: string, value: number, isReverse: boolean, shownAt?: number|null) => void} setAnswer - 回答設定
  * @property {() => void} nextQuestion - 次の質問へ
  * @property {() => void} prevQuestion - 前の質問へ
+ * @property {(questionId: string, meta?: TransitionMeta) => void} askQuestion - 質問を出題順に追加 (適応型モード)
  * @property {() => void} revealResult - 結果表示
  * @property {() => void} reset - リセット
  */
 
 /**
  * @typedef {Object} StorageAPI
+ * @property {'localStorage' | 'indexedDB' | 'memory'} backendName - 保存先のバックエンド名
  * @property {(state: DiagnosisState) => boolean} saveState - 状態保存
  * @property {() => DiagnosisState|null} loadState - 状態読み込み
  * @property {() => void} clearAll - 全削除
@@ -104,7 +170,60 @@ function safeStructuredClone(obj) {
  * @property {{get: () => boolean, set: () => void}} shadowSeen - Shadow表示履歴
  * @property {() => string} getMode - モード取得
  * @property {(mode: string) => void} setMode - モード設定
- * @property {(verbose?: boolean) => Object} getUsageInfo - 使用状況取得
+ * @property {{get: () => string|null, set: (lang: string) => void}} language - 表示言語の設定
+ * @property {HistoryAPI} history - 完了した診断の履歴
+ * @property {{get: () => import('./profile-signer.js').SigningKeyPair|null, set: (keyPair: import('./profile-signer.js').SigningKeyPair) => boolean, clear: () => void}} signingKey - myself.json の署名鍵
+ * @property {EncryptionAPI} encryption - 診断状態・履歴の暗号化
+ * @property {() => void} forgetEverything - このアプリの保存データをすべて消去 (暗号化の設定も含む)
+ * @property {() => Promise<StoreExport>} exportStore - 保存データをまとめて書き出す
+ * @property {(data: any) => Promise<{ok: boolean, imported: string[], errors: string[]}>} importStore - 書き出した保存データで置き換える
+ * @property {() => Promise<void>} flush - 書き込み待ちがすべて保存されるまで待つ
+ * @property {(verbose?: boolean) => UsageInfo} getUsageInfo - 使用状況取得
+ */
+
+/**
+ * @typedef {Object} StorageManagerOptions
+ * @property {import('./storage-backends.js').StorageBackend} [backend] - 保存先 (既定は localStorage)
+ * @property {import('./storage-backends.js').StorageBackend} [settingsBackend] - 表示言語の保存先
+ *   (function.html など、バックエンドを開く前に同期的に読むページと共有するため。既定は backend)
+ */
+
+/**
+ * @typedef {Object} StoreExport
+ * @property {string} format - 'persona-finder-store'
+ * @property {number} version - 形式バージョン
+ * @property {string} exportedAt - 書き出し日時 (ISO 8601)
+ * @property {string} backend - 書き出し元のバックエンド名
+ * @property {Object<string, string>} entries - キー名 (STATE など) → 保存されている文字列 (暗号化中は暗号文のまま)
+ */
+
+/**
+ * @typedef {Object} UsageInfo
+ * @property {Object<string, {persistent: boolean, totalSize: number, lastError: string|null, keys: Object<string, {exists: boolean, size?: number}>}>} backends
+ *   バックエンド名 → 使用状況 (キーはそのバックエンドに置かれるものだけ)
+ * @property {boolean} quotaExceeded - このセッションで容量超過が起きたか
+ */
+
+/**
+ * @typedef {Object} EncryptionAPI
+ * 暗号化中は、診断状態と履歴を unlock() 後のメモリ上で読み書きし、暗号文の書き込みは非同期で行う
+ * (ロック中は読み込みは空、書き込みは保存されない)
+ * @property {() => boolean} isEnabled - 暗号化が有効か
+ * @property {() => boolean} isUnlocked - 鍵が使える状態か (無効時もtrue)
+ * @property {(passphrase: string) => Promise<boolean>} enable - 暗号化を有効にする (保存済みのデータも暗号化)
+ * @property {(passphrase: string) => Promise<boolean>} unlock - パスフレーズで鍵を開く (違えばfalse)
+ * @property {() => void} lock - 鍵とメモリ上の平文を破棄
+ * @property {(currentPassphrase: string, newPassphrase?: string) => Promise<boolean>} rotateKey - 新しい鍵で暗号化し直す (パスフレーズ変更にも使う)
+ * @property {(passphrase: string) => Promise<boolean>} disable - 暗号化をやめて平文に戻す
+ * @property {() => Promise<void>} flush - 書き込み待ちの暗号文がすべて保存されるまで待つ
+ */
+
+/**
+ * @typedef {Object} HistoryAPI
+ * @property {() => import('./history.js').HistoryEntry[]} list - 古い順の履歴
+ * @property {(entry: import('./history.js').HistoryEntry) => boolean} add - 履歴に追加
+ * @property {(id: string) => void} remove - 1件削除
+ * @property {() => void} clear - 全件削除
  */
 
 // ============================================
@@ -117,17 +236,131 @@ const DEFAULT_KEY_PREFIX = 'persona_finder';
 /** ストレージTTL(24時間) */
 const STORAGE_TTL = 24 * 60 * 60 * 1000;
 
+/** 保存する診断履歴の最大件数 (超えたら古いものから削除) */
+const MAX_HISTORY_ENTRIES = 50;
+
+/** 取り消し履歴・タイムラインの最大件数 (詳細モード96問の回答と移動が収まる数) */
+const UNDO_LIMIT = 500;
+
+/** 保存する診断状態の形式バージョン (変えたら STATE_MIGRATIONS に移行を足す) */
+const DIAGNOSIS_STATE_VERSION = 2;
+
+/** exportStore の形式 */
+const STORE_EXPORT_FORMAT = 'persona-finder-store';
+const STORE_EXPORT_VERSION = 1;
+
 /** 初期診断状態(イミュータブル) */
 export const INITIAL_DIAGNOSIS_STATE = Object.freeze({
     currentQuestion: 0,
     answers: {},
-    functionScores: Object.freeze({
-        Ni: 0, Ne: 0, Si: 0, Se: 0,
-        Ti: 0, Te: 0, Fi: 0, Fe: 0
-    }),
-    showResult: false
+    showResult: false,
+    askedQuestionIds: Object.freeze([])
+});
+
+/**
+ * 保存された診断状態の移行処理 (キーのバージョン → 次のバージョン)
+ * 入力は変更せず、新しいオブジェクトを返す
+ */
+export const STATE_MIGRATIONS = Object.freeze({
+    /**
+     * v1 → v2
+     * v1 は回答のたびに加算した functionScores を持っていた (再回答で二重に加算される)。
+     * v2 では回答から導出するため、保存されていた値は捨てる
+     */
+    1: ({ functionScores, ...state }) => ({ ...state, version: 2 })
 });
 
+// ============================================
+// 回答レコード
+// ============================================
+
+/**
+ * 回答レコードを生成 (再回答時は表示時刻を引き継ぎ、値が変わったら変更回数を加算)
+ * @param {AnswerRecord|undefined} previous - 既存の回答
+ * @param {number} value - 回答値 (1-5)
+ * @param {boolean} isReverse - 逆転項目フラグ
+ * @param {number|null} [shownAt=null] - 質問の表示時刻 (epoch ms)
+ * @param {number} [answeredAt=Date.now()] - 回答時刻 (epoch ms)
+ * @returns {AnswerRecord} 回答レコード
+ */
+export function createAnswerRecord(previous, value, isReverse, shownAt = null, answeredAt = Date.now()) {
+    const changeCount = previous?.changeCount ?? 0;
+
+    return {
+        value,
+        isReverse,
+        shownAt: previous?.shownAt ?? shownAt,
+        answeredAt,
+        changeCount: previous && previous.value !== value ? changeCount + 1 : changeCount
+    };
+}
+
+/**
+ * 保存データの回答を現在の形式に揃える (タイミング記録以前の保存データ対応)
+ * @param {Object<string, Object>} answers - 保存されていた回答
+ * @returns {Object<string, AnswerRecord>} 回答記録
+ */
+function normalizeAnswerRecords(answers) {
+    const normalized = {};
+
+    Object.entries(answers || {}).forEach(([questionId, answer]) => {
+        if (!answer || typeof answer.value !== 'number') return;
+
+        normalized[questionId] = {
+            value: answer.value,
+            isReverse: answer.isReverse || false,
+            shownAt: typeof answer.shownAt === 'number' ? answer.shownAt : null,
+            answeredAt: typeof answer.answeredAt === 'number' ? answer.answeredAt : null,
+            changeCount: typeof answer.changeCount === 'number' ? answer.changeCount : 0
+        };
+    });
+
+    return normalized;
+}
+
+/**
+ * 保存された診断状態を現在の形式に移行 (version のない保存データは v1)
+ * @param {Object} saved - 保存されていた状態
+ * @returns {Object} 移行済みの状態
+ */
+export function migrateDiagnosisState(saved) {
+    let migrated = { ...saved, version: saved.version ?? 1 };
+    while (migrated.version < DIAGNOSIS_STATE_VERSION) {
+        const migrate = STATE_MIGRATIONS[migrated.version];
+        if (!migrate) {
+            throw new Error(`No migration from state version ${migrated.version}`);
+        }
+        migrated = migrate(migrated);
+    }
+    return migrated;
+}
+
+// ============================================
+// スコアの導出: createFunctionScoresSelector
+// ============================================
+
+/**
+ * 機能スコアのセレクターを生成
+ * 機能スコアは状態に持たず、回答から毎回導出する (core.js の calculateFunctionScores。レポートと同じ計算)。
+ * 状態は変更のたびに作り直されるため、回答オブジェクトが同じなら前回の結果を返す
+ * @param {Question[]} questions - 質問配列 (適応型モードでは質問バンク)
+ * @returns {(state: DiagnosisState) => Readonly<Object<string, number>>} セレクター
+ */
+export function createFunctionScoresSelector(questions) {
+    /** @type {WeakMap<Object, Readonly<Object<string, number>>>} 回答オブジェクト → 機能スコア */
+    const cache = new WeakMap();
+
+    return (state) => {
+        const answers = state?.answers || {};
+        let scores = cache.get(answers);
+        if (!scores) {
+            scores = Object.freeze(calculateFunctionScores(answers, questions));
+            cache.set(answers, scores);
+        }
+        return scores;
+    };
+}
+
 // ============================================
 // 状態管理: createState
 // ============================================
@@ -190,19 +423,195 @@ export function createState(initialState) {
     return [getState, setState, subscribe];
 }
 
+// ============================================
+// 取り消し・やり直し: createUndoableState
+// ============================================
+
+/**
+ * 取り消し・やり直しができる状態管理を生成 (createState の上に変更の履歴を持つ)
+ * @template T
+ * @param {T} initialState - 初期状態
+ * @param {Object} [options]
+ * @param {number} [options.limit=UNDO_LIMIT] - 取り消し履歴・タイムラインの最大件数
+ * @returns {[() => T, (newState: T | ((prev: T) => T), meta?: TransitionMeta) => void, (listener: (state: T) => void) => () => void, UndoControls]}
+ */
+export function createUndoableState(initialState, { limit = UNDO_LIMIT } = {}) {
+    const [getState, setBaseState, subscribe] = createState(initialState);
+
+    /** 取り消せる変更の直前の状態 (新しいものが末尾) */
+    let past = [];
+    /** 取り消した変更の状態 (次にやり直すものが末尾) */
+    let future = [];
+    /** 直前の変更のグループ */
+    let lastGroup = null;
+    /** タイムライン (タイムトラベル表示用) */
+    let timeline = [{ state: initialState, label: 'initial', at: Date.now() }];
+
+    /**
+     * タイムラインに追加 (上限を超えたら古いものから捨てる)
+     * @param {T} state - 状態
+     * @param {string} label - 変更の名前
+     */
+    const appendTimeline = (state, label) => {
+        timeline = [...timeline, { state, label, at: Date.now() }].slice(-limit);
+    };
+
+    /**
+     * 状態を更新して記録
+     * @param {T | ((prev: T) => T)} newState - 新しい状態または更新関数
+     * @param {TransitionMeta} [meta] - 変更の情報
+     */
+    const setState = (newState, { label = 'update', group = null, record = true } = {}) => {
+        const prevState = getState();
+        const nextState = typeof newState === 'function' ? newState(prevState) : newState;
+        if (nextState === prevState) return;
+
+        if (!record) {
+            past = [];
+            future = [];
+            lastGroup = null;
+            timeline = [{ state: nextState, label, at: Date.now() }];
+        } else if (group !== null && group === lastGroup && past.length > 0) {
+            // 同じ操作の続き: 取り消し位置は操作の前のまま、タイムラインの最後を置き換える (名前は最初の変更のもの)
+            const { label: groupLabel } = timeline[timeline.length - 1];
+            timeline = [...timeline.slice(0, -1), { state: nextState, label: groupLabel, at: Date.now() }];
+        } else {
+            past = [...past, prevState].slice(-limit);
+            lastGroup = group;
+            appendTimeline(nextState, label);
+        }
+        if (record) future = [];
+
+        // 履歴を更新してから通知する (リスナーが canUndo を見られるように)
+        setBaseState(nextState);
+    };
+
+    /** @type {UndoControls} */
+    const controls = Object.freeze({
+        undo() {
+            if (past.length === 0) return false;
+            const previous = past[past.length - 1];
+            past = past.slice(0, -1);
+            future = [...future, getState()];
+            lastGroup = null;
+            appendTimeline(previous, 'undo');
+            setBaseState(previous);
+            return true;
+        },
+
+        redo() {
+            if (future.length === 0) return false;
+            const next = future[future.length - 1];
+            future = future.slice(0, -1);
+            past = [...past, getState()].slice(-limit);
+            lastGroup = null;
+            appendTimeline(next, 'redo');
+            setBaseState(next);
+            return true;
+        },
+
+        canUndo: () => past.length > 0,
+        canRedo: () => future.length > 0,
+        getTimeline: () => timeline
+    });
+
+    return [getState, setState, subscribe, controls];
+}
+
 // ============================================
 // 診断状態管理: useDiagnosisState
 // ============================================
 
 /**
  * 診断状態管理フックを生成
- * @param {Question[]} questions - 質問配列
- * @returns {StateManager & {actions: DiagnosisActions}} 状態管理オブジェクト
+ * @param {Question[]} questions - 質問配列 (適応型モードでは質問バンク)
+ * @param {DiagnosisOptions} [options] - オプション
+ * @returns {StateManager & UndoControls & {actions: DiagnosisActions, isReadOnly: () => boolean, selectFunctionScores: (state: DiagnosisState) => Object<string, number>, getFunctionScores: () => Object<string, number>}} 状態管理オブジェクト
  */
-export function useDiagnosisState(questions) {
-    const [getState, setState, subscribe] = createState(
+export function useDiagnosisState(questions, options = {}) {
+    const { adaptive = false, sync = null, syncScope = 'default' } = options;
+    const [getState, setLocalState, subscribe, undoControls] = createUndoableState(
         safeStructuredClone(INITIAL_DIAGNOSIS_STATE)
     );
+    const selectFunctionScores = createFunctionScoresSelector(questions);
+
+    /** 他のタブから受け取った状態を反映中か (送り返さないため) */
+    let applyingRemoteState = false;
+
+    /**
+     * 読み取り専用か (別のタブがリーダー)
+     * @returns {boolean} 読み取り専用かどうか
+     */
+    const isReadOnly = () => Boolean(sync) && !sync.isLeader();
+
+    /**
+     * 状態を更新 (読み取り専用のタブでは無視する)
+     * @param {DiagnosisState | ((prev: DiagnosisState) => DiagnosisState)} newState - 新しい状態または更新関数
+     * @param {TransitionMeta} [meta] - 変更の情報 (取り消し履歴・タイムライン用)
+     */
+    const setState = (newState, meta) => {
+        if (isReadOnly()) {
+            console.warn('[State] Read-only: this diagnosis is continuing in another tab');
+            return;
+        }
+        setLocalState(newState, meta);
+    };
+
+    /**
+     * 取り消し・やり直し (読み取り専用のタブでは無視する)
+     * @type {UndoControls}
+     */
+    const undoable = Object.freeze({
+        undo: () => !isReadOnly() && undoControls.undo(),
+        redo: () => !isReadOnly() && undoControls.redo(),
+        canUndo: () => !isReadOnly() && undoControls.canUndo(),
+        canRedo: () => !isReadOnly() && undoControls.canRedo(),
+        getTimeline: undoControls.getTimeline
+    });
+
+    if (sync) {
+        const publishState = (state) => sync.publish({ type: 'state', scope: syncScope, state });
+
+        // リーダーの変更を他のタブに送る
+        subscribe((state) => {
+            if (!applyingRemoteState && sync.isLeader()) {
+                publishState(state);
+            }
+        });
+
+        sync.subscribe((message) => {
+            if (message.scope !== syncScope) return;
+
+            if (message.type === 'state' && !sync.isLeader()) {
+                applyingRemoteState = true;
+                try {
+                    // 他のタブの変更は取り消し対象にしない (引き継いだらその状態から記録し直す)
+                    setLocalState(message.state, { label: 'sync', record: false });
+                } finally {
+                    applyingRemoteState = false;
+                }
+            } else if (message.type === 'request-state' && sync.isLeader()) {
+                publishState(getState());
+            }
+        });
+
+        // 引き継いだタブの状態を正とする
+        sync.onLeaderChange((isLeader) => {
+            if (isLeader) publishState(getState());
+        });
+
+        // 後から開いたタブはリーダーの状態をもらう
+        sync.publish({ type: 'request-state', scope: syncScope });
+    }
+
+    /**
+     * 移動可能な質問数を取得
+     * 適応型モードでは出題済みの質問までしか進めない
+     * @param {DiagnosisState} state - 診断状態
+     * @returns {number} 質問数
+     */
+    const getQuestionCount = (state) =>
+        adaptive ? (state.askedQuestionIds || []).length : questions.length;
 
     /**
      * アクション群(名前空間化)
@@ -214,8 +623,9 @@ export function useDiagnosisState(questions) {
          * @param {string} questionId - 質問ID
          * @param {number} value - 回答値 (1-5)
          * @param {boolean} isReverse - 逆転項目フラグ
+         * @param {number|null} [shownAt=null] - 質問の表示時刻 (epoch ms)
          */
-        setAnswer(questionId, value, isReverse) {
+        setAnswer(questionId, value, isReverse, shownAt = null) {
             if (!questionId || typeof value !== 'number' || value < 1 || value > 5) {
                 console.error('[Actions] Invalid answer parameters:', { questionId, value, isReverse });
                 return;
@@ -225,36 +635,9 @@ export function useDiagnosisState(questions) {
                 ...prev,
                 answers: {
                     ...prev.answers,
-                    [questionId]: { value, isReverse }
-                }
-            }));
-        },
-
-        /**
-         * 機能スコアを更新
-         * @param {string} funcType - 認知機能タイプ
-         * @param {number} delta - スコア変化量
-         */
-        updateFunctionScore(funcType, delta) {
-            if (!funcType || typeof delta !== 'number') {
-                console.error('[Actions] Invalid score update parameters:', { funcType, delta });
-                return;
-            }
-
-            setState(prev => {
-                if (!(funcType in prev.functionScores)) {
-                    console.warn('[Actions] Unknown function type:', funcType);
-                    return prev;
+                    [questionId]: createAnswerRecord(prev.answers[questionId], value, isReverse, shownAt)
                 }
-
-                return {
-                    ...prev,
-                    functionScores: {
-                        ...prev.functionScores,
-                        [funcType]: prev.functionScores[funcType] + delta
-                    }
-                };
-            });
+            }), { label: `answer:${questionId}` });
         },
 
         /**
@@ -263,8 +646,8 @@ export function useDiagnosisState(questions) {
         nextQuestion() {
             setState(prev => ({
                 ...prev,
-                currentQuestion: Math.min(prev.currentQuestion + 1, questions.length - 1)
-            }));
+                currentQuestion: Math.max(0, Math.min(prev.currentQuestion + 1, getQuestionCount(prev) - 1))
+            }), { label: 'next' });
         },
 
         /**
@@ -274,131 +657,602 @@ export function useDiagnosisState(questions) {
             setState(prev => ({
                 ...prev,
                 currentQuestion: Math.max(prev.currentQuestion - 1, 0)
-            }));
+            }), { label: 'back' });
+        },
+
+        /**
+         * 質問を出題順に追加し、その質問へ移動 (適応型モード)
+         * 出題済みの質問を指定した場合はその位置へ移動する
+         * @param {string} questionId - 質問ID
+         * @param {TransitionMeta} [meta] - 変更の情報 (回答と同じグループにまとめる場合など)
+         */
+        askQuestion(questionId, meta = {}) {
+            if (!questions.some(q => q.id === questionId)) {
+                console.error('[Actions] Unknown question id:', questionId);
+                return;
+            }
+
+            setState(prev => {
+                const askedQuestionIds = prev.askedQuestionIds || [];
+                const existingIndex = askedQuestionIds.indexOf(questionId);
+
+                if (existingIndex !== -1) {
+                    return { ...prev, currentQuestion: existingIndex };
+                }
+
+                return {
+                    ...prev,
+                    askedQuestionIds: [...askedQuestionIds, questionId],
+                    currentQuestion: askedQuestionIds.length
+                };
+            }, { label: `ask:${questionId}`, ...meta });
         },
 
         /**
          * 結果を表示
          */
         revealResult() {
-            setState(prev => ({ ...prev, showResult: true }));
+            setState(prev => ({ ...prev, showResult: true }), { label: 'result' });
         },
 
         /**
          * 状態をリセット
          */
         reset() {
-            setState(safeStructuredClone(INITIAL_DIAGNOSIS_STATE));
+            setState(safeStructuredClone(INITIAL_DIAGNOSIS_STATE), { label: 'reset' });
         }
     };
 
-    return { getState, setState, subscribe, actions };
+    return {
+        getState,
+        setState,
+        subscribe,
+        actions,
+        isReadOnly,
+        selectFunctionScores,
+        /** 現在の機能スコア (回答から導出) */
+        getFunctionScores: () => selectFunctionScores(getState()),
+        ...undoable
+    };
 }
 
 // ============================================
-// ローカルストレージ管理: createStorageManager
+// タブ間同期: createTabSync
 // ============================================
 
 /**
- * ローカルストレージマネージャーを生成
- * @param {string} keyPrefix - ストレージキーのプレフィックス
- * @returns {StorageAPI} ストレージAPI
+ * タブ間同期を生成
+ * メッセージは BroadcastChannel (非対応なら localStorage の storage イベント) で送り、
+ * リーダーは Web Locks API のロックを持つタブ1つに決める。リーダーのタブが閉じると、
+ * 待っていたタブが引き継ぐ。Web Locks 非対応のブラウザではすべてのタブがリーダーになる
+ * (状態は同期されるが、同時に回答すると後の変更が勝つ)
+ * @param {string} [name] - チャンネル・ロックの名前 (ストレージキーのプレフィックス)
+ * @param {Object} [options] - オプション (テスト用に差し替え可能)
+ * @param {string} [options.tabId] - このタブのID
+ * @param {typeof BroadcastChannel} [options.BroadcastChannel] - BroadcastChannel
+ * @param {LockManager} [options.locks] - Web Locks (navigator.locks)
+ * @param {Storage} [options.storage] - storage イベントで送る場合の Web Storage
+ * @param {EventTarget} [options.eventTarget] - storage イベントを受け取る対象 (window)
+ * @returns {TabSync} タブ間同期
  */
-export function createStorageManager(keyPrefix = DEFAULT_KEY_PREFIX) {
-    const keys = Object.freeze({
-        STATE: `${keyPrefix}_state`,
-        SHUFFLE_SEED: `${keyPrefix}_shuffle_seed`,
-        HAS_SEEN_SHADOW: `${keyPrefix}_seen_shadow`,
-        MODE: `${keyPrefix}_mode`
-    });
+export function createTabSync(name = DEFAULT_KEY_PREFIX, options = {}) {
+    const {
+        tabId = globalThis.crypto?.randomUUID?.() ?? `${Date.now().toString(36)}-${Math.random().toString(36).slice(2)}`,
+        BroadcastChannel: Channel = globalThis.BroadcastChannel,
+        locks = globalThis.navigator?.locks,
+        storage = globalThis.localStorage,
+        eventTarget = globalThis
+    } = options;
+
+    const channelName = `${name}_sync`;
+    const lockName = `${name}_leader`;
+    const messageListeners = new Set();
+    const leaderListeners = new Set();
+
+    let leader = false;
+    let closed = false;
+    /** 持っているロックを手放す関数 */
+    let releaseLock = null;
+    /** 順番待ちのロック要求の中止用 */
+    let waitingRequest = null;
 
     /**
-     * 安全にlocalStorageに書き込み
-     * @private
-     * @param {string} key - キー
-     * @param {string} value - 値
-     * @returns {boolean} 成功したかどうか
+     * 受け取ったメッセージを購読者に渡す (自分が送ったものは除く)
+     * @param {Object} message - メッセージ
      */
-    function safeSet(key, value) {
-        try {
-            localStorage.setItem(key, value);
-            return true;
-        } catch (error) {
-            if (error.name === 'QuotaExceededError') {
-                console.error('[Storage] Quota exceeded. Clearing old data...');
-                try {
-                    // 古いデータを削除して再試行
-                    localStorage.removeItem(keys.STATE);
-                    localStorage.setItem(key, value);
-                    return true;
-                } catch (retryError) {
-                    console.error('[Storage] Retry failed:', retryError);
-                    return false;
-                }
-            } else {
-                console.error('[Storage] Write error:', error);
-                return false;
+    const deliver = (message) => {
+        if (!message || message.from === tabId) return;
+        messageListeners.forEach(listener => {
+            try {
+                listener(message);
+            } catch (error) {
+                console.error('[TabSync] Listener error:', error);
             }
-        }
+        });
+    };
+
+    // --- 送受信 ---
+    let send = () => {};
+    let stopReceiving = () => {};
+
+    if (typeof Channel === 'function') {
+        const channel = new Channel(channelName);
+        channel.onmessage = (event) => deliver(event.data);
+        send = (message) => channel.postMessage(message);
+        stopReceiving = () => channel.close();
+    } else if (storage && typeof eventTarget?.addEventListener === 'function') {
+        // 書いてすぐ消す。他のタブには書き込み時の storage イベントが届く
+        const onStorage = (event) => {
+            if (event.key !== channelName || !event.newValue) return;
+            try {
+                deliver(JSON.parse(event.newValue));
+            } catch (error) {
+                console.error('[TabSync] Message deserialization error:', error);
+            }
+        };
+        eventTarget.addEventListener('storage', onStorage);
+        send = (message) => {
+            storage.setItem(channelName, JSON.stringify(message));
+            storage.removeItem(channelName);
+        };
+        stopReceiving = () => eventTarget.removeEventListener('storage', onStorage);
     }
 
+    // --- リーダー ---
+
     /**
-     * 安全にlocalStorageから読み込み
-     * @private
-     * @param {string} key - キー
-     * @returns {string|null} 値またはnull
+     * リーダーかどうかを更新して通知
+     * @param {boolean} isLeader - リーダーかどうか
      */
-    function safeGet(key) {
-        try {
-            return localStorage.getItem(key);
-        } catch (error) {
-            console.error('[Storage] Read error:', error);
-            return null;
-        }
-    }
+    const setLeader = (isLeader) => {
+        if (leader === isLeader) return;
+        leader = isLeader;
+        console.info(`[TabSync] ${isLeader ? 'This tab is now the leader' : 'Another tab is now the leader'}`);
+        leaderListeners.forEach(listener => {
+            try {
+                listener(isLeader);
+            } catch (error) {
+                console.error('[TabSync] Leader listener error:', error);
+            }
+        });
+    };
 
     /**
-     * 安全にlocalStorageから削除
-     * @private
-     * @param {string} key - キー
-     * @returns {boolean} 成功したかどうか
+     * ロックを要求する
+     * 取れたらリーダーになり、close() まで持ち続ける。他のタブに奪われたら順番待ちに戻る
+     * @param {{ifAvailable?: boolean, steal?: boolean}} [lockOptions] - Web Locks のオプション
+     * @param {() => void} [onDecided] - すぐに取れたか分かった時点で呼ぶ (ifAvailable 用)
      */
-    function safeRemove(key) {
-        try {
-            localStorage.removeItem(key);
-            return true;
-        } catch (error) {
-            console.error('[Storage] Remove error:', error);
-            return false;
-        }
+    const requestLeadership = (lockOptions = {}, onDecided = () => {}) => {
+        let granted = false;
+        const queued = !lockOptions.ifAvailable && !lockOptions.steal;
+        // signal は順番待ちの要求にしか付けられない
+        const controller = queued && typeof AbortController === 'function' ? new AbortController() : null;
+        if (queued) waitingRequest = controller;
+
+        locks.request(lockName, controller ? { ...lockOptions, signal: controller.signal } : lockOptions, (lock) => {
+            onDecided();
+            if (!lock) {
+                // 他のタブがリーダー: 順番待ちに並ぶ
+                if (!closed) requestLeadership();
+                return null;
+            }
+            granted = true;
+            if (waitingRequest === controller) waitingRequest = null;
+            setLeader(true);
+            return new Promise(resolve => { releaseLock = resolve; });
+        })
+            .catch(error => {
+                // 順番待ちの中止・奪われた場合は AbortError
+                if (error?.name !== 'AbortError') {
+                    console.error('[TabSync] Lock error:', error);
+                }
+                onDecided();
+            })
+            .finally(() => {
+                if (!granted) return;
+                releaseLock = null;
+                setLeader(false);
+                if (!closed) requestLeadership();
+            });
+    };
+
+    let ready;
+    if (locks && typeof locks.request === 'function') {
+        ready = new Promise(resolve => requestLeadership({ ifAvailable: true }, resolve));
+    } else {
+        leader = true;
+        ready = Promise.resolve();
     }
 
     return Object.freeze({
+        tabId,
+        ready,
+
         /**
-         * 状態を保存
-         * @param {DiagnosisState} state - 診断状態
-         * @returns {boolean} 成功したかどうか
+         * このタブがリーダーか
+         * @returns {boolean} リーダーかどうか
          */
-        saveState(state) {
+        isLeader() {
+            return leader;
+        },
+
+        /**
+         * リーダーの交代を購読
+         * @param {(isLeader: boolean) => void} listener - リスナー関数
+         * @returns {() => void} unsubscribe 関数
+         */
+        onLeaderChange(listener) {
+            leaderListeners.add(listener);
+            return () => leaderListeners.delete(listener);
+        },
+
+        /**
+         * 他のタブにメッセージを送る
+         * @param {Object} message - メッセージ (構造化複製・JSON化できる値)
+         */
+        publish(message) {
+            if (closed) return;
             try {
-                const serialized = JSON.stringify({
-                    ...state,
-                    timestamp: Date.now()
-                });
-                return safeSet(keys.STATE, serialized);
+                send({ ...message, from: tabId });
             } catch (error) {
-                console.error('[Storage] State serialization error:', error);
-                return false;
+                console.error('[TabSync] Publish error:', error);
             }
         },
 
         /**
-         * 状態を読み込み
-         * @returns {DiagnosisState|null} 診断状態またはnull
+         * 他のタブからのメッセージを購読
+         * @param {(message: Object) => void} listener - リスナー関数
+         * @returns {() => void} unsubscribe 関数
+         */
+        subscribe(listener) {
+            messageListeners.add(listener);
+            return () => messageListeners.delete(listener);
+        },
+
+        /**
+         * このタブをリーダーにする
+         */
+        takeOver() {
+            if (closed || leader || !locks) return;
+            waitingRequest?.abort();
+            waitingRequest = null;
+            requestLeadership({ steal: true });
+        },
+
+        /**
+         * 同期をやめる
+         */
+        close() {
+            closed = true;
+            waitingRequest?.abort();
+            releaseLock?.();
+            stopReceiving();
+            messageListeners.clear();
+            leaderListeners.clear();
+        }
+    });
+}
+
+// ============================================
+// ローカルストレージ管理: createStorageManager
+// ============================================
+
+/**
+ * 新しいシャッフルシードを生成 (31bit の乱数)
+ * シードは研究用データと共有リンクに入るため、開始時刻がわかる Date.now() は使わない
+ * @returns {number} シード値
+ */
+function createShuffleSeed() {
+    const [value] = globalThis.crypto.getRandomValues(new Uint32Array(1));
+    return value >>> 1;
+}
+
+/**
+ * ストレージキーの一覧を生成
+ * @param {string} [keyPrefix] - ストレージキーのプレフィックス
+ * @returns {Readonly<Object<string, string>>} キー名 → ストレージキー
+ */
+export function createStorageKeys(keyPrefix = DEFAULT_KEY_PREFIX) {
+    return Object.freeze({
+        STATE: `${keyPrefix}_state`,
+        SHUFFLE_SEED: `${keyPrefix}_shuffle_seed`,
+        HAS_SEEN_SHADOW: `${keyPrefix}_seen_shadow`,
+        MODE: `${keyPrefix}_mode`,
+        LANGUAGE: `${keyPrefix}_language`,
+        HISTORY: `${keyPrefix}_history`,
+        SIGNING_KEY: `${keyPrefix}_signing_key`,
+        ENCRYPTION: `${keyPrefix}_encryption`
+    });
+}
+
+/**
+ * 保存先を開いてストレージマネージャーを生成
+ * IndexedDB を優先して開き、localStorage に残っているデータを移す (storage-backends.js の openStorageBackend)。
+ * 表示言語は function.html・initLanguage が同期的に読むため localStorage に残す。
+ * 同じ保存データを読むページ (finder.html・function.html) はこれで開く
+ * @param {string} keyPrefix - ストレージキーのプレフィックス
+ * @param {Object} [options]
+ * @param {'indexedDB' | 'localStorage' | 'memory'} [options.preferred] - 優先するバックエンド
+ * @param {IDBFactory} [options.indexedDB] - IndexedDB (テスト用に差し替え可能)
+ * @returns {Promise<StorageAPI>} ストレージAPI
+ */
+export async function openStorageManager(keyPrefix = DEFAULT_KEY_PREFIX, options = {}) {
+    const keys = createStorageKeys(keyPrefix);
+    const { backend, localStorage: localBackend } = await openStorageBackend({
+        ...options,
+        keyPrefix,
+        exclude: [keys.LANGUAGE]
+    });
+    return createStorageManager(keyPrefix, {
+        backend,
+        settingsBackend: localBackend || backend
+    });
+}
+
+/**
+ * ストレージマネージャーを生成
+ * 保存先はバックエンド (storage-backends.js) で差し替えられる。既定は localStorage
+ * @param {string} keyPrefix - ストレージキーのプレフィックス
+ * @param {StorageManagerOptions} [options] - オプション
+ * @returns {StorageAPI} ストレージAPI
+ */
+export function createStorageManager(keyPrefix = DEFAULT_KEY_PREFIX, options = {}) {
+    const {
+        backend = createLocalStorageBackend(),
+        settingsBackend = backend
+    } = options;
+
+    const keys = createStorageKeys(keyPrefix);
+
+    /** settingsBackend に置くキー */
+    const settingsKeys = Object.freeze([keys.LANGUAGE]);
+
+    /** 診断状態ではないため clearAll で消さないキー */
+    const persistentKeys = Object.freeze([keys.LANGUAGE, keys.HISTORY, keys.SIGNING_KEY, keys.ENCRYPTION]);
+
+    /** 暗号化の対象 (回答を含むデータ) */
+    const secureKeys = Object.freeze([keys.STATE, keys.HISTORY]);
+
+    /** 暗号化中の鍵 (ロック中・無効時はnull) */
+    let encryptionKey = null;
+
+    /** 暗号化中の平文 (キー → シリアライズ済みの値)。unlock() で読み込む */
+    const plaintextCache = new Map();
+
+    /** 暗号文の書き込み待ち (順番に実行する) */
+    let writeQueue = Promise.resolve();
+
+    /** ロック中の書き込みを警告済みか */
+    let warnedLocked = false;
+
+    /** このセッションで容量超過が起きたか */
+    let quotaExceeded = false;
+
+    /**
+     * キーの保存先
+     * @private
+     * @param {string} key - キー
+     * @returns {import('./storage-backends.js').StorageBackend} バックエンド
+     */
+    function backendFor(key) {
+        return settingsKeys.includes(key) ? settingsBackend : backend;
+    }
+
+    /**
+     * 安全にバックエンドに書き込み
+     * 容量超過時は保存済みのデータを消さずに失敗を返す (IndexedDB への移行で解消する)
+     * @private
+     * @param {string} key - キー
+     * @param {string} value - 値
+     * @returns {boolean} 成功したかどうか
+     */
+    function safeSet(key, value) {
+        try {
+            backendFor(key).setItem(key, value);
+            return true;
+        } catch (error) {
+            if (isQuotaExceededError(error)) {
+                quotaExceeded = true;
+                console.error(`[Storage] Quota exceeded on ${backendFor(key).name}. ${key} was not saved`);
+            } else {
+                console.error('[Storage] Write error:', error);
+            }
+            return false;
+        }
+    }
+
+    /**
+     * 安全にバックエンドから読み込み
+     * @private
+     * @param {string} key - キー
+     * @returns {string|null} 値またはnull
+     */
+    function safeGet(key) {
+        try {
+            return backendFor(key).getItem(key);
+        } catch (error) {
+            console.error('[Storage] Read error:', error);
+            return null;
+        }
+    }
+
+    /**
+     * 安全にバックエンドから削除
+     * @private
+     * @param {string} key - キー
+     * @returns {boolean} 成功したかどうか
+     */
+    function safeRemove(key) {
+        try {
+            backendFor(key).removeItem(key);
+            return true;
+        } catch (error) {
+            console.error('[Storage] Remove error:', error);
+            return false;
+        }
+    }
+
+    /**
+     * 暗号化が有効か (メタ情報が保存されているか)
+     * @private
+     * @returns {boolean} 有効かどうか
+     */
+    function isEncryptionEnabled() {
+        return safeGet(keys.ENCRYPTION) !== null;
+    }
+
+    /**
+     * 暗号化のメタ情報を読み込み
+     * @private
+     * @returns {import('./storage-crypto.js').EncryptionMeta|null} メタ情報
+     */
+    function readEncryptionMeta() {
+        try {
+            const serialized = safeGet(keys.ENCRYPTION);
+            return serialized ? JSON.parse(serialized) : null;
+        } catch (error) {
+            console.error('[Storage] Encryption metadata deserialization error:', error);
+            return null;
+        }
+    }
+
+    /**
+     * 暗号化対象の値を読み込み (暗号化中はメモリ上の平文)
+     * @private
+     * @param {string} key - キー
+     * @returns {string|null} シリアライズ済みの値 (ロック中はnull)
+     */
+    function secureGet(key) {
+        if (!isEncryptionEnabled()) return safeGet(key);
+        return plaintextCache.get(key) ?? null;
+    }
+
+    /**
+     * 暗号化対象の値を書き込み (暗号化中は暗号文の書き込みを予約)
+     * @private
+     * @param {string} key - キー
+     * @param {string} serialized - シリアライズ済みの値
+     * @returns {boolean} 保存 (予約) できたかどうか
+     */
+    function secureSet(key, serialized) {
+        if (!isEncryptionEnabled()) return safeSet(key, serialized);
+
+        if (!encryptionKey) {
+            if (!warnedLocked) {
+                warnedLocked = true;
+                console.warn('[Storage] Encrypted storage is locked. Changes are kept in this session only');
+            }
+            return false;
+        }
+
+        plaintextCache.set(key, serialized);
+        scheduleEncryptedWrite(key);
+        return true;
+    }
+
+    /**
+     * 暗号化対象の値を削除
+     * @private
+     * @param {string} key - キー
+     */
+    function secureRemove(key) {
+        plaintextCache.delete(key);
+        safeRemove(key);
+    }
+
+    /**
+     * 暗号文の書き込みを予約
+     * 実行時点の最新の平文を暗号化するため、連続した保存は最後の値だけが残る
+     * @private
+     * @param {string} key - キー
+     */
+    function scheduleEncryptedWrite(key) {
+        const keyAtSchedule = encryptionKey;
+        writeQueue = writeQueue
+            .then(async () => {
+                // 予約後に鍵が変わった (ロック・ローテーション) 場合は、その処理が書き込む
+                if (encryptionKey !== keyAtSchedule) return;
+
+                const serialized = plaintextCache.get(key);
+                if (serialized === undefined) return;
+
+                const envelope = await encryptText(keyAtSchedule, serialized);
+                if (encryptionKey === keyAtSchedule && plaintextCache.get(key) === serialized) {
+                    safeSet(key, JSON.stringify(envelope));
+                }
+            })
+            .catch(error => {
+                console.error('[Storage] Encrypted write error:', error);
+            });
+    }
+
+    /**
+     * 暗号化対象の平文をまとめて暗号化 (保存はしない)
+     * @private
+     * @param {CryptoKey} key - 鍵
+     * @param {Map<string, string>} plaintexts - キー → 平文
+     * @returns {Promise<Array<[string, string]>>} キー → 保存する文字列
+     */
+    async function encryptAll(key, plaintexts) {
+        return Promise.all([...plaintexts].map(async ([storageKey, serialized]) => [
+            storageKey,
+            JSON.stringify(await encryptText(key, serialized))
+        ]));
+    }
+
+    /**
+     * 診断履歴を読み込み
+     * @private
+     * @returns {import('./history.js').HistoryEntry[]} 古い順の履歴 (壊れたエントリーは除外)
+     */
+    function readHistory() {
+        try {
+            const serialized = secureGet(keys.HISTORY);
+            if (!serialized) return [];
+
+            const entries = JSON.parse(serialized);
+            if (!Array.isArray(entries)) return [];
+
+            return entries
+                .filter(isValidHistoryEntry)
+                .sort((a, b) => a.completedAt - b.completedAt);
+        } catch (error) {
+            console.error('[Storage] History deserialization error:', error);
+            return [];
+        }
+    }
+
+    return Object.freeze({
+        /** 保存先のバックエンド名 */
+        backendName: backend.name,
+
+        /**
+         * 状態を保存
+         * @param {DiagnosisState} state - 診断状態
+         * @returns {boolean} 成功したかどうか
+         */
+        saveState(state) {
+            try {
+                const serialized = JSON.stringify({
+                    ...state,
+                    version: DIAGNOSIS_STATE_VERSION,
+                    timestamp: Date.now()
+                });
+                return secureSet(keys.STATE, serialized);
+            } catch (error) {
+                console.error('[Storage] State serialization error:', error);
+                return false;
+            }
+        },
+
+        /**
+         * 状態を読み込み
+         * @returns {DiagnosisState|null} 診断状態またはnull
          */
         loadState() {
             try {
-                const serialized = safeGet(keys.STATE);
+                const serialized = secureGet(keys.STATE);
                 if (!serialized) return null;
 
                 const loaded = JSON.parse(serialized);
@@ -406,28 +1260,31 @@ export function createStorageManager(keyPrefix = DEFAULT_KEY_PREFIX) {
                 // TTLチェック
                 if (Date.now() - loaded.timestamp > STORAGE_TTL) {
                     console.info('[Storage] Saved data expired, removing');
-                    safeRemove(keys.STATE);
+                    secureRemove(keys.STATE);
                     return null;
                 }
 
-                // timestampを除外して返す
-                const { timestamp, ...state } = loaded;
-                return state;
+                // 古い形式を移行し、timestamp・version を除外して返す
+                const { timestamp, version, ...state } = migrateDiagnosisState(loaded);
+                return { ...state, answers: normalizeAnswerRecords(state.answers) };
 
             } catch (error) {
                 console.error('[Storage] State deserialization error:', error);
-                safeRemove(keys.STATE); // 破損データを削除
+                secureRemove(keys.STATE); // 破損データを削除
                 return null;
             }
         },
 
         /**
          * 全ストレージをクリア
+         * 表示言語・診断履歴・署名鍵は現在の診断の状態ではないため残す
          */
         clearAll() {
-            Object.values(keys).forEach(key => {
-                safeRemove(key);
-            });
+            Object.values(keys)
+                .filter(key => !persistentKeys.includes(key))
+                .forEach(key => {
+                    secureRemove(key);
+                });
             console.info('[Storage] All data cleared');
         },
 
@@ -436,12 +1293,12 @@ export function createStorageManager(keyPrefix = DEFAULT_KEY_PREFIX) {
          */
         shuffleSeed: Object.freeze({
             /**
-             * シードを取得
+             * シードを取得 (未保存なら新しい乱数)
              * @returns {number} シード値
              */
             get() {
                 const stored = safeGet(keys.SHUFFLE_SEED);
-                return stored ? parseInt(stored, 10) : Date.now();
+                return stored ? parseInt(stored, 10) : createShuffleSeed();
             },
 
             /**
@@ -479,7 +1336,7 @@ export function createStorageManager(keyPrefix = DEFAULT_KEY_PREFIX) {
 
         /**
          * モードを取得
-         * @returns {string} モードID ('simple' | 'standard' | 'detail')
+         * @returns {string} モードID ('simple' | 'standard' | 'detail' | 'adaptive')
          */
         getMode() {
             return safeGet(keys.MODE) || 'standard';
@@ -490,7 +1347,7 @@ export function createStorageManager(keyPrefix = DEFAULT_KEY_PREFIX) {
          * @param {string} mode - モードID
          */
         setMode(mode) {
-            if (!['simple', 'standard', 'detail'].includes(mode)) {
+            if (!['simple', 'standard', 'detail', 'adaptive'].includes(mode)) {
                 console.error('[Storage] Invalid mode:', mode);
                 return;
             }
@@ -499,27 +1356,448 @@ export function createStorageManager(keyPrefix = DEFAULT_KEY_PREFIX) {
             }
         },
 
+        /**
+         * 表示言語の設定
+         * 診断状態とは別の設定のため TTL・clearAll の対象外
+         */
+        language: Object.freeze({
+            /**
+             * 言語を取得
+             * @returns {string|null} 言語コード (未設定ならnull)
+             */
+            get() {
+                return safeGet(keys.LANGUAGE);
+            },
+
+            /**
+             * 言語を保存
+             * @param {string} lang - 言語コード ('ja' | 'en')
+             */
+            set(lang) {
+                if (typeof lang !== 'string' || !/^[a-z]{2}$/.test(lang)) {
+                    console.error('[Storage] Invalid language:', lang);
+                    return;
+                }
+                safeSet(keys.LANGUAGE, lang);
+            }
+        }),
+
+        /**
+         * 診断履歴 (完了した診断の結果)
+         * TTL・clearAll の対象外。件数は MAX_HISTORY_ENTRIES まで
+         */
+        history: Object.freeze({
+            /**
+             * 履歴を取得
+             * @returns {import('./history.js').HistoryEntry[]} 古い順の履歴 (壊れたエントリーは除外)
+             */
+            list() {
+                return readHistory();
+            },
+
+            /**
+             * 履歴に追加 (同じIDのエントリーは置き換え)
+             * @param {import('./history.js').HistoryEntry} entry - 履歴エントリー
+             * @returns {boolean} 成功したかどうか
+             */
+            add(entry) {
+                if (!isValidHistoryEntry(entry)) {
+                    console.error('[Storage] Invalid history entry:', entry);
+                    return false;
+                }
+                try {
+                    const entries = [...readHistory().filter(e => e.id !== entry.id), entry]
+                        .slice(-MAX_HISTORY_ENTRIES);
+                    return secureSet(keys.HISTORY, JSON.stringify(entries));
+                } catch (error) {
+                    console.error('[Storage] History serialization error:', error);
+                    return false;
+                }
+            },
+
+            /**
+             * 1件削除
+             * @param {string} id - エントリーID
+             */
+            remove(id) {
+                const entries = readHistory().filter(e => e.id !== id);
+                secureSet(keys.HISTORY, JSON.stringify(entries));
+            },
+
+            /**
+             * 全件削除
+             */
+            clear() {
+                secureRemove(keys.HISTORY);
+                console.info('[Storage] History cleared');
+            }
+        }),
+
+        /**
+         * myself.json の署名鍵 (profile-signer.js の鍵ペア, JWK)
+         * TTL・clearAll の対象外。同じ鍵で署名し続けることで鍵IDが書き出し元の目印になる
+         */
+        signingKey: Object.freeze({
+            /**
+             * 鍵ペアを取得
+             * @returns {import('./profile-signer.js').SigningKeyPair|null} 鍵ペア (未生成・破損時はnull)
+             */
+            get() {
+                try {
+                    const serialized = safeGet(keys.SIGNING_KEY);
+                    if (!serialized) return null;
+
+                    const keyPair = JSON.parse(serialized);
+                    return isValidSigningKeyPair(keyPair) ? keyPair : null;
+                } catch (error) {
+                    console.error('[Storage] Signing key deserialization error:', error);
+                    return null;
+                }
+            },
+
+            /**
+             * 鍵ペアを保存
+             * @param {import('./profile-signer.js').SigningKeyPair} keyPair - 鍵ペア
+             * @returns {boolean} 成功したかどうか
+             */
+            set(keyPair) {
+                if (!isValidSigningKeyPair(keyPair)) {
+                    console.error('[Storage] Invalid signing key pair');
+                    return false;
+                }
+                return safeSet(keys.SIGNING_KEY, JSON.stringify(keyPair));
+            },
+
+            /**
+             * 鍵ペアを削除
+             */
+            clear() {
+                safeRemove(keys.SIGNING_KEY);
+                console.info('[Storage] Signing key cleared');
+            }
+        }),
+
+        /**
+         * 診断状態・履歴の暗号化 (パスフレーズ → PBKDF2 → AES-GCM)
+         */
+        encryption: Object.freeze({
+            /**
+             * 暗号化が有効か
+             * @returns {boolean} 有効かどうか
+             */
+            isEnabled() {
+                return isEncryptionEnabled();
+            },
+
+            /**
+             * 読み書きできる状態か
+             * @returns {boolean} 無効時、または有効で unlock 済みなら true
+             */
+            isUnlocked() {
+                return !isEncryptionEnabled() || encryptionKey !== null;
+            },
+
+            /**
+             * 暗号化を有効にする
+             * 保存済みの診断状態・履歴もこの時点で暗号化する
+             * @param {string} passphrase - パスフレーズ
+             * @returns {Promise<boolean>} 成功したかどうか
+             */
+            async enable(passphrase) {
+                if (isEncryptionEnabled()) {
+                    console.error('[Storage] Encryption is already enabled');
+                    return false;
+                }
+                if (!isValidPassphrase(passphrase)) {
+                    console.error('[Storage] Passphrase is too short');
+                    return false;
+                }
+
+                try {
+                    const { key, meta } = await createEncryptionKey(passphrase);
+                    // 鍵の導出 (数百ms) の間に保存された値も含めるため、平文は導出後に読む
+                    const plaintexts = new Map(secureKeys
+                        .map(storageKey => [storageKey, safeGet(storageKey)])
+                        .filter(([, serialized]) => serialized !== null));
+                    const encrypted = await encryptAll(key, plaintexts);
+
+                    // 暗号文とメタ情報は同期的にまとめて書き込む (途中で他の書き込みを挟まない)
+                    encrypted.forEach(([storageKey, value]) => safeSet(storageKey, value));
+                    if (!safeSet(keys.ENCRYPTION, JSON.stringify(meta))) {
+                        throw new Error('Failed to save encryption metadata');
+                    }
+
+                    encryptionKey = key;
+                    plaintextCache.clear();
+                    plaintexts.forEach((serialized, storageKey) => plaintextCache.set(storageKey, serialized));
+                    console.info('[Storage] Encryption enabled');
+                    return true;
+                } catch (error) {
+                    console.error('[Storage] Failed to enable encryption:', error);
+                    return false;
+                }
+            },
+
+            /**
+             * パスフレーズで鍵を開き、診断状態・履歴を復号してメモリに読み込む
+             * 復号できない値 (破損) は読み込まない
+             * @param {string} passphrase - パスフレーズ
+             * @returns {Promise<boolean>} 成功したかどうか (パスフレーズ違いはfalse)
+             */
+            async unlock(passphrase) {
+                const meta = readEncryptionMeta();
+                if (!meta) return false;
+
+                try {
+                    const key = await unlockEncryptionKey(passphrase, meta);
+                    if (!key) {
+                        console.warn('[Storage] Wrong passphrase');
+                        return false;
+                    }
+
+                    plaintextCache.clear();
+                    const unencrypted = [];
+                    await Promise.all(secureKeys.map(async storageKey => {
+                        const stored = safeGet(storageKey);
+                        if (stored === null) return;
+                        try {
+                            const parsed = JSON.parse(stored);
+                            if (isEncryptedEnvelope(parsed)) {
+                                plaintextCache.set(storageKey, await decryptText(key, parsed));
+                            } else {
+                                // 暗号化前に書き込まれた平文は取り込んで暗号化し直す
+                                plaintextCache.set(storageKey, stored);
+                                unencrypted.push(storageKey);
+                            }
+                        } catch (error) {
+                            console.error(`[Storage] Failed to decrypt ${storageKey}, discarding:`, error);
+                            safeRemove(storageKey);
+                        }
+                    }));
+
+                    encryptionKey = key;
+                    warnedLocked = false;
+                    unencrypted.forEach(storageKey => scheduleEncryptedWrite(storageKey));
+                    console.info('[Storage] Encrypted storage unlocked');
+                    return true;
+                } catch (error) {
+                    console.error('[Storage] Failed to unlock:', error);
+                    return false;
+                }
+            },
+
+            /**
+             * 鍵とメモリ上の平文を破棄
+             */
+            lock() {
+                encryptionKey = null;
+                plaintextCache.clear();
+            },
+
+            /**
+             * 新しいソルト・鍵で暗号化し直す
+             * newPassphrase を省略すると同じパスフレーズのまま鍵だけを入れ替える
+             * @param {string} currentPassphrase - 現在のパスフレーズ
+             * @param {string} [newPassphrase] - 新しいパスフレーズ
+             * @returns {Promise<boolean>} 成功したかどうか
+             */
+            async rotateKey(currentPassphrase, newPassphrase = currentPassphrase) {
+                const meta = readEncryptionMeta();
+                if (!meta || !isValidPassphrase(newPassphrase)) return false;
+
+                try {
+                    // 現在のパスフレーズを確かめてから入れ替える
+                    if (!encryptionKey || !(await unlockEncryptionKey(currentPassphrase, meta))) {
+                        console.warn('[Storage] Wrong passphrase');
+                        return false;
+                    }
+                    await writeQueue;
+
+                    const { key, meta: nextMeta } = await createEncryptionKey(newPassphrase);
+                    const encrypted = await encryptAll(key, plaintextCache);
+
+                    encrypted.forEach(([storageKey, value]) => safeSet(storageKey, value));
+                    if (!safeSet(keys.ENCRYPTION, JSON.stringify(nextMeta))) {
+                        throw new Error('Failed to save encryption metadata');
+                    }
+                    encryptionKey = key;
+                    // 入れ替え中に保存された値 (古い鍵の予約は破棄される) を新しい鍵で書き直す
+                    plaintextCache.forEach((serialized, storageKey) => scheduleEncryptedWrite(storageKey));
+                    console.info('[Storage] Encryption key rotated');
+                    return true;
+                } catch (error) {
+                    console.error('[Storage] Failed to rotate key:', error);
+                    return false;
+                }
+            },
+
+            /**
+             * 暗号化をやめて、診断状態・履歴を平文で保存し直す
+             * @param {string} passphrase - 現在のパスフレーズ
+             * @returns {Promise<boolean>} 成功したかどうか
+             */
+            async disable(passphrase) {
+                const meta = readEncryptionMeta();
+                if (!meta) return false;
+
+                try {
+                    if (!encryptionKey || !(await unlockEncryptionKey(passphrase, meta))) {
+                        console.warn('[Storage] Wrong passphrase');
+                        return false;
+                    }
+                    await writeQueue;
+
+                    plaintextCache.forEach((serialized, storageKey) => safeSet(storageKey, serialized));
+                    safeRemove(keys.ENCRYPTION);
+                    encryptionKey = null;
+                    plaintextCache.clear();
+                    console.info('[Storage] Encryption disabled');
+                    return true;
+                } catch (error) {
+                    console.error('[Storage] Failed to disable encryption:', error);
+                    return false;
+                }
+            },
+
+            /**
+             * 書き込み待ちの暗号文がすべて保存されるまで待つ
+             * @returns {Promise<void>}
+             */
+            flush() {
+                return writeQueue;
+            }
+        }),
+
+        /**
+         * このアプリの保存データをすべて消去
+         * 診断状態・履歴・表示言語・署名鍵・暗号化の設定を含む。元に戻せない
+         */
+        forgetEverything() {
+            encryptionKey = null;
+            plaintextCache.clear();
+            Object.values(keys).forEach(key => {
+                safeRemove(key);
+            });
+            console.info('[Storage] All data forgotten');
+        },
+
+        /**
+         * 保存データをまとめて書き出す (バックエンドの移し替え・バックアップ用)
+         * 暗号化中の値は暗号文のまま書き出す (読み込み後はパスフレーズで開く)
+         * @returns {Promise<StoreExport>} 書き出したデータ
+         */
+        async exportStore() {
+            await writeQueue;
+            await Promise.all([backend.flush(), settingsBackend.flush()]);
+
+            const entries = {};
+            Object.entries(keys).forEach(([name, key]) => {
+                const value = safeGet(key);
+                if (value !== null) {
+                    entries[name] = value;
+                }
+            });
+
+            return {
+                format: STORE_EXPORT_FORMAT,
+                version: STORE_EXPORT_VERSION,
+                exportedAt: new Date().toISOString(),
+                backend: backend.name,
+                entries
+            };
+        },
+
+        /**
+         * exportStore の書き出しで保存データを置き換える
+         * 検証に通った場合のみ、現在のデータ (暗号化の設定を含む) を消してから書き込む。
+         * 暗号化された書き出しを読み込んだ場合はロック状態になる
+         * @param {any} data - exportStore の戻り値 (JSON.parse 済み)
+         * @returns {Promise<{ok: boolean, imported: string[], errors: string[]}>} 読み込んだキー名とエラー
+         */
+        async importStore(data) {
+            const errors = [];
+            if (!data || data.format !== STORE_EXPORT_FORMAT) {
+                errors.push(`format must be "${STORE_EXPORT_FORMAT}"`);
+            } else if (data.version !== STORE_EXPORT_VERSION) {
+                errors.push(`Unsupported version: ${JSON.stringify(data.version)}`);
+            } else if (!data.entries || typeof data.entries !== 'object' || Array.isArray(data.entries)) {
+                errors.push('entries must be an object');
+            } else {
+                Object.entries(data.entries).forEach(([name, value]) => {
+                    if (!(name in keys)) {
+                        errors.push(`Unknown entry: ${name}`);
+                    } else if (typeof value !== 'string') {
+                        errors.push(`${name} must be a string`);
+                    }
+                });
+            }
+            if (errors.length > 0) {
+                return { ok: false, imported: [], errors };
+            }
+
+            await writeQueue;
+            encryptionKey = null;
+            plaintextCache.clear();
+            warnedLocked = false;
+            Object.values(keys).forEach(key => {
+                safeRemove(key);
+            });
+
+            const imported = Object.entries(data.entries)
+                .filter(([name, value]) => safeSet(keys[name], value))
+                .map(([name]) => name);
+            await Promise.all([backend.flush(), settingsBackend.flush()]);
+
+            console.info(`[Storage] Imported ${imported.length} entries`);
+            return {
+                ok: imported.length === Object.keys(data.entries).length,
+                imported,
+                errors: Object.keys(data.entries)
+                    .filter(name => !imported.includes(name))
+                    .map(name => `${name} could not be saved`)
+            };
+        },
+
+        /**
+         * 書き込み待ち (暗号文・IndexedDB) がすべて保存されるまで待つ
+         * @returns {Promise<void>}
+         */
+        async flush() {
+            await writeQueue;
+            await Promise.all([backend.flush(), settingsBackend.flush()]);
+        },
+
         /**
          * ストレージ使用状況を取得(デバッグ用)
-         * @param {boolean} [verbose=false] - 詳細情報を含むか
-         * @returns {Object} 使用状況
+         * バックエンドごとに、置かれているキーと合計サイズ (UTF-8バイト) を返す
+         * @param {boolean} [verbose=false] - キーごとのサイズを含むか
+         * @returns {UsageInfo} 使用状況
          */
         getUsageInfo(verbose = false) {
             try {
-                const usage = {};
+                const backends = {};
                 
                 Object.entries(keys).forEach(([name, key]) => {
+                    const target = backendFor(key);
+                    const usage = backends[target.name] || (backends[target.name] = {
+                        persistent: target.persistent,
+                        totalSize: 0,
+                        lastError: target.getLastError()?.message ?? null,
+                        keys: {}
+                    });
                     const item = safeGet(key);
-                    usage[name] = {
+                    const size = item !== null ? byteLength(key) + byteLength(item) : 0;
+                    usage.totalSize += size;
+                    usage.keys[name] = {
                         exists: item !== null,
-                        size: verbose && item ? new Blob([item]).size : undefined
+                        size: verbose ? size : undefined
                     };
                 });
                 
-                return usage;
+                return { backends, quotaExceeded };
             } catch (error) {
                 console.error('[Storage] Usage info error:', error);
-                return {};
+                return { backends: {}, quotaExceeded };
             }
         }
     });
@@ -530,4 +1808,4 @@ export function createStorageManager(keyPrefix = DEFAULT_KEY_PREFIX) {
 // ============================================
 
 // Safari互換性をグローバルにエクスポート
-export { STORAGE_TTL, DEFAULT_KEY_PREFIX, safeStructuredClone, deepClone };
\ No newline at end of file
+export { STORAGE_TTL, MAX_HISTORY_ENTRIES, DEFAULT_KEY_PREFIX, STORE_EXPORT_FORMAT, UNDO_LIMIT, DIAGNOSIS_STATE_VERSION, safeStructuredClone, deepClone };
\ No newline at end of file
@@ -0,0 +1,190 @@
+// ============================================
+// i18n.js - 多言語対応 (ロケールカタログ・言語判定)
+// ============================================
+//
+// UI文字列は locales/*.js のカタログから t() で取得する。
+// 現在の言語 → 既定言語 (ja) の順にキーを探し、どちらにもなければ
+// 呼び出し側のフォールバック値 (なければキー自体) を返す。
+//
+// 質問文などのデータは data/*.{lang}.json の翻訳ファイルを data.js が重ねる
+// (localizedDataPath で翻訳ファイルのパスを得る)。
+
+import ja from './locales/ja.js';
+import en from './locales/en.js';
+
+// ============================================
+// 定数定義
+// ============================================
+
+/** 多言語対応の設定 */
+export const I18N_CONFIG = Object.freeze({
+    /** 対応言語 (ai-adapter.js の 'ja' | 'en' と揃える) */
+    SUPPORTED_LANGUAGES: Object.freeze(['ja', 'en']),
+    /** 既定言語 (翻訳ファイルを持たない元データの言語) */
+    DEFAULT_LANGUAGE: 'ja',
+    /** 言語指定のURLパラメータ名 */
+    URL_PARAM: 'lang'
+});
+
+const CATALOGS = Object.freeze({ ja, en });
+
+/** 言語ごとの表示名 (言語切り替えUI用, 各言語の自称) */
+export const LANGUAGE_NAMES = Object.freeze({
+    ja: '日本語',
+    en: 'English'
+});
+
+// ============================================
+// 言語の状態
+// ============================================
+
+let currentLanguage = I18N_CONFIG.DEFAULT_LANGUAGE;
+
+/** 未定義キーの警告済みセット (同じキーで何度も警告しない) */
+const warnedKeys = new Set();
+
+/**
+ * 言語タグを対応言語に正規化 ('en-US' → 'en')
+ * @param {string|null|undefined} tag - 言語タグ
+ * @returns {string|null} 対応言語 (非対応ならnull)
+ */
+export function normalizeLanguage(tag) {
+    if (typeof tag !== 'string' || tag.length === 0) return null;
+    const base = tag.toLowerCase().split(/[-_]/)[0];
+    return I18N_CONFIG.SUPPORTED_LANGUAGES.includes(base) ? base : null;
+}
+
+/**
+ * 言語のフォールバックチェーンを取得
+ * @param {string} [lang] - 言語
+ * @returns {string[]} 探索順の言語 (最後は既定言語)
+ */
+export function getLanguageFallbackChain(lang = currentLanguage) {
+    const normalized = normalizeLanguage(lang) || I18N_CONFIG.DEFAULT_LANGUAGE;
+    return [...new Set([normalized, I18N_CONFIG.DEFAULT_LANGUAGE])];
+}
+
+/**
+ * 使用する言語を判定
+ * 優先順位: URLパラメータ → 保存済みの設定 → ブラウザの言語 → 既定言語
+ * @param {Object} [sources] - 判定材料
+ * @param {string} [sources.search] - location.search
+ * @param {string|null} [sources.stored] - 保存済みの言語
+ * @param {readonly string[]} [sources.browserLanguages] - navigator.languages
+ * @returns {{language: string, source: 'url' | 'storage' | 'browser' | 'default'}} 判定結果
+ */
+export function detectLanguage({ search = '', stored = null, browserLanguages = [] } = {}) {
+    const fromURL = normalizeLanguage(new URLSearchParams(search).get(I18N_CONFIG.URL_PARAM));
+    if (fromURL) return { language: fromURL, source: 'url' };
+
+    const fromStorage = normalizeLanguage(stored);
+    if (fromStorage) return { language: fromStorage, source: 'storage' };
+
+    const fromBrowser = browserLanguages.map(normalizeLanguage).find(Boolean);
+    if (fromBrowser) return { language: fromBrowser, source: 'browser' };
+
+    return { language: I18N_CONFIG.DEFAULT_LANGUAGE, source: 'default' };
+}
+
+/**
+ * 現在の言語を設定
+ * @param {string} lang - 言語
+ * @returns {string} 設定された言語 (非対応なら既定言語)
+ */
+export function setLanguage(lang) {
+    const normalized = normalizeLanguage(lang);
+    if (!normalized) {
+        console.warn(`[i18n] 非対応の言語: ${lang}。${I18N_CONFIG.DEFAULT_LANGUAGE} を使用します。`);
+    }
+    currentLanguage = normalized || I18N_CONFIG.DEFAULT_LANGUAGE;
+
+    if (typeof document !== 'undefined') {
+        document.documentElement.lang = currentLanguage;
+    }
+    return currentLanguage;
+}
+
+/**
+ * 現在の言語を取得
+ * @returns {string} 言語
+ */
+export function getLanguage() {
+    return currentLanguage;
+}
+
+// ============================================
+// 文字列の取得
+// ============================================
+
+/**
+ * ドット区切りのキーでカタログを探索
+ * @param {Object} catalog - カタログ
+ * @param {string} key - キー ('result.title' など)
+ * @returns {string|undefined} 文字列
+ */
+function lookup(catalog, key) {
+    const value = key.split('.').reduce((node, part) => node?.[part], catalog);
+    return typeof value === 'string' ? value : undefined;
+}
+
+/**
+ * ローカライズされた文字列を取得
+ * {name} 形式のプレースホルダーを params で置換する (値はエスケープしない)
+ * @param {string} key - キー
+ * @param {Object<string, string|number>} [params] - 置換パラメータ
+ * @param {string} [fallback] - どのカタログにもない場合の値 (データ由来の既定文言など)
+ * @returns {string} 文字列
+ */
+export function t(key, params = {}, fallback) {
+    let template = getLanguageFallbackChain()
+        .map(lang => lookup(CATALOGS[lang], key))
+        .find(value => value !== undefined);
+
+    if (template === undefined) {
+        if (fallback !== undefined) return fallback;
+        if (!warnedKeys.has(key)) {
+            warnedKeys.add(key);
+            console.warn(`[i18n] 未定義のキー: ${key}`);
+        }
+        template = key;
+    }
+
+    return template.replace(/\{(\w+)\}/g, (match, name) =>
+        name in params ? String(params[name]) : match
+    );
+}
+
+/**
+ * data-i18n 属性を持つ要素の文言を現在の言語で置き換える
+ *   data-i18n="nav.back"             → textContent
+ *   data-i18n-aria-label="nav.backAria" → aria-label 属性
+ * @param {ParentNode} [root] - 対象のルート要素
+ */
+export function applyDocumentTranslations(root = document) {
+    try {
+        root.querySelectorAll('[data-i18n]').forEach(el => {
+            el.textContent = t(el.dataset.i18n, {}, el.textContent);
+        });
+        root.querySelectorAll('[data-i18n-aria-label]').forEach(el => {
+            el.setAttribute('aria-label', t(el.dataset.i18nAriaLabel, {}, el.getAttribute('aria-label') || ''));
+        });
+    } catch (error) {
+        console.error('[i18n] Error in applyDocumentTranslations:', error);
+    }
+}
+
+// ============================================
+// データファイルのパス
+// ============================================
+
+/**
+ * 翻訳データファイルのパスを取得
+ * 既定言語は元ファイルそのもの ('data/questions-standard.json' → 'data/questions-standard.en.json')
+ * @param {string} path - 元データのパス (.json)
+ * @param {string} lang - 言語
+ * @returns {string} 翻訳ファイルのパス
+ */
+export function localizedDataPath(path, lang) {
+    if (lang === I18N_CONFIG.DEFAULT_LANGUAGE) return path;
+    return path.replace(/\.json$/, `.${lang}.json`);
+}
@@ -0,0 +1,380 @@
+// ============================================
+// item-analysis.js - 項目分析 (心理測定)
+// ============================================
+//
+// 複数の回答セットから、質問ごとの平均・分散・修正済み項目-全体相関と
+// 機能ごとの Cronbach's α / 項目削除時α を算出する。
+// 逆転項目は逆転後の値 (6 - 回答値) で集計する。
+// 相関と α は、その機能の全項目に回答している回答セットのみで計算する (リストワイズ除外)。
+
+import { CONFIG as CORE_CONFIG, FUNCTIONS } from './core.js';
+
+// ============================================
+// 型定義 (JSDoc)
+// ============================================
+
+/**
+ * @typedef {import('./data.js').Question} Question
+ */
+
+/**
+ * @typedef {Object<string, {value: number, isReverse?: boolean}|number>} AnswerSet
+ */
+
+/**
+ * @typedef {Object} ItemStatistics
+ * @property {string} id - 質問ID
+ * @property {string} text - 質問文
+ * @property {string} function - 認知機能
+ * @property {boolean} reverse - 逆転項目フラグ
+ * @property {number|null} priority - 優先度
+ * @property {string[]} tags - タグ
+ * @property {number} n - 回答数
+ * @property {number|null} mean - 平均 (逆転後)
+ * @property {number|null} variance - 不偏分散 (逆転後)
+ * @property {number|null} itemTotalCorrelation - 修正済み項目-全体相関 (自項目を除く同機能合計との相関)
+ * @property {number|null} alphaIfDeleted - この項目を除いたときの機能の α
+ * @property {string[]} flags - 要確認フラグ
+ */
+
+/**
+ * @typedef {Object} ScaleStatistics
+ * @property {string} function - 認知機能
+ * @property {string} fullName - 機能名
+ * @property {number} itemCount - 項目数
+ * @property {number} completeCases - 全項目に回答した回答セット数
+ * @property {number|null} alpha - Cronbach's α
+ */
+
+/**
+ * @typedef {Object} ItemAnalysis
+ * @property {string} generatedAt - 生成日時 (ISO 8601)
+ * @property {number} respondentCount - 回答セット数
+ * @property {number} questionCount - 質問数
+ * @property {Object} thresholds - フラグ判定の閾値
+ * @property {Object<string, ScaleStatistics>} functions - 機能ごとの信頼性
+ * @property {ItemStatistics[]} items - 質問ごとの統計
+ */
+
+// ============================================
+// 定数定義
+// ============================================
+
+/** 要確認フラグの閾値 */
+export const ITEM_ANALYSIS_THRESHOLDS = Object.freeze({
+    /** 修正済み項目-全体相関の下限 */
+    MIN_ITEM_TOTAL_CORRELATION: 0.3,
+    /** 分散の下限 (回答がほぼ一様) */
+    MIN_VARIANCE: 0.5,
+    /** 機能の α の下限 */
+    MIN_ALPHA: 0.7,
+    /** 統計量を算出する最小回答数 */
+    MIN_RESPONSES: 2
+});
+
+/** 要確認フラグの表示名 */
+const FLAG_LABELS = Object.freeze({
+    'low-item-total': '項目-全体相関が低い',
+    'alpha-improves': '削除するとαが上がる',
+    'low-variance': '回答のばらつきが小さい',
+    'insufficient-data': '回答数不足'
+});
+
+// ============================================
+// 統計ユーティリティ
+// ============================================
+
+/**
+ * 平均
+ * @param {number[]} values - 値配列
+ * @returns {number} 平均
+ */
+function mean(values) {
+    return values.reduce((sum, v) => sum + v, 0) / values.length;
+}
+
+/**
+ * 不偏分散
+ * @param {number[]} values - 値配列
+ * @returns {number} 分散 (n < 2 の場合は 0)
+ */
+function variance(values) {
+    if (values.length < 2) return 0;
+    const m = mean(values);
+    return values.reduce((sum, v) => sum + (v - m) ** 2, 0) / (values.length - 1);
+}
+
+/**
+ * ピアソンの積率相関係数
+ * @param {number[]} xs - 値配列X
+ * @param {number[]} ys - 値配列Y
+ * @returns {number|null} 相関係数 (分散0の場合はnull)
+ */
+function correlation(xs, ys) {
+    if (xs.length < ITEM_ANALYSIS_THRESHOLDS.MIN_RESPONSES) return null;
+    const mx = mean(xs);
+    const my = mean(ys);
+    let sxy = 0;
+    let sxx = 0;
+    let syy = 0;
+
+    for (let i = 0; i < xs.length; i++) {
+        sxy += (xs[i] - mx) * (ys[i] - my);
+        sxx += (xs[i] - mx) ** 2;
+        syy += (ys[i] - my) ** 2;
+    }
+
+    return sxx === 0 || syy === 0 ? null : sxy / Math.sqrt(sxx * syy);
+}
+
+/**
+ * Cronbach's α
+ * @param {number[][]} rows - 回答セット × 項目 の行列
+ * @returns {number|null} α (項目数2未満・回答数不足・合計分散0の場合はnull)
+ */
+function cronbachAlpha(rows) {
+    const k = rows[0]?.length ?? 0;
+    if (k < 2 || rows.length < ITEM_ANALYSIS_THRESHOLDS.MIN_RESPONSES) return null;
+
+    const itemVariances = Array.from({ length: k }, (_, j) => variance(rows.map(r => r[j])));
+    const totalVariance = variance(rows.map(r => r.reduce((sum, v) => sum + v, 0)));
+    if (totalVariance === 0) return null;
+
+    return (k / (k - 1)) * (1 - itemVariances.reduce((sum, v) => sum + v, 0) / totalVariance);
+}
+
+/**
+ * 小数第3位に丸める (null はそのまま)
+ * @param {number|null} value - 値
+ * @returns {number|null} 丸めた値
+ */
+function round3(value) {
+    return value === null || Number.isNaN(value) ? null : Number(value.toFixed(3));
+}
+
+// ============================================
+// 項目分析
+// ============================================
+
+/**
+ * 回答を逆転処理済みの値に変換
+ * @param {{value: number, isReverse?: boolean}|number|undefined} answer - 回答
+ * @param {Question} question - 質問
+ * @returns {number|null} 逆転後の値 (未回答・不正値はnull)
+ */
+function keyedValue(answer, question) {
+    if (answer === undefined || answer === null) return null;
+
+    const value = typeof answer === 'object' ? answer.value : answer;
+    if (!Number.isInteger(value) || value < 1 || value > 5) return null;
+
+    const isReverse = typeof answer === 'object' && 'isReverse' in answer
+        ? answer.isReverse
+        : (question.reverse || false);
+
+    return isReverse ? CORE_CONFIG.LIKERT_SCALE_REVERSE_BASE - value : value;
+}
+
+/**
+ * 複数の回答セットから項目分析を実行
+ * @param {AnswerSet[]} answerSets - 回答セット配列 (診断状態の answers と同じ形式)
+ * @param {Question[]} questions - 質問バンク
+ * @returns {ItemAnalysis} 項目分析結果
+ */
+export function analyzeItems(answerSets, questions) {
+    const sets = (answerSets || []).filter(set => set && typeof set === 'object');
+    const byFunction = {};
+
+    questions.forEach(q => {
+        const funcType = q.funcType || q.function;
+        (byFunction[funcType] ||= []).push(q);
+    });
+
+    const itemStats = new Map();
+    const functions = {};
+
+    Object.entries(byFunction).forEach(([funcType, scaleQuestions]) => {
+        // 全項目に回答した回答セットのみ (リストワイズ除外)
+        const completeRows = sets
+            .map(set => scaleQuestions.map(q => keyedValue(set[q.id], q)))
+            .filter(row => row.every(v => v !== null));
+
+        const alpha = cronbachAlpha(completeRows);
+
+        functions[funcType] = {
+            function: funcType,
+            fullName: FUNCTIONS[funcType]?.fullName || funcType,
+            itemCount: scaleQuestions.length,
+            completeCases: completeRows.length,
+            alpha: round3(alpha)
+        };
+
+        scaleQuestions.forEach((q, index) => {
+            const values = sets
+                .map(set => keyedValue(set[q.id], q))
+                .filter(v => v !== null);
+
+            const itemColumn = completeRows.map(row => row[index]);
+            const restTotals = completeRows.map(row =>
+                row.reduce((sum, v, j) => (j === index ? sum : sum + v), 0)
+            );
+            const alphaIfDeleted = cronbachAlpha(
+                completeRows.map(row => row.filter((_, j) => j !== index))
+            );
+
+            const stats = {
+                id: q.id,
+                text: q.text,
+                function: funcType,
+                reverse: q.reverse || false,
+                priority: q.priority ?? null,
+                tags: q.tags || [],
+                n: values.length,
+                mean: values.length > 0 ? round3(mean(values)) : null,
+                variance: values.length >= ITEM_ANALYSIS_THRESHOLDS.MIN_RESPONSES ? round3(variance(values)) : null,
+                itemTotalCorrelation: round3(correlation(itemColumn, restTotals)),
+                alphaIfDeleted: round3(alphaIfDeleted),
+                flags: []
+            };
+
+            stats.flags = detectItemFlags(stats, alpha);
+            itemStats.set(q.id, stats);
+        });
+    });
+
+    return {
+        generatedAt: new Date().toISOString(),
+        respondentCount: sets.length,
+        questionCount: questions.length,
+        thresholds: { ...ITEM_ANALYSIS_THRESHOLDS },
+        functions,
+        items: questions.map(q => itemStats.get(q.id))
+    };
+}
+
+/**
+ * 要確認フラグを判定
+ * @param {ItemStatistics} stats - 項目統計
+ * @param {number|null} scaleAlpha - 機能の α
+ * @returns {string[]} フラグ配列
+ */
+function detectItemFlags(stats, scaleAlpha) {
+    const flags = [];
+
+    if (stats.n < ITEM_ANALYSIS_THRESHOLDS.MIN_RESPONSES) {
+        return ['insufficient-data'];
+    }
+    if (stats.itemTotalCorrelation !== null
+        && stats.itemTotalCorrelation < ITEM_ANALYSIS_THRESHOLDS.MIN_ITEM_TOTAL_CORRELATION) {
+        flags.push('low-item-total');
+    }
+    if (stats.alphaIfDeleted !== null && scaleAlpha !== null && stats.alphaIfDeleted > scaleAlpha) {
+        flags.push('alpha-improves');
+    }
+    if (stats.variance !== null && stats.variance < ITEM_ANALYSIS_THRESHOLDS.MIN_VARIANCE) {
+        flags.push('low-variance');
+    }
+
+    return flags;
+}
+
+// ============================================
+// HTML出力
+// ============================================
+
+/**
+ * HTMLエスケープ処理 (DOM非依存)
+ * @param {any} text - エスケープする値
+ * @returns {string} エスケープされた文字列
+ */
+function escapeHtml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+/**
+ * 数値セルの表示
+ * @param {number|null} value - 値
+ * @returns {string} 表示文字列
+ */
+function formatStat(value) {
+    return value === null ? '—' : value.toFixed(3);
+}
+
+/**
+ * 項目分析結果を単体で開けるHTMLに変換
+ * @param {ItemAnalysis} analysis - analyzeItems() の結果
+ * @returns {string} HTMLドキュメント
+ */
+export function renderItemAnalysisHTML(analysis) {
+    const scaleRows = Object.values(analysis.functions).map(scale => `
+            <tr${scale.alpha !== null && scale.alpha < ITEM_ANALYSIS_THRESHOLDS.MIN_ALPHA ? ' class="flagged"' : ''}>
+                <td>${escapeHtml(scale.function)}</td>
+                <td>${escapeHtml(scale.fullName)}</td>
+                <td class="num">${scale.itemCount}</td>
+                <td class="num">${scale.completeCases}</td>
+                <td class="num">${formatStat(scale.alpha)}</td>
+            </tr>`).join('');
+
+    const itemRows = analysis.items.map(item => `
+            <tr${item.flags.length > 0 ? ' class="flagged"' : ''}>
+                <td><code>${escapeHtml(item.id)}</code></td>
+                <td>${escapeHtml(item.function)}</td>
+                <td>${escapeHtml(item.text)}</td>
+                <td>${item.reverse ? '逆転' : ''}</td>
+                <td class="num">${item.priority ?? '—'}</td>
+                <td class="num">${item.n}</td>
+                <td class="num">${formatStat(item.mean)}</td>
+                <td class="num">${formatStat(item.variance)}</td>
+                <td class="num">${formatStat(item.itemTotalCorrelation)}</td>
+                <td class="num">${formatStat(item.alphaIfDeleted)}</td>
+                <td>${item.flags.map(flag => escapeHtml(FLAG_LABELS[flag] || flag)).join('<br>')}</td>
+            </tr>`).join('');
+
+    return `<!DOCTYPE html>
+<html lang="ja">
+<head>
+    <meta charset="UTF-8">
+    <title>Persona Finder - 項目分析</title>
+    <style>
+        body { font-family: system-ui, sans-serif; margin: 24px; color: #1e293b; }
+        table { border-collapse: collapse; margin-bottom: 32px; font-size: 13px; }
+        th, td { border: 1px solid #cbd5e1; padding: 6px 8px; text-align: left; vertical-align: top; }
+        th { background: #f1f5f9; position: sticky; top: 0; }
+        td.num { text-align: right; font-variant-numeric: tabular-nums; }
+        tr.flagged { background: #fef3c7; }
+    </style>
+</head>
+<body>
+    <h1>項目分析</h1>
+    <p>回答セット数: ${analysis.respondentCount} / 質問数: ${analysis.questionCount} / 生成日時: ${escapeHtml(analysis.generatedAt)}</p>
+
+    <h2>機能ごとの信頼性 (Cronbach's α)</h2>
+    <table>
+        <thead>
+            <tr><th>機能</th><th>名称</th><th>項目数</th><th>完全回答数</th><th>α</th></tr>
+        </thead>
+        <tbody>${scaleRows}
+        </tbody>
+    </table>
+
+    <h2>項目統計</h2>
+    <p>値は逆転処理後。相関と α はその機能の全項目に回答した回答セットのみで算出。</p>
+    <table>
+        <thead>
+            <tr>
+                <th>ID</th><th>機能</th><th>質問文</th><th>逆転</th><th>優先度</th><th>n</th>
+                <th>平均</th><th>分散</th><th>項目-全体相関</th><th>削除時α</th><th>要確認</th>
+            </tr>
+        </thead>
+        <tbody>${itemRows}
+        </tbody>
+    </table>
+</body>
+</html>
+`;
+}
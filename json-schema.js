@@ -0,0 +1,152 @@
+// ============================================
+// json-schema.js - JSON Schema 検証 (draft-07 のサブセット)
+// ============================================
+//
+// 依存なしの最小実装。ブラウザと Node.js の両方で動く。
+// data-validator.js (data/ 以下のファイル) と profile-importer.js (myself.json) が使う。
+
+/**
+ * JSON Pointer のトークンをエスケープ
+ * @param {string|number} token - トークン
+ * @returns {string} エスケープ済みトークン
+ */
+export function escapePointer(token) {
+    return String(token).replace(/~/g, '~0').replace(/\//g, '~1');
+}
+
+/**
+ * JSON Schema の型名を判定
+ * @param {any} value - 値
+ * @returns {string} 型名
+ */
+function typeOf(value) {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'array';
+    if (Number.isInteger(value)) return 'integer';
+    return typeof value;
+}
+
+/**
+ * ローカル参照 (#/definitions/...) を解決
+ * @param {string} ref - $ref
+ * @param {Object} root - ルートスキーマ
+ * @returns {Object} 参照先スキーマ
+ */
+function resolveRef(ref, root) {
+    if (!ref.startsWith('#/')) {
+        throw new Error(`[JsonSchema] Unsupported $ref: ${ref}`);
+    }
+    return ref.slice(2).split('/').reduce((node, token) => {
+        const key = token.replace(/~1/g, '/').replace(/~0/g, '~');
+        if (!node || !(key in node)) {
+            throw new Error(`[JsonSchema] Unresolved $ref: ${ref}`);
+        }
+        return node[key];
+    }, root);
+}
+
+/**
+ * JSON Schema で値を検証
+ * 対応キーワード: $ref, allOf, type, enum, const, required, properties,
+ * patternProperties, additionalProperties, items, minItems, maxItems, uniqueItems,
+ * minLength, pattern, minimum, maximum
+ * @param {any} value - 検証対象
+ * @param {Object} schema - スキーマ
+ * @param {Object} [root] - ルートスキーマ ($ref の解決用)
+ * @param {string} [path] - 現在位置 (JSON Pointer)
+ * @returns {Array<{path: string, message: string}>} 検証エラー
+ */
+export function validateSchema(value, schema, root = schema, path = '') {
+    const errors = [];
+    const fail = (message) => errors.push({ path, message });
+
+    if (schema.$ref) {
+        return validateSchema(value, resolveRef(schema.$ref, root), root, path);
+    }
+
+    (schema.allOf || []).forEach(sub => errors.push(...validateSchema(value, sub, root, path)));
+
+    if (schema.type) {
+        const actual = typeOf(value);
+        const types = [schema.type].flat();
+        const matches = types.some(type => type === actual || (type === 'number' && actual === 'integer'));
+        if (!matches) {
+            fail(`expected ${types.join(' | ')}, got ${actual}`);
+            return errors;
+        }
+    }
+
+    if (schema.enum && !schema.enum.some(option => option === value)) {
+        fail(`must be one of ${schema.enum.map(option => JSON.stringify(option)).join(', ')}, got ${JSON.stringify(value)}`);
+    }
+    if ('const' in schema && schema.const !== value) {
+        fail(`must be ${JSON.stringify(schema.const)}`);
+    }
+
+    if (typeof value === 'string') {
+        if (schema.minLength !== undefined && value.length < schema.minLength) {
+            fail(`must have at least ${schema.minLength} character(s)`);
+        }
+        if (schema.pattern && !new RegExp(schema.pattern, 'u').test(value)) {
+            fail(`${JSON.stringify(value)} does not match ${schema.pattern}`);
+        }
+    }
+
+    if (typeof value === 'number') {
+        if (schema.minimum !== undefined && value < schema.minimum) fail(`must be >= ${schema.minimum}`);
+        if (schema.maximum !== undefined && value > schema.maximum) fail(`must be <= ${schema.maximum}`);
+    }
+
+    if (Array.isArray(value)) {
+        if (schema.minItems !== undefined && value.length < schema.minItems) {
+            fail(`must have at least ${schema.minItems} item(s), got ${value.length}`);
+        }
+        if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+            fail(`must have at most ${schema.maxItems} item(s), got ${value.length}`);
+        }
+        if (schema.uniqueItems) {
+            const seen = new Set();
+            value.forEach(item => {
+                const key = JSON.stringify(item);
+                if (seen.has(key)) fail(`duplicate item ${key}`);
+                seen.add(key);
+            });
+        }
+        if (schema.items) {
+            value.forEach((item, index) => {
+                errors.push(...validateSchema(item, schema.items, root, `${path}/${index}`));
+            });
+        }
+    }
+
+    if (typeOf(value) === 'object') {
+        (schema.required || []).forEach(key => {
+            if (!(key in value)) fail(`missing required property '${key}'`);
+        });
+
+        const patterns = Object.entries(schema.patternProperties || {})
+            .map(([pattern, sub]) => [new RegExp(pattern, 'u'), sub]);
+
+        Object.entries(value).forEach(([key, child]) => {
+            const childPath = `${path}/${escapePointer(key)}`;
+            let matched = false;
+
+            if (schema.properties && key in schema.properties) {
+                matched = true;
+                errors.push(...validateSchema(child, schema.properties[key], root, childPath));
+            }
+            patterns.filter(([regex]) => regex.test(key)).forEach(([, sub]) => {
+                matched = true;
+                errors.push(...validateSchema(child, sub, root, childPath));
+            });
+
+            if (!matched && schema.additionalProperties === false) {
+                errors.push({ path: childPath, message: `unexpected property '${key}'` });
+            } else if (!matched && typeOf(schema.additionalProperties) === 'object') {
+                errors.push(...validateSchema(child, schema.additionalProperties, root, childPath));
+            }
+        });
+    }
+
+    return errors;
+}
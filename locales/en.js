@@ -0,0 +1,541 @@
+// ============================================
+// locales/en.js - English catalog
+// ============================================
+//
+// 未定義のキーは日本語カタログ (locales/ja.js) にフォールバックする。
+// 回答スタイル・スロット名・機能名は core.js の日本語の値を上書きする訳語。
+
+export default Object.freeze({
+    common: {
+        loading: 'Loading...',
+        errorTitle: 'Something went wrong',
+        errorDetails: 'Details',
+        reload: 'Reload',
+        renderError: 'An error occurred while rendering'
+    },
+
+    app: {
+        initFailed: 'Failed to initialize the application',
+        noQuestions: 'No question data was loaded',
+        networkError: 'A network error occurred. Starting in offline mode.',
+        jsonParseError: 'Failed to load data. Using backup data.',
+        modeMismatch: 'The mode was changed, so saved progress has been cleared',
+        restoreTitle: 'Resuming where you left off',
+        restoreProgress: 'Question {current} / {total}',
+        shadowTitle: '💡 What is a shadow function?',
+        shadowBodyHtml: 'It is a function outside the provisional type\'s stack.<br>Its score is shown, but <strong>it does not affect the type result.</strong>'
+    },
+
+    modes: {
+        simple: 'Quick assessment',
+        standard: 'Standard assessment',
+        detail: 'Detailed assessment',
+        adaptive: 'Adaptive assessment'
+    },
+
+    language: {
+        label: 'Language'
+    },
+
+    nav: {
+        label: 'Assessment navigation',
+        back: '← Previous',
+        backAria: 'Go back to the previous question',
+        next: 'Next →',
+        nextAria: 'Go to the next question'
+    },
+
+    progress: {
+        provisionalNote: '* Placeholder value until you answer',
+        lowAnswersNote: '⚠ Few answers so far; the result may not be accurate yet',
+        typeAria: 'Provisional type {type}',
+        percentAria: 'Progress {percent} percent',
+        barAria: 'Assessment progress',
+        showScores: 'Show score details',
+        hideScores: 'Hide score details',
+        scoresAria: 'Score details',
+        scoreAria: '{key} score {value}',
+        shadow: 'Shadow'
+    },
+
+    likert: {
+        1: 'Strongly disagree',
+        2: 'Disagree',
+        3: 'Neutral',
+        4: 'Agree',
+        5: 'Strongly agree'
+    },
+
+    question: {
+        header: 'Question {current} of {total}',
+        reverseItem: '(reverse-keyed)',
+        optionAria: '{label} - {value} points',
+        mobileHint: 'Scroll sideways to see all options',
+        keyboardHintHtml: 'Keyboard: <kbd>←</kbd><kbd>→</kbd> move | <kbd>Enter</kbd> select | <kbd>Home</kbd>/<kbd>End</kbd> first/last',
+        shadowImpactAria: 'Effect on a shadow function',
+        impactAria: 'Effect on scores',
+        outsideStack: 'Outside the stack ({type})',
+        weightedImpact: 'Effect on result: {delta} (×{weight})'
+    },
+
+    result: {
+        regionLabel: 'Assessment result',
+        title: 'Assessment complete',
+        subtitle: 'Your cognitive function profile has been identified',
+        mode: 'Mode: {mode}',
+        typeAria: 'Result {type}',
+        restart: 'Start over',
+        restartAria: 'Start the assessment over'
+    },
+
+    contradictions: {
+        heading: 'Context-dependent judgments',
+        introHtml: 'You answered the question pairs below differently depending on context.<br>This may reflect <strong style="color: #60a5fa;">situational adaptability</strong>.',
+        showDetails: 'Show details ({count})',
+        severityHigh: 'Large contextual difference',
+        severityMedium: 'Moderate contextual difference',
+        severityLow: 'Minor contextual difference',
+        questionA: 'Question A',
+        questionB: 'Question B',
+        answer: 'Answer:',
+        hintTitle: '💡 How to read this',
+        hintHtml: '• It is natural for <strong>judgments on the same theme to change with context</strong><br>• This may reflect <strong>situational awareness</strong> or <strong>cognitive flexibility</strong><br>• Or your values may still be <strong>taking shape</strong>'
+    },
+
+    alternatives: {
+        heading: 'A multifaceted profile',
+        introHtml: 'You show a <strong style="color: #a78bfa;">versatility of {score}%</strong> that does not fit a single type.<br>This is a sign of psychological maturity and flexibility. You also share traits of the types below.',
+        typeAria: 'Alternative type {type}',
+        similarity: 'Similarity: {similarity}%',
+        noteTitle: '💡 This is a good thing',
+        note: 'In Jungian psychology, people who can integrate several functions are considered more psychologically mature.'
+    },
+
+    metrics: {
+        heading: 'Profile analysis',
+        versatility: 'Versatility',
+        versatilityHigh: 'Highly multifaceted and flexible',
+        versatilityMedium: 'Balanced traits',
+        versatilityLow: 'Clear and consistent traits',
+        versatilityNote: '🎓 Jungian psychology regards this as a sign of individuation (maturity)',
+        consistency: 'Contextual adaptability',
+        consistencyHigh: 'Your answers are highly consistent',
+        consistencyMedium: 'Judgments shift somewhat with context',
+        consistencyLow: 'Flexible, situation-dependent judgments',
+        contradictionCount: 'Context-dependent changes: {count}',
+        flexibilityHtml: 'You have the <strong style="color: #a78bfa;">flexibility</strong> to use different cognitive functions depending on the situation. This suggests a more mature state than clinging to a single type.',
+        valueAria: '{title} {value} percent'
+    },
+
+    responseStyles: {
+        heading: '⚠ Notes on your answer pattern',
+        footer: 'These patterns are reflected in the consistency score. Treat the result as a rough guide.',
+        'straight-lining': {
+            label: 'Repeated answers',
+            message: 'You gave the same answer to {percent}% of the questions.'
+        },
+        alternating: {
+            label: 'Alternating pattern',
+            message: 'You kept alternating between two values.'
+        },
+        acquiescence: {
+            label: 'Acquiescence',
+            message: 'You tend to agree even with questions that ask the opposite.'
+        },
+        extreme: {
+            label: 'Extreme answers only',
+            message: 'You answered almost every question with an end of the scale (1 or 5).'
+        },
+        midpoint: {
+            label: 'Midpoint answers only',
+            message: 'You answered {percent}% of the questions with "Neutral".'
+        },
+        'too-fast': {
+            label: 'Answering too fast',
+            message: 'You answered {percent}% of the questions very quickly.'
+        }
+    },
+
+    stack: {
+        heading: 'Cognitive function stack',
+        shadowHeading: 'Shadow functions',
+        shadowNote: 'In the Beebe model these four functions sit in the shadow of consciousness. Higher scores lower the type fit.',
+        weight: ' (weight ×{weight})'
+    },
+
+    stackSlots: {
+        dominant: 'Dominant',
+        auxiliary: 'Auxiliary',
+        tertiary: 'Tertiary',
+        inferior: 'Inferior',
+        opposing: 'Opposing',
+        criticalParent: 'Critical parent',
+        trickster: 'Trickster',
+        demon: 'Demon'
+    },
+
+    scores: {
+        heading: 'Detailed scores'
+    },
+
+    charts: {
+        radarTitle: 'Radar chart of cognitive function scores',
+        barsTitle: 'Bar chart of cognitive function scores',
+        typesTitle: 'Ranking of the 16 type scores',
+        gaugeTitle: 'Leaning on introversion/extraversion, intuition/sensing and thinking/feeling',
+        typesHeading: 'Ranking of the 16 types',
+        typesNote: 'The score scale depends on the scoring strategy.'
+    },
+
+    import: {
+        heading: 'View a saved result',
+        description: 'Load an exported myself.json to view its result without retaking the assessment.',
+        dropHint: 'Drop myself.json here, or click to choose a file',
+        loaded: 'Loaded {name}',
+        migrated: 'Loaded {name} (converted from schemaVersion {from} to {to})',
+        invalid: '{name} could not be read as a myself.json file',
+        readFailed: 'The file could not be read',
+        bannerTitle: '📂 Viewing an imported result',
+        generatedAt: 'Assessed on: {date}',
+        source: 'Source: {tool} / Mode: {mode} / Scoring: {strategy}',
+        profileId: 'Profile ID: {id}',
+        close: 'Back to my assessment',
+        closeAria: 'Close the imported result and return to my assessment',
+        signature: {
+            valid: '✅ Signature verified. Not edited since it was signed (key ID: {id})',
+            ownKey: 'Signed with this device\'s key',
+            tampered: '⚠ The content was edited after it was signed. Scores may have been changed',
+            invalid: '⚠ The signature is not valid',
+            unsigned: 'Unsigned (edits cannot be detected)'
+        }
+    },
+
+    export: {
+        heading: 'Export myself.json',
+        description: 'Export a structured profile to share with AI adapters or other people.',
+        sign: 'Sign it (recipients can check that the scores were not edited by hand)',
+        keyId: 'Signing key ID on this device: {id}',
+        noKey: 'A signing key will be created on this device the first time you sign.',
+        download: 'Download myself.json',
+        otherFormats: 'Other formats (unsigned):',
+        downloadAs: 'Download {format}',
+        failed: 'Export failed'
+    },
+
+    formats: {
+        markdown: {
+            item: 'Item',
+            value: 'Value',
+            confidence: 'Confidence',
+            consistency: 'Answer consistency',
+            mode: 'Mode',
+            strategy: 'Scoring',
+            answered: 'Answered',
+            contradictions: 'Context-dependent answers',
+            generatedAt: 'Assessed at',
+            stackHeading: 'Cognitive function stack',
+            functionsHeading: 'Cognitive function scores',
+            function: 'Function',
+            raw: 'Raw',
+            normalized: 'Score (0-100)',
+            interval: '95% interval',
+            strength: 'Strength',
+            typesHeading: 'Top types',
+            rank: 'Rank',
+            type: 'Type',
+            score: 'Score'
+        }
+    },
+
+    share: {
+        heading: 'Share link',
+        description: 'Your answers, mode and shuffle seed are compressed into the part of the link after #. That part is never sent to a server; the result is computed in the browser of whoever opens it.',
+        scoresOnly: 'Share only the function scores, without the answers',
+        create: 'Create link',
+        linkLabel: 'Share link',
+        copy: 'Copy',
+        copied: 'Link copied',
+        failed: 'Could not create the link',
+        bannerTitle: '🔗 Showing a shared result',
+        source: 'Mode: {mode} / Scoring: {strategy}',
+        fromAnswers: 'Computed from {count} answers',
+        fromScores: 'This link contains function scores only (without answers, contradictions and answer consistency are not evaluated)',
+        notSaved: 'This result is not saved on this device',
+        closeAria: 'Close the shared result and return to your own diagnosis',
+        errors: {
+            format: 'The share link is not in a valid format',
+            version: 'This share link format is not supported',
+            checksum: 'The share link is damaged (it may have been cut off)',
+            unsupported: 'This browser cannot expand share links (DecompressionStream is not supported)',
+            'too-large': 'The share link is too long',
+            questions: 'Could not load the questions for the share link',
+            mismatch: 'The questions have changed since the link was created, so the answers cannot be restored'
+        }
+    },
+
+    report: {
+        panelHeading: 'Print or save as PDF',
+        panelDescription: 'A print-ready report with a cover page, the stack table, function score charts and a methodology appendix. Choose "Save as PDF" in the print dialog to get a PDF.',
+        print: 'Print report',
+        failed: 'Could not create the report',
+        title: 'Cognitive Function Assessment Report',
+        generatedAt: 'Generated',
+        mode: 'Mode',
+        strategy: 'Scoring',
+        answered: 'Answered',
+        answeredValue: '{answered} / {total} questions',
+        coverNote: 'This report is based on a self-report questionnaire. It is for reference only and is not a clinical assessment.',
+        summaryHeading: 'Type summary',
+        confidence: 'Confidence',
+        originalConfidence: 'before consistency adjustment: {value}%',
+        consistency: 'Answer consistency',
+        secondBest: 'Runner-up type',
+        probabilities: 'Type probabilities (top 3)',
+        warning: 'Confidence is low. Consider the runner-up type as well.',
+        gaugeCaption: 'Ratio of introverted to extraverted, intuition to sensing, and thinking to feeling scores. The center marks balance.',
+        typesCaption: 'Fit to each type ({strategy}).',
+        stackHeading: 'Cognitive function stack ({type})',
+        slot: 'Position',
+        function: 'Function',
+        raw: 'Raw',
+        normalized: 'Score (0-100)',
+        weight: 'Weight',
+        weighted: 'Weighted',
+        shadowNote: 'Shadow functions carry negative weights: the higher their score, the lower the type fit.',
+        functionsHeading: 'Cognitive function scores',
+        radarCaption: 'The center is 0 and the outer edge 100. The inner line marks 50 (neutral).',
+        barsCaption: 'Bars show the score (0-100), lines the {level}% confidence interval, and the dashed line the neutral point (50).',
+        interval: '{level}% interval',
+        interpretation: 'Interpretation',
+        contradictionsHeading: 'Context-dependent answers ({count})',
+        contradictionsNote: 'Question pairs on the same theme that you answered in opposite directions. This can reflect judgement that adapts to the situation.',
+        noContradictions: 'No contradicting answer pairs were found.',
+        methodologyHeading: 'Appendix: Methodology',
+        methodStrategyHeading: 'Scoring strategy',
+        methodScoringHeading: 'Scoring the answers',
+        methodScoring: 'Each answer (1-5 Likert scale) is converted to its deviation from the midpoint {midpoint}, reversed for reverse-keyed items, and slightly emphasized for extreme answers before being summed per function. The sum ({min} to {max}) is mapped to 0-100, where 50 is neutral.',
+        methodConsistencyHeading: 'Consistency and confidence',
+        methodConsistency: 'The consistency score combines contradicting answers on question pairs with the same theme and response styles such as repeated or alternating answers. Confidence is derived from the gap in type fit and then multiplied by the consistency score.',
+        methodUncertaintyHeading: 'Estimating uncertainty',
+        methodUncertainty: 'A bootstrap stratified by function ({iterations} resamples, seed {seed}) estimates the {level}% confidence interval of each function score and the probability of each type.',
+        methodUncertaintyNone: 'Too few answers to estimate confidence intervals.',
+        limitationsHeading: 'Limitations',
+        limitations: 'Results depend on your self-perception and mood while answering. Read the type as a relative tendency of cognitive functions, not a fixed category.',
+        footer: 'Created with Persona Finder — cognitive function analysis based on Jung\'s psychological types'
+    },
+
+    research: {
+        heading: 'Contribute to research (optional)',
+        description: 'Export an anonymized dataset to hand to researchers. It is only created with your consent and is never sent anywhere automatically.',
+        open: 'Review research data',
+        includedHeading: 'Included',
+        includedAnswers: 'Question IDs in the order shown and your answer to each',
+        includedTiming: 'Response time and number of answer changes per question',
+        includedSettings: 'Mode, scoring strategy and the shuffle seed of the question order',
+        includedReport: 'Your result (type, function scores, stack and more)',
+        anonymizedHeading: 'Anonymization',
+        anonymizedIds: 'Identifiers such as the profile ID and signature are left out',
+        anonymizedParticipant: 'A participant ID is included only if you enter one, and only as a hash',
+        anonymizedTime: 'Dates are shifted by a random amount (up to 24 hours). Response times are unchanged',
+        notSent: 'The file is only saved on this device. You can review it before deciding whether to share it.',
+        participantLabel: 'Participant ID (optional)',
+        studyLabel: 'Study code (optional)',
+        studyHint: 'Enter this if a researcher gave you a study code. With the same study code, the same participant ID yields the same hash so repeated sessions can be linked. Without one, every export gets a different hash.',
+        consent: 'I have reviewed the above and consent to exporting research data',
+        download: 'Export research data',
+        cancel: 'Cancel',
+        downloaded: 'Research data exported',
+        failed: 'Could not export research data'
+    },
+
+    privacy: {
+        heading: 'Protect saved data',
+        description: 'Your answers and history are saved in this browser. Set a passphrase to store them encrypted (PBKDF2 + AES-GCM). If you forget the passphrase, the saved data cannot be recovered.',
+        statusOff: 'Not encrypted',
+        statusOn: '🔒 Saved data is encrypted',
+        statusLocked: '🔒 Encrypted (locked: saved data is not loaded and changes are not saved)',
+        newPassphrase: 'New passphrase (at least {min} characters)',
+        confirmPassphrase: 'New passphrase (confirm)',
+        currentPassphrase: 'Current passphrase',
+        enable: 'Turn on encryption',
+        unlock: 'Unlock',
+        rotate: 'Change passphrase / key',
+        rotateHint: 'Leave the new passphrase empty to replace only the encryption key and keep the same passphrase.',
+        disable: 'Turn off encryption',
+        forget: 'Erase everything',
+        forgetConfirm: 'This deletes all answers, history, settings and the signing key saved in this browser. This cannot be undone. Continue?',
+        tooShort: 'The passphrase must be at least {min} characters',
+        mismatch: 'The passphrases do not match',
+        wrong: 'Wrong passphrase',
+        enabled: 'Encryption turned on',
+        unlocked: 'Unlocked',
+        rotated: 'Re-encrypted with a new key',
+        disabled: 'Encryption turned off',
+        failed: 'The operation failed',
+        working: 'Working...',
+        backend: 'Stored in: {name}',
+        backends: {
+            indexedDB: 'IndexedDB',
+            localStorage: 'localStorage',
+            memory: 'memory (lost when the page is closed)'
+        },
+        exportStore: 'Export saved data',
+        importStore: 'Import saved data',
+        storeHint: 'The exported file contains your answers, history, settings and signing key (encrypted answers and history stay encrypted). Use it to move to another browser or as a backup.',
+        importConfirm: 'This replaces the current saved data with the contents of the file. Continue?',
+        importFailed: 'Could not import the saved data: {errors}'
+    },
+
+    tabs: {
+        readOnly: 'This diagnosis is continuing in another tab. This tab is view-only.',
+        readOnlyOtherMode: 'The {mode} is continuing in another tab. Continuing here will reset it.',
+        continueHere: 'Continue in this tab',
+        readOnlyAction: 'This cannot be changed here while the diagnosis continues in another tab'
+    },
+
+    timeTravel: {
+        heading: 'Time travel (dev)',
+        undo: 'Undo',
+        redo: 'Redo',
+        frame: 'State {current} / {total}',
+        previous: 'Previous state',
+        next: 'Next state',
+        jump: 'Return to this state',
+        label: 'Change',
+        answered: 'Answered',
+        result: 'showing result',
+        provisional: 'Provisional type',
+        function: 'Function',
+        raw: 'Raw',
+        normalized: 'Normalized',
+        delta: 'Change'
+    },
+
+    unlock: {
+        title: '🔒 Unlock saved data',
+        body: 'Your saved data is encrypted. Enter your passphrase to resume where you left off and load your history.',
+        passphrase: 'Passphrase',
+        submit: 'Unlock',
+        skip: 'Start without saved data',
+        skipNote: 'Your saved data is kept, but answers from this session will not be saved.',
+        forget: 'Erase everything and start'
+    },
+
+    history: {
+        heading: 'History and cognitive drift',
+        summary: '{count} assessments ({from} – {to})',
+        needMore: 'Take the assessment again to compare how your function scores and type change over time.',
+        mostFrequent: 'Most frequent result',
+        stability: 'in {percent}% of sessions',
+        typeChangesLabel: 'Type changes',
+        typeChanges: 'Sessions (out of {sessions}) whose type differed from the previous one',
+        chartTitle: 'Function scores over time',
+        chartDesc: 'Normalized scores (0-100) for the eight functions across {count} assessments. Largest changes: {movers}',
+        timelineHeading: 'Type over time',
+        tableFunction: 'Function',
+        tableChange: 'First → latest',
+        tableDelta: 'Change',
+        tableStdDev: 'Std. dev.',
+        trend: {
+            up: 'Rising',
+            down: 'Falling',
+            stable: 'Stable'
+        },
+        clear: 'Clear history',
+        clearConfirm: 'Delete all saved assessment history?'
+    },
+
+    functions: {
+        Ni: { fullName: 'Introverted Intuition', description: 'Insight and foresight' },
+        Ne: { fullName: 'Extraverted Intuition', description: 'Exploring possibilities' },
+        Si: { fullName: 'Introverted Sensing', description: 'Experience and tradition' },
+        Se: { fullName: 'Extraverted Sensing', description: 'Present experience' },
+        Ti: { fullName: 'Introverted Thinking', description: 'Logical analysis' },
+        Te: { fullName: 'Extraverted Thinking', description: 'Effective execution' },
+        Fi: { fullName: 'Introverted Feeling', description: 'Personal values' },
+        Fe: { fullName: 'Extraverted Feeling', description: 'Harmony and empathy' }
+    },
+
+    functionPage: {
+        fallbackName: 'Cognitive function',
+        fallbackTagline: 'An in-depth look at a cognitive function',
+        titleTemplate: '{name} ({code}) Cognitive Function Guide — Persona Finder',
+        notFound: '{code}.json was not found',
+        loadingTitle: '📖 Loading...',
+        loadingBody: 'Loading data. Please wait a moment.',
+        loadFailed: 'Failed to load data.',
+        error: 'Error',
+        intro: {
+            toc: 'This function at a glance',
+            title: 'This function at a glance',
+            quizTitle: 'Quick check',
+            quizSubtitle: 'Tick the statements that apply to you.',
+            quizPlaceholder: 'A rough sense of how close you are to this function appears as you tick items.',
+            quizNone: 'The descriptions on this page may not feel much like you. Try the pages for the other functions too.',
+            quizHigh: 'You may rely strongly on this function as your dominant or auxiliary. It may be an axis of your everyday judgment and perception.',
+            quizMedium: 'You may use this function moderately, around the auxiliary or tertiary position. Looking at its balance with other functions helps outline your stack.',
+            quizLow: 'This function may work in the background rather than as a main axis. You may resonate more with another function\'s page.'
+        },
+        innerView: {
+            toc: 'How this function sees the world',
+            title: 'How this function sees the world',
+            detailed: 'The inner perspective',
+            mechanism: 'How it works'
+        },
+        theory: {
+            toc: 'Theoretical position',
+            title: 'Theoretical position and how it differs from similar functions',
+            jungian: 'Theoretical position',
+            comparisons: 'Differences from similar functions'
+        },
+        stack: {
+            toc: 'How it appears within a type',
+            title: 'How it appears within a type',
+            dominant: 'When it is in front',
+            auxiliary: 'In the second position',
+            tertiary: 'In the third position',
+            inferior: 'When it is furthest back'
+        },
+        development: {
+            toc: 'Balance and pitfalls',
+            title: 'Balance and common pitfalls',
+            balanced: 'When it works in balance',
+            imbalance: 'Where it tends to tip over',
+            overuse: 'When overused',
+            underuse: 'When avoided',
+            misconceptions: 'Common misconceptions'
+        },
+        shadow: {
+            toc: 'Shadow aspects',
+            title: 'When it appears as a shadow',
+            opposing: 'As resistance',
+            criticalParent: 'As harsh standards',
+            trickster: 'As confusion or unsettling',
+            demon: 'As self-denial or helplessness'
+        },
+        cognitive: {
+            toc: 'Notes from cognitive science',
+            title: 'Notes from cognitive science and limits of the model',
+            notes: 'Caveats of the model',
+            neural: 'Hypotheses about the brain',
+            processing: 'Information-processing traits'
+        },
+        guidance: {
+            toc: 'Tips for working with it',
+            title: 'Tips for working well with this function',
+            resonatesIf: 'When it fits',
+            notResonateIf: 'When it feels hard to handle'
+        },
+        myScore: {
+            toc: 'Your score',
+            title: 'Your score in your assessment',
+            summary: 'In your assessment on {date} ({type}), your {code} score was {score} (0-100, 50 is neutral).',
+            chartTitle: 'Scores of the 8 functions ({code} highlighted)',
+            empty: 'No saved assessment results.',
+            locked: 'Your saved results are encrypted with a passphrase. Enter it to show your score on this page.',
+            passphrase: 'Passphrase',
+            unlock: 'Show',
+            wrongPassphrase: 'Wrong passphrase'
+        }
+    }
+});
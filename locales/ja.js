@@ -0,0 +1,496 @@
+// ============================================
+// locales/ja.js - 日本語カタログ (既定言語)
+// ============================================
+//
+// キー名が Html で終わる文字列はマークアップを含む (呼び出し側でエスケープしない)。
+// データ由来の文言 (回答スタイルの説明・スタックのスロット名・機能名) は
+// core.js / 設定ファイルの値をそのまま既定値として使うため、ここには置かない。
+
+export default Object.freeze({
+    common: {
+        loading: '読み込み中...',
+        errorTitle: 'エラーが発生しました',
+        errorDetails: '詳細情報',
+        reload: '再読み込み',
+        renderError: 'レンダリング中にエラーが発生しました'
+    },
+
+    app: {
+        initFailed: 'アプリケーションの初期化に失敗しました',
+        noQuestions: '質問データが読み込まれませんでした',
+        networkError: 'ネットワークエラーが発生しました。オフラインモードで起動します。',
+        jsonParseError: 'データの読み込みに失敗しました。バックアップデータを使用します。',
+        modeMismatch: 'モードが変更されたため、保存データをクリアしました',
+        restoreTitle: '前回の続きから再開',
+        restoreProgress: '質問 {current} / {total}',
+        shadowTitle: '💡 Shadow機能とは?',
+        shadowBodyHtml: '暫定タイプのスタックに含まれない機能です。<br>スコアは表示されますが、<strong>タイプ診断には影響しません。</strong>'
+    },
+
+    modes: {
+        simple: 'クイック診断',
+        standard: 'スタンダード診断',
+        detail: '詳細診断',
+        adaptive: '適応型診断'
+    },
+
+    language: {
+        label: '表示言語'
+    },
+
+    nav: {
+        label: '診断ナビゲーション',
+        back: '← 前の質問',
+        backAria: '前の質問に戻る',
+        next: '次の質問 →',
+        nextAria: '次の質問へ進む'
+    },
+
+    progress: {
+        provisionalNote: '※便宜上の仮値です',
+        lowAnswersNote: '⚠ 回答数が少ないため精度が低い可能性があります',
+        typeAria: '暫定タイプ {type}',
+        percentAria: '進捗 {percent}パーセント',
+        barAria: '診断進捗',
+        showScores: 'スコア詳細を表示',
+        hideScores: 'スコア詳細を非表示',
+        scoresAria: 'スコア詳細',
+        scoreAria: '{key} スコア {value}',
+        shadow: 'Shadow'
+    },
+
+    likert: {
+        1: '全くそう思わない',
+        2: 'あまりそう思わない',
+        3: 'どちらとも言えない',
+        4: 'ややそう思う',
+        5: 'とてもそう思う'
+    },
+
+    question: {
+        header: 'Question {current} of {total}',
+        reverseItem: '(逆転項目)',
+        optionAria: '{label} - {value}点',
+        mobileHint: '横スクロールで全選択肢を確認できます',
+        keyboardHintHtml: 'キーボード操作: <kbd>←</kbd><kbd>→</kbd> 選択肢移動 | <kbd>Enter</kbd> 決定 | <kbd>Home</kbd>/<kbd>End</kbd> 最初/最後',
+        shadowImpactAria: 'Shadow機能への影響',
+        impactAria: 'スコアへの影響',
+        outsideStack: 'スタック外 ({type})',
+        weightedImpact: '診断影響: {delta} (×{weight})'
+    },
+
+    result: {
+        regionLabel: '診断結果',
+        title: '診断完了',
+        subtitle: 'あなたの認知機能プロファイルが特定されました',
+        mode: '診断モード: {mode}',
+        typeAria: '診断結果 {type}',
+        restart: '診断をやり直す',
+        restartAria: '診断をやり直す'
+    },
+
+    contradictions: {
+        heading: '文脈による判断の変化',
+        introHtml: '以下の質問ペアで、文脈に応じて異なる回答をしています。<br>これは<strong style="color: #60a5fa;">状況適応能力</strong>の表れである可能性があります。',
+        showDetails: '詳細を表示 ({count}件)',
+        severityHigh: '大きな文脈差',
+        severityMedium: '中程度の文脈差',
+        severityLow: '軽微な文脈差',
+        questionA: '質問A',
+        questionB: '質問B',
+        answer: '回答:',
+        hintTitle: '💡 解釈のヒント',
+        hintHtml: '• 同じテーマでも<strong>文脈が変われば判断が変わる</strong>のは自然なことです<br>• これは<strong>状況を読む力</strong>や<strong>認知的柔軟性</strong>の表れかもしれません<br>• あるいは、まだ自分の価値観が<strong>形成途中</strong>である可能性もあります'
+    },
+
+    alternatives: {
+        heading: '多面的な性格特性',
+        introHtml: 'あなたは単一のタイプに収まらない<strong style="color: #a78bfa;">多面性({score}%)</strong>を持っています。<br>これは心理的な成熟と柔軟性の証です。以下のタイプの特性も併せ持っています。',
+        typeAria: '代替タイプ {type}',
+        similarity: '類似度: {similarity}%',
+        noteTitle: '💡 これは良いことです',
+        note: 'Jung心理学では、複数の機能を統合できる人ほど心理的に成熟していると考えられています。'
+    },
+
+    metrics: {
+        heading: '性格プロファイル分析',
+        versatility: '性格の多面性',
+        versatilityHigh: '非常に多面的で柔軟な性格',
+        versatilityMedium: 'バランスの取れた性格特性',
+        versatilityLow: '明確で一貫した性格特性',
+        versatilityNote: '🎓 Jung心理学では個性化(成熟)の証とされます',
+        consistency: '文脈適応性',
+        consistencyHigh: '回答に高い一貫性があります',
+        consistencyMedium: '文脈に応じた判断の揺らぎ',
+        consistencyLow: '状況依存的な柔軟な判断傾向',
+        contradictionCount: '文脈に応じた判断の変化: {count}件',
+        flexibilityHtml: 'あなたは状況に応じて異なる認知機能を使い分けられる<strong style="color: #a78bfa;">柔軟性</strong>を持っています。これは単一タイプに固執するより成熟した心理状態を示しています。',
+        valueAria: '{title} {value}パーセント'
+    },
+
+    responseStyles: {
+        heading: '⚠ 回答パターンに関する注意',
+        footer: 'これらのパターンは一貫性スコアに反映されています。結果は参考程度にご覧ください。'
+    },
+
+    stack: {
+        heading: '認知機能スタック',
+        shadowHeading: 'シャドウ機能',
+        shadowNote: 'Beebe モデルで意識の影に置かれる4機能です。スコアが高いほどタイプ適合度を下げる方向に働きます。',
+        weight: ' (重み ×{weight})'
+    },
+
+    scores: {
+        heading: '詳細スコア'
+    },
+
+    charts: {
+        radarTitle: '認知機能スコアのレーダーチャート',
+        barsTitle: '認知機能スコアの棒グラフ',
+        typesTitle: '16タイプのスコアの順位',
+        gaugeTitle: '内向・外向 / 直観・感覚 / 思考・感情 の傾き',
+        typesHeading: '16タイプの順位',
+        typesNote: 'スコアの尺度はスコアリング戦略によって異なります。'
+    },
+
+    import: {
+        heading: '保存した結果を表示',
+        description: '書き出した myself.json を読み込むと、診断をやり直さずに結果を表示します。',
+        dropHint: 'myself.json をここにドロップ、またはクリックして選択',
+        loaded: '{name} を読み込みました',
+        migrated: '{name} を読み込みました (schemaVersion {from} → {to} に変換)',
+        invalid: '{name} は myself.json として読み込めませんでした',
+        readFailed: 'ファイルを読み込めませんでした',
+        bannerTitle: '📂 読み込んだ結果を表示中',
+        generatedAt: '診断日時: {date}',
+        source: '生成元: {tool} / モード: {mode} / スコアリング: {strategy}',
+        profileId: 'プロフィールID: {id}',
+        close: '自分の診断に戻る',
+        closeAria: '読み込んだ結果を閉じて自分の診断に戻る',
+        signature: {
+            valid: '✅ 署名を確認しました。署名後に編集されていません (鍵ID: {id})',
+            ownKey: 'この端末の鍵で署名されています',
+            tampered: '⚠ 署名後に内容が編集されています。スコアが書き換えられている可能性があります',
+            invalid: '⚠ 署名が正しくありません',
+            unsigned: '署名なし (編集されていないかは確認できません)'
+        }
+    },
+
+    export: {
+        heading: 'myself.json を書き出す',
+        description: 'AIアダプターや他の人と共有できる構造化プロファイルを書き出します。',
+        sign: '署名を付ける (受け取った側が、スコアが手で編集されていないかを確認できます)',
+        keyId: 'この端末の署名鍵ID: {id}',
+        noKey: '初めて署名するときに、この端末に署名鍵を作成します。',
+        download: 'myself.json をダウンロード',
+        otherFormats: 'ほかの形式 (署名なし):',
+        downloadAs: '{format} をダウンロード',
+        failed: '書き出しに失敗しました'
+    },
+
+    formats: {
+        markdown: {
+            item: '項目',
+            value: '値',
+            confidence: '確信度',
+            consistency: '回答の一貫性',
+            mode: '診断モード',
+            strategy: 'スコアリング',
+            answered: '回答数',
+            contradictions: '文脈による判断の変化',
+            generatedAt: '診断日時',
+            stackHeading: '認知機能スタック',
+            functionsHeading: '認知機能スコア',
+            function: '認知機能',
+            raw: '生スコア',
+            normalized: 'スコア (0-100)',
+            interval: '95%信頼区間',
+            strength: '強さ',
+            typesHeading: '上位のタイプ',
+            rank: '順位',
+            type: 'タイプ',
+            score: 'スコア'
+        }
+    },
+
+    share: {
+        heading: '結果を共有するリンク',
+        description: '回答・モード・シャッフルシードを圧縮してリンクの # 以降に入れます。# 以降はサーバーに送られず、開いた人のブラウザの中だけで結果を計算します。',
+        scoresOnly: '回答を含めず、機能スコアだけを共有する',
+        create: 'リンクを作成',
+        linkLabel: '共有リンク',
+        copy: 'コピー',
+        copied: 'リンクをコピーしました',
+        failed: 'リンクを作成できませんでした',
+        bannerTitle: '🔗 共有された結果を表示中',
+        source: 'モード: {mode} / スコアリング: {strategy}',
+        fromAnswers: '{count}問の回答から計算しました',
+        fromScores: '機能スコアのみのリンクです (回答を含まないため、矛盾・回答の一貫性は評価していません)',
+        notSaved: 'この結果はこの端末には保存されません',
+        closeAria: '共有された結果を閉じて自分の診断に戻る',
+        errors: {
+            format: '共有リンクの形式が正しくありません',
+            version: 'この共有リンクの形式には対応していません',
+            checksum: '共有リンクが壊れています (途中で切れている可能性があります)',
+            unsupported: 'このブラウザは共有リンクの展開 (DecompressionStream) に対応していません',
+            'too-large': '共有リンクが長すぎます',
+            questions: '共有リンクの質問データを読み込めませんでした',
+            mismatch: '共有リンクを作成したときと質問データが異なるため、回答を復元できません'
+        }
+    },
+
+    report: {
+        panelHeading: '印刷・PDFで保存',
+        panelDescription: '表紙・スタック表・機能スコアのグラフ・方法論の付録をまとめた印刷用のレポートです。印刷ダイアログで「PDFに保存」を選ぶと PDF になります。',
+        print: 'レポートを印刷',
+        failed: 'レポートを作成できませんでした',
+        title: '認知機能 診断レポート',
+        generatedAt: '作成日時',
+        mode: '診断モード',
+        strategy: 'スコアリング',
+        answered: '回答数',
+        answeredValue: '{answered} / {total} 問',
+        coverNote: 'このレポートは自己回答式の質問票にもとづく参考情報であり、臨床的な評価ではありません。',
+        summaryHeading: 'タイプの概要',
+        confidence: '確信度',
+        originalConfidence: '一貫性で補正する前: {value}%',
+        consistency: '回答の一貫性',
+        secondBest: '次点のタイプ',
+        probabilities: '判定確率 (上位3タイプ)',
+        warning: '確信度が低いため、次点のタイプもあわせて参照してください。',
+        gaugeCaption: '内向機能と外向機能、直観と感覚、思考と感情のスコアの比です。中央が均衡を示します。',
+        typesCaption: '各タイプへの適合度 ({strategy})。',
+        stackHeading: '認知機能スタック ({type})',
+        slot: '位置',
+        function: '認知機能',
+        raw: '生スコア',
+        normalized: 'スコア (0-100)',
+        weight: '重み',
+        weighted: '重み付きスコア',
+        shadowNote: 'シャドウ機能は負の重みを持ち、スコアが高いほどタイプ適合度を下げます。',
+        functionsHeading: '認知機能スコア',
+        radarCaption: '中心が 0、外周が 100 です。内側の線は 50 (中立) を示します。',
+        barsCaption: '棒はスコア (0-100)、線は{level}%信頼区間、破線は中立 (50) を示します。',
+        interval: '{level}%信頼区間',
+        interpretation: '解釈',
+        contradictionsHeading: '文脈による判断の変化 ({count}件)',
+        contradictionsNote: '同じテーマの質問ペアで異なる方向に回答した箇所です。状況に応じた判断の表れである場合もあります。',
+        noContradictions: '矛盾する回答の組み合わせは見つかりませんでした。',
+        methodologyHeading: '付録: 方法論',
+        methodStrategyHeading: 'スコアリング戦略',
+        methodScoringHeading: '回答の集計',
+        methodScoring: '各回答 (1〜5 のLikert尺度) は中点 {midpoint} からの偏差に変換し、逆転項目は向きを反転したうえで、極端な回答をやや強調して機能ごとに合計します。合計 ({min}〜{max}) は 0〜100 に換算しており、50 が中立です。',
+        methodConsistencyHeading: '一貫性と確信度',
+        methodConsistency: '同じテーマの質問ペアで方向が食い違う回答と、同じ値の連続や交互の回答などの回答スタイルを検出して一貫性スコアを求めます。確信度はタイプ適合度の差から求めた値に一貫性スコアを掛けて補正しています。',
+        methodUncertaintyHeading: '不確実性の推定',
+        methodUncertainty: '質問を機能ごとに層別したブートストラップ法 ({iterations}回の再標本化、シード {seed}) で、各機能スコアの{level}%信頼区間とタイプの判定確率を推定しています。',
+        methodUncertaintyNone: '回答が少ないため、信頼区間は推定していません。',
+        limitationsHeading: '限界',
+        limitations: '結果は回答時の自己認識と気分に左右されます。タイプは固定的な分類ではなく、認知機能の相対的な傾向を示すものとしてお読みください。',
+        footer: 'Persona Finder で作成 — Jung の心理学的タイプ論にもとづく認知機能の分析'
+    },
+
+    research: {
+        heading: '研究への協力 (任意)',
+        description: '研究者に渡すための匿名化したデータを書き出せます。同意した場合だけ書き出し、自動で送信することはありません。',
+        open: '研究用データについて確認する',
+        includedHeading: '含まれるもの',
+        includedAnswers: '出題順の質問IDと各質問への回答',
+        includedTiming: '各質問の回答時間と回答を変えた回数',
+        includedSettings: '診断モード・スコアリング戦略・出題順のシャッフルシード',
+        includedReport: '診断結果 (タイプ・機能スコア・スタックなど)',
+        anonymizedHeading: '匿名化',
+        anonymizedIds: 'プロファイルID・署名などの識別子は含めません',
+        anonymizedParticipant: '参加者IDは入力した場合だけ、ハッシュにして含めます',
+        anonymizedTime: '日時はランダムな量 (最大24時間) ずらします。回答時間は変わりません',
+        notSent: '書き出したファイルはこの端末に保存されるだけです。渡すかどうかはファイルを確認してから決められます。',
+        participantLabel: '参加者ID (任意)',
+        studyLabel: '研究コード (任意)',
+        studyHint: '研究者から研究コードを受け取った場合に入力してください。同じ研究コードでは同じ参加者IDが同じハッシュになり、複数回の回答を結び付けられます。研究コードがなければ、書き出しごとに異なるハッシュになります。',
+        consent: '上記の内容を確認し、研究用データの書き出しに同意します',
+        download: '研究用データを書き出す',
+        cancel: 'やめる',
+        downloaded: '研究用データを書き出しました',
+        failed: '研究用データを書き出せませんでした'
+    },
+
+    privacy: {
+        heading: '保存データの保護',
+        description: '回答と診断履歴はこのブラウザに保存されます。パスフレーズを設定すると暗号化して保存します (PBKDF2 + AES-GCM)。パスフレーズを忘れると保存データは復元できません。',
+        statusOff: '暗号化していません',
+        statusOn: '🔒 暗号化して保存しています',
+        statusLocked: '🔒 暗号化されています (ロック中のため、保存データは読み込まれておらず、変更も保存されません)',
+        newPassphrase: '新しいパスフレーズ ({min}文字以上)',
+        confirmPassphrase: '新しいパスフレーズ (確認)',
+        currentPassphrase: '現在のパスフレーズ',
+        enable: '暗号化を有効にする',
+        unlock: 'ロックを解除',
+        rotate: 'パスフレーズ・鍵を変更',
+        rotateHint: '新しいパスフレーズを空欄にすると、同じパスフレーズのまま暗号鍵だけを入れ替えます。',
+        disable: '暗号化をやめる',
+        forget: 'すべて消去',
+        forgetConfirm: 'このブラウザに保存された回答・履歴・設定・署名鍵をすべて削除します。元に戻せません。よろしいですか?',
+        tooShort: 'パスフレーズは{min}文字以上にしてください',
+        mismatch: '確認用のパスフレーズが一致しません',
+        wrong: 'パスフレーズが違います',
+        enabled: '暗号化を有効にしました',
+        unlocked: 'ロックを解除しました',
+        rotated: '新しい鍵で暗号化し直しました',
+        disabled: '暗号化をやめました',
+        failed: '処理に失敗しました',
+        working: '処理中...',
+        backend: '保存先: {name}',
+        backends: {
+            indexedDB: 'IndexedDB',
+            localStorage: 'localStorage',
+            memory: 'メモリ (ページを閉じると消えます)'
+        },
+        exportStore: '保存データを書き出す',
+        importStore: '保存データを読み込む',
+        storeHint: '書き出したファイルには回答・履歴・設定・署名鍵が含まれます (暗号化中の回答・履歴は暗号化されたまま)。別のブラウザへの移し替えやバックアップに使えます。',
+        importConfirm: '現在の保存データを、読み込むファイルの内容で置き換えます。よろしいですか?',
+        importFailed: '保存データを読み込めませんでした: {errors}'
+    },
+
+    tabs: {
+        readOnly: 'この診断は別のタブで続いています。このタブでは表示のみです。',
+        readOnlyOtherMode: '別のタブで{mode}が続いています。このタブで続けると、その診断状態はリセットされます。',
+        continueHere: 'このタブで続ける',
+        readOnlyAction: '別のタブで診断中のため、このタブでは変更できません'
+    },
+
+    timeTravel: {
+        heading: 'タイムトラベル (開発用)',
+        undo: '取り消し',
+        redo: 'やり直し',
+        frame: '状態 {current} / {total}',
+        previous: '前の状態',
+        next: '次の状態',
+        jump: 'この状態に戻す',
+        label: '変更',
+        answered: '回答数',
+        result: '結果表示',
+        provisional: '暫定タイプ',
+        function: '機能',
+        raw: '素点',
+        normalized: '正規化',
+        delta: '変化'
+    },
+
+    unlock: {
+        title: '🔒 保存データのロックを解除',
+        body: '保存データは暗号化されています。パスフレーズを入力すると、前回の続きと診断履歴を読み込みます。',
+        passphrase: 'パスフレーズ',
+        submit: 'ロックを解除',
+        skip: '保存データを使わずに始める',
+        skipNote: '保存データは残りますが、この回の回答は保存されません。',
+        forget: 'すべて消去して始める'
+    },
+
+    history: {
+        heading: '診断履歴と認知ドリフト',
+        summary: '{count}回の診断 ({from} 〜 {to})',
+        needMore: '2回以上診断すると、機能スコアと判定タイプの推移をここで比較できます。',
+        mostFrequent: '最も多い判定',
+        stability: '{percent}% の回で判定',
+        typeChangesLabel: '判定タイプの変化',
+        typeChanges: '{sessions}回中、前回と異なるタイプになった回数',
+        chartTitle: '機能スコアの推移',
+        chartDesc: '{count}回の診断における8機能の正規化スコア (0-100) の推移。変化の大きい機能: {movers}',
+        timelineHeading: '判定タイプの推移',
+        tableFunction: '機能',
+        tableChange: '初回 → 最新',
+        tableDelta: '変化量',
+        tableStdDev: '標準偏差',
+        trend: {
+            up: '上昇',
+            down: '低下',
+            stable: '横ばい'
+        },
+        clear: '履歴を消去',
+        clearConfirm: '保存されている診断履歴をすべて削除しますか?'
+    },
+
+    functionPage: {
+        fallbackName: '認知機能',
+        fallbackTagline: '認知機能の深層分析',
+        titleTemplate: '{name}（{code}）認知機能ガイド — Persona Finder',
+        notFound: '{code}.json が見つかりませんでした',
+        loadingTitle: '📖 読み込み中...',
+        loadingBody: 'データを読み込んでいます。少々お待ちください。',
+        loadFailed: 'データの読み込みに失敗しました。',
+        error: 'エラー',
+        intro: {
+            toc: 'この認知機能のざっくりした姿',
+            title: 'この認知機能のざっくりした姿',
+            quizTitle: '簡易チェック',
+            quizSubtitle: 'あてはまるものにチェックを入れてみてください。',
+            quizPlaceholder: 'チェック数に応じて、この機能との距離感の目安を表示します。',
+            quizNone: 'このページの記述は「そこまで自分っぽくない」と感じるかもしれません。他機能のページも覗いてみてください。',
+            quizHigh: 'この機能を「主機能」または「補助機能」として強く使っている可能性があります。日常の判断や認識の軸になっているかもしれません。',
+            quizMedium: 'この機能は、補助・第三あたりでそこそこ使われている可能性があります。他の機能とのバランスも合わせて見ると、スタックの輪郭が見えやすくなります。',
+            quizLow: 'この機能は、影響はあるもののメインの軸というより「背景」で働いているかもしれません。別の機能のページにも強く共感する可能性があります。'
+        },
+        innerView: {
+            toc: 'この機能が世界をどう見ているか',
+            title: 'この機能が世界をどう見ているか',
+            detailed: '内側の視点',
+            mechanism: '働き方のメカニズム'
+        },
+        theory: {
+            toc: '理論上の位置づけ',
+            title: '理論上の位置づけと、似ている機能との違い',
+            jungian: '理論上の位置づけ',
+            comparisons: '似ている機能との違い'
+        },
+        stack: {
+            toc: 'タイプの中での現れ方',
+            title: 'タイプの中での現れ方',
+            dominant: 'もっとも前面にあるとき',
+            auxiliary: '第二の位置にあるとき',
+            tertiary: '第三の位置にあるとき',
+            inferior: 'もっとも奥にあるとき'
+        },
+        development: {
+            toc: 'バランスとつまずき',
+            title: 'バランスとつまずきやすいポイント',
+            balanced: 'バランスよく働いているとき',
+            imbalance: '偏りやすい方向',
+            overuse: '使いすぎるとき',
+            underuse: '避けすぎるとき',
+            misconceptions: 'よくある誤解'
+        },
+        shadow: {
+            toc: '影の側面',
+            title: '影の側面として現れるとき',
+            opposing: '反発として現れるとき',
+            criticalParent: '厳しい基準として現れるとき',
+            trickster: '揺さぶりや混乱として現れるとき',
+            demon: '自己否定や無力感として現れるとき'
+        },
+        cognitive: {
+            toc: '認知科学的な補足',
+            title: '認知科学的な補足とモデルの限界',
+            notes: 'モデルとしての注意点',
+            neural: '脳との関係についての仮説',
+            processing: '情報処理の特徴'
+        },
+        guidance: {
+            toc: '付き合い方のヒント',
+            title: 'この機能とうまく付き合うためのヒント',
+            resonatesIf: 'しっくりくるとき',
+            notResonateIf: '扱いづらく感じるとき'
+        },
+        myScore: {
+            toc: 'あなたのスコア',
+            title: 'あなたの診断結果でのスコア',
+            summary: '{date} の診断 ({type}) で、{code} のスコアは {score} でした (0-100、50 が中立)。',
+            chartTitle: '8機能のスコア ({code} を強調)',
+            empty: '保存した診断結果はありません。',
+            locked: '保存した診断結果はパスフレーズで暗号化されています。パスフレーズを入力すると、このページでスコアを表示します。',
+            passphrase: 'パスフレーズ',
+            unlock: '表示する',
+            wrongPassphrase: 'パスフレーズが違います'
+        }
+    }
+});
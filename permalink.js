@@ -0,0 +1,443 @@
+// ============================================
+// permalink.js - 結果の共有リンク (URLフラグメント)
+// ============================================
+//
+// 診断の回答 (または機能スコア)・モード・スコアリング戦略・シャッフルシードを
+// バイナリに詰めて圧縮し、CRC-32 を付けて base64url にする。
+// リンクは finder.html#r=... の形で、フラグメント (# 以降) はHTTPリクエストに含まれないため
+// 内容がサーバーに送られることはない。
+//
+// 回答は質問IDを持たず、シャッフル後の出題順の位置で並べる (1問3bit)。
+// 受け取った側は app.js の shuffleQuestionsWithConstraints に同じシードを渡して順序を再現し、
+// 質問IDの並びのハッシュで質問データが同じかを確かめる。
+//
+// バイナリ形式 (v1):
+//   [0] 形式バージョン  [1] フラグ (bit0: deflate-raw 圧縮)  [2-5] 本体 (圧縮前) の CRC-32
+//   本体: 種別 (1: 回答, 2: スコア) / モード / 戦略ID (長さ+ASCII) / シード (varint)
+//     回答: 質問数 (varint) / 出題順のハッシュ (uint32) / 回答値 (3bit ずつ。0 は未回答)
+//     スコア: 8機能の素点 ×1000 (zigzag varint、Ni, Ne, Si, Se, Ti, Te, Fi, Fe の順)
+
+// ============================================
+// 型定義 (JSDoc)
+// ============================================
+
+/**
+ * @typedef {Object} PermalinkPayload
+ * @property {number} version - 形式バージョン
+ * @property {'answers' | 'scores'} kind - 種別
+ * @property {string} mode - 診断モード
+ * @property {string} strategy - スコアリング戦略ID
+ * @property {number} seed - シャッフルシード
+ * @property {number[]} [values] - 出題順の回答値 (0 は未回答。kind が answers のとき)
+ * @property {number} [questionCount] - 質問数 (kind が answers のとき)
+ * @property {number} [orderHash] - 出題順の質問IDのハッシュ (kind が answers のとき)
+ * @property {Object<string, number>} [functionScores] - 機能の素点 (kind が scores のとき)
+ */
+
+/**
+ * @typedef {Object} PermalinkDecodeResult
+ * @property {PermalinkPayload|null} payload - 復元した内容 (失敗時はnull)
+ * @property {'format' | 'version' | 'checksum' | 'unsupported' | 'too-large' | null} error - 失敗の理由
+ */
+
+// ============================================
+// 定数定義
+// ============================================
+
+/** 共有リンクの設定 */
+export const PERMALINK_CONFIG = Object.freeze({
+    VERSION: 1,
+    /** フラグメントのキー (#r=...) */
+    FRAGMENT_KEY: 'r',
+    /** モードの並び (値はバイナリに番号で入るため、追加は末尾に) */
+    MODES: Object.freeze(['simple', 'standard', 'detail', 'adaptive']),
+    FUNCTIONS: Object.freeze(['Ni', 'Ne', 'Si', 'Se', 'Ti', 'Te', 'Fi', 'Fe']),
+    /** スコアを整数にする倍率 */
+    SCORE_SCALE: 1000,
+    /** 受け付けるフラグメントの最大長 (文字) */
+    MAX_FRAGMENT_LENGTH: 4096,
+    /** 展開後の本体の最大サイズ (バイト。圧縮爆弾の対策) */
+    MAX_BODY_BYTES: 16384
+});
+
+const KIND_CODES = Object.freeze({ answers: 1, scores: 2 });
+const FLAG_DEFLATE = 1;
+const HEADER_BYTES = 6;
+
+// ============================================
+// ユーティリティ
+// ============================================
+
+/** CRC-32 (IEEE 802.3) のテーブル */
+const CRC_TABLE = (() => {
+    const table = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+        let c = n;
+        for (let k = 0; k < 8; k++) {
+            c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+        }
+        table[n] = c >>> 0;
+    }
+    return table;
+})();
+
+/**
+ * CRC-32 を計算
+ * @param {Uint8Array} bytes - バイト列
+ * @returns {number} CRC-32 (符号なし32bit)
+ */
+export function crc32(bytes) {
+    let crc = 0xffffffff;
+    for (const byte of bytes) {
+        crc = CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xffffffff) >>> 0;
+}
+
+/**
+ * 出題順の質問IDのハッシュ (質問データ・シャッフル結果が同じかの確認用)
+ * @param {Array<{id: string}>} questions - 出題順の質問配列
+ * @returns {number} CRC-32
+ */
+export function getQuestionOrderHash(questions) {
+    return crc32(new TextEncoder().encode(questions.map(q => q.id).join(',')));
+}
+
+/**
+ * バイト列を base64url に変換
+ * @param {Uint8Array} bytes - バイト列
+ * @returns {string} base64url
+ */
+function toBase64Url(bytes) {
+    return btoa(String.fromCharCode(...bytes)).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+/**
+ * base64url をバイト列に変換
+ * @param {string} text - base64url
+ * @returns {Uint8Array} バイト列
+ */
+function fromBase64Url(text) {
+    const base64 = text.replace(/-/g, '+').replace(/_/g, '/');
+    const binary = atob(base64 + '='.repeat((4 - (base64.length % 4)) % 4));
+    return Uint8Array.from(binary, char => char.charCodeAt(0));
+}
+
+/**
+ * CompressionStream / DecompressionStream でバイト列を変換
+ * @param {Uint8Array} bytes - 入力
+ * @param {CompressionStream|DecompressionStream} stream - 変換ストリーム
+ * @param {number} [maxBytes=Infinity] - 出力の上限 (超えたら例外)
+ * @returns {Promise<Uint8Array>} 出力
+ */
+async function transformBytes(bytes, stream, maxBytes = Infinity) {
+    const writer = stream.writable.getWriter();
+    writer.write(bytes).catch(() => {});
+    writer.close().catch(() => {});
+
+    const chunks = [];
+    let total = 0;
+    const reader = stream.readable.getReader();
+    for (;;) {
+        const { done, value } = await reader.read();
+        if (done) break;
+        total += value.length;
+        if (total > maxBytes) {
+            reader.cancel().catch(() => {});
+            throw new RangeError('Permalink body is too large');
+        }
+        chunks.push(value);
+    }
+
+    const output = new Uint8Array(total);
+    let offset = 0;
+    chunks.forEach(chunk => {
+        output.set(chunk, offset);
+        offset += chunk.length;
+    });
+    return output;
+}
+
+// ============================================
+// バイナリの読み書き
+// ============================================
+
+/**
+ * バイト列の書き込み
+ * @returns {{byte: (value: number) => void, uint32: (value: number) => void, varint: (value: number) => void, ascii: (text: string) => void, bytes: () => Uint8Array}}
+ */
+function createWriter() {
+    const out = [];
+    return {
+        byte(value) {
+            out.push(value & 0xff);
+        },
+        uint32(value) {
+            out.push((value >>> 24) & 0xff, (value >>> 16) & 0xff, (value >>> 8) & 0xff, value & 0xff);
+        },
+        /** 0 以上の整数 (Number.MAX_SAFE_INTEGER まで。ビット演算は32bitまでのため算術で分割) */
+        varint(value) {
+            let rest = value;
+            while (rest >= 0x80) {
+                out.push((rest % 0x80) | 0x80);
+                rest = Math.floor(rest / 0x80);
+            }
+            out.push(rest);
+        },
+        ascii(text) {
+            this.byte(text.length);
+            for (const char of text) out.push(char.charCodeAt(0) & 0x7f);
+        },
+        bytes: () => Uint8Array.from(out)
+    };
+}
+
+/**
+ * バイト列の読み込み (範囲外を読んだら例外)
+ * @param {Uint8Array} bytes - バイト列
+ */
+function createReader(bytes) {
+    let offset = 0;
+    const take = () => {
+        if (offset >= bytes.length) throw new RangeError('Unexpected end of permalink');
+        return bytes[offset++];
+    };
+    return {
+        byte: take,
+        uint32: () => ((take() << 24) | (take() << 16) | (take() << 8) | take()) >>> 0,
+        varint() {
+            let value = 0;
+            let scale = 1;
+            for (let i = 0; i < 8; i++) {
+                const byte = take();
+                value += (byte & 0x7f) * scale;
+                if (!(byte & 0x80)) return value;
+                scale *= 0x80;
+            }
+            throw new RangeError('Invalid varint in permalink');
+        },
+        ascii() {
+            const length = take();
+            let text = '';
+            for (let i = 0; i < length; i++) text += String.fromCharCode(take());
+            return text;
+        },
+        rest: () => bytes.subarray(offset)
+    };
+}
+
+/**
+ * 回答値 (0-5) を3bitずつ詰める
+ * @param {number[]} values - 回答値
+ * @returns {Uint8Array} バイト列
+ */
+function packValues(values) {
+    const packed = new Uint8Array(Math.ceil((values.length * 3) / 8));
+    values.forEach((value, index) => {
+        const bit = index * 3;
+        const word = value << (bit % 8);
+        packed[bit >> 3] |= word & 0xff;
+        if (word > 0xff) packed[(bit >> 3) + 1] |= word >> 8;
+    });
+    return packed;
+}
+
+/**
+ * 3bitずつ詰めた回答値を取り出す
+ * @param {Uint8Array} packed - バイト列
+ * @param {number} count - 回答数
+ * @returns {number[]} 回答値
+ */
+function unpackValues(packed, count) {
+    if (packed.length < Math.ceil((count * 3) / 8)) {
+        throw new RangeError('Unexpected end of permalink');
+    }
+    return Array.from({ length: count }, (_, index) => {
+        const bit = index * 3;
+        const word = packed[bit >> 3] | ((packed[(bit >> 3) + 1] ?? 0) << 8);
+        return (word >> (bit % 8)) & 0b111;
+    });
+}
+
+// ============================================
+// エンコード・デコード
+// ============================================
+
+/**
+ * 結果を共有リンクのトークンにする
+ * answers と orderedQuestions を渡すと回答を、functionScores を渡すとスコアだけを入れる
+ * @param {Object} params
+ * @param {string} params.mode - 診断モード
+ * @param {string} params.strategy - スコアリング戦略ID
+ * @param {number} params.seed - シャッフルシード
+ * @param {Object<string, {value: number}>} [params.answers] - 回答記録
+ * @param {Array<{id: string}>} [params.orderedQuestions] - シャッフル後の出題順の質問 (answers と一緒に渡す)
+ * @param {Object<string, number>} [params.functionScores] - 機能の素点 (スコアだけを共有する場合)
+ * @returns {Promise<string>} トークン (base64url)
+ */
+export async function encodePermalink({ mode, strategy, seed, answers, orderedQuestions, functionScores }) {
+    const modeIndex = PERMALINK_CONFIG.MODES.indexOf(mode);
+    if (modeIndex < 0) throw new Error(`Unknown mode: ${mode}`);
+    if (!/^[\x20-\x7e]{1,64}$/.test(strategy)) throw new Error(`Invalid strategy id: ${strategy}`);
+    if (!Number.isSafeInteger(seed) || seed < 0) throw new Error(`Invalid shuffle seed: ${seed}`);
+
+    const body = createWriter();
+    const kind = answers ? 'answers' : 'scores';
+    body.byte(KIND_CODES[kind]);
+    body.byte(modeIndex);
+    body.ascii(strategy);
+    body.varint(seed);
+
+    if (kind === 'answers') {
+        body.varint(orderedQuestions.length);
+        body.uint32(getQuestionOrderHash(orderedQuestions));
+        const values = orderedQuestions.map(q => {
+            const value = answers[q.id]?.value;
+            return Number.isInteger(value) && value >= 1 && value <= 5 ? value : 0;
+        });
+        packValues(values).forEach(byte => body.byte(byte));
+    } else {
+        PERMALINK_CONFIG.FUNCTIONS.forEach(f => {
+            const scaled = Math.round((functionScores?.[f] ?? 0) * PERMALINK_CONFIG.SCORE_SCALE);
+            // zigzag: 負の値も varint に入れる
+            body.varint(scaled >= 0 ? scaled * 2 : -scaled * 2 - 1);
+        });
+    }
+
+    const raw = body.bytes();
+    let flags = 0;
+    let data = raw;
+    if (typeof CompressionStream === 'function') {
+        const compressed = await transformBytes(raw, new CompressionStream('deflate-raw'));
+        if (compressed.length < raw.length) {
+            flags |= FLAG_DEFLATE;
+            data = compressed;
+        }
+    }
+
+    const crc = crc32(raw);
+    const output = new Uint8Array(HEADER_BYTES + data.length);
+    output.set([PERMALINK_CONFIG.VERSION, flags, crc >>> 24, (crc >>> 16) & 0xff, (crc >>> 8) & 0xff, crc & 0xff]);
+    output.set(data, HEADER_BYTES);
+    return toBase64Url(output);
+}
+
+/**
+ * 共有リンクのトークンを復元
+ * @param {string} token - トークン (base64url)
+ * @returns {Promise<PermalinkDecodeResult>} 復元結果
+ */
+export async function decodePermalink(token) {
+    const fail = (error) => ({ payload: null, error });
+
+    if (typeof token !== 'string' || token.length === 0) return fail('format');
+    if (token.length > PERMALINK_CONFIG.MAX_FRAGMENT_LENGTH) return fail('too-large');
+
+    let bytes;
+    try {
+        bytes = fromBase64Url(token);
+    } catch {
+        return fail('format');
+    }
+    if (bytes.length < HEADER_BYTES) return fail('format');
+    if (bytes[0] !== PERMALINK_CONFIG.VERSION) return fail('version');
+
+    const flags = bytes[1];
+    const expectedCrc = ((bytes[2] << 24) | (bytes[3] << 16) | (bytes[4] << 8) | bytes[5]) >>> 0;
+    let raw = bytes.subarray(HEADER_BYTES);
+
+    if (flags & FLAG_DEFLATE) {
+        if (typeof DecompressionStream !== 'function') return fail('unsupported');
+        try {
+            raw = await transformBytes(raw, new DecompressionStream('deflate-raw'), PERMALINK_CONFIG.MAX_BODY_BYTES);
+        } catch (error) {
+            return fail(error instanceof RangeError ? 'too-large' : 'checksum');
+        }
+    }
+    if (crc32(raw) !== expectedCrc) return fail('checksum');
+
+    try {
+        const reader = createReader(raw);
+        const kindCode = reader.byte();
+        const kind = Object.keys(KIND_CODES).find(key => KIND_CODES[key] === kindCode);
+        const mode = PERMALINK_CONFIG.MODES[reader.byte()];
+        if (!kind || !mode) return fail('format');
+
+        const payload = {
+            version: PERMALINK_CONFIG.VERSION,
+            kind,
+            mode,
+            strategy: reader.ascii(),
+            seed: reader.varint()
+        };
+
+        if (kind === 'answers') {
+            payload.questionCount = reader.varint();
+            payload.orderHash = reader.uint32();
+            payload.values = unpackValues(reader.rest(), payload.questionCount);
+            if (payload.values.some(value => value > 5)) return fail('format');
+        } else {
+            payload.functionScores = {};
+            PERMALINK_CONFIG.FUNCTIONS.forEach(f => {
+                const zigzag = reader.varint();
+                const scaled = zigzag % 2 === 0 ? zigzag / 2 : -(zigzag + 1) / 2;
+                payload.functionScores[f] = scaled / PERMALINK_CONFIG.SCORE_SCALE;
+            });
+        }
+
+        return { payload, error: null };
+    } catch (error) {
+        console.warn('[Permalink] Invalid permalink body:', error);
+        return fail('format');
+    }
+}
+
+/**
+ * 復元した回答値を、同じシードでシャッフルした質問に当てはめる
+ * @param {PermalinkPayload} payload - 復元した内容 (kind が answers)
+ * @param {Array<{id: string, reverse?: boolean}>} orderedQuestions - シャッフル後の出題順の質問
+ * @returns {Object<string, import('./hooks.js').AnswerRecord>|null} 回答記録 (質問データが一致しなければnull)
+ */
+export function resolvePermalinkAnswers(payload, orderedQuestions) {
+    if (orderedQuestions.length !== payload.questionCount
+        || getQuestionOrderHash(orderedQuestions) !== payload.orderHash) {
+        return null;
+    }
+
+    const answers = {};
+    payload.values.forEach((value, index) => {
+        if (value === 0) return;
+        answers[orderedQuestions[index].id] = {
+            value,
+            isReverse: orderedQuestions[index].reverse || false,
+            shownAt: null,
+            answeredAt: null,
+            changeCount: 0
+        };
+    });
+    return answers;
+}
+
+// ============================================
+// URLフラグメント
+// ============================================
+
+/**
+ * トークンを入れた共有URLを作成
+ * @param {string} token - トークン
+ * @param {string} baseUrl - 元のURL (既存のフラグメントは置き換える)
+ * @returns {string} 共有URL
+ */
+export function buildPermalinkUrl(token, baseUrl) {
+    return `${baseUrl.split('#')[0]}#${PERMALINK_CONFIG.FRAGMENT_KEY}=${token}`;
+}
+
+/**
+ * URLフラグメントからトークンを取り出す
+ * @param {string} hash - location.hash
+ * @returns {string|null} トークン (共有リンクでなければnull)
+ */
+export function readPermalinkFragment(hash) {
+    const params = new URLSearchParams(String(hash || '').replace(/^#/, ''));
+    return params.get(PERMALINK_CONFIG.FRAGMENT_KEY) || null;
+}
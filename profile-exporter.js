@@ -7,6 +7,18 @@ import {
     getNormalizedScore
 } from './core.js';
 
+/**
+ * myself.json の形式バージョン
+ * 形式を変えたら上げ、data/schemas/myself.schema.json を更新し、
+ * profile-migrations.js に前のバージョンからの移行を追加する
+ *   1: 初版
+ *   2: スタックのスロットID・シャドウ区分、スコアリング戦略を追加
+ *   3: 不確実性 (信頼区間・タイプ確率) を追加
+ *   4: 回答スタイルを追加
+ *   5: 回答時間を追加
+ */
+export const MYSELF_SCHEMA_VERSION = 5;
+
 /**
  * @typedef {import('./core.js').FunctionScore} FunctionScore
  */
@@ -16,6 +28,7 @@ import {
  * @property {string} [mode] - 'simple' | 'standard' | 'detail'
  * @property {string} [source] - 生成元ツール名 (例: "PersonaFinder")
  * @property {string} [profileId] - 任意のID (ユーザーIDなど)
+ * @property {string} [strategy] - スコアリング戦略ID (省略時は core.js の既定値)
  */
 
 /**
@@ -23,7 +36,7 @@ import {
  * AI向けの「自己プロファイルJSON」を生成する。
  *
  * @param {FunctionScore} functionScores - 認知機能の生スコア (Ni, Ne, ... Fe)
- * @param {Object<string, {value: number, isReverse: boolean}>} answers - 回答データ
+ * @param {Object<string, {value: number, isReverse: boolean, shownAt?: number|null, answeredAt?: number|null, changeCount?: number}>} answers - 回答データ
  * @param {Array} questions - 質問配列
  * @param {Object<string, string[]>} cognitiveStacks - 認知スタック (INTJ: ["Ni","Te","Fi","Se"] ...)
  * @param {Object<string, {name: string, description: string}>} mbtiDescriptions - MBTI説明
@@ -41,7 +54,8 @@ export function buildMyselfProfile(
     const {
         mode = 'standard',
         source = 'PersonaFinder',
-        profileId = null
+        profileId = null,
+        strategy
     } = options;
 
     // 既存ロジックで詳細レポートを生成
@@ -49,7 +63,8 @@ export function buildMyselfProfile(
         functionScores,
         cognitiveStacks,
         answers,
-        questions
+        questions,
+        { strategy }
     );
 
     const determinedType = report.result.determinedType;
@@ -62,12 +77,14 @@ export function buildMyselfProfile(
     const functionProfile = {};
     report.functionScores.forEach((entry, index) => {
         // entry = { name, fullName, description, rawScore, normalizedScore, percentile, interpretation }
+        const interval = report.uncertainty.functionScores[entry.name];
         functionProfile[entry.name] = {
             rank: index + 1,
             label_ja: entry.fullName,
             description_ja: entry.description,
             raw: entry.rawScore,
             normalized: entry.normalizedScore, // 0-100
+            normalized_ci95: interval ? { lower: interval.lower, upper: interval.upper } : null,
             strength_label_ja: entry.interpretation // 「非常に強い / 強い / 平均的 / ...」
         };
     });
@@ -88,7 +105,9 @@ export function buildMyselfProfile(
     // --------------------------------------------
     const stack = report.stackAnalysis.stack;
     const stackBreakdown = report.stackAnalysis.breakdown.map(item => ({
-        position_ja: item.position,        // 主機能 / 補助機能 / 第三機能 / 劣等機能
+        position_ja: item.position,        // 主機能 / 補助機能 / 第三機能 / 劣等機能 (Beebe では + シャドウ4機能)
+        slot: item.slot,                  // dominant / auxiliary / ... / demon
+        shadow: item.shadow,
         function: item.function,          // Ni, Te ...
         label_ja: item.fullName,
         raw: item.rawScore,
@@ -99,33 +118,8 @@ export function buildMyselfProfile(
 
     // --------------------------------------------
     // 簡易な「軸スコア」も出しておく (AIが扱いやすくするため)
-    // N/S, T/F, J/P を 0-1 で表現
     // --------------------------------------------
-    function safeNorm(func) {
-        const raw = functionScores[func] ?? 0;
-        return getNormalizedScore(raw); // 0-100
-    }
-
-    const intuition = (safeNorm('Ni') + safeNorm('Ne')) / 2;
-    const sensing  = (safeNorm('Si') + safeNorm('Se')) / 2;
-    const thinking = (safeNorm('Ti') + safeNorm('Te')) / 2;
-    const feeling  = (safeNorm('Fi') + safeNorm('Fe')) / 2;
-
-    const axisScores = {
-        intuition_vs_sensing: {
-            scale: '0 = S 寄り, 1 = N 寄り',
-            value: clamp01(intuition / (intuition + sensing || 1))
-        },
-        thinking_vs_feeling: {
-            scale: '0 = F 寄り, 1 = T 寄り',
-            value: clamp01(thinking / (thinking + feeling || 1))
-        },
-        introversion_vs_extraversion: {
-            // 内向機能 (Ni, Si, Ti, Fi) vs 外向機能 (Ne, Se, Te, Fe)
-            scale: '0 = 外向傾向, 1 = 内向傾向',
-            value: computeIntroversionIndex(functionScores)
-        }
-    };
+    const axisScores = buildProfileAxes(functionScores);
 
     // --------------------------------------------
     // メタ情報
@@ -134,7 +128,7 @@ export function buildMyselfProfile(
     const totalQuestions = questions?.length || 0;
 
     const profile = {
-        schemaVersion: 1,
+        schemaVersion: MYSELF_SCHEMA_VERSION,
         generatedAt: report.timestamp,
         source: {
             tool: source,
@@ -145,31 +139,82 @@ export function buildMyselfProfile(
             type: determinedType,
             name_ja: typeDesc.name,
             description_ja: typeDesc.description,
-            confidence: parseInt(report.result.confidence.replace('%', ''), 10),
-            originalConfidence: parseInt(report.result.originalConfidence.replace('%', ''), 10),
-            consistency: parseInt(report.result.consistency.replace('%', ''), 10),
-            warning_ja: report.result.warning || null
+            confidence: report.result.confidence,
+            originalConfidence: report.result.originalConfidence,
+            consistency: report.result.consistency,
+            warning_ja: report.result.warning || null,
+            // ブートストラップで再判定したときの各タイプの出現率 (降順)
+            typeProbabilities: report.uncertainty.typeProbabilities
         },
         axes: axisScores,
         cognitiveFunctions: functionProfile,
         stack: {
             order: stack,            // 例: ["Ni","Te","Fi","Se"]
+            fullOrder: report.stackAnalysis.fullStack, // Beebe の場合は8機能
             breakdown: stackBreakdown
         },
         typeRanking,
         meta: {
             questionCount: totalQuestions,
             answeredCount,
+            scoringStrategy: report.scoringStrategy,
+            uncertainty: {
+                method: report.uncertainty.method,
+                iterations: report.uncertainty.iterations,
+                confidenceLevel: report.uncertainty.confidenceLevel,
+                seed: report.uncertainty.seed
+            },
             contradictions: {
                 count: report.contradictions.count,
                 details: report.contradictions.details
-            }
+            },
+            responseStyles: report.responseStyles,
+            responseTiming: buildResponseTiming(answers)
         }
     };
 
     return profile;
 }
 
+/**
+ * 回答ごとの表示・回答時刻と変更回数をまとめる
+ * @param {Object<string, {shownAt?: number|null, answeredAt?: number|null, changeCount?: number}>} answers - 回答データ
+ * @returns {{items: Object<string, Object>, summary: {timedCount: number, medianResponseTimeMs: number|null, totalChanges: number}}}
+ */
+function buildResponseTiming(answers) {
+    const items = {};
+    const durations = [];
+    let totalChanges = 0;
+
+    Object.entries(answers || {}).forEach(([questionId, answer]) => {
+        const shownAt = typeof answer?.shownAt === 'number' ? answer.shownAt : null;
+        const answeredAt = typeof answer?.answeredAt === 'number' ? answer.answeredAt : null;
+        const responseTimeMs = shownAt !== null && answeredAt !== null ? answeredAt - shownAt : null;
+        const changeCount = answer?.changeCount ?? 0;
+
+        items[questionId] = { shownAt, answeredAt, responseTimeMs, changeCount };
+        if (responseTimeMs !== null) durations.push(responseTimeMs);
+        totalChanges += changeCount;
+    });
+
+    durations.sort((a, b) => a - b);
+    const middle = Math.floor(durations.length / 2);
+    const medianResponseTimeMs = durations.length === 0
+        ? null
+        : durations.length % 2 === 1
+            ? durations[middle]
+            : Math.round((durations[middle - 1] + durations[middle]) / 2);
+
+    return {
+        items,
+        summary: {
+            timedCount: durations.length,
+            medianResponseTimeMs,
+            totalChanges
+        }
+    };
+}
+
 /**
  * 0-1 にクランプ
  * @param {number} v
@@ -180,6 +225,40 @@ function clamp01(v) {
     return Math.max(0, Math.min(1, v));
 }
 
+/**
+ * 機能スコアから簡易な「軸スコア」(myself.json の axes) を算出
+ * N/S, T/F, I/E を 0-1 で表現する。結果画面・レポートの軸ゲージもこれを使う
+ * @param {FunctionScore} functionScores - 認知機能の生スコア
+ * @returns {import('./ai-adapter.js').ProfileAxes} 軸スコア
+ */
+export function buildProfileAxes(functionScores) {
+    function safeNorm(func) {
+        const raw = functionScores?.[func] ?? 0;
+        return getNormalizedScore(raw); // 0-100
+    }
+
+    const intuition = (safeNorm('Ni') + safeNorm('Ne')) / 2;
+    const sensing  = (safeNorm('Si') + safeNorm('Se')) / 2;
+    const thinking = (safeNorm('Ti') + safeNorm('Te')) / 2;
+    const feeling  = (safeNorm('Fi') + safeNorm('Fe')) / 2;
+
+    return {
+        intuition_vs_sensing: {
+            scale: '0 = S 寄り, 1 = N 寄り',
+            value: clamp01(intuition / (intuition + sensing || 1))
+        },
+        thinking_vs_feeling: {
+            scale: '0 = F 寄り, 1 = T 寄り',
+            value: clamp01(thinking / (thinking + feeling || 1))
+        },
+        introversion_vs_extraversion: {
+            // 内向機能 (Ni, Si, Ti, Fi) vs 外向機能 (Ne, Se, Te, Fe)
+            scale: '0 = 外向傾向, 1 = 内向傾向',
+            value: computeIntroversionIndex(functionScores || {})
+        }
+    };
+}
+
 /**
  * 内向 / 外向インデックスをざっくり算出
  * @param {FunctionScore} scores
@@ -0,0 +1,384 @@
+// ============================================
+// profile-formats.js - myself プロファイルの書き出し形式
+// ============================================
+//
+// profile-exporter.js の buildMyselfProfile が作るプロファイルを、JSON 以外の形式にも書き出す。
+// 形式はレジストリに登録し、結果画面のダウンロードボタンと CLI (--format) の両方から同じ形で使う。
+//
+//   csv      : 1行 = 1回答者。機能ごとの生スコア・正規化スコアの列つき (分析用)
+//   markdown : 読み物向けの要約
+//   yaml     : プロファイル全体 (設定リポジトリ向け。JSON と同じ内容)
+
+import { FUNCTIONS } from './core.js';
+import { t } from './i18n.js';
+
+// ============================================
+// 型定義 (JSDoc)
+// ============================================
+
+/**
+ * @typedef {Object} ProfileFormat
+ * @property {string} id - 形式ID ('csv' など)
+ * @property {string} label - 表示名
+ * @property {string} extension - ファイルの拡張子 (ドットなし)
+ * @property {string} mimeType - MIMEタイプ
+ * @property {(profiles: Object[]) => string} serialize - プロファイル配列を文字列にする
+ */
+
+// ============================================
+// 定数定義
+// ============================================
+
+/** CSV の機能スコア列の順 */
+const FUNCTION_COLUMNS = Object.freeze(Object.keys(FUNCTIONS));
+
+/** CSV の軸スコア列 (profile.axes のキー) */
+const AXIS_COLUMNS = Object.freeze(['introversion_vs_extraversion', 'intuition_vs_sensing', 'thinking_vs_feeling']);
+
+/** 表計算ソフトで数式として解釈される先頭文字 (CSV インジェクション対策) */
+const CSV_FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+/** YAML でクォートなしにできる文字列 */
+const YAML_PLAIN_STRING = /^[A-Za-z_][A-Za-z0-9_ ./-]*$/;
+
+/** YAML で真偽値・null として読まれる語 */
+const YAML_RESERVED_WORDS = /^(true|false|yes|no|on|off|null|~)$/i;
+
+/** Markdown の要約に載せる上位タイプ数 */
+const MARKDOWN_TOP_TYPES = 5;
+
+/** 登録済みの書き出し形式 */
+const PROFILE_FORMATS = new Map();
+
+// ============================================
+// レジストリ
+// ============================================
+
+/**
+ * 書き出し形式を登録 (同じIDは上書き)
+ * @param {ProfileFormat} format - 形式の定義
+ * @returns {boolean} 登録できたか
+ */
+export function registerProfileFormat(format) {
+    if (!format || typeof format.id !== 'string' || typeof format.serialize !== 'function'
+        || typeof format.extension !== 'string' || typeof format.mimeType !== 'string') {
+        console.error('[registerProfileFormat] 不正な形式定義です:', format);
+        return false;
+    }
+    PROFILE_FORMATS.set(format.id, Object.freeze({ label: format.id, ...format }));
+    return true;
+}
+
+/**
+ * 書き出し形式を取得
+ * @param {string} formatId - 形式ID
+ * @returns {ProfileFormat|null} 形式 (未登録ならnull)
+ */
+export function getProfileFormat(formatId) {
+    return PROFILE_FORMATS.get(formatId) ?? null;
+}
+
+/**
+ * 登録済みの書き出し形式の一覧
+ * @returns {Array<{id: string, label: string, extension: string, mimeType: string}>} 形式一覧
+ */
+export function listProfileFormats() {
+    return [...PROFILE_FORMATS.values()].map(({ id, label, extension, mimeType }) => ({ id, label, extension, mimeType }));
+}
+
+/**
+ * プロファイルを指定の形式で書き出す
+ * @param {Object|Object[]} profiles - myself プロファイル (複数なら配列)
+ * @param {string} formatId - 形式ID
+ * @returns {string} 書き出した文字列
+ * @throws {Error} 未登録の形式
+ */
+export function serializeProfiles(profiles, formatId) {
+    const format = getProfileFormat(formatId);
+    if (!format) {
+        throw new Error(`[ProfileFormats] 未登録の形式: ${formatId}`);
+    }
+    return format.serialize(Array.isArray(profiles) ? profiles : [profiles]);
+}
+
+// ============================================
+// CSV
+// ============================================
+
+/**
+ * CSV のフィールドを書き出す (RFC 4180 のクォート + 数式の無効化)
+ * @param {any} value - 値
+ * @returns {string} フィールド
+ */
+function toCsvField(value) {
+    if (value === null || value === undefined) return '';
+    if (typeof value === 'number') return Number.isFinite(value) ? String(value) : '';
+
+    let text = String(value);
+    if (CSV_FORMULA_PREFIX.test(text)) {
+        text = `'${text}`;
+    }
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * 軸スコア (0-1) を小数3桁に丸める
+ * @param {number|undefined} value - 軸スコア
+ * @returns {number|undefined} 丸めた値
+ */
+function roundAxis(value) {
+    return Number.isFinite(value) ? Math.round(value * 1000) / 1000 : value;
+}
+
+/**
+ * CSV の列定義 (見出しと値の取り出し方)
+ * @returns {Array<[string, (profile: Object) => any]>} 列
+ */
+function getCsvColumns() {
+    return [
+        ['profile_id', p => p.source?.profileId],
+        ['generated_at', p => p.generatedAt],
+        ['mode', p => p.source?.mode],
+        ['strategy', p => p.meta?.scoringStrategy?.id],
+        ['type', p => p.mbti?.type],
+        ['confidence', p => p.mbti?.confidence],
+        ['original_confidence', p => p.mbti?.originalConfidence],
+        ['consistency', p => p.mbti?.consistency],
+        ['answered_count', p => p.meta?.answeredCount],
+        ['question_count', p => p.meta?.questionCount],
+        ['contradiction_count', p => p.meta?.contradictions?.count],
+        ...FUNCTION_COLUMNS.flatMap(func => [
+            [`${func}_raw`, p => p.cognitiveFunctions?.[func]?.raw],
+            [`${func}_normalized`, p => p.cognitiveFunctions?.[func]?.normalized]
+        ]),
+        ...AXIS_COLUMNS.map(axis => [axis, p => roundAxis(p.axes?.[axis]?.value)])
+    ];
+}
+
+/**
+ * CSV (見出し行 + 1行 = 1回答者、改行は CRLF)
+ * @param {Object[]} profiles - プロファイル配列
+ * @returns {string} CSV
+ */
+function serializeCsv(profiles) {
+    const columns = getCsvColumns();
+    const rows = [
+        columns.map(([name]) => name),
+        ...profiles.map(profile => columns.map(([, read]) => toCsvField(read(profile))))
+    ];
+    return rows.map(row => row.join(',')).join('\r\n') + '\r\n';
+}
+
+// ============================================
+// Markdown
+// ============================================
+
+/**
+ * Markdown の表のセルを書き出す (| と改行をエスケープ)
+ * @param {any} value - 値
+ * @returns {string} セル
+ */
+function toMarkdownCell(value) {
+    return String(value ?? '-')
+        .replace(/\\/g, '\\\\')
+        .replace(/\|/g, '\\|')
+        .replace(/\r?\n/g, ' ');
+}
+
+/**
+ * Markdown の表
+ * @param {string[]} headers - 見出し
+ * @param {any[][]} rows - 行
+ * @param {boolean[]} [numeric] - 右寄せにする列
+ * @returns {string} 表
+ */
+function renderMarkdownTable(headers, rows, numeric = []) {
+    return [
+        `| ${headers.map(toMarkdownCell).join(' | ')} |`,
+        `|${headers.map((_, i) => numeric[i] ? '---:' : '---').join('|')}|`,
+        ...rows.map(row => `| ${row.map(toMarkdownCell).join(' | ')} |`)
+    ].join('\n');
+}
+
+/**
+ * 1人分の Markdown 要約
+ * @param {Object} profile - プロファイル
+ * @returns {string} Markdown
+ */
+function renderMarkdownProfile(profile) {
+    const { mbti, cognitiveFunctions = {}, stack, typeRanking = [], meta = {} } = profile;
+    const functionName = (func) => t(`functions.${func}.fullName`, {}, cognitiveFunctions[func]?.label_ja || func);
+    const sortedFunctions = Object.entries(cognitiveFunctions).sort((a, b) => a[1].rank - b[1].rank);
+
+    return [
+        `# ${mbti.type}${mbti.name_ja ? ` — ${mbti.name_ja}` : ''}`,
+        mbti.description_ja || '',
+        renderMarkdownTable(
+            [t('formats.markdown.item'), t('formats.markdown.value')],
+            [
+                [t('formats.markdown.confidence'), `${mbti.confidence}%`],
+                [t('formats.markdown.consistency'), `${mbti.consistency}%`],
+                [t('formats.markdown.mode'), t(`modes.${profile.source?.mode}`, {}, profile.source?.mode)],
+                [t('formats.markdown.strategy'), meta.scoringStrategy?.name],
+                [t('formats.markdown.answered'), `${meta.answeredCount} / ${meta.questionCount}`],
+                [t('formats.markdown.contradictions'), meta.contradictions?.count ?? 0],
+                [t('formats.markdown.generatedAt'), profile.generatedAt]
+            ]
+        ),
+        `## ${t('formats.markdown.stackHeading')}`,
+        (stack?.order || []).map((func, index) => `${index + 1}. **${func}** ${functionName(func)}`).join('\n'),
+        `## ${t('formats.markdown.functionsHeading')}`,
+        renderMarkdownTable(
+            [t('formats.markdown.function'), t('formats.markdown.raw'), t('formats.markdown.normalized'), t('formats.markdown.interval'), t('formats.markdown.strength')],
+            sortedFunctions.map(([func, entry]) => [
+                `${func} ${functionName(func)}`,
+                Number(entry.raw).toFixed(2),
+                entry.normalized,
+                entry.normalized_ci95 ? `${entry.normalized_ci95.lower}–${entry.normalized_ci95.upper}` : '-',
+                entry.strength_label_ja
+            ]),
+            [false, true, true, true, false]
+        ),
+        `## ${t('formats.markdown.typesHeading')}`,
+        renderMarkdownTable(
+            [t('formats.markdown.rank'), t('formats.markdown.type'), t('formats.markdown.score')],
+            typeRanking.slice(0, MARKDOWN_TOP_TYPES).map(entry => [
+                entry.rank,
+                `${entry.type}${entry.name_ja ? ` (${entry.name_ja})` : ''}`,
+                Math.round(entry.score * 100) / 100
+            ]),
+            [true, false, true]
+        ),
+        mbti.warning_ja ? `> ${mbti.warning_ja}` : ''
+    ].filter(Boolean).join('\n\n');
+}
+
+/**
+ * Markdown (複数人は水平線で区切る)
+ * @param {Object[]} profiles - プロファイル配列
+ * @returns {string} Markdown
+ */
+function serializeMarkdown(profiles) {
+    return profiles.map(renderMarkdownProfile).join('\n\n---\n\n') + '\n';
+}
+
+// ============================================
+// YAML
+// ============================================
+
+/**
+ * YAML のスカラー
+ * 文字列は安全な形だけクォートなしにし、それ以外は JSON の二重引用符形式 (YAML として有効) にする
+ * @param {any} value - 値
+ * @returns {string} スカラー
+ */
+function toYamlScalar(value) {
+    if (value === null || value === undefined) return 'null';
+    if (typeof value === 'boolean') return String(value);
+    if (typeof value === 'number') return Number.isFinite(value) ? String(value) : 'null';
+
+    const text = String(value);
+    return YAML_PLAIN_STRING.test(text) && !YAML_RESERVED_WORDS.test(text) && !text.endsWith(' ')
+        ? text
+        : JSON.stringify(text);
+}
+
+/**
+ * YAML のキー
+ * @param {string} key - キー
+ * @returns {string} キー
+ */
+function toYamlKey(key) {
+    return /^[A-Za-z_][A-Za-z0-9_-]*$/.test(key) && !YAML_RESERVED_WORDS.test(key) ? key : JSON.stringify(key);
+}
+
+/**
+ * 値を YAML のブロック形式で書き出す
+ * @param {any} value - 値
+ * @param {number} indent - インデント幅
+ * @returns {string[]} 行
+ */
+function toYamlLines(value, indent) {
+    const pad = ' '.repeat(indent);
+
+    if (Array.isArray(value)) {
+        return value.flatMap(item => {
+            if (isYamlCollection(item)) {
+                // 先頭行のインデントを「- 」に置き換えて、要素のマッピングを同じ行から始める
+                const [first, ...rest] = toYamlLines(item, indent + 2);
+                return [`${pad}- ${first.trimStart()}`, ...rest];
+            }
+            return [`${pad}- ${toYamlInline(item)}`];
+        });
+    }
+
+    return Object.entries(value).flatMap(([key, child]) => isYamlCollection(child)
+        ? [`${pad}${toYamlKey(key)}:`, ...toYamlLines(child, indent + 2)]
+        : [`${pad}${toYamlKey(key)}: ${toYamlInline(child)}`]);
+}
+
+/**
+ * 空でない配列・オブジェクトか (ブロック形式で書くもの)
+ * @param {any} value - 値
+ * @returns {boolean}
+ */
+function isYamlCollection(value) {
+    return value !== null && typeof value === 'object' && Object.keys(value).length > 0;
+}
+
+/**
+ * 1行に収める値 (スカラーと空の配列・オブジェクト)
+ * @param {any} value - 値
+ * @returns {string} 値
+ */
+function toYamlInline(value) {
+    if (Array.isArray(value)) return '[]';
+    if (value !== null && typeof value === 'object') return '{}';
+    return toYamlScalar(value);
+}
+
+/**
+ * YAML (1人ならマッピング、複数ならシーケンス)
+ * @param {Object[]} profiles - プロファイル配列
+ * @returns {string} YAML
+ */
+function serializeYaml(profiles) {
+    const root = profiles.length === 1 ? profiles[0] : profiles;
+    return `# myself profile (schemaVersion ${profiles[0]?.schemaVersion ?? '-'})\n${toYamlLines(root, 0).join('\n')}\n`;
+}
+
+// ============================================
+// 標準の形式
+// ============================================
+
+registerProfileFormat({
+    id: 'json',
+    label: 'JSON',
+    extension: 'json',
+    mimeType: 'application/json',
+    serialize: (profiles) => `${JSON.stringify(profiles.length === 1 ? profiles[0] : profiles, null, 2)}\n`
+});
+
+registerProfileFormat({
+    id: 'csv',
+    label: 'CSV',
+    extension: 'csv',
+    mimeType: 'text/csv',
+    serialize: serializeCsv
+});
+
+registerProfileFormat({
+    id: 'markdown',
+    label: 'Markdown',
+    extension: 'md',
+    mimeType: 'text/markdown',
+    serialize: serializeMarkdown
+});
+
+registerProfileFormat({
+    id: 'yaml',
+    label: 'YAML',
+    extension: 'yaml',
+    mimeType: 'application/yaml',
+    serialize: serializeYaml
+});
@@ -0,0 +1,181 @@
+// ============================================
+// profile-importer.js - myself.json 読み込みモジュール
+// ============================================
+//
+// profile-exporter.js が出力した myself.json を読み込み、
+// schemaVersion を確認して古い形式を現行の形式に移行 (profile-migrations.js) し、
+// data/schemas/myself.schema.json で検証したうえで、
+// ResultCard で再描画できる診断結果の形に戻す (再診断は不要)。
+
+import { getNormalizedScore } from './core.js';
+import { MYSELF_SCHEMA_VERSION } from './profile-exporter.js';
+import { migrateMyselfProfile, canMigrateMyselfProfile } from './profile-migrations.js';
+import { validateSchema } from './json-schema.js';
+
+// ============================================
+// 型定義 (JSDoc)
+// ============================================
+
+/**
+ * @typedef {Object} ImportResult
+ * @property {Object|null} profile - 現行 schemaVersion に移行したプロファイル (失敗時はnull)
+ * @property {string[]} errors - 検証エラー (空なら成功)
+ * @property {number|null} migratedFrom - 移行前の schemaVersion (移行していなければnull)
+ */
+
+/**
+ * @typedef {Object} ImportedResultView
+ * @property {Object} result - ResultCard に渡す診断結果
+ * @property {Object<string, number>} functionScores - 機能の素点
+ * @property {(rawScore: number) => number} getNormalizedScore - 保存済みの正規化スコアを返す関数
+ * @property {string} mode - 診断モード
+ * @property {{generatedAt: string, tool: string, profileId: string|null, strategyId: string}} source - 生成元の情報
+ */
+
+// ============================================
+// 定数定義
+// ============================================
+
+const ALL_FUNCTIONS = Object.freeze(['Ni', 'Ne', 'Si', 'Se', 'Ti', 'Te', 'Fi', 'Fe']);
+
+// ============================================
+// 検証・読み込み
+// ============================================
+
+/**
+ * 現行 schemaVersion のプロファイルを検証
+ * JSON Schema (data/schemas/myself.schema.json) に加え、スキーマで表せない項目間の整合性も見る
+ * @param {any} profile - 検証するプロファイル
+ * @param {Object} schema - myself.schema.json の内容
+ * @returns {{valid: boolean, errors: Array<{path: string, message: string}>}} 検証結果
+ */
+export function validateMyselfProfile(profile, schema) {
+    const errors = validateSchema(profile, schema);
+
+    // 構造が壊れていれば整合性チェックはしない
+    if (errors.length === 0) {
+        if (!profile.typeRanking.some(({ type }) => type === profile.mbti.type)) {
+            errors.push({ path: '/mbti/type', message: `${profile.mbti.type} is not in typeRanking` });
+        }
+        const ranks = ALL_FUNCTIONS.map(f => profile.cognitiveFunctions[f].rank);
+        if (new Set(ranks).size !== ranks.length) {
+            errors.push({ path: '/cognitiveFunctions', message: 'rank must be unique across the eight functions' });
+        }
+        profile.stack.breakdown.forEach((item, index) => {
+            if (profile.stack.fullOrder[index] !== item.function) {
+                errors.push({ path: `/stack/breakdown/${index}/function`, message: `expected ${profile.stack.fullOrder[index]} (stack.fullOrder[${index}]), got ${item.function}` });
+            }
+        });
+    }
+
+    return { valid: errors.length === 0, errors };
+}
+
+/**
+ * myself.json の内容を読み込む
+ * schemaVersion を確認して現行まで移行し、myself.schema.json で検証する
+ * @param {string|Object} input - JSON文字列 またはパース済みオブジェクト
+ * @param {Object} schema - myself.schema.json の内容
+ * @returns {ImportResult} 読み込み結果
+ */
+export function importMyselfProfile(input, schema) {
+    let profile;
+    try {
+        profile = typeof input === 'string' ? JSON.parse(input) : input;
+    } catch (error) {
+        return { profile: null, errors: [`Invalid JSON: ${error.message}`], migratedFrom: null };
+    }
+
+    if (!profile || typeof profile !== 'object' || Array.isArray(profile)) {
+        return { profile: null, errors: ['myself.json must contain a JSON object'], migratedFrom: null };
+    }
+
+    const version = profile.schemaVersion;
+    if (!Number.isInteger(version) || version < 1) {
+        return { profile: null, errors: [`schemaVersion must be a positive integer (got ${JSON.stringify(version)})`], migratedFrom: null };
+    }
+    if (version > MYSELF_SCHEMA_VERSION) {
+        return {
+            profile: null,
+            errors: [`schemaVersion ${version} is newer than this version of Persona Finder supports (${MYSELF_SCHEMA_VERSION})`],
+            migratedFrom: null
+        };
+    }
+
+    if (!canMigrateMyselfProfile(version)) {
+        return { profile: null, errors: [`schemaVersion ${version} cannot be migrated`], migratedFrom: null };
+    }
+
+    try {
+        const migrated = migrateMyselfProfile(profile);
+        const { valid, errors } = validateMyselfProfile(migrated, schema);
+        return {
+            profile: valid ? migrated : null,
+            errors: errors.map(({ path, message }) => `${path || '/'}: ${message}`),
+            migratedFrom: version < MYSELF_SCHEMA_VERSION ? version : null
+        };
+    } catch (error) {
+        console.error('[ProfileImporter] Migration failed:', error);
+        return { profile: null, errors: [error.message], migratedFrom: null };
+    }
+}
+
+// ============================================
+// 描画用の変換
+// ============================================
+
+/**
+ * プロファイルを ResultCard.render に渡せる形に変換
+ * スコアは再計算せず、プロファイルに保存された値をそのまま使う
+ * @param {Object} profile - 現行 schemaVersion のプロファイル
+ * @returns {ImportedResultView} 描画用データ
+ */
+export function profileToResultView(profile) {
+    const functionScores = {};
+    const normalizedByRaw = new Map();
+    ALL_FUNCTIONS.forEach(f => {
+        const { raw, normalized } = profile.cognitiveFunctions[f];
+        functionScores[f] = raw;
+        normalizedByRaw.set(raw, normalized);
+    });
+
+    const typeScores = {};
+    profile.typeRanking.forEach(({ type, score }) => { typeScores[type] = score; });
+
+    const stackSlots = profile.stack.breakdown.map(item => ({
+        id: item.slot,
+        label: item.position_ja,
+        shortLabel: item.position_ja,
+        shadow: Boolean(item.shadow),
+        function: item.function,
+        weight: item.weight
+    }));
+
+    const contradictions = profile.meta?.contradictions?.details || [];
+
+    return {
+        result: {
+            type: profile.mbti.type,
+            confidence: profile.mbti.confidence,
+            originalConfidence: profile.mbti.originalConfidence,
+            consistency: profile.mbti.consistency,
+            contradictionCount: profile.meta?.contradictions?.count ?? contradictions.length,
+            contradictions,
+            warning: profile.mbti.warning_ja || null,
+            top2: profile.typeRanking.slice(0, 2).map(({ type }) => type),
+            typeScores,
+            stackSlots,
+            responseStyles: profile.meta?.responseStyles || [],
+            strategy: profile.meta?.scoringStrategy?.id
+        },
+        functionScores,
+        getNormalizedScore: (rawScore) => normalizedByRaw.get(rawScore) ?? getNormalizedScore(rawScore),
+        mode: profile.source?.mode || 'standard',
+        source: {
+            generatedAt: profile.generatedAt,
+            tool: profile.source?.tool || '',
+            profileId: profile.source?.profileId ?? null,
+            strategyId: profile.meta?.scoringStrategy?.id || ''
+        }
+    };
+}
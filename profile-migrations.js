@@ -0,0 +1,130 @@
+// ============================================
+// profile-migrations.js - myself.json の schemaVersion 移行
+// ============================================
+//
+// 古い schemaVersion のプロファイルを、1バージョンずつ順に現行の形式へ上げる。
+// 各ステップはそのバージョンで加わった項目を補う
+// (v2: スタックのスロットID・シャドウ区分とスコアリング戦略、v3: 不確実性、v4: 回答スタイル、v5: 回答時間)。
+// 形式を変えたら profile-exporter.js の MYSELF_SCHEMA_VERSION を上げ、
+// data/schemas/myself.schema.json を更新し、ここにひとつ前のバージョンからの移行を足す。
+
+import { getScoringStrategy } from './core.js';
+import { MYSELF_SCHEMA_VERSION } from './profile-exporter.js';
+
+// ============================================
+// 定数定義
+// ============================================
+
+/** v1 のスタック位置ラベル → スロットID */
+const V1_POSITION_SLOTS = Object.freeze({
+    '主機能': 'dominant',
+    '補助機能': 'auxiliary',
+    '第三機能': 'tertiary',
+    '劣等機能': 'inferior'
+});
+
+/**
+ * schemaVersion ごとの移行処理 (キーのバージョン → 次のバージョン)
+ * 入力は変更せず、新しいオブジェクトを返す
+ */
+export const MIGRATIONS = Object.freeze({
+    /**
+     * v1 → v2
+     * v2 でスタックのスロットID・シャドウ区分、スコアリング戦略が加わった
+     */
+    1: (profile) => {
+        const jung = getScoringStrategy('jung');
+
+        return {
+            ...profile,
+            schemaVersion: 2,
+            stack: {
+                ...profile.stack,
+                fullOrder: profile.stack?.order || [],
+                breakdown: (profile.stack?.breakdown || []).map(item => ({
+                    ...item,
+                    slot: V1_POSITION_SLOTS[item.position_ja] || null,
+                    shadow: false
+                }))
+            },
+            meta: {
+                ...profile.meta,
+                // v1 の判定モデルは Jung 重みのみ
+                scoringStrategy: { id: jung.id, name: jung.name, description: jung.description }
+            }
+        };
+    },
+
+    /**
+     * v2 → v3
+     * v3 で不確実性 (信頼区間・タイプ確率) が加わった
+     */
+    2: (profile) => {
+        const cognitiveFunctions = {};
+        Object.entries(profile.cognitiveFunctions || {}).forEach(([key, entry]) => {
+            cognitiveFunctions[key] = { ...entry, normalized_ci95: null };
+        });
+
+        return {
+            ...profile,
+            schemaVersion: 3,
+            mbti: { ...profile.mbti, typeProbabilities: [] },
+            cognitiveFunctions,
+            meta: { ...profile.meta, uncertainty: null }
+        };
+    },
+
+    /**
+     * v3 → v4
+     * v4 で回答スタイルが加わった
+     */
+    3: (profile) => ({
+        ...profile,
+        schemaVersion: 4,
+        meta: { ...profile.meta, responseStyles: [] }
+    }),
+
+    /**
+     * v4 → v5
+     * v5 で回答時間 (表示・回答時刻と変更回数) が加わった
+     */
+    4: (profile) => ({
+        ...profile,
+        schemaVersion: 5,
+        meta: { ...profile.meta, responseTiming: null }
+    })
+});
+
+// ============================================
+// 移行
+// ============================================
+
+/**
+ * 指定の schemaVersion から現行まで移行できるか
+ * @param {number} version - schemaVersion
+ * @returns {boolean} 移行可能 (現行バージョンそのものを含む)
+ */
+export function canMigrateMyselfProfile(version) {
+    if (!Number.isInteger(version) || version < 1 || version > MYSELF_SCHEMA_VERSION) return false;
+    for (let v = version; v < MYSELF_SCHEMA_VERSION; v++) {
+        if (!MIGRATIONS[v]) return false;
+    }
+    return true;
+}
+
+/**
+ * プロファイルを現行の schemaVersion まで移行
+ * @param {Object} profile - 読み込んだプロファイル
+ * @returns {Object} 移行済みプロファイル (移行不要ならそのまま)
+ */
+export function migrateMyselfProfile(profile) {
+    let migrated = profile;
+    while (migrated.schemaVersion < MYSELF_SCHEMA_VERSION) {
+        const migrate = MIGRATIONS[migrated.schemaVersion];
+        if (!migrate) {
+            throw new Error(`No migration from schemaVersion ${migrated.schemaVersion}`);
+        }
+        migrated = migrate(migrated);
+    }
+    return migrated;
+}
@@ -0,0 +1,316 @@
+// ============================================
+// profile-signer.js - myself.json の署名・検証 (Web Crypto)
+// ============================================
+//
+// myself.json に ECDSA (P-256 / SHA-256) の署名ブロックを付け、
+// 受け取った側がスコアの手編集 (改ざん) を検出できるようにする。
+//
+// 署名対象は signature を除いたプロファイルの正規化JSON (キーを辞書順に並べたもの)。
+// digest は assets/js/detector.js の SilentGuardian._hash と同じ SHA-256 の16進表記で、
+// 鍵IDは公開鍵 (JWK) の同じハッシュ (RFC 7638 の JWK Thumbprint と同じ入力)。
+//
+// 公開鍵は署名ブロックに同梱されるため、「署名が有効」は「その鍵の持ち主が書き出した後
+// 編集されていない」ことを示す。誰の鍵かは鍵IDを既知の値と突き合わせて確かめる。
+//
+// ブラウザと Node.js (v20 以降, globalThis.crypto) の両方で動く。
+
+import { buildMyselfProfile } from './profile-exporter.js';
+
+// ============================================
+// 型定義 (JSDoc)
+// ============================================
+
+/**
+ * @typedef {Object} SigningKeyPair
+ * @property {JsonWebKey} publicKey - 公開鍵 (JWK)
+ * @property {JsonWebKey} privateKey - 秘密鍵 (JWK)
+ */
+
+/**
+ * @typedef {Object} ProfileSignature
+ * @property {string} algorithm - 署名アルゴリズム ('ECDSA-P256-SHA256')
+ * @property {string} keyId - 公開鍵のハッシュ (SHA-256, 16進)
+ * @property {{kty: string, crv: string, x: string, y: string}} publicKey - 公開鍵 (JWK)
+ * @property {string} digest - 署名対象のハッシュ (SHA-256, 16進)
+ * @property {string} value - 署名 (IEEE P1363 形式, base64url)
+ * @property {string} signedAt - 署名日時 (ISO 8601)
+ */
+
+/**
+ * @typedef {Object} VerificationResult
+ * @property {'valid' | 'tampered' | 'invalid' | 'unsigned'} status - 検証結果
+ *   valid: 署名が一致 / tampered: 署名後に内容が変わっている /
+ *   invalid: 署名ブロックが壊れている・署名が一致しない / unsigned: 署名なし
+ * @property {string|null} keyId - 署名した鍵のID
+ * @property {boolean|null} trusted - 鍵IDが trustedKeyIds に含まれるか (指定がなければnull)
+ * @property {string|null} signedAt - 署名日時
+ * @property {string[]} errors - 詳細
+ */
+
+// ============================================
+// 定数定義
+// ============================================
+
+/** 署名の設定 */
+export const SIGNATURE_CONFIG = Object.freeze({
+    ALGORITHM: 'ECDSA-P256-SHA256',
+    KEY_PARAMS: Object.freeze({ name: 'ECDSA', namedCurve: 'P-256' }),
+    SIGN_PARAMS: Object.freeze({ name: 'ECDSA', hash: 'SHA-256' })
+});
+
+// ============================================
+// ユーティリティ
+// ============================================
+
+/**
+ * Web Crypto の SubtleCrypto を取得
+ * @returns {SubtleCrypto} SubtleCrypto
+ */
+function getSubtle() {
+    const subtle = globalThis.crypto?.subtle;
+    if (!subtle) {
+        throw new Error('Web Crypto (crypto.subtle) is not available in this environment');
+    }
+    return subtle;
+}
+
+/**
+ * 文字列の SHA-256 を16進で返す (detector.js の _hash と同じ表記)
+ * @param {string} str - 文字列
+ * @returns {Promise<string>} 16進ハッシュ
+ */
+export async function sha256Hex(str) {
+    const data = new TextEncoder().encode(str);
+    const buf = await getSubtle().digest('SHA-256', data);
+    return [...new Uint8Array(buf)]
+        .map(b => b.toString(16).padStart(2, '0'))
+        .join('');
+}
+
+/**
+ * キーを辞書順に並べたJSON文字列 (署名対象の正規化)
+ * @param {any} value - 値
+ * @returns {string} 正規化JSON
+ */
+export function canonicalize(value) {
+    if (Array.isArray(value)) {
+        return `[${value.map(item => canonicalize(item === undefined ? null : item)).join(',')}]`;
+    }
+    if (value && typeof value === 'object') {
+        return `{${Object.keys(value)
+            .filter(key => value[key] !== undefined)
+            .sort()
+            .map(key => `${JSON.stringify(key)}:${canonicalize(value[key])}`)
+            .join(',')}}`;
+    }
+    return JSON.stringify(value);
+}
+
+/**
+ * バイト列を base64url に変換
+ * @param {ArrayBuffer} buffer - バイト列
+ * @returns {string} base64url
+ */
+function toBase64Url(buffer) {
+    const binary = String.fromCharCode(...new Uint8Array(buffer));
+    return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+/**
+ * base64url をバイト列に変換
+ * @param {string} text - base64url
+ * @returns {Uint8Array} バイト列
+ */
+function fromBase64Url(text) {
+    const base64 = text.replace(/-/g, '+').replace(/_/g, '/');
+    const binary = atob(base64 + '='.repeat((4 - (base64.length % 4)) % 4));
+    return Uint8Array.from(binary, char => char.charCodeAt(0));
+}
+
+/**
+ * 公開鍵の必須メンバーだけを取り出す
+ * @param {JsonWebKey} jwk - 公開鍵 (秘密鍵のJWKでもよい)
+ * @returns {{kty: string, crv: string, x: string, y: string}} 公開鍵
+ */
+function toPublicJwk({ kty, crv, x, y }) {
+    return { kty, crv, x, y };
+}
+
+/**
+ * 署名対象の文字列 (signature を除いたプロファイルの正規化JSON)
+ * @param {Object} profile - プロファイル
+ * @returns {string} 署名対象
+ */
+function signingPayload(profile) {
+    const { signature, ...unsigned } = profile;
+    return canonicalize(unsigned);
+}
+
+// ============================================
+// 鍵
+// ============================================
+
+/**
+ * 署名用の鍵ペアを生成
+ * @returns {Promise<SigningKeyPair>} 鍵ペア (JWK)
+ */
+export async function generateSigningKeyPair() {
+    const subtle = getSubtle();
+    const keyPair = await subtle.generateKey(SIGNATURE_CONFIG.KEY_PARAMS, true, ['sign', 'verify']);
+    const [publicKey, privateKey] = await Promise.all([
+        subtle.exportKey('jwk', keyPair.publicKey),
+        subtle.exportKey('jwk', keyPair.privateKey)
+    ]);
+    return { publicKey, privateKey };
+}
+
+/**
+ * 鍵ペアの形式を検証 (壊れた保存データの除外用)
+ * @param {any} keyPair - 検証する値
+ * @returns {boolean} 有効な鍵ペアかどうか
+ */
+export function isValidSigningKeyPair(keyPair) {
+    const isEcKey = (jwk) => Boolean(jwk)
+        && jwk.kty === 'EC'
+        && jwk.crv === SIGNATURE_CONFIG.KEY_PARAMS.namedCurve
+        && typeof jwk.x === 'string'
+        && typeof jwk.y === 'string';
+    return Boolean(keyPair)
+        && isEcKey(keyPair.publicKey)
+        && isEcKey(keyPair.privateKey)
+        && typeof keyPair.privateKey.d === 'string';
+}
+
+/**
+ * 公開鍵のIDを取得
+ * @param {JsonWebKey} publicKey - 公開鍵 (JWK)
+ * @returns {Promise<string>} 鍵ID (SHA-256, 16進)
+ */
+export function getSigningKeyId(publicKey) {
+    return sha256Hex(canonicalize(toPublicJwk(publicKey)));
+}
+
+// ============================================
+// 署名・検証
+// ============================================
+
+/**
+ * プロファイルに署名する
+ * 既存の署名ブロックは置き換える。入力は変更しない
+ * @param {Object} profile - myself プロファイル
+ * @param {SigningKeyPair} keyPair - 鍵ペア
+ * @param {Object} [options]
+ * @param {Date} [options.now] - 署名日時
+ * @returns {Promise<Object>} 署名ブロック付きのプロファイル
+ */
+export async function signMyselfProfile(profile, keyPair, { now = new Date() } = {}) {
+    if (!isValidSigningKeyPair(keyPair)) {
+        throw new Error('Invalid signing key pair');
+    }
+
+    const subtle = getSubtle();
+    const { signature: previous, ...unsigned } = profile;
+    const payload = canonicalize(unsigned);
+
+    const privateKey = await subtle.importKey('jwk', keyPair.privateKey, SIGNATURE_CONFIG.KEY_PARAMS, false, ['sign']);
+    const [value, digest, keyId] = await Promise.all([
+        subtle.sign(SIGNATURE_CONFIG.SIGN_PARAMS, privateKey, new TextEncoder().encode(payload)),
+        sha256Hex(payload),
+        getSigningKeyId(keyPair.publicKey)
+    ]);
+
+    return {
+        ...unsigned,
+        signature: {
+            algorithm: SIGNATURE_CONFIG.ALGORITHM,
+            keyId,
+            publicKey: toPublicJwk(keyPair.publicKey),
+            digest,
+            value: toBase64Url(value),
+            signedAt: now.toISOString()
+        }
+    };
+}
+
+/**
+ * myself プロファイルの署名を検証
+ * @param {string|Object} input - JSON文字列 またはパース済みのプロファイル (移行前のもの)
+ * @param {Object} [options]
+ * @param {string[]} [options.trustedKeyIds] - 信頼する鍵ID
+ * @returns {Promise<VerificationResult>} 検証結果
+ */
+export async function verifyMyselfProfile(input, { trustedKeyIds } = {}) {
+    const result = (status, errors = [], signature = null, keyId = null) => ({
+        status,
+        keyId,
+        trusted: keyId && Array.isArray(trustedKeyIds) ? trustedKeyIds.includes(keyId) : null,
+        signedAt: signature?.signedAt ?? null,
+        errors
+    });
+
+    let profile;
+    try {
+        profile = typeof input === 'string' ? JSON.parse(input) : input;
+    } catch (error) {
+        return result('invalid', [`Invalid JSON: ${error.message}`]);
+    }
+
+    const signature = profile?.signature;
+    if (signature === undefined || signature === null) {
+        return result('unsigned');
+    }
+    if (signature.algorithm !== SIGNATURE_CONFIG.ALGORITHM) {
+        return result('invalid', [`Unsupported signature algorithm: ${JSON.stringify(signature.algorithm)}`], signature);
+    }
+    if (typeof signature.value !== 'string' || typeof signature.digest !== 'string' || !signature.publicKey) {
+        return result('invalid', ['signature must have value, digest and publicKey'], signature);
+    }
+
+    try {
+        const subtle = getSubtle();
+        const payload = signingPayload(profile);
+        const [digest, keyId] = await Promise.all([
+            sha256Hex(payload),
+            getSigningKeyId(signature.publicKey)
+        ]);
+
+        if (signature.keyId !== keyId) {
+            return result('invalid', ['signature.keyId does not match signature.publicKey'], signature, keyId);
+        }
+        if (digest !== signature.digest) {
+            return result('tampered', ['The profile was changed after it was signed'], signature, keyId);
+        }
+
+        const publicKey = await subtle.importKey('jwk', toPublicJwk(signature.publicKey), SIGNATURE_CONFIG.KEY_PARAMS, false, ['verify']);
+        const valid = await subtle.verify(
+            SIGNATURE_CONFIG.SIGN_PARAMS,
+            publicKey,
+            fromBase64Url(signature.value),
+            new TextEncoder().encode(payload)
+        );
+        return valid
+            ? result('valid', [], signature, keyId)
+            : result('invalid', ['The signature does not match the profile'], signature, keyId);
+    } catch (error) {
+        console.error('[ProfileSigner] Verification failed:', error);
+        return result('invalid', [error.message], signature);
+    }
+}
+
+/**
+ * buildMyselfProfile で生成して署名する
+ * @param {Object} params - buildMyselfJSON と同じパラメータ
+ * @param {SigningKeyPair} keyPair - 鍵ペア
+ * @returns {Promise<Object>} 署名ブロック付きのプロファイル
+ */
+export function buildSignedMyselfProfile(params, keyPair) {
+    const profile = buildMyselfProfile(
+        params.functionScores,
+        params.answers,
+        params.questions,
+        params.cognitiveStacks,
+        params.mbtiDescriptions,
+        params.options || {}
+    );
+    return signMyselfProfile(profile, keyPair);
+}
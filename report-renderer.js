@@ -0,0 +1,347 @@
+// ============================================
+// report-renderer.js - 印刷用の診断レポート
+// ============================================
+//
+// core.js の generateDiagnosticReport の結果から、印刷・PDF保存向けの文書 (HTML文字列) を作る。
+// 画面用の ResultCard とは別に、インラインスタイルを使わず assets/css/print-report.css で整形する。
+//
+// 構成: 表紙 / タイプの概要 (軸ゲージ・16タイプの順位) / 認知機能スタック表 /
+//       機能スコア (レーダーチャート・棒グラフ) / 回答の矛盾 (質問文つき) / 方法論の付録
+// グラフは charts.js のインラインSVG を使う。
+//
+// DOM に依存しないため、Node.js からも同じ文書を生成できる。
+
+import { CONFIG } from './core.js';
+import { t, getLanguage } from './i18n.js';
+import { renderRadarChart, renderFunctionBarChart, renderTypeRankingChart, renderAxisGauge } from './charts.js';
+import { buildProfileAxes } from './profile-exporter.js';
+
+// ============================================
+// 定数定義
+// ============================================
+
+/** 矛盾の深刻度の区分 (components.js の矛盾カードと同じ閾値) */
+const SEVERITY_LEVELS = Object.freeze([
+    { min: 0.75, key: 'severityHigh' },
+    { min: 0.5, key: 'severityMedium' },
+    { min: 0, key: 'severityLow' }
+]);
+
+// ============================================
+// ユーティリティ
+// ============================================
+
+/**
+ * HTMLエスケープ (属性値にも使えるよう引用符も変換する)
+ * @param {any} text - エスケープする値
+ * @returns {string} エスケープされた文字列
+ */
+function escapeHtml(text) {
+    return String(text ?? '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+/**
+ * 認知機能の表示名 (カタログに訳語がなければレポートの名前)
+ * @param {string} funcType - 機能タイプ
+ * @param {string} fallback - レポートの名前
+ * @returns {string} 表示名
+ */
+function getFunctionName(funcType, fallback) {
+    return t(`functions.${funcType}.fullName`, {}, fallback);
+}
+
+/**
+ * 回答値 (1-5) のラベル
+ * @param {number} value - 回答値
+ * @returns {string} '5 (とてもそう思う)'
+ */
+function formatAnswer(value) {
+    return `${value} (${t(`likert.${value}`, {}, String(value))})`;
+}
+
+/**
+ * 日時を現在の言語の形式で表示
+ * @param {string|number} value - ISO 8601 または epoch ms
+ * @returns {string} 日時
+ */
+function formatDateTime(value) {
+    const date = new Date(value);
+    return Number.isFinite(date.getTime())
+        ? date.toLocaleString(getLanguage(), { dateStyle: 'long', timeStyle: 'short' })
+        : '-';
+}
+
+// ============================================
+// 各セクション
+// ============================================
+
+/**
+ * 表紙
+ * @param {Object} report - 診断レポート
+ * @param {Object} context - 表示の条件
+ * @returns {string} HTMLマークアップ
+ */
+function renderCover(report, context) {
+    const type = report.result.determinedType;
+    const description = context.mbtiDescriptions[type] || {};
+
+    return `
+        <section class="report-cover" aria-labelledby="report-title">
+            <p class="report-cover-brand">Ψ Persona Finder</p>
+            <h1 id="report-title" class="report-cover-title">${escapeHtml(t('report.title'))}</h1>
+            <p class="report-cover-type">${escapeHtml(type)}</p>
+            ${description.name ? `<p class="report-cover-name">${escapeHtml(description.name)}</p>` : ''}
+            <dl class="report-cover-meta">
+                <dt>${escapeHtml(t('report.generatedAt'))}</dt>
+                <dd>${escapeHtml(formatDateTime(report.timestamp))}</dd>
+                <dt>${escapeHtml(t('report.mode'))}</dt>
+                <dd>${escapeHtml(context.modeName)}</dd>
+                <dt>${escapeHtml(t('report.strategy'))}</dt>
+                <dd>${escapeHtml(report.scoringStrategy.name)}</dd>
+                <dt>${escapeHtml(t('report.answered'))}</dt>
+                <dd>${escapeHtml(t('report.answeredValue', { answered: context.answeredCount, total: context.questionCount }))}</dd>
+            </dl>
+            <p class="report-cover-note">${escapeHtml(t('report.coverNote'))}</p>
+        </section>
+    `;
+}
+
+/**
+ * タイプの概要
+ * @param {Object} report - 診断レポート
+ * @param {Object} context - 表示の条件
+ * @returns {string} HTMLマークアップ
+ */
+function renderSummary(report, context) {
+    const { determinedType, confidence, originalConfidence, consistency, secondBestType, warning } = report.result;
+    const description = context.mbtiDescriptions[determinedType] || {};
+    const probabilities = report.uncertainty?.typeProbabilities?.slice(0, 3) || [];
+    const rawScores = Object.fromEntries(report.functionScores.map(entry => [entry.name, entry.rawScore]));
+
+    return `
+        <section class="report-section" aria-labelledby="report-summary">
+            <h2 id="report-summary">${escapeHtml(t('report.summaryHeading'))}</h2>
+            <p class="report-lead"><strong>${escapeHtml(determinedType)}</strong>${description.name ? ` — ${escapeHtml(description.name)}` : ''}</p>
+            ${description.description ? `<p>${escapeHtml(description.description)}</p>` : ''}
+            <table class="report-table report-metrics">
+                <tbody>
+                    <tr><th scope="row">${escapeHtml(t('report.confidence'))}</th><td>${confidence}% <span class="report-muted">(${escapeHtml(t('report.originalConfidence', { value: originalConfidence }))})</span></td></tr>
+                    <tr><th scope="row">${escapeHtml(t('report.consistency'))}</th><td>${consistency}%</td></tr>
+                    <tr><th scope="row">${escapeHtml(t('report.secondBest'))}</th><td>${escapeHtml(secondBestType || '-')}</td></tr>
+                    ${probabilities.length > 0 ? `
+                        <tr><th scope="row">${escapeHtml(t('report.probabilities'))}</th><td>${probabilities
+                            .map(({ type, probability }) => `${escapeHtml(type)} ${Math.round(probability * 100)}%`)
+                            .join(' / ')}</td></tr>
+                    ` : ''}
+                </tbody>
+            </table>
+            ${warning ? `<p class="report-warning">${escapeHtml(t('report.warning'))}</p>` : ''}
+            ${report.responseStyles.length > 0 ? `
+                <ul class="report-notes">
+                    ${report.responseStyles.map(style => `
+                        <li><strong>${escapeHtml(t(`responseStyles.${style.id}.label`, {}, style.label))}</strong>: ${escapeHtml(t(`responseStyles.${style.id}.message`, { percent: Math.round((style.ratio ?? 0) * 100) }, style.message))}</li>
+                    `).join('')}
+                </ul>
+            ` : ''}
+            <figure class="report-figure report-figure-narrow">
+                ${renderAxisGauge(buildProfileAxes(rawScores), { id: 'report-gauge' })}
+                <figcaption>${escapeHtml(t('report.gaugeCaption'))}</figcaption>
+            </figure>
+            <figure class="report-figure">
+                ${renderTypeRankingChart(report.typeScores, { highlight: determinedType, id: 'report-types' })}
+                <figcaption>${escapeHtml(t('report.typesCaption', { strategy: report.scoringStrategy.name }))}</figcaption>
+            </figure>
+        </section>
+    `;
+}
+
+/**
+ * 認知機能スタック表
+ * @param {Object} report - 診断レポート
+ * @returns {string} HTMLマークアップ
+ */
+function renderStackTable(report) {
+    const rows = report.stackAnalysis.breakdown.map(item => `
+        <tr${item.shadow ? ' class="report-shadow"' : ''}>
+            <th scope="row">${escapeHtml(item.slot ? t(`stackSlots.${item.slot}`, {}, item.position) : item.position)}</th>
+            <td><strong>${escapeHtml(item.function)}</strong> ${escapeHtml(getFunctionName(item.function, item.fullName))}</td>
+            <td class="report-num">${Number(item.rawScore).toFixed(2)}</td>
+            <td class="report-num">${item.normalizedScore}</td>
+            <td class="report-num">×${item.weight}</td>
+            <td class="report-num">${item.weightedScore}</td>
+        </tr>
+    `).join('');
+
+    return `
+        <section class="report-section" aria-labelledby="report-stack">
+            <h2 id="report-stack">${escapeHtml(t('report.stackHeading', { type: report.stackAnalysis.determinedType }))}</h2>
+            <table class="report-table">
+                <thead>
+                    <tr>
+                        <th scope="col">${escapeHtml(t('report.slot'))}</th>
+                        <th scope="col">${escapeHtml(t('report.function'))}</th>
+                        <th scope="col" class="report-num">${escapeHtml(t('report.raw'))}</th>
+                        <th scope="col" class="report-num">${escapeHtml(t('report.normalized'))}</th>
+                        <th scope="col" class="report-num">${escapeHtml(t('report.weight'))}</th>
+                        <th scope="col" class="report-num">${escapeHtml(t('report.weighted'))}</th>
+                    </tr>
+                </thead>
+                <tbody>${rows}</tbody>
+            </table>
+            ${report.stackAnalysis.breakdown.some(item => item.shadow)
+                ? `<p class="report-muted">${escapeHtml(t('report.shadowNote'))}</p>`
+                : ''}
+        </section>
+    `;
+}
+
+/**
+ * 機能スコア (棒グラフと表)
+ * @param {Object} report - 診断レポート
+ * @returns {string} HTMLマークアップ
+ */
+function renderFunctionScores(report) {
+    const intervals = report.uncertainty?.functionScores || {};
+    const level = Math.round((report.uncertainty?.confidenceLevel ?? 0.95) * 100);
+
+    return `
+        <section class="report-section" aria-labelledby="report-functions">
+            <h2 id="report-functions">${escapeHtml(t('report.functionsHeading'))}</h2>
+            <figure class="report-figure report-figure-narrow">
+                ${renderRadarChart(
+                    Object.fromEntries(report.functionScores.map(entry => [entry.name, entry.normalizedScore])),
+                    { id: 'report-radar' }
+                )}
+                <figcaption>${escapeHtml(t('report.radarCaption'))}</figcaption>
+            </figure>
+            <figure class="report-figure">
+                ${renderFunctionBarChart(report.functionScores, { intervals, id: 'report-bars' })}
+                <figcaption>${escapeHtml(t('report.barsCaption', { level }))}</figcaption>
+            </figure>
+            <table class="report-table">
+                <thead>
+                    <tr>
+                        <th scope="col">${escapeHtml(t('report.function'))}</th>
+                        <th scope="col" class="report-num">${escapeHtml(t('report.normalized'))}</th>
+                        <th scope="col" class="report-num">${escapeHtml(t('report.interval', { level }))}</th>
+                        <th scope="col">${escapeHtml(t('report.interpretation'))}</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    ${report.functionScores.map(entry => `
+                        <tr>
+                            <th scope="row"><strong>${escapeHtml(entry.name)}</strong> ${escapeHtml(getFunctionName(entry.name, entry.fullName))}</th>
+                            <td class="report-num">${entry.normalizedScore}</td>
+                            <td class="report-num">${intervals[entry.name] ? `${intervals[entry.name].lower}–${intervals[entry.name].upper}` : '-'}</td>
+                            <td>${escapeHtml(entry.interpretation)}</td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+        </section>
+    `;
+}
+
+/**
+ * 回答の矛盾 (質問文つき。深刻度の高い順)
+ * @param {Object} report - 診断レポート
+ * @param {Array<{id: string, text: string}>} questions - 質問配列
+ * @returns {string} HTMLマークアップ
+ */
+function renderContradictions(report, questions) {
+    const details = [...(report.contradictions.details || [])].sort((a, b) => b.severity - a.severity);
+    const getQuestionText = (questionId) => questions.find(q => q.id === questionId)?.text || questionId;
+    const getSeverityLabel = (severity) =>
+        t(`contradictions.${SEVERITY_LEVELS.find(level => severity >= level.min).key}`);
+
+    return `
+        <section class="report-section" aria-labelledby="report-contradictions">
+            <h2 id="report-contradictions">${escapeHtml(t('report.contradictionsHeading', { count: details.length }))}</h2>
+            ${details.length === 0 ? `<p>${escapeHtml(t('report.noContradictions'))}</p>` : `
+                <p class="report-muted">${escapeHtml(t('report.contradictionsNote'))}</p>
+                <ol class="report-contradictions">
+                    ${details.map(item => `
+                        <li>
+                            <p class="report-severity">${escapeHtml(getSeverityLabel(item.severity))} (${Math.round(item.severity * 100)}%)</p>
+                            <dl>
+                                <dt>${escapeHtml(t('contradictions.questionA'))} <span class="report-muted">${escapeHtml(item.questionA)}</span></dt>
+                                <dd>${escapeHtml(getQuestionText(item.questionA))}<br><span class="report-muted">${escapeHtml(t('contradictions.answer'))} ${escapeHtml(formatAnswer(item.valueA))}</span></dd>
+                                <dt>${escapeHtml(t('contradictions.questionB'))} <span class="report-muted">${escapeHtml(item.questionB)}</span></dt>
+                                <dd>${escapeHtml(getQuestionText(item.questionB))}<br><span class="report-muted">${escapeHtml(t('contradictions.answer'))} ${escapeHtml(formatAnswer(item.valueB))}</span></dd>
+                            </dl>
+                        </li>
+                    `).join('')}
+                </ol>
+            `}
+        </section>
+    `;
+}
+
+/**
+ * 方法論の付録
+ * @param {Object} report - 診断レポート
+ * @returns {string} HTMLマークアップ
+ */
+function renderMethodology(report) {
+    const uncertainty = report.uncertainty;
+
+    return `
+        <section class="report-section report-appendix" aria-labelledby="report-methodology">
+            <h2 id="report-methodology">${escapeHtml(t('report.methodologyHeading'))}</h2>
+            <h3>${escapeHtml(t('report.methodStrategyHeading'))}</h3>
+            <p><strong>${escapeHtml(report.scoringStrategy.name)}</strong> (<code>${escapeHtml(report.scoringStrategy.id)}</code>): ${escapeHtml(report.scoringStrategy.description)}</p>
+            <h3>${escapeHtml(t('report.methodScoringHeading'))}</h3>
+            <p>${escapeHtml(t('report.methodScoring', {
+                midpoint: CONFIG.LIKERT_SCALE_MIDPOINT,
+                min: CONFIG.SCORE_NORMALIZATION.MIN,
+                max: CONFIG.SCORE_NORMALIZATION.MAX
+            }))}</p>
+            <h3>${escapeHtml(t('report.methodConsistencyHeading'))}</h3>
+            <p>${escapeHtml(t('report.methodConsistency'))}</p>
+            <h3>${escapeHtml(t('report.methodUncertaintyHeading'))}</h3>
+            <p>${escapeHtml(uncertainty && uncertainty.iterations > 0
+                ? t('report.methodUncertainty', {
+                    iterations: uncertainty.iterations,
+                    level: Math.round(uncertainty.confidenceLevel * 100),
+                    seed: uncertainty.seed
+                })
+                : t('report.methodUncertaintyNone'))}</p>
+            <h3>${escapeHtml(t('report.limitationsHeading'))}</h3>
+            <p>${escapeHtml(t('report.limitations'))}</p>
+        </section>
+    `;
+}
+
+// ============================================
+// レポート全体
+// ============================================
+
+/**
+ * 印刷用の診断レポートを生成
+ * @param {Object} report - core.js の generateDiagnosticReport の結果
+ * @param {Object} context - 表示の条件
+ * @param {Object<string, {name: string, description: string}>} context.mbtiDescriptions - タイプの説明 (表示言語のもの)
+ * @param {Array<{id: string, text: string}>} context.questions - 質問配列 (矛盾の質問文に使う)
+ * @param {string} context.modeName - 診断モードの表示名
+ * @param {number} context.answeredCount - 回答数
+ * @param {number} context.questionCount - 質問数
+ * @returns {string} HTMLマークアップ (article 要素)
+ */
+export function renderPrintableReport(report, context) {
+    return `
+        <article class="print-report" lang="${escapeHtml(getLanguage())}">
+            ${renderCover(report, context)}
+            ${renderSummary(report, context)}
+            ${renderStackTable(report)}
+            ${renderFunctionScores(report)}
+            ${renderContradictions(report, context.questions)}
+            ${renderMethodology(report)}
+            <footer class="report-footer">${escapeHtml(t('report.footer'))}</footer>
+        </article>
+    `;
+}
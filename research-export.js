@@ -0,0 +1,213 @@
+// ============================================
+// research-export.js - 研究用データセットの書き出し (匿名化)
+// ============================================
+//
+// 集計済みのスコアだけでなく、項目ごとの回答ベクトルを研究に使えるよう書き出す。
+// 同意画面 (components.js の ResearchConsentPanel) で同意したときだけ app.js から呼ばれる。
+//
+// 入れるもの: 出題順の質問ID・回答値・回答時間・変更回数、モード、スコアリング戦略、シャッフルシード、
+//             診断結果 (buildMyselfProfile のプロファイルから識別子を除いたもの)
+// 匿名化:
+//   - シャッフルシードは乱数 (hooks.js)。開始時刻から作られた以前の版のシードは時刻のずらしを打ち消すため入れない
+//   - source.profileId などの識別子は除き、参加者IDは研究コード (またはその場の乱数) と合わせてハッシュにする
+//   - 絶対時刻は記録ごとに同じ量だけランダムにずらす (回答時間などの間隔は変わらない)
+//   - 署名ブロックは外す (公開鍵が端末の識別子になるため)
+
+import { sha256Hex } from './profile-signer.js';
+
+// ============================================
+// 定数定義
+// ============================================
+
+export const RESEARCH_EXPORT_CONFIG = Object.freeze({
+    /** 書き出す形式の名前 (ファイルの format) */
+    FORMAT: 'persona-finder-research',
+    /** 形式のバージョン (項目を変えたら上げる) */
+    VERSION: 1,
+    /** 時刻をずらす最大幅 (前後それぞれ, ms) */
+    JITTER_MAX_MS: 24 * 60 * 60 * 1000,
+    /** 研究コードがないときに作るソルトのバイト数 */
+    SALT_BYTES: 16,
+    /** 参加者IDのハッシュの接頭辞 */
+    PARTICIPANT_PREFIX: 'sha256:',
+    /** 書き出すシャッフルシードの上限 (以前の版は開始時刻 (epoch ms) をシードにしていたため、それ以上は書き出さない) */
+    MAX_SHUFFLE_SEED: 2 ** 32
+});
+
+// ============================================
+// 型定義 (JSDoc)
+// ============================================
+
+/**
+ * @typedef {Object} ResearchItem
+ * @property {number} position - 出題順の位置 (0始まり)
+ * @property {string} questionId - 質問ID
+ * @property {string} function - 質問が測る機能
+ * @property {boolean} reverse - 逆転項目か
+ * @property {number|null} value - 回答値 (1-5, 未回答はnull)
+ * @property {number|null} shownAt - 表示時刻 (ずらした epoch ms)
+ * @property {number|null} answeredAt - 回答時刻 (ずらした epoch ms)
+ * @property {number|null} responseTimeMs - 表示から回答までの時間
+ * @property {number} changeCount - 回答を変えた回数
+ */
+
+/**
+ * @typedef {Object} ResearchRecord
+ * @property {string} format - RESEARCH_EXPORT_CONFIG.FORMAT
+ * @property {number} version - RESEARCH_EXPORT_CONFIG.VERSION
+ * @property {string|null} participant - 参加者IDのハッシュ (未入力ならnull)
+ * @property {boolean} linkable - 研究コードでハッシュを作ったか (同じコード・IDの記録どうしを結び付けられる)
+ * @property {number} exportedAt - 書き出し時刻 (ずらした epoch ms)
+ * @property {string} mode - 診断モード
+ * @property {string} strategy - スコアリング戦略ID
+ * @property {number|null} shuffleSeed - 出題順のシャッフルシード (時刻由来の古いシードはnull)
+ * @property {ResearchItem[]} items - 出題順の回答
+ * @property {Object} report - 識別子を除いた myself プロファイル
+ */
+
+// ============================================
+// 匿名化
+// ============================================
+
+/**
+ * 暗号論的な乱数 (0以上1未満)
+ * @returns {number} 乱数
+ */
+function secureRandom() {
+    const [value] = globalThis.crypto.getRandomValues(new Uint32Array(1));
+    return value / 2 ** 32;
+}
+
+/**
+ * ソルトを作る (16進)
+ * @returns {string} ソルト
+ */
+function createSalt() {
+    return [...globalThis.crypto.getRandomValues(new Uint8Array(RESEARCH_EXPORT_CONFIG.SALT_BYTES))]
+        .map(b => b.toString(16).padStart(2, '0'))
+        .join('');
+}
+
+/**
+ * 自由入力の値を正規化する (文字列でない・空白だけの値はnull)
+ * @param {any} value - 入力値
+ * @returns {string|null} 前後の空白を除いた文字列
+ */
+function normalizeText(value) {
+    return typeof value === 'string' && value.trim() ? value.trim() : null;
+}
+
+/**
+ * 参加者IDをハッシュにする
+ * 研究コードがあればそれをソルトにして、同じ研究の中では同じIDが同じハッシュになるようにする。
+ * なければ書き出しごとの乱数をソルトにし、ほかの記録とは結び付けられないようにする。
+ * @param {string|null} profileId - 参加者ID (自由入力)
+ * @param {string|null} studyCode - 研究コード
+ * @returns {Promise<string|null>} ハッシュ (IDが空ならnull)
+ */
+export async function hashParticipantId(profileId, studyCode) {
+    const id = normalizeText(profileId);
+    if (!id) return null;
+
+    const salt = normalizeText(studyCode) ?? createSalt();
+    return `${RESEARCH_EXPORT_CONFIG.PARTICIPANT_PREFIX}${await sha256Hex(`${salt}\u0000${id}`)}`;
+}
+
+/**
+ * 時刻をずらす量を決める (記録ごとに1回)
+ * @param {() => number} [random] - 0以上1未満の乱数
+ * @returns {number} ずらす量 (ms, 分単位)
+ */
+export function createTimeJitter(random = secureRandom) {
+    const { JITTER_MAX_MS } = RESEARCH_EXPORT_CONFIG;
+    return Math.round(((random() * 2 - 1) * JITTER_MAX_MS) / 60000) * 60000;
+}
+
+/**
+ * 書き出してよいシャッフルシードか
+ * 開始時刻から作ったシードを入れると、回答時刻との差からずらした量がわかってしまう
+ * @param {number|null} seed - シャッフルシード
+ * @returns {number|null} 書き出すシード (時刻由来ならnull)
+ */
+function toExportableSeed(seed) {
+    return Number.isInteger(seed) && seed >= 0 && seed < RESEARCH_EXPORT_CONFIG.MAX_SHUFFLE_SEED ? seed : null;
+}
+
+/**
+ * プロファイルから識別子を除き、生成時刻をずらす
+ * 回答ごとの時刻は items に入れるため、meta.responseTiming は集計値だけを残す
+ * @param {Object} profile - myself プロファイル
+ * @param {number} jitter - 時刻をずらす量 (ms)
+ * @returns {Object} 匿名化したプロファイル
+ */
+function anonymizeProfile(profile, jitter) {
+    const { signature, ...rest } = profile;
+    const { profileId, ...source } = rest.source || {};
+    const { responseTiming, ...meta } = rest.meta || {};
+    const generatedAt = Date.parse(rest.generatedAt);
+
+    return {
+        ...rest,
+        generatedAt: Number.isFinite(generatedAt) ? new Date(generatedAt + jitter).toISOString() : null,
+        source,
+        meta: responseTiming ? { ...meta, responseTiming: { summary: responseTiming.summary } } : meta
+    };
+}
+
+// ============================================
+// 書き出し
+// ============================================
+
+/**
+ * 研究用の記録を作る
+ * @param {Object} params
+ * @param {Object<string, {value: number, isReverse: boolean, shownAt?: number|null, answeredAt?: number|null, changeCount?: number}>} params.answers - 回答データ (useDiagnosisState の answers)
+ * @param {Array<{id: string, function: string, reverse?: boolean}>} params.questions - 出題順の質問配列
+ * @param {Object} params.profile - buildMyselfProfile のプロファイル (options.profileId は参加者ID)
+ * @param {string} params.mode - 診断モード
+ * @param {string} params.strategy - スコアリング戦略ID
+ * @param {number|null} params.shuffleSeed - シャッフルシード
+ * @param {string|null} [params.studyCode] - 研究コード (参加者IDのハッシュのソルト)
+ * @param {Object} [options]
+ * @param {() => number} [options.random] - 乱数 (テスト用)
+ * @param {number} [options.now] - 現在時刻 (テスト用)
+ * @returns {Promise<ResearchRecord>} 記録
+ */
+export async function buildResearchRecord(params, options = {}) {
+    const { answers, questions, profile, mode, strategy, shuffleSeed } = params;
+    const { random = secureRandom, now = Date.now() } = options;
+    const studyCode = normalizeText(params.studyCode);
+
+    const jitter = createTimeJitter(random);
+    const shift = (time) => typeof time === 'number' ? time + jitter : null;
+
+    const items = questions.map((question, position) => {
+        const answer = answers?.[question.id];
+        const shownAt = shift(answer?.shownAt);
+        const answeredAt = shift(answer?.answeredAt);
+        return {
+            position,
+            questionId: question.id,
+            function: question.function,
+            reverse: question.reverse === true,
+            value: typeof answer?.value === 'number' ? answer.value : null,
+            shownAt,
+            answeredAt,
+            responseTimeMs: shownAt !== null && answeredAt !== null ? answeredAt - shownAt : null,
+            changeCount: answer?.changeCount ?? 0
+        };
+    });
+
+    return {
+        format: RESEARCH_EXPORT_CONFIG.FORMAT,
+        version: RESEARCH_EXPORT_CONFIG.VERSION,
+        participant: await hashParticipantId(profile.source?.profileId ?? null, studyCode),
+        linkable: studyCode !== null,
+        exportedAt: now + jitter,
+        mode,
+        strategy,
+        shuffleSeed: toExportableSeed(shuffleSeed),
+        items,
+        report: anonymizeProfile(profile, jitter)
+    };
+}
@@ -0,0 +1,369 @@
+// ============================================
+// storage-backends.js - 保存先 (バックエンド) の実装
+// ============================================
+//
+// hooks.js の createStorageManager は localStorage と同じ同期API
+// (getItem / setItem / removeItem) でバックエンドを読み書きする。
+//
+// - localStorage: 従来の保存先。同期的だが容量が小さい (5MB 前後)
+// - IndexedDB:    容量が大きい。非同期のため、開くときに全件をメモリに読み込み、
+//                 書き込みはメモリに反映してから IndexedDB へ順番に書き出す (flush() で完了を待てる)。
+//                 他のタブの書き込みは BroadcastChannel で受け取り、メモリ上の値に反映する
+// - memory:       ページを閉じると消える。ストレージが使えない環境・テスト用
+//
+// openStorageBackend は IndexedDB を優先して開き、localStorage に残っている
+// `${keyPrefix}_*` のデータ (`${keyPrefix}_state` など) を空き容量を確かめてから移す。
+
+// ============================================
+// 型定義 (JSDoc)
+// ============================================
+
+/**
+ * @typedef {Object} StorageBackend
+ * @property {'localStorage' | 'indexedDB' | 'memory'} name - バックエンド名
+ * @property {boolean} persistent - ページを閉じても残るか
+ * @property {(key: string) => string|null} getItem - 読み込み
+ * @property {(key: string, value: string) => void} setItem - 書き込み (容量超過は QuotaExceededError)
+ * @property {(key: string) => void} removeItem - 削除
+ * @property {() => string[]} keys - 保存されているキー
+ * @property {() => Promise<void>} flush - 書き込み待ちがすべて保存されるまで待つ
+ * @property {() => Error|null} getLastError - 最後に失敗した非同期の書き込み (なければnull)
+ */
+
+/**
+ * @typedef {Object} MigrationResult
+ * @property {string[]} migrated - 移したキー
+ * @property {string[]} superseded - 移行先に既にあったため移行元から消しただけのキー
+ * @property {'quota' | 'write-failed' | null} skippedReason - 移さなかった理由 (移した・対象がなければnull)
+ */
+
+// ============================================
+// 定数定義
+// ============================================
+
+/** バックエンドの設定 */
+export const STORAGE_BACKEND_CONFIG = Object.freeze({
+    DB_NAME: 'persona_finder',
+    DB_VERSION: 1,
+    STORE_NAME: 'kv',
+    /** localStorage が使えるかを確かめる書き込みのキー */
+    PROBE_KEY: '__persona_finder_probe__'
+});
+
+// ============================================
+// ユーティリティ
+// ============================================
+
+/**
+ * 容量超過のエラーか (ブラウザごとの名前の違いを吸収)
+ * @param {any} error - エラー
+ * @returns {boolean} 容量超過かどうか
+ */
+export function isQuotaExceededError(error) {
+    return Boolean(error) && (
+        error.name === 'QuotaExceededError'
+        || error.name === 'NS_ERROR_DOM_QUOTA_REACHED'
+        || error.code === 22
+    );
+}
+
+/**
+ * 文字列のUTF-8でのバイト数
+ * @param {string} text - 文字列
+ * @returns {number} バイト数
+ */
+export function byteLength(text) {
+    return new TextEncoder().encode(text).length;
+}
+
+/**
+ * 空き容量の見積もり (navigator.storage.estimate)
+ * @returns {Promise<{usage: number, quota: number}|null>} 使用量と上限 (取得できなければnull)
+ */
+export async function estimateStorageQuota() {
+    try {
+        const estimate = await globalThis.navigator?.storage?.estimate?.();
+        if (!estimate || typeof estimate.quota !== 'number') return null;
+        return { usage: estimate.usage || 0, quota: estimate.quota };
+    } catch (error) {
+        console.warn('[StorageBackend] Storage estimate failed:', error);
+        return null;
+    }
+}
+
+/**
+ * IDBRequest を Promise に変換
+ * @param {IDBRequest} request - リクエスト
+ * @returns {Promise<any>} 結果
+ */
+function requestToPromise(request) {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+// ============================================
+// localStorage
+// ============================================
+
+/**
+ * localStorage のバックエンドを生成
+ * @param {Storage} [storage=globalThis.localStorage] - Web Storage
+ * @returns {StorageBackend} バックエンド
+ */
+export function createLocalStorageBackend(storage = globalThis.localStorage) {
+    return Object.freeze({
+        name: 'localStorage',
+        persistent: true,
+        getItem: (key) => storage.getItem(key),
+        setItem: (key, value) => storage.setItem(key, value),
+        removeItem: (key) => storage.removeItem(key),
+        keys: () => Array.from({ length: storage.length }, (_, index) => storage.key(index)),
+        flush: () => Promise.resolve(),
+        getLastError: () => null
+    });
+}
+
+/**
+ * localStorage が読み書きできるか (無効化・プライベートモードの一部ブラウザでは例外になる)
+ * @param {Storage} [storage=globalThis.localStorage] - Web Storage
+ * @returns {boolean} 使えるかどうか
+ */
+export function isLocalStorageAvailable(storage = globalThis.localStorage) {
+    try {
+        storage.setItem(STORAGE_BACKEND_CONFIG.PROBE_KEY, '1');
+        storage.removeItem(STORAGE_BACKEND_CONFIG.PROBE_KEY);
+        return true;
+    } catch {
+        return false;
+    }
+}
+
+// ============================================
+// メモリ
+// ============================================
+
+/**
+ * メモリ上のバックエンドを生成 (ページを閉じると消える)
+ * @param {Object<string, string>} [initialEntries={}] - 初期データ
+ * @returns {StorageBackend} バックエンド
+ */
+export function createMemoryBackend(initialEntries = {}) {
+    const entries = new Map(Object.entries(initialEntries));
+
+    return Object.freeze({
+        name: 'memory',
+        persistent: false,
+        getItem: (key) => entries.has(key) ? entries.get(key) : null,
+        setItem: (key, value) => { entries.set(key, String(value)); },
+        removeItem: (key) => { entries.delete(key); },
+        keys: () => [...entries.keys()],
+        flush: () => Promise.resolve(),
+        getLastError: () => null
+    });
+}
+
+// ============================================
+// IndexedDB
+// ============================================
+
+/**
+ * IndexedDB のバックエンドを開く
+ * 開くときに全件をメモリに読み込み、以降の読み込みはメモリから同期的に返す
+ * @param {Object} [options]
+ * @param {string} [options.dbName] - データベース名
+ * @param {string} [options.storeName] - オブジェクトストア名
+ * @param {IDBFactory} [options.indexedDB] - IndexedDB (テスト用に差し替え可能)
+ * @param {typeof BroadcastChannel} [options.BroadcastChannel] - 他のタブへの変更通知 (なければ通知しない)
+ * @returns {Promise<StorageBackend>} バックエンド
+ */
+export async function createIndexedDBBackend({
+    dbName = STORAGE_BACKEND_CONFIG.DB_NAME,
+    storeName = STORAGE_BACKEND_CONFIG.STORE_NAME,
+    indexedDB = globalThis.indexedDB,
+    BroadcastChannel: Channel = globalThis.BroadcastChannel
+} = {}) {
+    if (!indexedDB) {
+        throw new Error('IndexedDB is not available in this environment');
+    }
+
+    const openRequest = indexedDB.open(dbName, STORAGE_BACKEND_CONFIG.DB_VERSION);
+    openRequest.onupgradeneeded = () => {
+        const db = openRequest.result;
+        if (!db.objectStoreNames.contains(storeName)) {
+            db.createObjectStore(storeName);
+        }
+    };
+    const db = await requestToPromise(openRequest);
+
+    const entries = new Map();
+    await new Promise((resolve, reject) => {
+        const cursorRequest = db.transaction(storeName, 'readonly').objectStore(storeName).openCursor();
+        cursorRequest.onsuccess = () => {
+            const cursor = cursorRequest.result;
+            if (!cursor) {
+                resolve();
+                return;
+            }
+            if (typeof cursor.value === 'string') {
+                entries.set(String(cursor.key), cursor.value);
+            }
+            cursor.continue();
+        };
+        cursorRequest.onerror = () => reject(cursorRequest.error);
+    });
+
+    /** 書き込み待ち (1件ずつ順番にトランザクションを実行する) */
+    let writeQueue = Promise.resolve();
+
+    /** 最後に失敗した書き込み */
+    let lastError = null;
+
+    // 他のタブの書き込みをメモリ上の値に反映する (IndexedDB には書き込み元のタブが保存する)
+    const changes = typeof Channel === 'function' ? new Channel(`${dbName}_${storeName}_changes`) : null;
+    if (changes) {
+        changes.onmessage = ({ data }) => {
+            if (!data || typeof data.key !== 'string') return;
+            if (typeof data.value === 'string') {
+                entries.set(data.key, data.value);
+            } else {
+                entries.delete(data.key);
+            }
+        };
+    }
+
+    /**
+     * 書き込みトランザクションを予約
+     * @param {(store: IDBObjectStore) => void} operation - 実行する操作
+     */
+    const enqueue = (operation) => {
+        writeQueue = writeQueue
+            .then(() => new Promise((resolve, reject) => {
+                const transaction = db.transaction(storeName, 'readwrite');
+                operation(transaction.objectStore(storeName));
+                transaction.oncomplete = () => resolve();
+                transaction.onerror = () => reject(transaction.error);
+                transaction.onabort = () => reject(transaction.error || new Error('IndexedDB transaction aborted'));
+            }))
+            .catch(error => {
+                lastError = error;
+                console.error('[StorageBackend] IndexedDB write error:', error);
+            });
+    };
+
+    return Object.freeze({
+        name: 'indexedDB',
+        persistent: true,
+        getItem: (key) => entries.has(key) ? entries.get(key) : null,
+        setItem(key, value) {
+            const serialized = String(value);
+            entries.set(key, serialized);
+            enqueue(store => store.put(serialized, key));
+            changes?.postMessage({ key, value: serialized });
+        },
+        removeItem(key) {
+            entries.delete(key);
+            enqueue(store => store.delete(key));
+            changes?.postMessage({ key, value: null });
+        },
+        keys: () => [...entries.keys()],
+        flush: () => writeQueue,
+        getLastError: () => lastError
+    });
+}
+
+// ============================================
+// 移行・選択
+// ============================================
+
+/**
+ * `${keyPrefix}_*` のデータを別のバックエンドへ移す
+ * 移行先に同じキーがあれば移行先を優先する。移行先の空き容量が足りない場合・
+ * 書き込みに失敗した場合は移行元に残したままにする (移行先への書き込みが確定してから移行元を消す)
+ * @param {StorageBackend} source - 移行元
+ * @param {StorageBackend} target - 移行先
+ * @param {Object} options
+ * @param {string} options.keyPrefix - 対象キーのプレフィックス
+ * @param {string[]} [options.exclude=[]] - 移さないキー
+ * @param {() => Promise<{usage: number, quota: number}|null>} [options.estimate] - 空き容量の見積もり
+ * @returns {Promise<MigrationResult>} 移行結果
+ */
+export async function migrateStorage(source, target, { keyPrefix, exclude = [], estimate = estimateStorageQuota }) {
+    const result = { migrated: [], superseded: [], skippedReason: null };
+
+    const pending = source.keys()
+        .filter(key => key.startsWith(`${keyPrefix}_`) && !exclude.includes(key))
+        .map(key => [key, source.getItem(key)])
+        .filter(([, value]) => value !== null);
+    if (pending.length === 0) return result;
+
+    const bytes = pending.reduce((sum, [key, value]) => sum + byteLength(key) + byteLength(value), 0);
+    const quota = await estimate();
+    if (quota && quota.quota - quota.usage < bytes) {
+        console.warn(`[StorageBackend] Not enough space to migrate ${bytes} bytes to ${target.name}`);
+        return { ...result, skippedReason: 'quota' };
+    }
+
+    const errorBefore = target.getLastError();
+    pending.forEach(([key, value]) => {
+        if (target.getItem(key) !== null) {
+            result.superseded.push(key);
+        } else {
+            target.setItem(key, value);
+            result.migrated.push(key);
+        }
+    });
+    await target.flush();
+
+    if (target.getLastError() !== errorBefore) {
+        // 一部だけ移った状態を残さない
+        result.migrated.forEach(key => target.removeItem(key));
+        await target.flush();
+        return { migrated: [], superseded: [], skippedReason: 'write-failed' };
+    }
+
+    [...result.migrated, ...result.superseded].forEach(key => source.removeItem(key));
+    if (result.migrated.length > 0) {
+        console.info(`[StorageBackend] Migrated ${result.migrated.length} keys from ${source.name} to ${target.name}`);
+    }
+    return result;
+}
+
+/**
+ * 使えるバックエンドを開く (IndexedDB → localStorage → メモリ の順)
+ * IndexedDB を開けたら localStorage のデータを移す。容量不足などで移せなければ localStorage を使い続ける
+ * @param {Object} options
+ * @param {string} options.keyPrefix - 対象キーのプレフィックス
+ * @param {string[]} [options.exclude=[]] - localStorage に残すキー (他のページと同期的に共有する設定など)
+ * @param {'indexedDB' | 'localStorage' | 'memory'} [options.preferred='indexedDB'] - 優先するバックエンド
+ * @param {IDBFactory} [options.indexedDB] - IndexedDB (テスト用に差し替え可能)
+ * @returns {Promise<{backend: StorageBackend, localStorage: StorageBackend|null, migration: MigrationResult|null}>}
+ *   選んだバックエンド・localStorage (使えなければnull)・移行結果
+ */
+export async function openStorageBackend({ keyPrefix, exclude = [], preferred = 'indexedDB', indexedDB }) {
+    const local = isLocalStorageAvailable() ? createLocalStorageBackend() : null;
+
+    if (preferred === 'indexedDB') {
+        try {
+            const backend = await createIndexedDBBackend(indexedDB ? { indexedDB } : {});
+            if (!local) {
+                return { backend, localStorage: null, migration: null };
+            }
+            const migration = await migrateStorage(local, backend, { keyPrefix, exclude });
+            if (!migration.skippedReason) {
+                return { backend, localStorage: local, migration };
+            }
+            console.warn(`[StorageBackend] Migration skipped (${migration.skippedReason}), staying on localStorage`);
+            return { backend: local, localStorage: local, migration };
+        } catch (error) {
+            console.warn('[StorageBackend] IndexedDB unavailable, falling back:', error);
+        }
+    }
+
+    if (local && preferred !== 'memory') {
+        return { backend: local, localStorage: local, migration: null };
+    }
+    console.warn('[StorageBackend] Persistent storage unavailable, using memory');
+    return { backend: createMemoryBackend(), localStorage: local, migration: null };
+}
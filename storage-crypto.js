@@ -0,0 +1,207 @@
+// ============================================
+// storage-crypto.js - 保存データの暗号化 (PBKDF2 + AES-GCM)
+// ============================================
+//
+// パスフレーズから PBKDF2 (SHA-256) で AES-GCM 256bit の鍵を導出し、
+// 保存する値 (JSON) を暗号化する。使うのは hooks.js の createStorageManager。
+//
+// パスフレーズそのものは保存しない。保存するのはソルト・反復回数と、
+// 既知の文字列を暗号化した検証用データ (パスフレーズが正しいかの判定用) だけ。
+
+// ============================================
+// 型定義 (JSDoc)
+// ============================================
+
+/**
+ * @typedef {Object} EncryptedEnvelope
+ * @property {'AES-GCM'} enc - 暗号方式
+ * @property {string} iv - 初期化ベクトル (base64)
+ * @property {string} data - 暗号文 (base64)
+ */
+
+/**
+ * @typedef {Object} EncryptionMeta
+ * @property {number} version - 形式バージョン
+ * @property {'PBKDF2-SHA256'} kdf - 鍵導出方式
+ * @property {number} iterations - PBKDF2 の反復回数
+ * @property {string} salt - ソルト (base64)
+ * @property {EncryptedEnvelope} verifier - 検証用データ
+ */
+
+// ============================================
+// 定数定義
+// ============================================
+
+/** 暗号化の設定 */
+export const STORAGE_CRYPTO_CONFIG = Object.freeze({
+    META_VERSION: 1,
+    /** PBKDF2-HMAC-SHA256 の反復回数 (OWASP Password Storage Cheat Sheet の推奨値) */
+    PBKDF2_ITERATIONS: 600000,
+    SALT_BYTES: 16,
+    IV_BYTES: 12,
+    /** パスフレーズの最小文字数 */
+    MIN_PASSPHRASE_LENGTH: 8,
+    /** 検証用データの平文 */
+    VERIFIER_TEXT: 'persona-finder'
+});
+
+// ============================================
+// ユーティリティ
+// ============================================
+
+/**
+ * Web Crypto の SubtleCrypto を取得
+ * @returns {SubtleCrypto} SubtleCrypto
+ */
+function getSubtle() {
+    const subtle = globalThis.crypto?.subtle;
+    if (!subtle) {
+        throw new Error('Web Crypto (crypto.subtle) is not available in this environment');
+    }
+    return subtle;
+}
+
+/**
+ * バイト列を base64 に変換
+ * @param {ArrayBuffer|Uint8Array} buffer - バイト列
+ * @returns {string} base64
+ */
+function toBase64(buffer) {
+    const bytes = buffer instanceof Uint8Array ? buffer : new Uint8Array(buffer);
+    let binary = '';
+    // 大きな値でも引数の上限を超えないよう分割して変換する
+    for (let i = 0; i < bytes.length; i += 0x8000) {
+        binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+    }
+    return btoa(binary);
+}
+
+/**
+ * base64 をバイト列に変換
+ * @param {string} text - base64
+ * @returns {Uint8Array} バイト列
+ */
+function fromBase64(text) {
+    return Uint8Array.from(atob(text), char => char.charCodeAt(0));
+}
+
+/**
+ * パスフレーズから AES-GCM 鍵を導出
+ * @param {string} passphrase - パスフレーズ
+ * @param {Uint8Array} salt - ソルト
+ * @param {number} iterations - 反復回数
+ * @returns {Promise<CryptoKey>} AES-GCM 鍵 (書き出し不可)
+ */
+async function deriveKey(passphrase, salt, iterations) {
+    const subtle = getSubtle();
+    const material = await subtle.importKey('raw', new TextEncoder().encode(passphrase), 'PBKDF2', false, ['deriveKey']);
+    return subtle.deriveKey(
+        { name: 'PBKDF2', hash: 'SHA-256', salt, iterations },
+        material,
+        { name: 'AES-GCM', length: 256 },
+        false,
+        ['encrypt', 'decrypt']
+    );
+}
+
+// ============================================
+// 暗号化・復号
+// ============================================
+
+/**
+ * 暗号化された値かどうか
+ * @param {any} value - パース済みの値
+ * @returns {boolean} EncryptedEnvelope の形をしているか
+ */
+export function isEncryptedEnvelope(value) {
+    return Boolean(value)
+        && value.enc === 'AES-GCM'
+        && typeof value.iv === 'string'
+        && typeof value.data === 'string';
+}
+
+/**
+ * 文字列を暗号化
+ * @param {CryptoKey} key - AES-GCM 鍵
+ * @param {string} plaintext - 平文
+ * @returns {Promise<EncryptedEnvelope>} 暗号化した値
+ */
+export async function encryptText(key, plaintext) {
+    const iv = globalThis.crypto.getRandomValues(new Uint8Array(STORAGE_CRYPTO_CONFIG.IV_BYTES));
+    const data = await getSubtle().encrypt({ name: 'AES-GCM', iv }, key, new TextEncoder().encode(plaintext));
+    return { enc: 'AES-GCM', iv: toBase64(iv), data: toBase64(data) };
+}
+
+/**
+ * 文字列を復号
+ * 鍵が違う・改ざんされている場合は例外 (AES-GCM の認証に失敗する)
+ * @param {CryptoKey} key - AES-GCM 鍵
+ * @param {EncryptedEnvelope} envelope - 暗号化した値
+ * @returns {Promise<string>} 平文
+ */
+export async function decryptText(key, envelope) {
+    const data = await getSubtle().decrypt(
+        { name: 'AES-GCM', iv: fromBase64(envelope.iv) },
+        key,
+        fromBase64(envelope.data)
+    );
+    return new TextDecoder().decode(data);
+}
+
+// ============================================
+// パスフレーズ
+// ============================================
+
+/**
+ * パスフレーズの形式を検証
+ * @param {any} passphrase - パスフレーズ
+ * @returns {boolean} 使えるパスフレーズか
+ */
+export function isValidPassphrase(passphrase) {
+    return typeof passphrase === 'string'
+        && passphrase.length >= STORAGE_CRYPTO_CONFIG.MIN_PASSPHRASE_LENGTH;
+}
+
+/**
+ * 新しいソルトで鍵を作り、保存用のメタ情報を作成
+ * 同じパスフレーズでも呼ぶたびに別の鍵になる (鍵のローテーションに使う)
+ * @param {string} passphrase - パスフレーズ
+ * @param {Object} [options]
+ * @param {number} [options.iterations] - 反復回数
+ * @returns {Promise<{key: CryptoKey, meta: EncryptionMeta}>} 鍵とメタ情報
+ */
+export async function createEncryptionKey(passphrase, { iterations = STORAGE_CRYPTO_CONFIG.PBKDF2_ITERATIONS } = {}) {
+    const salt = globalThis.crypto.getRandomValues(new Uint8Array(STORAGE_CRYPTO_CONFIG.SALT_BYTES));
+    const key = await deriveKey(passphrase, salt, iterations);
+    return {
+        key,
+        meta: {
+            version: STORAGE_CRYPTO_CONFIG.META_VERSION,
+            kdf: 'PBKDF2-SHA256',
+            iterations,
+            salt: toBase64(salt),
+            verifier: await encryptText(key, STORAGE_CRYPTO_CONFIG.VERIFIER_TEXT)
+        }
+    };
+}
+
+/**
+ * メタ情報とパスフレーズから鍵を復元
+ * @param {string} passphrase - パスフレーズ
+ * @param {EncryptionMeta} meta - 保存済みのメタ情報
+ * @returns {Promise<CryptoKey|null>} 鍵 (パスフレーズが違えばnull)
+ */
+export async function unlockEncryptionKey(passphrase, meta) {
+    if (!meta || meta.version !== STORAGE_CRYPTO_CONFIG.META_VERSION || !isEncryptedEnvelope(meta.verifier)) {
+        throw new Error('Unsupported encryption metadata');
+    }
+
+    const key = await deriveKey(passphrase, fromBase64(meta.salt), meta.iterations);
+    try {
+        const text = await decryptText(key, meta.verifier);
+        return text === STORAGE_CRYPTO_CONFIG.VERIFIER_TEXT ? key : null;
+    } catch {
+        // 認証タグの不一致 = パスフレーズ違い
+        return null;
+    }
+}
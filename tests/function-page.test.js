@@ -0,0 +1,215 @@
+// ============================================
+// function-page.test.js - 認知機能ページの「あなたのスコア」
+// ============================================
+//
+// 実行: npm test
+//
+// 診断ページと同じく IndexedDB へ移行した保存データ・暗号化した履歴から
+// 「あなたのスコア」セクションを描画できることを確かめる。
+// ブラウザの API (localStorage・IndexedDB・DOM) は必要な分だけの代用品で置き換える。
+
+import { test, before } from 'node:test';
+import assert from 'node:assert/strict';
+
+const KEY_PREFIX = 'persona_finder';
+const HISTORY_KEY = `${KEY_PREFIX}_history`;
+const LANGUAGE_KEY = `${KEY_PREFIX}_language`;
+const PASSPHRASE = 'correct horse battery';
+
+// ============================================
+// ブラウザ API の代用品
+// ============================================
+
+/**
+ * Web Storage の代用品
+ * @returns {Storage}
+ */
+function createFakeLocalStorage() {
+    const entries = new Map();
+    return {
+        get length() { return entries.size; },
+        key: (index) => [...entries.keys()][index] ?? null,
+        getItem: (key) => entries.has(key) ? entries.get(key) : null,
+        setItem: (key, value) => { entries.set(key, String(value)); },
+        removeItem: (key) => { entries.delete(key); },
+        clear: () => entries.clear()
+    };
+}
+
+/**
+ * createIndexedDBBackend が使う分だけの IndexedDB の代用品
+ * データベースはこの代用品の中で共有し、開き直しても残る
+ * @returns {IDBFactory}
+ */
+function createFakeIndexedDB() {
+    const databases = new Map();
+
+    return {
+        open(name) {
+            const request = {};
+            queueMicrotask(() => {
+                const isNew = !databases.has(name);
+                if (isNew) databases.set(name, new Map());
+                const stores = databases.get(name);
+
+                request.result = {
+                    objectStoreNames: { contains: (storeName) => stores.has(storeName) },
+                    createObjectStore: (storeName) => { stores.set(storeName, new Map()); },
+                    transaction(storeName) {
+                        const data = stores.get(storeName);
+                        const transaction = {
+                            objectStore: () => ({
+                                openCursor() {
+                                    const cursorRequest = {};
+                                    const rows = [...data];
+                                    let index = 0;
+                                    const next = () => queueMicrotask(() => {
+                                        const row = rows[index++];
+                                        cursorRequest.result = row ? { key: row[0], value: row[1], continue: next } : null;
+                                        cursorRequest.onsuccess();
+                                    });
+                                    next();
+                                    return cursorRequest;
+                                },
+                                put: (value, key) => { data.set(key, value); },
+                                delete: (key) => { data.delete(key); }
+                            })
+                        };
+                        setTimeout(() => transaction.oncomplete?.(), 0);
+                        return transaction;
+                    }
+                };
+                if (isNew) request.onupgradeneeded?.();
+                request.onsuccess();
+            });
+            return request;
+        }
+    };
+}
+
+/**
+ * function.js が使う分だけの DOM 要素の代用品
+ * @param {string} tag - タグ名
+ * @returns {Object} 要素
+ */
+function createFakeElement(tag) {
+    return {
+        tagName: tag.toUpperCase(),
+        children: [],
+        attributes: {},
+        listeners: {},
+        className: '',
+        textContent: '',
+        innerHTML: '',
+        appendChild(child) { this.children.push(child); return child; },
+        replaceChildren(...children) { this.children = children; },
+        setAttribute(name, value) { this.attributes[name] = String(value); },
+        addEventListener(type, listener) { this.listeners[type] = listener; },
+        select() {}
+    };
+}
+
+/**
+ * 条件に合う子孫要素をすべて探す
+ * @param {Object} element - 起点の要素
+ * @param {(el: Object) => boolean} predicate - 条件
+ * @returns {Object[]} 見つかった要素
+ */
+function findAll(element, predicate) {
+    return (element.children || []).flatMap(child => [
+        ...(predicate(child) ? [child] : []),
+        ...findAll(child, predicate)
+    ]);
+}
+
+/**
+ * 保存されている履歴エントリー
+ * @param {number} completedAt - 完了時刻
+ * @returns {import('../history.js').HistoryEntry}
+ */
+function createEntry(completedAt) {
+    return {
+        id: `entry-${completedAt}`,
+        completedAt,
+        type: 'INTJ',
+        confidence: 72,
+        consistency: 88,
+        mode: 'standard',
+        strategy: 'jung',
+        answeredCount: 64,
+        scores: { Ni: 81, Ne: 47, Si: 38, Se: 29, Ti: 55, Te: 70, Fi: 52, Fe: 33 },
+        rawScores: { Ni: 18, Ne: -2, Si: -7, Se: -12, Ti: 3, Te: 12, Fi: 1, Fe: -10 }
+    };
+}
+
+let hooks;
+let createMyScoreRenderer;
+
+before(async () => {
+    globalThis.localStorage = createFakeLocalStorage();
+    globalThis.indexedDB = createFakeIndexedDB();
+    // Node の BroadcastChannel は開いたままだとプロセスが終わらないため、他のタブへの通知は使わない
+    globalThis.BroadcastChannel = undefined;
+    globalThis.location = { search: '?code=ni&lang=ja' };
+    Object.defineProperty(globalThis, 'navigator', { value: { languages: ['ja'] }, configurable: true });
+    globalThis.document = {
+        readyState: 'loading',
+        addEventListener() {},
+        documentElement: {},
+        querySelectorAll: () => [],
+        createElement: createFakeElement
+    };
+
+    hooks = await import('../hooks.js');
+    ({ createMyScoreRenderer } = await import('../assets/js/function.js'));
+});
+
+// ============================================
+// テスト
+// ============================================
+
+test('IndexedDB へ移行した履歴から「あなたのスコア」を描画する', async () => {
+    localStorage.setItem(HISTORY_KEY, JSON.stringify([createEntry(1), createEntry(2)]));
+
+    const storage = await hooks.openStorageManager(KEY_PREFIX);
+    assert.equal(storage.backendName, 'indexedDB');
+    assert.equal(localStorage.getItem(HISTORY_KEY), null, '履歴は localStorage から移されている');
+    assert.notEqual(localStorage.getItem(LANGUAGE_KEY), null, '表示言語は localStorage に残る');
+
+    const tocItems = [];
+    const { fragment, sectionId } = createMyScoreRenderer(storage)({}, tocItems, 5);
+    assert.ok(fragment, 'セクションが描画される');
+    assert.equal(sectionId, 6);
+    assert.equal(tocItems.length, 1);
+
+    const [chart] = findAll(fragment, el => el.className === 'my-score-chart');
+    assert.match(chart.innerHTML, /<svg/);
+    assert.ok(findAll(fragment, el => el.textContent.includes('81')).length > 0, '最新の Ni スコアを表示する');
+});
+
+test('暗号化した履歴はパスフレーズで解除してから描画する', async () => {
+    const writer = await hooks.openStorageManager(KEY_PREFIX);
+    assert.equal(await writer.encryption.enable(PASSPHRASE), true);
+    await writer.flush();
+
+    const storage = await hooks.openStorageManager(KEY_PREFIX);
+    assert.equal(storage.encryption.isUnlocked(), false);
+
+    const { fragment } = createMyScoreRenderer(storage)({}, [], 1);
+    assert.ok(fragment, 'ロック中も解除の入力欄を出す');
+    assert.equal(findAll(fragment, el => el.className === 'my-score-chart').length, 0);
+
+    const [form] = findAll(fragment, el => el.tagName === 'FORM');
+    const [input] = findAll(form, el => el.tagName === 'INPUT');
+    const [status] = findAll(form, el => el.className === 'my-score-unlock__status');
+
+    input.value = 'wrong passphrase';
+    await form.listeners.submit({ preventDefault() {} });
+    assert.notEqual(status.textContent, '');
+    assert.equal(findAll(fragment, el => el.className === 'my-score-chart').length, 0);
+
+    input.value = PASSPHRASE;
+    await form.listeners.submit({ preventDefault() {} });
+    const [chart] = findAll(fragment, el => el.className === 'my-score-chart');
+    assert.match(chart.innerHTML, /<svg/);
+});
@@ -0,0 +1,106 @@
+// ============================================
+// permalink.test.js - 結果の共有リンク
+// ============================================
+//
+// 実行: npm test
+//
+// 回答・スコアの共有リンクが元の内容に戻ることと、
+// 壊れたリンク (チェックサムの不一致など) を受け付けないことを確かめる。
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+    encodePermalink,
+    decodePermalink,
+    resolvePermalinkAnswers,
+    buildPermalinkUrl,
+    readPermalinkFragment
+} from '../permalink.js';
+
+const QUESTIONS = Array.from({ length: 24 }, (_, index) => ({ id: `q${index + 1}`, reverse: index % 3 === 0 }));
+
+/**
+ * 出題順の一部に回答した回答記録
+ * @returns {Object<string, {value: number}>} 回答記録
+ */
+function createAnswers() {
+    const answers = {};
+    QUESTIONS.forEach((q, index) => {
+        if (index % 5 !== 4) answers[q.id] = { value: 1 + index % 5 };
+    });
+    return answers;
+}
+
+/**
+ * トークンのバイト列を書き換える
+ * @param {string} token - トークン (base64url)
+ * @param {(bytes: Buffer) => void} edit - 書き換え
+ * @returns {string} 書き換えたトークン
+ */
+function tamper(token, edit) {
+    const bytes = Buffer.from(token, 'base64url');
+    edit(bytes);
+    return bytes.toString('base64url');
+}
+
+test('回答のリンクは同じ出題順の質問に同じ回答を戻す', async () => {
+    const answers = createAnswers();
+    const token = await encodePermalink({ mode: 'standard', strategy: 'beebe', seed: 123456789, answers, orderedQuestions: QUESTIONS });
+
+    const { payload, error } = await decodePermalink(token);
+    assert.equal(error, null);
+    assert.equal(payload.kind, 'answers');
+    assert.equal(payload.mode, 'standard');
+    assert.equal(payload.strategy, 'beebe');
+    assert.equal(payload.seed, 123456789);
+
+    const restored = resolvePermalinkAnswers(payload, QUESTIONS);
+    assert.deepEqual(Object.keys(restored).sort(), Object.keys(answers).sort());
+    Object.entries(answers).forEach(([id, { value }]) => {
+        assert.equal(restored[id].value, value);
+    });
+    assert.equal(restored.q1.isReverse, true);
+
+    assert.equal(resolvePermalinkAnswers(payload, [...QUESTIONS].reverse()), null, '出題順が違えば当てはめない');
+});
+
+test('スコアのリンクは機能の素点を戻す', async () => {
+    const functionScores = { Ni: 18.25, Ne: -2.5, Si: -7.125, Se: -12, Ti: 3.333, Te: 12, Fi: 1, Fe: -10.75 };
+    const token = await encodePermalink({ mode: 'adaptive', strategy: 'jung', seed: 42, functionScores });
+
+    const { payload, error } = await decodePermalink(token);
+    assert.equal(error, null);
+    assert.equal(payload.kind, 'scores');
+    assert.deepEqual(payload.functionScores, functionScores);
+});
+
+test('URLフラグメントを経由してもトークンは変わらない', async () => {
+    const token = await encodePermalink({ mode: 'simple', strategy: 'jung', seed: 7, answers: createAnswers(), orderedQuestions: QUESTIONS });
+    const url = buildPermalinkUrl(token, 'https://example.com/finder.html?mode=simple#old');
+
+    assert.equal(url, `https://example.com/finder.html?mode=simple#r=${token}`);
+    assert.equal(readPermalinkFragment(new URL(url).hash), token);
+    assert.equal(readPermalinkFragment('#other=1'), null);
+});
+
+test('チェックサムが合わないリンクは受け付けない', async () => {
+    const token = await encodePermalink({ mode: 'standard', strategy: 'jung', seed: 99, answers: createAnswers(), orderedQuestions: QUESTIONS });
+
+    const wrongChecksum = tamper(token, bytes => { bytes[2] ^= 0xff; });
+    assert.deepEqual(await decodePermalink(wrongChecksum), { payload: null, error: 'checksum' });
+
+    const wrongBody = tamper(token, bytes => { bytes[bytes.length - 1] ^= 0x01; });
+    const result = await decodePermalink(wrongBody);
+    assert.equal(result.payload, null);
+    assert.equal(result.error, 'checksum');
+});
+
+test('壊れた・未対応のリンクは理由を返す', async () => {
+    const token = await encodePermalink({ mode: 'standard', strategy: 'jung', seed: 1, functionScores: { Ni: 1, Ne: 0, Si: 0, Se: 0, Ti: 0, Te: 0, Fi: 0, Fe: 0 } });
+
+    assert.equal((await decodePermalink('')).error, 'format');
+    assert.equal((await decodePermalink('abc')).error, 'format');
+    assert.equal((await decodePermalink(tamper(token, bytes => { bytes[0] = 99; }))).error, 'version');
+    assert.equal((await decodePermalink('A'.repeat(5000))).error, 'too-large');
+});
@@ -0,0 +1,112 @@
+// ============================================
+// profile-migrations.test.js - myself.json の schemaVersion 移行
+// ============================================
+//
+// 実行: npm test
+//
+// 移行の各ステップがそのバージョンで加わった項目を補うことと、
+// v1 のプロファイルを現行まで移行すると myself.schema.json の検証を通ることを確かめる。
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+
+import { calculateFunctionScores, COGNITIVE_STACKS, mbtiDescriptions } from '../core.js';
+import { buildMyselfProfile, MYSELF_SCHEMA_VERSION } from '../profile-exporter.js';
+import { validateMyselfProfile } from '../profile-importer.js';
+import { MIGRATIONS, canMigrateMyselfProfile, migrateMyselfProfile } from '../profile-migrations.js';
+
+/**
+ * リポジトリ内の JSON を読む
+ * @param {string} path - リポジトリのルートからのパス
+ * @returns {any} 内容
+ */
+function readJSON(path) {
+    return JSON.parse(readFileSync(new URL(`../${path}`, import.meta.url), 'utf8'));
+}
+
+/**
+ * 標準モードの質問に決まった順で回答した現行のプロファイル
+ * @returns {Object} プロファイル
+ */
+function buildCurrentProfile() {
+    const data = readJSON('data/questions-standard.json');
+    const questions = data.questions || data;
+    const answers = {};
+    questions.forEach((q, index) => {
+        answers[q.id] = { value: 1 + (index * 7) % 5, isReverse: Boolean(q.reverse) };
+    });
+    return buildMyselfProfile(calculateFunctionScores(answers, questions), answers, questions, COGNITIVE_STACKS, mbtiDescriptions);
+}
+
+/**
+ * 現行のプロファイルから v2 以降に加わった項目を除き、v1 の形にする
+ * @param {Object} profile - 現行のプロファイル
+ * @returns {Object} v1 のプロファイル
+ */
+function toV1(profile) {
+    const v1 = structuredClone(profile);
+    v1.schemaVersion = 1;
+    delete v1.mbti.typeProbabilities;
+    Object.values(v1.cognitiveFunctions).forEach(entry => delete entry.normalized_ci95);
+    delete v1.stack.fullOrder;
+    v1.stack.breakdown = v1.stack.breakdown.slice(0, 4).map(({ slot, shadow, ...item }) => item);
+    ['scoringStrategy', 'uncertainty', 'responseStyles', 'responseTiming'].forEach(key => delete v1.meta[key]);
+    return v1;
+}
+
+test('v1 → v2 でスタックのスロットID・シャドウ区分とスコアリング戦略を補う', () => {
+    const v1 = toV1(buildCurrentProfile());
+    const v2 = MIGRATIONS[1](v1);
+
+    assert.equal(v2.schemaVersion, 2);
+    assert.deepEqual(v2.stack.fullOrder, v1.stack.order);
+    assert.deepEqual(v2.stack.breakdown.map(item => item.slot), ['dominant', 'auxiliary', 'tertiary', 'inferior']);
+    assert.ok(v2.stack.breakdown.every(item => item.shadow === false));
+    assert.equal(v2.meta.scoringStrategy.id, 'jung');
+    assert.equal(v1.schemaVersion, 1, '入力は変更しない');
+    assert.equal(v1.stack.fullOrder, undefined, '入力は変更しない');
+});
+
+test('v2 → v3 で不確実性を補う', () => {
+    const v3 = MIGRATIONS[2](MIGRATIONS[1](toV1(buildCurrentProfile())));
+
+    assert.equal(v3.schemaVersion, 3);
+    assert.deepEqual(v3.mbti.typeProbabilities, []);
+    assert.ok(Object.values(v3.cognitiveFunctions).every(entry => entry.normalized_ci95 === null));
+    assert.equal(v3.meta.uncertainty, null);
+});
+
+test('v3 → v4 で回答スタイルを補う', () => {
+    const v4 = MIGRATIONS[3]({ schemaVersion: 3, meta: { answeredCount: 32 } });
+
+    assert.equal(v4.schemaVersion, 4);
+    assert.deepEqual(v4.meta, { answeredCount: 32, responseStyles: [] });
+});
+
+test('v4 → v5 で回答時間を補う', () => {
+    const v5 = MIGRATIONS[4]({ schemaVersion: 4, meta: { answeredCount: 32, responseStyles: [] } });
+
+    assert.equal(v5.schemaVersion, 5);
+    assert.deepEqual(v5.meta, { answeredCount: 32, responseStyles: [], responseTiming: null });
+});
+
+test('v1 から現行まで移行したプロファイルはスキーマの検証を通る', () => {
+    const schema = readJSON('data/schemas/myself.schema.json');
+    const current = buildCurrentProfile();
+    const migrated = migrateMyselfProfile(toV1(current));
+
+    assert.equal(migrated.schemaVersion, MYSELF_SCHEMA_VERSION);
+    assert.deepEqual(validateMyselfProfile(migrated, schema).errors, []);
+    assert.deepEqual(validateMyselfProfile(current, schema).errors, []);
+    assert.equal(migrateMyselfProfile(current), current, '現行のプロファイルはそのまま返す');
+});
+
+test('移行できる schemaVersion は 1 から現行まで', () => {
+    for (let version = 1; version <= MYSELF_SCHEMA_VERSION; version++) {
+        assert.equal(canMigrateMyselfProfile(version), true);
+    }
+    [0, MYSELF_SCHEMA_VERSION + 1, 1.5, '1'].forEach(version => {
+        assert.equal(canMigrateMyselfProfile(version), false);
+    });
+});
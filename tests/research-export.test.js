@@ -0,0 +1,158 @@
+// ============================================
+// research-export.test.js - 研究用データセットの書き出し
+// ============================================
+//
+// 実行: npm test
+//
+// 参加者IDのハッシュ、時刻のずらし方、識別子の除去と、
+// シャッフルシードからずらした量がわからないことを確かめる。
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+    RESEARCH_EXPORT_CONFIG,
+    hashParticipantId,
+    createTimeJitter,
+    buildResearchRecord
+} from '../research-export.js';
+import { createStorageManager } from '../hooks.js';
+import { createMemoryBackend } from '../storage-backends.js';
+
+const NOW = Date.UTC(2026, 9, 19, 12, 0, 0);
+
+/**
+ * 書き出しの材料 (回答・出題順・プロファイル)
+ * @param {Object} [overrides] - 上書きする項目
+ * @returns {Object} buildResearchRecord の params
+ */
+function createParams(overrides = {}) {
+    const questions = [
+        { id: 'q3', function: 'Ni', reverse: false },
+        { id: 'q1', function: 'Te', reverse: true },
+        { id: 'q2', function: 'Fi' }
+    ];
+    const answers = {
+        q3: { value: 4, isReverse: false, shownAt: NOW - 60000, answeredAt: NOW - 52000, changeCount: 1 },
+        q1: { value: 2, isReverse: true, shownAt: NOW - 50000, answeredAt: NOW - 47500, changeCount: 0 }
+    };
+    const profile = {
+        schemaVersion: 5,
+        generatedAt: new Date(NOW).toISOString(),
+        source: { tool: 'PersonaFinder', mode: 'standard', profileId: 'participant-007' },
+        mbti: { type: 'INTJ' },
+        meta: {
+            answeredCount: 2,
+            responseTiming: { summary: { medianMs: 5250 }, perQuestion: { q3: { shownAt: NOW - 60000 } } }
+        },
+        signature: { algorithm: 'ECDSA-P256-SHA256', keyId: 'a'.repeat(64) }
+    };
+    return { answers, questions, profile, mode: 'standard', strategy: 'jung', shuffleSeed: 12345, ...overrides };
+}
+
+test('研究コードがあれば同じIDは同じハッシュになる', async () => {
+    const first = await hashParticipantId('participant-007', 'STUDY-A');
+    const second = await hashParticipantId(' participant-007 ', 'STUDY-A');
+
+    assert.match(first, new RegExp(`^${RESEARCH_EXPORT_CONFIG.PARTICIPANT_PREFIX}[0-9a-f]{64}$`));
+    assert.equal(second, first);
+    assert.notEqual(await hashParticipantId('participant-007', 'STUDY-B'), first, '研究が違えば結び付けられない');
+    assert.equal(first.includes('participant-007'), false);
+});
+
+test('研究コードがなければ書き出しごとに別のハッシュになる', async () => {
+    const first = await hashParticipantId('participant-007', null);
+    const second = await hashParticipantId('participant-007', '  ');
+
+    assert.notEqual(first, null);
+    assert.notEqual(second, first);
+    assert.equal(await hashParticipantId('  ', 'STUDY-A'), null, 'IDが空ならハッシュを作らない');
+});
+
+test('時刻をずらす量は前後24時間以内で分単位', () => {
+    const { JITTER_MAX_MS } = RESEARCH_EXPORT_CONFIG;
+
+    assert.equal(createTimeJitter(() => 0), -JITTER_MAX_MS);
+    assert.equal(createTimeJitter(() => 0.5), 0);
+    assert.equal(createTimeJitter(() => 0.999999999), JITTER_MAX_MS);
+    for (let i = 0; i < 100; i++) {
+        const jitter = createTimeJitter();
+        assert.ok(Math.abs(jitter) <= JITTER_MAX_MS);
+        assert.ok(Number.isInteger(jitter / 60000));
+    }
+});
+
+test('記録のすべての時刻を同じ量だけずらし、回答時間は変えない', async () => {
+    const params = createParams();
+    const record = await buildResearchRecord(params, { random: () => 0.75, now: NOW });
+    const jitter = createTimeJitter(() => 0.75);
+
+    assert.equal(record.exportedAt, NOW + jitter);
+    assert.equal(record.report.generatedAt, new Date(NOW + jitter).toISOString());
+    assert.deepEqual(record.items.map(item => item.questionId), ['q3', 'q1', 'q2']);
+    assert.equal(record.items[0].shownAt, params.answers.q3.shownAt + jitter);
+    assert.equal(record.items[1].answeredAt, params.answers.q1.answeredAt + jitter);
+    assert.deepEqual(record.items.map(item => item.responseTimeMs), [8000, 2500, null]);
+    assert.deepEqual(record.items.map(item => item.value), [4, 2, null]);
+    assert.deepEqual(record.items.map(item => item.changeCount), [1, 0, 0]);
+});
+
+test('識別子・署名・回答ごとの時刻はプロファイルから除く', async () => {
+    const record = await buildResearchRecord(createParams({ studyCode: 'STUDY-A' }), { now: NOW });
+
+    assert.equal(record.format, RESEARCH_EXPORT_CONFIG.FORMAT);
+    assert.equal(record.linkable, true);
+    assert.equal(record.participant, await hashParticipantId('participant-007', 'STUDY-A'));
+    assert.equal('signature' in record.report, false);
+    assert.equal('profileId' in record.report.source, false);
+    assert.deepEqual(record.report.meta.responseTiming, { summary: { medianMs: 5250 } });
+    assert.equal(JSON.stringify(record).includes('participant-007'), false);
+});
+
+test('研究コードがなければ記録どうしを結び付けられない', async () => {
+    const first = await buildResearchRecord(createParams(), { now: NOW });
+    const second = await buildResearchRecord(createParams(), { now: NOW });
+
+    assert.equal(first.linkable, false);
+    assert.notEqual(first.participant, second.participant);
+});
+
+/**
+ * 記録に含まれる数値をすべて集める
+ * @param {any} value - 記録 (またはその一部)
+ * @returns {number[]} 数値
+ */
+function collectNumbers(value) {
+    if (typeof value === 'number') return [value];
+    if (!value || typeof value !== 'object') return [];
+    return Object.values(value).flatMap(collectNumbers);
+}
+
+test('シャッフルシードは時刻ではなく乱数から作る', () => {
+    const first = createStorageManager('research_test', { backend: createMemoryBackend() }).shuffleSeed.get();
+    const second = createStorageManager('research_test', { backend: createMemoryBackend() }).shuffleSeed.get();
+
+    [first, second].forEach(seed => {
+        assert.ok(Number.isInteger(seed) && seed >= 0 && seed < RESEARCH_EXPORT_CONFIG.MAX_SHUFFLE_SEED);
+    });
+    assert.notEqual(first, second);
+});
+
+test('記録のシャッフルシードから時刻のずらしがわからない', async () => {
+    const params = createParams();
+    const sessionStart = params.answers.q3.shownAt;
+
+    // 以前の版が開始時刻から作ったシードは書き出さない
+    const legacy = await buildResearchRecord({ ...params, shuffleSeed: sessionStart + 3 }, { random: () => 0.75, now: NOW });
+    assert.equal(legacy.shuffleSeed, null);
+    const jitter = legacy.items[0].shownAt - sessionStart;
+    const originalTimes = [NOW, sessionStart, params.answers.q3.answeredAt, params.answers.q1.shownAt, params.answers.q1.answeredAt];
+    collectNumbers(legacy).forEach(value => {
+        assert.equal(originalTimes.includes(value), false, `ずらす前の時刻 ${value} が含まれている`);
+        assert.notEqual(legacy.items[0].shownAt - value, jitter, `${value} からずらした量がわかる`);
+    });
+
+    const seed = createStorageManager('research_test', { backend: createMemoryBackend() }).shuffleSeed.get();
+    const record = await buildResearchRecord({ ...params, shuffleSeed: seed }, { now: NOW });
+    assert.equal(record.shuffleSeed, seed, '乱数のシードは出題順の再現に使えるよう残す');
+});